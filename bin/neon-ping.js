@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * neon-ping — trace a route from the terminal.
+ *
+ *   neon-ping example.com
+ *   neon-ping --monitor --interval 5 1.1.1.1
+ *   neon-ping --json -P tcp -p 443 example.com
+ *
+ * See `neon-ping --help` for every flag.
+ */
+
+import { parseCliArgs, USAGE } from '../src/cli/args.js'
+import { runCli } from '../src/cli/app.js'
+import { gatherIntel } from '../src/intel/gatherer.js'
+import { openGeoDatabase } from '../src/geo/database.js'
+import { createGeoLocator } from '../src/geo/locator.js'
+
+const parsed = parseCliArgs(process.argv.slice(2))
+
+if (!parsed.ok) {
+  process.stderr.write(`neon-ping: ${parsed.error}\nTry 'neon-ping --help' for usage.\n`)
+  process.exit(2)
+}
+if (parsed.help) {
+  process.stdout.write(`${USAGE}\n`)
+  process.exit(0)
+}
+
+// Geolocation for `--classifier distance`, from the same GEOIP_DB /
+// GEO_POP_HINTS settings as the server
+const geo = createGeoLocator({
+  database: process.env.GEOIP_DB
+    ? await openGeoDatabase(process.env.GEOIP_DB).catch((err) => {
+      process.stderr.write(`neon-ping: GeoIP database not loaded: ${err.message}\n`)
+      return null
+    })
+    : null,
+  popHints: process.env.GEO_POP_HINTS !== 'off',
+})
+
+const run = runCli(parsed.request, {
+  async lookupIntel(ip, hostname) {
+    const intel = await gatherIntel(ip, hostname)
+    return intel && { ...intel, geo: geo.locate(intel.ip, intel.hostname) }
+  },
+})
+
+// First Ctrl+C stops probing and prints what was collected;
+// a second one exits without waiting for outstanding WHOIS lookups
+let interrupted = false
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    if (interrupted) process.exit(130)
+    interrupted = true
+    run.cancel()
+  })
+}
+
+process.exitCode = await run.done
+// Cached intel and finished timers must not hold the process open
+process.exit()
@@ -0,0 +1,193 @@
+import { FAST_THRESHOLD, MEDIUM_THRESHOLD } from '../network/colors.js'
+
+/**
+ * Audio feedback — one synthesized sound per hop, by hop type:
+ *
+ *   normal  — rising blip, pitched by latency (fast = high, slow = low)
+ *   hostile — low detuned drone
+ *   ghost   — burst of filtered static
+ *   lossy   — stuttering blip, more stutters for more loss
+ *
+ * Everything is generated with Web Audio nodes; there are no sample files.
+ * Browsers keep an AudioContext suspended until a user gesture, so the
+ * context is created lazily and unlock() must be called from one.
+ */
+
+/**
+ * Pitch bands, Hz, matching the latency color bands in colors.js:
+ * green hops blip high, yellow in the middle, red low.
+ */
+const PITCH_FAST   = Object.freeze({ high: 1320, low: 880 })
+const PITCH_MEDIUM = Object.freeze({ high: 880, low: 440 })
+const PITCH_SLOW   = Object.freeze({ high: 440, low: 220 })
+
+/** Latency at which a slow hop bottoms out at PITCH_SLOW.low. */
+const SLOW_CEILING_MS = 500
+
+const DEFAULT_VOLUME = 0.5
+
+/**
+ * Map a latency onto its color band's pitch range: lower latency, higher
+ * pitch, and each band boundary lands on the next band's edge.
+ * @param {number} latency - ms
+ * @returns {number} Hz
+ */
+export function latencyToPitch(latency) {
+  const lerp = (band, from, to) => {
+    const t = Math.min(Math.max((latency - from) / (to - from), 0), 1)
+    return band.high - (band.high - band.low) * t
+  }
+  if (latency < FAST_THRESHOLD)   return lerp(PITCH_FAST, 0, FAST_THRESHOLD)
+  if (latency < MEDIUM_THRESHOLD) return lerp(PITCH_MEDIUM, FAST_THRESHOLD, MEDIUM_THRESHOLD)
+  return lerp(PITCH_SLOW, MEDIUM_THRESHOLD, SLOW_CEILING_MS)
+}
+
+/**
+ * @param {number[]} latencies
+ * @returns {number|null}
+ */
+function average(latencies) {
+  if (!latencies?.length) return null
+  return latencies.reduce((a, b) => a + b, 0) / latencies.length
+}
+
+export function createSoundEngine() {
+  let context = null
+  let master = null
+  let noiseBuffer = null
+  let volume = DEFAULT_VOLUME
+  let muted = false
+
+  /** Create (or resume) the audio context. Call from a user gesture. */
+  function unlock() {
+    if (!context) {
+      const AudioContextClass = window.AudioContext ?? window.webkitAudioContext
+      if (!AudioContextClass) return
+      context = new AudioContextClass()
+      master = context.createGain()
+      master.gain.value = muted ? 0 : volume
+      master.connect(context.destination)
+
+      // One second of white noise, reused by every ghost hop
+      noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate)
+      const samples = noiseBuffer.getChannelData(0)
+      for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1
+    }
+    if (context.state === 'suspended') context.resume()
+  }
+
+  /**
+   * Attack / exponential-decay envelope on a fresh gain node.
+   * @param {number} start - context time
+   * @param {number} peak - 0..1
+   * @param {number} duration - seconds
+   * @returns {GainNode}
+   */
+  function envelope(start, peak, duration) {
+    const gain = context.createGain()
+    gain.gain.setValueAtTime(0.0001, start)
+    gain.gain.exponentialRampToValueAtTime(peak, start + 0.01)
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration)
+    gain.connect(master)
+    return gain
+  }
+
+  /**
+   * Short tone gliding up a fifth.
+   * @param {number} pitch - Hz
+   * @param {number} start - context time
+   * @param {number} [duration] - seconds
+   */
+  function blip(pitch, start, duration = 0.09) {
+    const osc = context.createOscillator()
+    osc.type = 'triangle'
+    osc.frequency.setValueAtTime(pitch, start)
+    osc.frequency.exponentialRampToValueAtTime(pitch * 1.5, start + duration)
+    osc.connect(envelope(start, 0.35, duration))
+    osc.start(start)
+    osc.stop(start + duration + 0.02)
+  }
+
+  /** Two detuned saws under a low-pass: a menacing beat around 55 Hz. */
+  function drone(start) {
+    const duration = 1.4
+    const filter = context.createBiquadFilter()
+    filter.type = 'lowpass'
+    filter.frequency.value = 320
+    filter.connect(envelope(start, 0.5, duration))
+
+    for (const frequency of [55, 55.7, 82.5]) {
+      const osc = context.createOscillator()
+      osc.type = 'sawtooth'
+      osc.frequency.value = frequency
+      osc.connect(filter)
+      osc.start(start)
+      osc.stop(start + duration + 0.05)
+    }
+  }
+
+  /** Band-passed white noise: radio static from a router that never answered. */
+  function staticBurst(start) {
+    const duration = 0.35
+    const source = context.createBufferSource()
+    source.buffer = noiseBuffer
+    const filter = context.createBiquadFilter()
+    filter.type = 'bandpass'
+    filter.frequency.value = 2400
+    filter.Q.value = 0.8
+    source.connect(filter)
+    filter.connect(envelope(start, 0.25, duration))
+    source.start(start, Math.random() * 0.5, duration)
+  }
+
+  /**
+   * The hop's blip, chopped into 2–6 fragments by its loss rate.
+   * @param {number} pitch - Hz
+   * @param {number} lossRate - 0..1
+   * @param {number} start - context time
+   */
+  function stutter(pitch, lossRate, start) {
+    const fragments = 2 + Math.round(lossRate * 4)
+    for (let i = 0; i < fragments; i++) blip(pitch, start + i * 0.07, 0.035)
+  }
+
+  /**
+   * Play the sound for one hop. Silent until unlock() has run, or while muted.
+   * @param {{ type: string, latencies: number[], lossRate?: number|null }} hop
+   */
+  function playHop(hop) {
+    if (!context || context.state !== 'running' || muted || volume === 0) return
+    const now = context.currentTime
+    const avg = average(hop.latencies)
+
+    if (hop.type === 'hostile') drone(now)
+    else if (hop.type === 'ghost') staticBurst(now)
+    else if (hop.type === 'lossy') stutter(latencyToPitch(avg ?? SLOW_CEILING_MS), hop.lossRate ?? 0.5, now)
+    else if (avg != null) blip(latencyToPitch(avg), now)
+  }
+
+  function applyGain() {
+    if (master) master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.02)
+  }
+
+  /** @param {number} next - 0..1 */
+  function setVolume(next) {
+    volume = Math.min(Math.max(next, 0), 1)
+    applyGain()
+  }
+
+  /** @param {boolean} next */
+  function setMuted(next) {
+    muted = next
+    applyGain()
+  }
+
+  return {
+    unlock,
+    playHop,
+    setVolume,
+    setMuted,
+    getVolume: () => volume,
+    isMuted: () => muted,
+  }
+}
@@ -11,7 +11,7 @@ const LERP_SPEED = 0.04
  *
  * @param {THREE.PerspectiveCamera} camera
  * @param {HTMLElement} domElement
- * @returns {{ trackNode, startOrbit, update }}
+ * @returns {{ trackNode, startOrbit, viewFrom, update }}
  */
 export function createCameraController(camera, domElement) {
   const controls = new OrbitControls(camera, domElement)
@@ -47,6 +47,16 @@ export function createCameraController(camera, domElement) {
     controls.autoRotate = true
   }
 
+  /**
+   * Jump to a fixed viewpoint, then orbit (switching between scene modes).
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} center
+   */
+  function viewFrom(position, center) {
+    camera.position.copy(position)
+    startOrbit(center)
+  }
+
   /**
    * Call every frame.
    * @param {number} delta - Time since last frame in seconds
@@ -62,5 +72,5 @@ export function createCameraController(camera, domElement) {
     }
   }
 
-  return { trackNode, startOrbit, update }
+  return { trackNode, startOrbit, viewFrom, update }
 }
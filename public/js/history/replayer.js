@@ -0,0 +1,90 @@
+/**
+ * Replays a saved trace by feeding its recorded events back through the
+ * live socket handlers, so a replay draws exactly what the live trace drew.
+ *
+ * Events keep their recorded spacing (`at`, ms since the trace started),
+ * divided by the playback speed. Long silences (slow timeouts, WHOIS
+ * stragglers) are capped so a replay never stalls.
+ */
+
+/** Longest pause between two replayed events, before speed scaling. */
+const MAX_GAP_MS = 2_000
+
+/**
+ * Record arrays → socket event names. Listed in the order the server emits
+ * them for one line of output, so ties on `at` replay in that order too.
+ */
+const RECORD_EVENTS = Object.freeze([
+  ['raw',   'trace-raw'],
+  ['hops',  'trace-hop'],
+  ['port',  'trace-port'],
+  ['intel', 'trace-intel'],
+])
+
+/**
+ * Flatten a history record into one time-ordered event list, shaped like
+ * the live socket payloads (each carrying the given trace id).
+ * @param {Object} record - As returned by GET /api/history/:id
+ * @param {string} traceId
+ * @returns {Array<{ at: number, event: string, payload: Object }>}
+ */
+function toEvents(record, traceId) {
+  const events = RECORD_EVENTS.flatMap(([key, event]) => (record[key] ?? []).map((entry) => {
+    const { at, ...rest } = entry
+    return { at, event, payload: { ...rest, traceId } }
+  }))
+  // Array.prototype.sort is stable, so equal timestamps keep RECORD_EVENTS order
+  return events.sort((a, b) => a.at - b.at)
+}
+
+/**
+ * @param {Record<string, (payload: unknown) => void>} handlers - Socket event name → handler
+ */
+export function createReplayer(handlers) {
+  let timer = null
+  let speed = 1
+
+  /**
+   * Start replaying a record, replacing any replay in progress.
+   * @param {Object} record
+   * @param {string} traceId - Stamped on every replayed event, as the server does live
+   * @param {() => void} onEnd - Called once every event has been replayed (not on stop())
+   */
+  function play(record, traceId, onEnd) {
+    stop()
+    const events = toEvents(record, traceId)
+    let index = 0
+
+    function scheduleNext(prevAt) {
+      if (index >= events.length) {
+        timer = null
+        onEnd()
+        return
+      }
+      const gap = Math.min(Math.max(events[index].at - prevAt, 0), MAX_GAP_MS)
+      timer = setTimeout(() => {
+        const { at, event, payload } = events[index]
+        index += 1
+        handlers[event]?.(payload)
+        scheduleNext(at)
+      }, gap / speed)
+    }
+
+    scheduleNext(0)
+  }
+
+  function stop() {
+    clearTimeout(timer)
+    timer = null
+  }
+
+  /**
+   * Takes effect from the next event on.
+   * @param {number} next - Playback multiplier (1 = recorded pace)
+   */
+  function setSpeed(next) {
+    speed = next
+  }
+
+  return { play, stop, setSpeed, isPlaying: () => timer !== null }
+}
@@ -0,0 +1,74 @@
+/**
+ * What the scene currently shows, kept as history-shaped records so the
+ * trace on screen can be exported even when it was never saved (monitor
+ * sessions, multi-target runs, a trace still in progress).
+ *
+ * One record per trace id, with one hop per TTL: a monitor cycle replaces
+ * its TTL's hop, and the running stats ride along on it.
+ */
+
+export function createTraceLog() {
+  /** @type {Map<string, { target: string, options: object|null, startedAt: string, hops: Map<number, object>, intel: object[], port: object[] }>} */
+  let traces = new Map()
+
+  /**
+   * @param {string} traceId
+   * @param {string} target
+   * @param {object|null} options - As sent with start-trace (or a replayed record's)
+   * @param {string} [startedAt] - ISO time; a replay keeps its record's
+   */
+  function start(traceId, target, options, startedAt = new Date().toISOString()) {
+    traces = new Map(traces).set(traceId, { target, options, startedAt, hops: new Map(), intel: [], port: [] })
+  }
+
+  /** @param {{ traceId: string, hop: number }} hop - Enriched hop as on trace-hop (or trace-reclassify) */
+  function hop({ traceId, ...rest }) {
+    const trace = traces.get(traceId)
+    if (!trace) return
+    const previous = trace.hops.get(rest.hop)
+    trace.hops.set(rest.hop, previous?.stats ? { ...rest, stats: previous.stats } : rest)
+  }
+
+  /** @param {{ traceId: string, hop: number, ip: string }} payload - As on trace-intel */
+  function intel({ traceId, ...rest }) {
+    traces.get(traceId)?.intel.push(rest)
+  }
+
+  /** @param {{ traceId: string }} payload - As on trace-port */
+  function port({ traceId, ...rest }) {
+    traces.get(traceId)?.port.push(rest)
+  }
+
+  /**
+   * Monitor mode: fold a trace-hop-stats update into its TTL's hop.
+   * @param {{ traceId: string, hop: number, ip: string|null, type: string,
+   *           latencyDelta: number|null, lossRate: number|null, reason: string|null }} stats
+   */
+  function stats({ traceId, type, latencyDelta, lossRate, reason, ...figures }) {
+    const trace = traces.get(traceId)
+    const current = trace?.hops.get(figures.hop)
+    if (!current) return
+    trace.hops.set(figures.hop, { ...current, ip: figures.ip ?? current.ip, type, latencyDelta, lossRate, reason, stats: figures })
+  }
+
+  function clear() {
+    traces = new Map()
+  }
+
+  /** @returns {boolean} */
+  function isEmpty() {
+    return [...traces.values()].every((trace) => trace.hops.size === 0)
+  }
+
+  /**
+   * @returns {Array<{ target: string, options: object|null, startedAt: string,
+   *                   hops: object[], intel: object[], port: object[] }>} Start order
+   */
+  function toRecords() {
+    return [...traces.values()]
+      .filter((trace) => trace.hops.size > 0)
+      .map((trace) => ({ ...trace, hops: [...trace.hops.values()] }))
+  }
+
+  return { start, hop, intel, port, stats, clear, isEmpty, toRecords }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three'
 import { createScene }            from './scene/sceneSetup.js'
 import { createGrid }             from './scene/grid.js'
+import { createGlobe }            from './scene/globe.js'
 import { createGlitchController } from './scene/glitch.js'
 import { createCrtNoise }         from './scene/crtNoise.js'
 import { createCameraController } from './camera/cameraController.js'
@@ -8,41 +9,86 @@ import { createNodeManager }      from './network/nodeManager.js'
 import { createLinkManager }      from './network/linkManager.js'
 import { createPulseManager }     from './network/pulseManager.js'
 import { createNodeLabelManager } from './network/nodeLabel.js'
-import { resolveColor }           from './network/colors.js'
+import { createDiffRenderer }     from './network/diffRenderer.js'
+import { createTunnelManager }    from './network/tunnelManager.js'
+import { resolveColor, BRANCH_COLORS } from './network/colors.js'
 import { createHUD }              from './ui/hud.js'
 import { createConsole }          from './ui/console.js'
 import { createIntelPanel }       from './ui/intelPanel.js'
+import { createOptionsDrawer }    from './ui/optionsDrawer.js'
+import { createHistoryDrawer }    from './ui/historyDrawer.js'
+import { createScheduleDrawer }   from './ui/scheduleDrawer.js'
+import { createReplayer }         from './history/replayer.js'
+import { createTraceLog }         from './history/traceLog.js'
+import { createExportMenu, saveDownload } from './ui/exportMenu.js'
+import { createImportDrawer }     from './ui/importDrawer.js'
+import { createSoundEngine }      from './audio/soundEngine.js'
+import { createAudioControl }     from './ui/audioControl.js'
 
 // ── State machine ─────────────────────────────────────────
-// States: IDLE | TRACING | COMPLETE
+// States: IDLE | TRACING | REPLAYING | COMPLETE
 let appState = 'IDLE'
 
 // Accumulated trace stats
 let traceStats = { totalHops: 0, timedOutHops: 0, totalLatency: 0, latencyCount: 0 }
 
+// Monitor mode: latest running stats per TTL (from trace-hop-stats)
+let monitorStats = new Map()
+
+// Traces in the scene by trace id: one per target, in start order (a replay
+// registers REPLAY_TRACE_ID). Each: { target, color, prevLayer, hopCount, done, state, lsp }
+// (`lsp`: { id, lastHop } while the trace's latest hop is inside an MPLS tunnel)
+let traces = new Map()
+const REPLAY_TRACE_ID = 'replay'
+
+// History id of the trace on screen (a live trace once saved, or a replay).
+// Route diffs compare a picked history entry against it.
+let currentTraceId = null
+let awaitingSave   = false
+
+// Options of the trace(s) being started, logged with them for export
+let pendingOptions = null
+
+// Scene mode: 'topology' (hop-by-hop path on the grid) | 'globe' (geolocated hops)
+let view = 'topology'
+
 // ── DOM elements ───────────────────────────────────────────
-const canvas      = document.getElementById('scene-canvas')
-const traceBtn    = document.getElementById('trace-btn')
-const cancelBtn   = document.getElementById('cancel-btn')
-const targetInput = document.getElementById('target-input')
-const crtCanvas   = document.getElementById('crt-canvas')
-const intelPanel  = document.getElementById('intel-panel')
-const intelCards  = document.getElementById('intel-cards')
-const nodeLabels  = document.getElementById('node-labels')
+const canvas        = document.getElementById('scene-canvas')
+const traceBtn      = document.getElementById('trace-btn')
+const cancelBtn     = document.getElementById('cancel-btn')
+const targetInput   = document.getElementById('target-input')
+const familySelect  = document.getElementById('family-select')
+const resolveToggle = document.getElementById('resolve-toggle')
+const modeSelect    = document.getElementById('mode-select')
+const intervalInput = document.getElementById('interval-input')
+const engineSelect  = document.getElementById('engine-select')
+const viewBtn       = document.getElementById('view-btn')
+const crtCanvas     = document.getElementById('crt-canvas')
+const intelPanel    = document.getElementById('intel-panel')
+const intelCards    = document.getElementById('intel-cards')
+const nodeLabels    = document.getElementById('node-labels')
 
 // ── Three.js setup ─────────────────────────────────────────
-const { scene, camera, renderer, composer } = createScene(canvas)
+const { scene, camera, renderer, composer, renderPass } = createScene(canvas)
 const { update: updateGrid }                = createGrid(scene)
+const globe                                 = createGlobe()
 const glitch                                = createGlitchController(composer)
 const crt                                   = createCrtNoise(crtCanvas)
 const cam                                   = createCameraController(camera, renderer.domElement)
 const nodes                                 = createNodeManager(scene)
 const links                                 = createLinkManager(scene)
 const pulses                                = createPulseManager(scene)
+const tunnels                               = createTunnelManager(scene)
 const nodeLabeler                           = createNodeLabelManager(nodeLabels)
 const hud                                   = createHUD()
 const consoleUI                             = createConsole()
 const intel                                 = createIntelPanel(intelPanel, intelCards)
+const optionsDrawer                         = createOptionsDrawer()
+const diffRenderer                          = createDiffRenderer({ nodes, links, nodeLabeler })
+const sound                                 = createSoundEngine()
+const traceLog                              = createTraceLog()
+
+createAudioControl(sound)
 
 hud.reset()
 
@@ -57,20 +103,80 @@ socket.on('disconnect', () => {
   consoleUI.appendLine('[SYSTEM] Connection lost.', 'error')
 })
 
-socket.on('trace-hop', (hop) => {
-  const prevNode = nodes.getLastNode()
-  const newNode  = nodes.addNode(hop)
+// ── Multi-Trace ────────────────────────────────────────────
+// Several targets at once: common hops merge into shared nodes and each
+// target's branch is drawn in its own color. One target draws as before.
+
+function isMultiTrace() {
+  return traces.size > 1
+}
+
+function showBranches() {
+  hud.setBranches(isMultiTrace() ? [...traces.values()] : [])
+}
+
+// Center of a layer of sibling nodes
+function centerOf(layer) {
+  const center = new THREE.Vector3()
+  for (const node of layer) center.add(node.position)
+  return center.divideScalar(layer.length)
+}
+
+// Signed Z lane of a target, centered on the path axis
+function laneOf(traceId) {
+  const ids = [...traces.keys()]
+  return ids.indexOf(traceId) - (ids.length - 1) / 2
+}
+
+function handleTraceStarted({ traceId, target }) {
+  const color = BRANCH_COLORS[traces.size % BRANCH_COLORS.length]
+  traces = new Map(traces).set(traceId, { target, color, prevLayer: [], hopCount: 0, done: false, state: 'tracing', lsp: null })
+  traceLog.start(traceId, target, pendingOptions)
+  // An import's destination is only known once the server has parsed it
+  if (pendingOptions?.mode === 'import') hud.update({ target })
+  showBranches()
+}
+
+// Named handlers: history replay feeds saved events through these same functions.
+// Events of traces no longer in the scene (e.g. late intel after a cancel) are dropped.
+
+function handleTraceHop(hop) {
+  const trace = traces.get(hop.traceId)
+  if (!trace) return
+
+  const multi     = isMultiTrace()
+  const prevLayer = multi ? trace.prevLayer : nodes.getLastLayer()
+  const placed    = multi ? nodes.addBranchHop(hop, { lane: laneOf(hop.traceId), prevLayer }) : null
+  const newLayer  = placed ? placed.layer : nodes.addNode(hop)
+  const added     = placed ? placed.added : newLayer
+  const lsp       = hop.tunnel ? { id: hop.tunnel.id, lastHop: hop.hop } : null
+  traces = new Map(traces).set(hop.traceId, { ...trace, prevLayer: newLayer, hopCount: trace.hopCount + 1, lsp })
+  traceLog.hop(hop)
+
+  // Fan out / fan in between consecutive TTL layers (branch-colored when multi-target)
+  const branchColor = multi ? trace.color : undefined
+  for (const { fromPos, toPos } of links.connectLayers(prevLayer, newLayer, branchColor)) {
+    pulses.addPulse(fromPos, toPos, branchColor ?? resolveColor(hop.latencies, hop.timedOut))
+  }
+
+  // Register labels for new nodes (text updated when intel arrives)
+  for (const node of added) nodeLabeler.registerNode(node, hop.type)
 
-  if (prevNode) {
-    links.addLink(prevNode.position, newNode.position, hop.latencies, hop.timedOut, hop.type, hop.lossRate)
-    pulses.addPulse(prevNode.position, newNode.position, resolveColor(hop.latencies, hop.timedOut))
+  // MPLS: the LSP's tube grows hop by hop; the console marks where it starts and ends
+  if (hop.tunnel) {
+    const prevCenter = prevLayer.length > 0 ? centerOf(prevLayer) : null
+    tunnels.addHop(`${hop.traceId}|${hop.tunnel.id}`, hop.tunnel, centerOf(newLayer), prevCenter)
+    consoleUI.addLsp(hop)
+  } else if (trace.lsp) {
+    consoleUI.addLspEnd(trace.lsp)
   }
 
-  // Register label (text updated when intel arrives)
-  nodeLabeler.registerNode(newNode, hop.type)
+  // Camera tracks the center of the new layer (the globe view keeps its own camera)
+  if (view === 'topology') cam.trackNode(centerOf(newLayer))
 
-  // Camera tracks new node
-  cam.trackNode(newNode.position)
+  if (newLayer.length > 1) consoleUI.addMultipath(hop)
+
+  sound.playHop(hop)
 
   // Glitch on ghost hop
   if (hop.type === 'ghost') glitch.trigger()
@@ -81,10 +187,19 @@ socket.on('trace-hop', (hop) => {
     consoleUI.addWarning(hop)
   }
 
+  // A spike the classifier cleared (jitter, a slow control plane) says why
+  if (hop.type === 'normal' && hop.reason) consoleUI.addVerdict(hop)
+
   if (hop.type === 'lossy') {
     consoleUI.addLossWarning(hop)
   }
 
+  if (hop.type === 'unreachable' || hop.type === 'filtered') {
+    crt.trigger()
+    consoleUI.addUnreachable(hop)
+    intel.addAnnotationCard(hop)
+  }
+
   // Update stats (immutable)
   const nextStats = {
     totalHops:    traceStats.totalHops + 1,
@@ -102,9 +217,85 @@ socket.on('trace-hop', (hop) => {
     : null
 
   hud.update({ hopCount: nextStats.totalHops, avgLatency, packetLoss })
+}
+
+/**
+ * A later hop or a located responder changed a hop's verdict: restyle it
+ * in place and say why in the console.
+ * @param {object} hop - Enriched hop as on trace-reclassify
+ */
+function handleTraceReclassify(hop) {
+  if (!traces.has(hop.traceId)) return
+  traceLog.hop(hop)
+
+  const updated = nodes.updateNode({
+    hop:          hop.hop,
+    traceId:      hop.traceId,
+    type:         hop.type,
+    latencyDelta: hop.latencyDelta,
+    lossRate:     hop.lossRate,
+  })
+  for (const node of updated) {
+    links.updateLinksTo(node.position, node.latencies, node.hop.timedOut, node.hop.type, node.hop.lossRate)
+  }
+  nodeLabeler.updateType(hop.hop, hop.type, hop.traceId)
+  consoleUI.addVerdict(hop, { revised: true })
+  if (hop.type === 'hostile') crt.trigger()
+
+  // Monitor mode: keep the stats map's type in step, so the next update only sounds on a real change
+  const stats = monitorStats.get(hop.hop)
+  if (stats) monitorStats = new Map(monitorStats).set(hop.hop, { ...stats, type: hop.type })
+}
+
+socket.on('trace-cycle', ({ traceId, cycle }) => {
+  if (!traces.has(traceId)) return
+  hud.update({ status: `MONITOR · CYCLE ${cycle}` })
+  if (cycle === 1) return
+  consoleUI.appendLine(`[MONITOR] Cycle ${cycle} — re-probing path`)
+
+  // First full pass is drawn: switch to orbit while stats keep streaming
+  if (cycle === 2) orbitAllNodes()
+})
+
+socket.on('trace-hop-stats', (stats) => {
+  if (!traces.has(stats.traceId)) return
+  // Restyle the hop's nodes, incoming links and labels in place — never rebuild the scene
+  const updated = nodes.updateNode({
+    hop:          stats.hop,
+    type:         stats.type,
+    timedOut:     stats.type === 'ghost',
+    latencies:    stats.avg != null ? [stats.avg] : [],
+    latencyDelta: stats.latencyDelta,
+    lossRate:     stats.loss / 100,
+  })
+  for (const node of updated) {
+    links.updateLinksTo(node.position, node.latencies, node.hop.timedOut, node.hop.type, node.hop.lossRate)
+  }
+  nodeLabeler.updateType(stats.hop, stats.type)
+
+  // Sound only when a hop turns bad, so a steady monitor stays quiet
+  const previous = monitorStats.get(stats.hop)
+  if (previous && previous.type !== stats.type && stats.type !== 'normal') {
+    sound.playHop({ type: stats.type, latencies: stats.avg != null ? [stats.avg] : [], lossRate: stats.loss / 100 })
+  }
+
+  monitorStats = new Map(monitorStats).set(stats.hop, stats)
+  traceLog.stats(stats)
+
+  // HUD mirrors mtr's view of the destination: the deepest hop seen so far
+  const destination = monitorStats.get(Math.max(...monitorStats.keys()))
+  hud.update({
+    hopCount:   monitorStats.size,
+    avgLatency: destination.avg,
+    packetLoss: destination.loss,
+  })
 })
 
-socket.on('trace-intel', (intelData) => {
+function handleTraceIntel(intelData) {
+  const trace = traces.get(intelData.traceId)
+  if (!trace) return
+  traceLog.intel(intelData)
+
   // Show intel card in side panel
   intel.addCard(intelData)
 
@@ -113,44 +304,309 @@ socket.on('trace-intel', (intelData) => {
 
   // Print intel block to retro console
   consoleUI.addIntel(intelData)
-})
 
-socket.on('trace-raw', (line) => {
-  consoleUI.appendLine(line)
-})
+  // Pin located hops on the globe (drawn even while the topology is on screen)
+  if (intelData.geo) globe.addHop(intelData.traceId, intelData, trace.color)
+}
 
-socket.on('trace-error', (message) => {
-  consoleUI.appendLine(`[ERROR] ${message}`, 'error')
+function handleTracePort(port) {
+  if (!traces.has(port.traceId)) return
+  traceLog.port(port)
+  // TCP traces: destination port verdict (open / closed / filtered)
+  nodes.markPortState(port)
+  intel.addPortCard(port)
+  consoleUI.addPortState(port)
+}
+
+function handleTraceRaw({ traceId, line }) {
+  const trace = traces.get(traceId)
+  if (!trace) return
+  consoleUI.appendLine(isMultiTrace() ? `[${trace.target}] ${line}` : line)
+}
+
+socket.on('trace-error', ({ traceId, message }) => {
+  const trace = traces.get(traceId)
+  const prefix = trace && isMultiTrace() ? `[${trace.target}] ` : ''
+  consoleUI.appendLine(`[ERROR] ${prefix}${message}`, 'error')
   glitch.trigger()
-  if (appState === 'TRACING') {
+
+  // A running trace reports trace-complete after its errors; only a
+  // rejected request (no trace id) ends the TRACING state here
+  if (!traceId && appState === 'TRACING' && traces.size === 0) {
     setState('IDLE')
   }
 })
 
-socket.on('trace-complete', () => {
-  if (appState !== 'TRACING') return
+function handleTraceComplete({ traceId }) {
+  const trace = traces.get(traceId)
+  if (!trace || trace.done) return
+  traces = new Map(traces).set(traceId, { ...trace, done: true, state: trace.hopCount > 0 ? 'complete' : 'failed' })
+  showBranches()
+
+  if (appState !== 'TRACING' && appState !== 'REPLAYING') return
+  const all = [...traces.values()]
+  if (all.some((t) => !t.done)) {
+    consoleUI.appendLine(`[SYSTEM] ${trace.target} complete — waiting on ${all.filter((t) => !t.done).length} more.`)
+    return
+  }
+
+  // Every target ended without a single hop: nothing to orbit
+  if (all.every((t) => t.hopCount === 0)) {
+    setState('IDLE')
+    hud.update({ status: 'ERROR' })
+    return
+  }
+
+  consoleUI.appendLine(appState === 'REPLAYING' ? '[SYSTEM] Replay complete.' : '[SYSTEM] Trace complete.')
   setState('COMPLETE')
   hud.update({ status: 'COMPLETE' })
-  consoleUI.appendLine('[SYSTEM] Trace complete.')
 
-  // Switch camera to cinematic orbit around center of all nodes
-  const allNodes = nodes.getNodes()
-  if (allNodes.length > 0) {
-    const center = new THREE.Vector3()
-    for (const n of allNodes) center.add(n.position)
-    center.divideScalar(allNodes.length)
-    cam.startOrbit(center)
+  orbitAllNodes()
+}
+
+// Only the single-target live trace this client started claims the saved id
+socket.on('trace-saved', ({ traceId, id }) => {
+  if (!awaitingSave || !traces.has(traceId)) return
+  awaitingSave   = false
+  currentTraceId = id
+})
+
+socket.on('trace-started', handleTraceStarted)
+socket.on('trace-hop', handleTraceHop)
+socket.on('trace-reclassify', handleTraceReclassify)
+socket.on('trace-alert', handleTraceAlert)
+socket.on('trace-intel', handleTraceIntel)
+socket.on('trace-port', handleTracePort)
+socket.on('trace-raw', handleTraceRaw)
+socket.on('trace-complete', handleTraceComplete)
+
+// ── History replay ─────────────────────────────────────────
+const replayer = createReplayer({
+  'trace-hop':   handleTraceHop,
+  'trace-intel': handleTraceIntel,
+  'trace-port':  handleTracePort,
+  'trace-raw':   handleTraceRaw,
+})
+
+const historyDrawer = createHistoryDrawer({
+  onSelect:   replayTrace,
+  onDiff:     showRouteDiff,
+  onBaseline: toggleBaseline,
+  onSpeedChange(speed) {
+    replayer.setSpeed(speed)
+    if (appState === 'REPLAYING') hud.update({ status: `REPLAY · ${speed}x` })
+  },
+})
+
+async function replayTrace(id) {
+  if (appState === 'TRACING') return
+  sound.unlock()
+
+  let record
+  try {
+    const res = await fetch(`/api/history/${encodeURIComponent(id)}`)
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    record = await res.json()
+  } catch (err) {
+    consoleUI.appendLine(`[ERROR] Could not load saved trace: ${err.message}`, 'error')
+    return
+  }
+  // A live trace may have started while the record was loading
+  if (appState === 'TRACING') return
+
+  const speed = historyDrawer.getSpeed()
+  resetTrace()
+  awaitingSave   = false
+  currentTraceId = record.id
+  pendingOptions = record.options
+  handleTraceStarted({ traceId: REPLAY_TRACE_ID, target: record.target })
+  setState('REPLAYING')
+  hud.update({ target: record.target, hopCount: 0, avgLatency: null, packetLoss: null, status: `REPLAY · ${speed}x` })
+  consoleUI.appendLine(`[SYSTEM] Replaying trace to ${record.target} from ${new Date(record.startedAt).toLocaleString()}`)
+
+  replayer.setSpeed(speed)
+  replayer.play(record, REPLAY_TRACE_ID, () => handleTraceComplete({ traceId: REPLAY_TRACE_ID }))
+}
+
+// ── Route diff ─────────────────────────────────────────────
+async function showRouteDiff(fromId) {
+  if (appState === 'TRACING' || appState === 'REPLAYING') return
+  if (!currentTraceId) {
+    consoleUI.appendLine('[DIFF] Run or replay a trace first — it is compared against the one you pick.', 'warning')
+    return
+  }
+  if (fromId === currentTraceId) {
+    consoleUI.appendLine('[DIFF] That is the trace on screen. Pick a different one to compare.', 'warning')
+    return
+  }
+
+  let diff
+  try {
+    const query = new URLSearchParams({ from: fromId, to: currentTraceId })
+    const res = await fetch(`/api/diff?${query}`)
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    diff = await res.json()
+  } catch (err) {
+    consoleUI.appendLine(`[ERROR] Could not diff traces: ${err.message}`, 'error')
+    return
   }
+  if (appState === 'TRACING' || appState === 'REPLAYING') return
+
+  resetTrace()
+  diffRenderer.render(diff)
+  consoleUI.addRouteDiff(diff)
+
+  const { changed, added, removed } = diff.summary
+  hud.update({
+    target:     diff.to.target,
+    hopCount:   diff.entries.length,
+    avgLatency: null,
+    packetLoss: null,
+    status:     `DIFF · ${changed + added + removed} CHANGED`,
+  })
+  setState('COMPLETE')
+  orbitAllNodes()
+}
+
+// ── Baselines ──────────────────────────────────────────────
+// A target's baseline is the saved trace later ones are compared with;
+// the server reports regressions as trace-alert.
+async function toggleBaseline({ id, target, active }) {
+  const regressionPct = historyDrawer.getRegressionPct()
+  try {
+    const res = active
+      ? await fetch(`/api/baselines/${encodeURIComponent(target)}`, { method: 'DELETE' })
+      : await fetch('/api/baselines', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ traceId: id, regressionPct }),
+      })
+    if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? `HTTP ${res.status}`)
+  } catch (err) {
+    consoleUI.appendLine(`[ERROR] Could not update the baseline: ${err.message}`, 'error')
+    return
+  }
+
+  consoleUI.appendLine(active
+    ? `[BASELINE] ${target} has no baseline now.`
+    : `[BASELINE] ${target}: later traces are compared with this one (latency alerts above +${regressionPct}%).`)
+  historyDrawer.refresh()
+}
+
+/**
+ * A trace regressed against its target's baseline: route change, a new
+ * hostile or lossy hop, or a slower hop.
+ * @param {{ traceId: string, target: string, kind: string, hop: number, message: string }} alert
+ */
+function handleTraceAlert(alert) {
+  if (!traces.has(alert.traceId)) return
+  hud.addAlert(alert)
+  consoleUI.addAlert(alert)
+  glitch.trigger()
+  crt.trigger()
+}
+
+// ── Scheduled traces ───────────────────────────────────────
+// The server re-traces scheduled targets with no browser attached; runs are
+// saved to history. Every client gets the job list whenever it changes.
+const scheduleDrawer = createScheduleDrawer({
+  onAdd:    scheduleTrace,
+  onOpen:   () => socket.emit('list-schedules'),
+  onPause:  (id) => socket.emit('pause-schedule', { id }),
+  onResume: (id) => socket.emit('resume-schedule', { id }),
+  onDelete: (id) => socket.emit('delete-schedule', { id }),
+})
+
+socket.on('schedule-jobs', ({ jobs }) => scheduleDrawer.render(jobs))
+socket.on('schedule-error', ({ message }) => {
+  consoleUI.appendLine(`[ERROR] Schedule: ${message}`, 'error')
 })
 
+function scheduleTrace(intervalMinutes) {
+  const targets = targetInput.value.split(/[\s,]+/).filter(Boolean)
+  if (targets.length !== 1) {
+    consoleUI.appendLine('[SCHEDULE] Enter one target to schedule.', 'warning')
+    return
+  }
+  consoleUI.appendLine(`[SCHEDULE] Tracing ${targets[0]} every ${intervalMinutes} min on the server.`)
+  socket.emit('create-schedule', { target: targets[0], options: readTraceOptions(), intervalMinutes })
+}
+
+// ── Export ─────────────────────────────────────────────────
+// A saved trace (or a replay) exports from history, as the server has it;
+// anything else — monitor, multi-target, still running — from what is on screen.
+createExportMenu({ onExport: exportTrace })
+
+async function exportTrace(format) {
+  if (traceLog.isEmpty()) {
+    consoleUI.appendLine('[EXPORT] Nothing to export yet — run or replay a trace first.', 'warning')
+    return
+  }
+
+  const query = new URLSearchParams({ format })
+  try {
+    const res = currentTraceId && traces.size === 1
+      ? await fetch(`/api/history/${encodeURIComponent(currentTraceId)}/export?${query}`)
+      : await fetch(`/api/export?${query}`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ traces: traceLog.toRecords() }),
+      })
+    if (!res.ok) throw new Error((await res.json().catch(() => null))?.error ?? `HTTP ${res.status}`)
+    await saveDownload(res)
+    consoleUI.appendLine(`[EXPORT] Saved ${format.toUpperCase()} export.`)
+  } catch (err) {
+    consoleUI.appendLine(`[ERROR] Export failed: ${err.message}`, 'error')
+  }
+}
+
+// ── Import ─────────────────────────────────────────────────
+// Pasted or uploaded traceroute output is parsed and replayed by the server
+// as a trace, so classification, intel, history and export all apply.
+createImportDrawer({
+  onImport: importTrace,
+  onError(message) {
+    consoleUI.appendLine(`[ERROR] Import failed: ${message}`, 'error')
+  },
+})
+
+function importTrace(text) {
+  if (appState === 'TRACING') return
+
+  sound.unlock()
+  replayer.stop()
+  resetTrace()
+
+  setState('TRACING')
+  hud.update({ target: 'IMPORT', hopCount: 0, avgLatency: null, packetLoss: null, status: 'IMPORTING...' })
+  consoleUI.appendLine('[SYSTEM] Importing traceroute output')
+
+  currentTraceId = null
+  awaitingSave   = true
+  pendingOptions = { mode: 'import' }
+  socket.emit('import-trace', { text })
+}
+
 // ── UI event handlers ──────────────────────────────────────
 traceBtn.addEventListener('click', startTrace)
 
+// Interval only matters in monitor mode
+modeSelect.addEventListener('change', () => {
+  intervalInput.hidden = modeSelect.value !== 'monitor'
+})
+
 targetInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') startTrace()
 })
 
 cancelBtn.addEventListener('click', () => {
+  if (appState === 'REPLAYING') {
+    replayer.stop()
+    setState('IDLE')
+    hud.update({ status: 'STOPPED' })
+    consoleUI.appendLine('[SYSTEM] Replay stopped.')
+    return
+  }
   socket.emit('cancel-trace')
   setState('IDLE')
   hud.update({ status: 'CANCELLED' })
@@ -158,32 +614,94 @@ cancelBtn.addEventListener('click', () => {
 })
 
 function startTrace() {
-  const target = targetInput.value.trim()
-  if (!target || appState === 'TRACING') return
+  // Several targets (comma- or space-separated) trace concurrently
+  const targets = targetInput.value.split(/[\s,]+/).filter(Boolean)
+  if (targets.length === 0 || appState === 'TRACING') return
 
-  clearScene()
-  traceStats = { totalHops: 0, timedOutHops: 0, totalLatency: 0, latencyCount: 0 }
+  // Starting a trace is a user gesture: the browser lets audio start now
+  sound.unlock()
+  replayer.stop()
+  resetTrace()
 
+  const hudTarget = targets.length > 1 ? `${targets.length} TARGETS` : targets[0]
   setState('TRACING')
-  hud.update({ target, hopCount: 0, avgLatency: null, packetLoss: null, status: 'TRACING...' })
-  consoleUI.appendLine(`[SYSTEM] Starting trace to ${target}`)
+  hud.update({ target: hudTarget, hopCount: 0, avgLatency: null, packetLoss: null, status: 'TRACING...' })
+  consoleUI.appendLine(`[SYSTEM] Starting trace to ${targets.join(', ')}`)
+
+  const options = readTraceOptions()
+  // Diffs compare one trace; monitor sessions are never saved
+  currentTraceId = null
+  awaitingSave   = targets.length === 1 && options.mode !== 'monitor'
+  pendingOptions = options
+  socket.emit('start-trace', { targets, options })
+}
 
-  socket.emit('start-trace', { target })
+// Trace options from the input bar and the OPT drawer
+function readTraceOptions() {
+  return {
+    family:       familySelect.value,
+    resolveNames: resolveToggle.checked,
+    mode:         modeSelect.value,
+    interval:     Number(intervalInput.value),
+    engine:       engineSelect.value,
+    ...optionsDrawer.read(),
+  }
+}
+
+function resetTrace() {
+  clearScene()
+  traceStats = { totalHops: 0, timedOutHops: 0, totalLatency: 0, latencyCount: 0 }
+  monitorStats = new Map()
+  traces = new Map()
+  traceLog.clear()
+  showBranches()
+  hud.clearAlerts()
+}
+
+// Cinematic orbit around the center of every node in the scene
+function orbitAllNodes() {
+  const allNodes = nodes.getNodes()
+  if (allNodes.length === 0 || view !== 'topology') return
+  const center = new THREE.Vector3()
+  for (const n of allNodes) center.add(n.position)
+  cam.startOrbit(center.divideScalar(allNodes.length))
 }
 
 function clearScene() {
   nodes.clear()
   links.clear()
   pulses.clear()
+  tunnels.clear()
+  globe.clear()
   nodeLabeler.clear()
   intel.clear()
   consoleUI.clear()
 }
 
+// ── Scene mode ─────────────────────────────────────────────
+const ORIGIN             = new THREE.Vector3()
+const GLOBE_VIEWPOINT    = new THREE.Vector3(0, 4, 14)
+const TOPOLOGY_VIEWPOINT = new THREE.Vector3(0, 4, 12)
+
+// Both scenes stay populated; switching only changes which one is rendered
+function setView(next) {
+  view = next
+  const isGlobe = next === 'globe'
+  renderPass.scene  = isGlobe ? globe.scene : scene
+  nodeLabels.hidden = isGlobe
+  viewBtn.classList.toggle('active', isGlobe)
+  viewBtn.setAttribute('aria-pressed', String(isGlobe))
+
+  cam.viewFrom(isGlobe ? GLOBE_VIEWPOINT : TOPOLOGY_VIEWPOINT, ORIGIN)
+  if (!isGlobe) orbitAllNodes()
+}
+
+viewBtn.addEventListener('click', () => setView(view === 'globe' ? 'topology' : 'globe'))
+
 // ── State transitions ──────────────────────────────────────
 function setState(next) {
   appState = next
-  if (next === 'TRACING') {
+  if (next === 'TRACING' || next === 'REPLAYING') {
     traceBtn.disabled = true
     cancelBtn.hidden  = false
   } else {
@@ -203,6 +721,7 @@ function animate() {
   updateGrid(elapsed)
   cam.update(delta)
   pulses.update(delta)
+  tunnels.update(elapsed)
 
   // MEDIUM-8: Cache getNodes() once per frame — avoids O(n²) with inner find()
   const allNodes = nodes.getNodes()
@@ -220,6 +739,12 @@ function animate() {
         auraMesh.position.y = mesh.position.y
       }
       mesh.scale.setScalar(1 + Math.sin(elapsed * 0.9) * 0.04)
+    } else if (hop.type === 'unreachable') {
+      // Barrier turns slowly around a still core
+      if (auraMesh) auraMesh.rotation.z = elapsed * 0.6
+    } else if (hop.type === 'filtered') {
+      // Firewall plane shimmers in front of a still core
+      if (auraMesh) auraMesh.material.opacity = 0.3 + Math.sin(elapsed * 4 + position.x) * 0.1
     } else if (hop.type === 'lossy') {
       // Flicker: high-freq sine gives rapid opacity changes
       // sin(35t) creates blackout intervals; more blackouts when lossRate is high
@@ -235,8 +760,18 @@ function animate() {
     }
   }
 
-  // Sync node label positions with 3D world
-  nodeLabeler.updatePositions(camera)
+  // Port verdict rings spin slowly around the destination node
+  for (const ring of nodes.getPortRings()) ring.rotation.x = elapsed * 0.8
+
+  // Route diff split / rejoin rings breathe so they read against the path colors
+  for (const ring of nodes.getDivergenceRings()) ring.scale.setScalar(1 + Math.sin(elapsed * 3) * 0.12)
+
+  if (view === 'globe') {
+    globe.update(elapsed, delta)
+  } else {
+    // Sync node label positions with 3D world
+    nodeLabeler.updatePositions(camera)
+  }
 
   composer.render()
 }
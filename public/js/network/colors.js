@@ -1,6 +1,7 @@
 /**
  * Shared latency color constants and resolver.
- * Used by nodeManager, linkManager, and main.js.
+ * Used by nodeManager, linkManager, diffRenderer, main.js, and the
+ * neon-ping CLI (plain ESM with no browser imports, so Node can load it).
  */
 
 export const FAST_THRESHOLD   = 50
@@ -11,6 +12,30 @@ export const COLOR_MEDIUM  = 0xffff00
 export const COLOR_SLOW    = 0xff0040
 export const COLOR_TIMEOUT = 0x444466
 
+/** Hop types drawn in a fixed accent instead of their latency color. */
+export const TYPE_COLORS = Object.freeze({
+  hostile:     0xff2200,
+  ghost:       0xaaccff,
+  lossy:       0xffaa00,
+  unreachable: 0xff00aa,
+  filtered:    0x9933ff,
+})
+
+/** MPLS tunnel tubes: an LSP whose LSRs answered / one that hid them. */
+export const TUNNEL_COLORS = Object.freeze({
+  visible: 0x33ccff,
+  hidden:  0xff3366,
+})
+
+/** Multi-target traces: one color per target's branch, in start order. */
+export const BRANCH_COLORS = Object.freeze([0x00e5ff, 0xff4fd8, 0xb6ff00, 0x9d7bff])
+
+/** Route diff: hops only on the reference path / only on the compared path. */
+export const DIFF_COLORS = Object.freeze({
+  from: 0xff8800,
+  to:   0x00e5ff,
+})
+
 /**
  * @param {number[]} latencies
  * @param {boolean} timedOut
@@ -0,0 +1,105 @@
+/**
+ * Route diff renderer — draws two diffed paths in one scene.
+ *
+ * Each diff entry becomes one layer along X. A shared hop is a single node
+ * in its usual latency color; a hop that differs gets one node per path,
+ * side by side, in that path's color (DIFF_COLORS.from / .to). Every node
+ * links back to the previous node on its own path, so a path that skips a
+ * layer (an added or removed hop) runs straight past it. Layers where the
+ * paths split or meet again are ringed.
+ */
+
+import { DIFF_COLORS } from './colors.js'
+
+/**
+ * One side of a diff layer, shaped as a responder for nodeManager.addNode().
+ * @param {'both'|'from'|'to'} path
+ * @param {{ ip: string|null, hostname: string|null, rtt: number|null }} pathHop
+ */
+function toResponder(path, pathHop) {
+  return {
+    ip: pathHop.ip,
+    hostname: pathHop.hostname,
+    latencies: pathHop.rtt != null ? [pathHop.rtt] : [],
+    path,
+    ...(path !== 'both' && { color: DIFF_COLORS[path] }),
+  }
+}
+
+/**
+ * Synthetic hop for one diff layer. Shared hops keep their own type;
+ * differing layers are drawn as plain nodes in path colors.
+ * @param {object} entry - DiffEntry from GET /api/diff
+ * @param {number} layer - 1-based layer index (the X position)
+ */
+function toLayerHop(entry, layer) {
+  const responders = entry.status === 'same'
+    ? [toResponder('both', entry.to)]
+    : [entry.from && toResponder('from', entry.from), entry.to && toResponder('to', entry.to)].filter(Boolean)
+  const latencies = responders.flatMap((r) => r.latencies)
+
+  return {
+    hop: layer,
+    ip: responders[0].ip,
+    hostname: responders[0].hostname,
+    latencies,
+    responders,
+    timedOut: entry.status === 'same' && entry.to.timedOut,
+    type: entry.status === 'same' ? entry.to.type : 'normal',
+    lossRate: null,
+  }
+}
+
+/**
+ * A link is drawn in path color whenever either end is path-specific.
+ * @param {{ responder: { path: string } }} from
+ * @param {{ responder: { path: string } }} to
+ * @returns {number|undefined}
+ */
+function linkColor(from, to) {
+  const path = to.responder.path !== 'both' ? to.responder.path : from.responder.path
+  return DIFF_COLORS[path]
+}
+
+/**
+ * @param {{ nodes: object, links: object, nodeLabeler: object }} managers - The scene's shared managers
+ */
+export function createDiffRenderer({ nodes, links, nodeLabeler }) {
+  /**
+   * Draw a diff into the (already cleared) scene.
+   * @param {{ entries: object[] }} diff - As returned by GET /api/diff
+   * @returns {object[]} Every node drawn
+   */
+  function render(diff) {
+    let lastFrom = null
+    let lastTo = null
+
+    diff.entries.forEach((entry, k) => {
+      const layer = k + 1
+      for (const node of nodes.addNode(toLayerHop(entry, layer))) {
+        const { path } = node.responder
+        const sources = path === 'both' ? [...new Set([lastFrom, lastTo])] : [path === 'from' ? lastFrom : lastTo]
+
+        for (const source of sources.filter(Boolean)) {
+          links.addLink(source.position, node.position, node.latencies, node.hop.timedOut,
+            node.hop.type, node.hop.lossRate, linkColor(source, node))
+        }
+        if (path !== 'to') lastFrom = node
+        if (path !== 'from') lastTo = node
+
+        // Labels come straight from the intel saved with each trace
+        nodeLabeler.registerNode(node, node.hop.type)
+        const pathHop = path === 'from' ? entry.from : entry.to
+        if (pathHop.asn || pathHop.country) {
+          nodeLabeler.updateIntel(layer, { ip: pathHop.ip, asn: pathHop.asn, country: pathHop.country })
+        }
+      }
+
+      if (entry.marker) nodes.markDivergence({ hop: layer, kind: entry.marker })
+    })
+
+    return nodes.getNodes()
+  }
+
+  return { render }
+}
@@ -3,6 +3,7 @@ import { resolveColor } from './colors.js'
 
 /**
  * Manages colored lines connecting hop nodes.
+ * Multipath layers are joined all-to-all so ECMP branches fan out and back in.
  * @param {THREE.Scene} scene
  */
 export function createLinkManager(scene) {
@@ -16,15 +17,16 @@ export function createLinkManager(scene) {
    * @param {boolean} timedOut
    * @param {string} [hopType]
    * @param {number} [lossRate]
+   * @param {number} [color] - Fixed color (route diff paths); skips latency coloring and loss dashes
    * @returns {{ line: THREE.Line, fromPos: THREE.Vector3, toPos: THREE.Vector3 }}
    */
-  function addLink(fromPos, toPos, latencies, timedOut, hopType, lossRate) {
+  function addLink(fromPos, toPos, latencies, timedOut, hopType, lossRate, color) {
     const points = [fromPos.clone(), toPos.clone()]
     const geometry = new THREE.BufferGeometry().setFromPoints(points)
 
     let material, line
 
-    if (hopType === 'lossy') {
+    if (hopType === 'lossy' && color === undefined) {
       // Dashed amber line — gap size reflects lossRate (higher loss = wider gap)
       const gapSize = 0.2 + (lossRate ?? 0.33) * 0.4
       material = new THREE.LineDashedMaterial({
@@ -38,8 +40,11 @@ export function createLinkManager(scene) {
       // Required for LineDashedMaterial to render dashes
       line.computeLineDistances()
     } else {
-      const color = resolveColor(latencies, timedOut)
-      material = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 })
+      material = new THREE.LineBasicMaterial({
+        color: color ?? resolveColor(latencies, timedOut),
+        transparent: true,
+        opacity: 0.8,
+      })
       line = new THREE.Line(geometry, material)
     }
 
@@ -50,6 +55,67 @@ export function createLinkManager(scene) {
     return linkData
   }
 
+  /**
+   * Connect the nodes of one TTL layer to the nodes of the next.
+   * One node followed by siblings fans out; siblings followed by one node
+   * fan back in. Each link is colored by the node it leads to.
+   *
+   * Nodes whose responder lists `prev` edges (multipath discovery) are only
+   * linked from those predecessors; without known predecessors in the
+   * previous layer (e.g. it was a ghost) they are linked from all of it.
+   *
+   * Edges already drawn are skipped, so targets sharing a stretch of path
+   * (multi-target traces) draw it once, in the first target's color.
+   *
+   * @param {Array<{ position: THREE.Vector3, responder: { ip: string }|null }>} fromNodes
+   * @param {Array<{ position: THREE.Vector3, latencies: number[], hop: object,
+   *                 responder: { prev?: string[] }|null }>} toNodes
+   * @param {number} [color] - Branch color (multi-target traces)
+   * @returns {Array<{ line: THREE.Line, fromPos: THREE.Vector3, toPos: THREE.Vector3 }>}
+   */
+  function connectLayers(fromNodes, toNodes, color) {
+    return toNodes.flatMap((to) => {
+      const prev = to.responder?.prev
+      const preds = prev ? fromNodes.filter((from) => from.responder && prev.includes(from.responder.ip)) : []
+      const sources = (preds.length > 0 ? preds : fromNodes).filter((from) => !hasLink(from.position, to.position))
+      return sources.map((from) =>
+        addLink(from.position, to.position, to.latencies, to.hop.timedOut, to.hop.type, to.hop.lossRate, color)
+      )
+    })
+  }
+
+  /**
+   * @param {THREE.Vector3} fromPos
+   * @param {THREE.Vector3} toPos
+   * @returns {boolean}
+   */
+  function hasLink(fromPos, toPos) {
+    return links.some((l) => l.fromPos.equals(fromPos) && l.toPos.equals(toPos))
+  }
+
+  /**
+   * Restyle every link that ends at a node position (monitor mode).
+   * Links are rebuilt in place because lossy links use a different material.
+   *
+   * @param {THREE.Vector3} toPos
+   * @param {number[]} latencies
+   * @param {boolean} timedOut
+   * @param {string} [hopType]
+   * @param {number} [lossRate]
+   */
+  function updateLinksTo(toPos, latencies, timedOut, hopType, lossRate) {
+    const stale = links.filter((l) => l.toPos.equals(toPos))
+    if (stale.length === 0) return
+
+    links = links.filter((l) => !stale.includes(l))
+    for (const { line, fromPos } of stale) {
+      scene.remove(line)
+      line.geometry.dispose()
+      line.material.dispose()
+      addLink(fromPos, toPos, latencies, timedOut, hopType, lossRate)
+    }
+  }
+
   function clear() {
     for (const { line } of links) {
       scene.remove(line)
@@ -63,5 +129,5 @@ export function createLinkManager(scene) {
     return [...links]
   }
 
-  return { addLink, getLinks, clear }
+  return { addLink, connectLayers, updateLinksTo, getLinks, clear }
 }
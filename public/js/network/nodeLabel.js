@@ -8,8 +8,17 @@
  *   normal  → [JP] AS7506   (cyan)
  *   hostile → [!] AS7506    (red, blink)
  *   ghost   → [???] UNKNOWN (pale blue, dim)
+ *   unreachable → [X] AS7506 (magenta)
+ *   filtered    → [#] AS7506 (violet)
  */
 
+/** Hop types whose label leads with a fixed marker instead of the country. */
+const TYPE_PREFIXES = Object.freeze({
+  hostile:     '[!]',
+  unreachable: '[X]',
+  filtered:    '[#]',
+})
+
 /**
  * Build the label text for a node label badge.
  * @param {{ type: string, country: string|null, asn: string|null }} intel
@@ -20,7 +29,7 @@ function buildLabelText(nodeType, intel) {
 
   const tag   = intel?.country ?? '??'
   const asnId = intel?.asn     ?? ''
-  const prefix = nodeType === 'hostile' ? '[!]' : `[${tag}]`
+  const prefix = TYPE_PREFIXES[nodeType] ?? `[${tag}]`
   return asnId ? `${prefix} ${asnId}` : prefix
 }
 
@@ -38,7 +47,7 @@ function projectToScreen(worldPos, camera) {
 }
 
 /** Allowlisted hop types for safe CSS class interpolation. */
-const ALLOWED_TYPES = new Set(['normal', 'hostile', 'ghost', 'lossy'])
+const ALLOWED_TYPES = new Set(['normal', 'hostile', 'ghost', 'lossy', 'unreachable', 'filtered'])
 
 /**
  * Create the node label manager.
@@ -47,17 +56,18 @@ const ALLOWED_TYPES = new Set(['normal', 'hostile', 'ghost', 'lossy'])
  * @returns {{
  *   registerNode: (nodeData: object, hopType: string) => void,
  *   updateIntel: (hopNum: number, intel: object) => void,
+ *   updateType: (hopNum: number, hopType: string, traceId?: string) => void,
  *   updatePositions: (camera: THREE.Camera) => void,
  *   clear: () => void,
  * }}
  */
 export function createNodeLabelManager(container) {
-  /** @type {Array<{ el: HTMLElement, position: THREE.Vector3, hopNum: number, type: string }>} */
+  /** @type {Array<{ el: HTMLElement, position: THREE.Vector3, hopNum: number, traceId: string|null, ip: string|null, type: string }>} */
   let labels = []
 
   /**
    * Create a DOM label element and register it for position updates.
-   * @param {{ position: THREE.Vector3, hop: object }} nodeData
+   * @param {{ position: THREE.Vector3, hop: object, responder: { ip: string }|null }} nodeData
    * @param {string} hopType - 'normal' | 'hostile' | 'ghost'
    */
   function registerNode(nodeData, hopType) {
@@ -77,22 +87,42 @@ export function createNodeLabelManager(container) {
       el,
       position: abovePos,
       hopNum: nodeData.hop.hop,
+      traceId: nodeData.hop.traceId ?? null,
+      ip: nodeData.responder?.ip ?? null,
       type: safeType,
     }]
   }
 
   /**
    * Update label text when intel data arrives for a hop.
+   * Sibling nodes of a multipath hop are told apart by responder IP.
    * @param {number} hopNum
-   * @param {object} intel - { country, asn, ... }
+   * @param {object} intel - { ip, country, asn, ... }
    */
   function updateIntel(hopNum, intel) {
-    const label = labels.find((l) => l.hopNum === hopNum)
+    const label = labels.find((l) => l.hopNum === hopNum && (l.ip === null || l.ip === intel.ip))
     if (!label) return
     label.el.textContent = buildLabelText(label.type, intel)
     label.el.classList.add('node-label--revealed')
   }
 
+  /**
+   * Switch the style of a hop's labels when its type changes (monitor mode,
+   * or a verdict a later hop revised).
+   * @param {number} hopNum
+   * @param {string} hopType
+   * @param {string} [traceId] - Only that trace's labels (multi-target)
+   */
+  function updateType(hopNum, hopType, traceId) {
+    const safeType = ALLOWED_TYPES.has(hopType) ? hopType : 'normal'
+    labels = labels.map((label) => {
+      if (label.hopNum !== hopNum || label.type === safeType) return label
+      if (traceId !== undefined && label.traceId !== traceId) return label
+      label.el.classList.replace(`node-label--${label.type}`, `node-label--${safeType}`)
+      return { ...label, type: safeType }
+    })
+  }
+
   /**
    * Sync DOM label positions with current 3D projection.
    * Call every animation frame.
@@ -111,5 +141,5 @@ export function createNodeLabelManager(container) {
     labels = []
   }
 
-  return { registerNode, updateIntel, updatePositions, clear }
+  return { registerNode, updateIntel, updateType, updatePositions, clear }
 }
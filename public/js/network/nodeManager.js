@@ -1,19 +1,46 @@
 import * as THREE from 'three'
-import { resolveColor } from './colors.js'
+import { resolveColor, TYPE_COLORS } from './colors.js'
+
+/** Z distance between sibling nodes of one TTL (multipath fan-out). */
+const FAN_SPACING = 1.6
+
+/** Z distance between target lanes in a multi-target topology. */
+const LANE_SPACING = 3.5
+
+/** Ring colors for a TCP trace's destination port verdict. */
+const PORT_RING_COLORS = Object.freeze({
+  open:     0x00ff41,
+  closed:   0xff2200,
+  filtered: 0xffaa00,
+})
+
+/** Ring colors for route diff divergence points. */
+const DIVERGENCE_COLORS = Object.freeze({
+  diverge: 0xff00ff,
+  rejoin:  0x00ff41,
+})
 
 /**
  * Manages wireframe icosahedron nodes in the 3D scene.
- * Supports four node types: normal, hostile, ghost, lossy.
+ * Node types: normal, hostile, ghost, lossy, unreachable, filtered.
+ * Hops with several responders are drawn as a layer of sibling nodes.
  *
  * @param {THREE.Scene} scene
  */
 export function createNodeManager(scene) {
   let nodes = []
+  let lastLayer = []
+  let portRings = []
+  let divergenceRings = []
 
   // Geometries owned by this instance (not module singletons) so that
   // dispose() on one manager never breaks another.
   const nodeGeometry      = new THREE.IcosahedronGeometry(0.35, 1)
   const ghostAuraGeometry = new THREE.SphereGeometry(0.55, 8, 8)
+  const portRingGeometry  = new THREE.TorusGeometry(0.7, 0.04, 8, 32)
+  const divergeGeometry   = new THREE.TorusGeometry(0.95, 0.03, 8, 48)
+  const barrierGeometry   = new THREE.TorusGeometry(0.6, 0.04, 4, 4)
+  const wallGeometry      = new THREE.BoxGeometry(0.05, 1.4, 1.4)
 
   // ── Node builders ───────────────────────────────────────
 
@@ -23,13 +50,13 @@ export function createNodeManager(scene) {
   }
 
   function buildHostileNode() {
-    const material = new THREE.MeshBasicMaterial({ color: 0xff2200, wireframe: true })
+    const material = new THREE.MeshBasicMaterial({ color: TYPE_COLORS.hostile, wireframe: true })
     return new THREE.Mesh(nodeGeometry, material)
   }
 
   function buildGhostNode() {
     const meshMat = new THREE.MeshBasicMaterial({
-      color: 0xaaccff,
+      color: TYPE_COLORS.ghost,
       wireframe: true,
       transparent: true,
       opacity: 0.25,
@@ -50,7 +77,7 @@ export function createNodeManager(scene) {
 
   function buildLossyNode() {
     const material = new THREE.MeshBasicMaterial({
-      color: 0xffaa00,
+      color: TYPE_COLORS.lossy,
       wireframe: true,
       transparent: true,
       opacity: 1.0,
@@ -58,25 +85,36 @@ export function createNodeManager(scene) {
     return new THREE.Mesh(nodeGeometry, material)
   }
 
-  // ── Public methods ──────────────────────────────────────
+  function buildUnreachableNode() {
+    // Solid where every other type is wireframe: the path stops here
+    const mesh = new THREE.Mesh(nodeGeometry, new THREE.MeshBasicMaterial({ color: TYPE_COLORS.unreachable }))
+    const barrier = new THREE.Mesh(barrierGeometry, new THREE.MeshBasicMaterial({ color: TYPE_COLORS.unreachable }))
+    return { mesh, auraMesh: barrier }
+  }
+
+  function buildFilteredNode() {
+    // Solid core behind a translucent wall across the path: dropped by policy
+    const mesh = new THREE.Mesh(nodeGeometry, new THREE.MeshBasicMaterial({ color: TYPE_COLORS.filtered }))
+    const wall = new THREE.Mesh(wallGeometry, new THREE.MeshBasicMaterial({
+      color: TYPE_COLORS.filtered,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+    }))
+    return { mesh, auraMesh: wall }
+  }
 
   /**
-   * Add a new hop node to the scene.
-   *
-   * @param {{ hop: number, ip: string|null, latencies: number[], timedOut: boolean, type: string }} hop
-   * @returns {{ mesh: THREE.Mesh, light: THREE.PointLight|null, auraMesh: THREE.Mesh|null,
-   *             position: THREE.Vector3, hop: object }}
+   * Build and place the meshes for one node.
+   * @param {string} type
+   * @param {number} color - Latency color (used by normal nodes)
+   * @param {THREE.Vector3} position
+   * @returns {{ mesh: THREE.Mesh, light: THREE.PointLight|null, auraMesh: THREE.Mesh|null }}
    */
-  function addNode(hop) {
-    // Spread nodes along X axis with slight organic Y/Z variation
-    const x = (hop.hop - 1) * 3.5
-    const y = (Math.random() - 0.5) * 2
-    const z = (Math.random() - 0.5) * 2
-    const position = new THREE.Vector3(x, y, z)
-
+  function placeNode(type, color, position) {
     let mesh, auraMesh, light
 
-    if (hop.type === 'ghost') {
+    if (type === 'ghost') {
       // Ghost: semi-transparent, floating, no light
       const ghost = buildGhostNode()
       mesh     = ghost.mesh
@@ -89,7 +127,7 @@ export function createNodeManager(scene) {
       scene.add(auraMesh)
       light = null
 
-    } else if (hop.type === 'hostile') {
+    } else if (type === 'hostile') {
       // Hostile: red, strong pulsing light
       mesh = buildHostileNode()
       mesh.position.copy(position)
@@ -100,7 +138,23 @@ export function createNodeManager(scene) {
       scene.add(light)
       auraMesh = null
 
-    } else if (hop.type === 'lossy') {
+    } else if (type === 'unreachable' || type === 'filtered') {
+      // Unreachable (!H / !N …): solid magenta core inside a square barrier.
+      // Filtered (!X …): solid violet core behind a firewall plane.
+      const unreachable = type === 'filtered' ? buildFilteredNode() : buildUnreachableNode()
+      mesh     = unreachable.mesh
+      auraMesh = unreachable.auraMesh
+
+      mesh.position.copy(position)
+      auraMesh.position.copy(position)
+      scene.add(mesh)
+      scene.add(auraMesh)
+
+      light = new THREE.PointLight(TYPE_COLORS[type], 1.5, 6)
+      light.position.copy(position)
+      scene.add(light)
+
+    } else if (type === 'lossy') {
       // Lossy: amber wireframe, transparent for flicker animation
       mesh = buildLossyNode()
       mesh.position.copy(position)
@@ -113,7 +167,6 @@ export function createNodeManager(scene) {
 
     } else {
       // Normal: standard color-coded node
-      const color = resolveColor(hop.latencies, hop.timedOut)
       mesh = buildNormalNode(color)
       mesh.position.copy(position)
       scene.add(mesh)
@@ -124,39 +177,313 @@ export function createNodeManager(scene) {
       auraMesh = null
     }
 
-    const nodeData = Object.freeze({
-      mesh,
-      light,
-      auraMesh,
-      position: position.clone(),
-      hop,
+    return { mesh, light, auraMesh }
+  }
+
+  // ── DAG layout (multipath discovery) ───────────────────
+
+  /**
+   * Mean Z of a responder's predecessors in the previous layer (0 if none).
+   * @param {{ prev?: string[] }|null} responder
+   * @returns {number}
+   */
+  function predecessorZ(responder) {
+    const preds = lastLayer.filter((n) => n.responder && responder?.prev?.includes(n.responder.ip))
+    if (preds.length === 0) return 0
+    return preds.reduce((sum, n) => sum + n.position.z, 0) / preds.length
+  }
+
+  /**
+   * Barycenter ordering: sort siblings by where their predecessors sit so
+   * edges between consecutive layers cross as little as possible.
+   * @param {Array<{ prev?: string[] }>} responders
+   * @returns {Array<{ prev?: string[] }>}
+   */
+  function orderByPredecessors(responders) {
+    return responders
+      .map((responder) => ({ responder, z: predecessorZ(responder) }))
+      .sort((a, b) => a.z - b.z)
+      .map(({ responder }) => responder)
+  }
+
+  // ── Shared topology (multi-target traces) ──────────────
+
+  /**
+   * Identity of a node in a merged multi-target topology: the responder IP,
+   * or for a timeout its TTL plus the node(s) it follows, so two targets'
+   * timeouts merge only while their paths are still shared.
+   * @param {{ ip: string }|null} responder
+   * @param {{ hop: number }} hop
+   * @param {Array<{ key: string }>} prevLayer
+   * @returns {string}
+   */
+  function branchKey(responder, hop, prevLayer) {
+    if (responder) return responder.ip
+    return `*${hop.hop}<${prevLayer.map((n) => n.key).join(',')}`
+  }
+
+  // ── Public methods ──────────────────────────────────────
+
+  /**
+   * Add the node(s) for a hop to the scene.
+   *
+   * A TTL answered by several routers (ECMP / load balancing) becomes a layer
+   * of sibling nodes fanned out along Z, one per responder. Timed-out hops
+   * produce a single ghost node. When responders carry `prev` edges
+   * (multipath discovery) the layer is laid out as part of a layered DAG.
+   * A responder `color` (route diff paths) replaces the latency color.
+   *
+   * @param {{ hop: number, ip: string|null, latencies: number[], timedOut: boolean, type: string,
+   *           responders?: Array<{ ip: string, hostname: string|null, latencies: number[], prev?: string[], color?: number }> }} hop
+   * @returns {Array<{ mesh: THREE.Mesh, light: THREE.PointLight|null, auraMesh: THREE.Mesh|null,
+   *                   position: THREE.Vector3, hop: object, responder: object|null, latencies: number[] }>}
+   */
+  function addNode(hop) {
+    const isDag = hop.responders?.some((r) => r.prev) ?? false
+    const ordered = hop.responders?.length ? hop.responders : [null]
+    const responders = isDag ? orderByPredecessors(ordered) : ordered
+
+    // Spread layers along X axis with slight organic Y/Z variation;
+    // siblings within a layer fan out symmetrically around the path.
+    // Multipath graphs center each layer on its predecessors instead.
+    const x = (hop.hop - 1) * 3.5
+    const baseZ = isDag
+      ? responders.reduce((sum, r) => sum + predecessorZ(r), 0) / responders.length
+      : (Math.random() - 0.5) * 2
+
+    const layer = responders.map((responder, i) => {
+      const y = (Math.random() - 0.5) * 2
+      const z = baseZ + (i - (responders.length - 1) / 2) * FAN_SPACING
+      const position = new THREE.Vector3(x, y, z)
+      const latencies = responder?.latencies ?? hop.latencies
+
+      const color = responder?.color ?? resolveColor(latencies, hop.timedOut)
+      const { mesh, light, auraMesh } = placeNode(hop.type, color, position)
+
+      return Object.freeze({
+        mesh,
+        light,
+        auraMesh,
+        position: position.clone(),
+        hop,
+        responder,
+        latencies,
+      })
     })
 
-    nodes = [...nodes, nodeData]
-    return nodeData
+    nodes = [...nodes, ...layer]
+    lastLayer = layer
+    return layer
   }
 
-  function getNodes() {
-    return [...nodes]
+  /**
+   * Add one target's hop to a merged multi-target topology.
+   *
+   * Responders already drawn for another target are reused, so hops common
+   * to several paths stay a single node. New ones are placed in the target's
+   * lane along Z, which pulls diverging branches apart.
+   *
+   * @param {object} hop - As for addNode()
+   * @param {{ lane: number, prevLayer: object[] }} branch - Signed lane offset and this target's previous nodes
+   * @returns {{ layer: object[], added: object[] }} The hop's nodes, and those created by this call
+   */
+  function addBranchHop(hop, { lane, prevLayer }) {
+    const responders = hop.responders?.length ? hop.responders : [null]
+    const x = (hop.hop - 1) * 3.5
+    const added = []
+
+    const layer = responders.map((responder, i) => {
+      const key = branchKey(responder, hop, prevLayer)
+      const existing = nodes.find((n) => n.key === key) ?? added.find((n) => n.key === key)
+      if (existing) return existing
+
+      const y = (Math.random() - 0.5) * 2
+      const z = lane * LANE_SPACING + (i - (responders.length - 1) / 2) * FAN_SPACING
+      const position = new THREE.Vector3(x, y, z)
+      const latencies = responder?.latencies ?? hop.latencies
+      const color = resolveColor(latencies, hop.timedOut)
+
+      const node = Object.freeze({
+        ...placeNode(hop.type, color, position),
+        position: position.clone(),
+        hop,
+        responder,
+        latencies,
+        key,
+      })
+      added.push(node)
+      return node
+    })
+
+    nodes = [...nodes, ...added]
+    return { layer, added }
   }
 
-  function getLastNode() {
-    return nodes[nodes.length - 1] ?? null
+  /**
+   * Remove a node's meshes from the scene and free their materials.
+   * @param {{ mesh: THREE.Mesh, light: THREE.PointLight|null, auraMesh: THREE.Mesh|null }} node
+   */
+  function removeMeshes({ mesh, light, auraMesh }) {
+    scene.remove(mesh)
+    mesh.material.dispose()
+
+    if (light) scene.remove(light)
+
+    if (auraMesh) {
+      scene.remove(auraMesh)
+      auraMesh.material.dispose()
+    }
   }
 
-  function clear() {
-    for (const { mesh, light, auraMesh } of nodes) {
-      scene.remove(mesh)
-      mesh.material.dispose()
+  /**
+   * Restyle the existing node(s) of a hop in place (monitor mode, or a
+   * verdict a later hop revised). Positions are kept; meshes are only
+   * rebuilt when the type or color changes. With a traceId, only that
+   * trace's nodes are touched.
+   *
+   * @param {{ hop: number, type: string, traceId?: string, latencies?: number[], timedOut?: boolean,
+   *           lossRate?: number|null }} update
+   * @returns {object[]} The hop's nodes after the update
+   */
+  function updateNode(update) {
+    const updated = []
+
+    nodes = nodes.map((node) => {
+      if (node.hop.hop !== update.hop) return node
+      if (update.traceId !== undefined && node.hop.traceId !== update.traceId) return node
 
-      if (light) scene.remove(light)
+      const hop = { ...node.hop, ...update }
+      const latencies = update.latencies ?? node.latencies
+      const color = resolveColor(latencies, hop.timedOut)
+      const unchanged = hop.type === node.hop.type
+        && (hop.type !== 'normal' || node.mesh.material.color.getHex() === color)
 
-      if (auraMesh) {
-        scene.remove(auraMesh)
-        auraMesh.material.dispose()
+      if (unchanged) {
+        const next = Object.freeze({ ...node, hop, latencies })
+        updated.push(next)
+        return next
       }
+
+      removeMeshes(node)
+      const next = Object.freeze({ ...node, ...placeNode(hop.type, color, node.position), hop, latencies })
+      updated.push(next)
+      return next
+    })
+
+    lastLayer = lastLayer.map((node) => updated.find((u) => u.position.equals(node.position)) ?? node)
+    return updated
+  }
+
+  /**
+   * Ring the destination node of a TCP trace with its port verdict:
+   * solid green (open), solid red (closed) or faint wireframe amber (filtered).
+   * Replaces any earlier ring on the same node; other targets' rings stay.
+   *
+   * @param {{ hop: number, ip: string|null, state: 'open'|'closed'|'filtered' }} port
+   * @returns {THREE.Mesh[]} The rings added (empty if the hop has no node yet)
+   */
+  function markPortState({ hop, ip, state }) {
+    const layer = nodes.filter((n) => n.hop.hop === hop)
+    const targets = layer.filter((n) => ip && n.responder?.ip === ip)
+    const marked = targets.length > 0 ? targets : layer
+    const color = PORT_RING_COLORS[state] ?? PORT_RING_COLORS.filtered
+
+    const replaced = portRings.filter((ring) => marked.some((n) => n.position.equals(ring.position)))
+    for (const ring of replaced) {
+      scene.remove(ring)
+      ring.material.dispose()
     }
+
+    const rings = marked.map((node) => {
+      const material = new THREE.MeshBasicMaterial({
+        color,
+        wireframe: state === 'filtered',
+        transparent: true,
+        opacity: state === 'filtered' ? 0.5 : 0.9,
+      })
+      const ring = new THREE.Mesh(portRingGeometry, material)
+      ring.position.copy(node.position)
+      ring.rotation.y = Math.PI / 2  // face along the path (X axis)
+      scene.add(ring)
+      return ring
+    })
+    portRings = [...portRings.filter((ring) => !replaced.includes(ring)), ...rings]
+    return rings
+  }
+
+  /**
+   * Ring every node of a layer where two diffed routes split or meet again.
+   *
+   * @param {{ hop: number, kind: 'diverge'|'rejoin' }} marker
+   * @returns {THREE.Mesh[]} The rings added
+   */
+  function markDivergence({ hop, kind }) {
+    const material = new THREE.MeshBasicMaterial({
+      color: DIVERGENCE_COLORS[kind] ?? DIVERGENCE_COLORS.diverge,
+      transparent: true,
+      opacity: 0.85,
+    })
+    const rings = nodes.filter((n) => n.hop.hop === hop).map((node) => {
+      const ring = new THREE.Mesh(divergeGeometry, material)
+      ring.position.copy(node.position)
+      ring.rotation.y = Math.PI / 2
+      scene.add(ring)
+      return ring
+    })
+    if (rings.length === 0) material.dispose()
+    divergenceRings = [...divergenceRings, ...rings]
+    return rings
+  }
+
+  function clearDivergenceRings() {
+    const materials = new Set(divergenceRings.map((ring) => ring.material))
+    for (const ring of divergenceRings) scene.remove(ring)
+    for (const material of materials) material.dispose()
+    divergenceRings = []
+  }
+
+  /**
+   * Rings currently marking route diff divergence points (for animation).
+   * @returns {THREE.Mesh[]}
+   */
+  function getDivergenceRings() {
+    return [...divergenceRings]
+  }
+
+  function clearPortRings() {
+    for (const ring of portRings) {
+      scene.remove(ring)
+      ring.material.dispose()
+    }
+    portRings = []
+  }
+
+  /**
+   * Rings currently marking a destination port (for animation).
+   * @returns {THREE.Mesh[]}
+   */
+  function getPortRings() {
+    return [...portRings]
+  }
+
+  function getNodes() {
+    return [...nodes]
+  }
+
+  /**
+   * Nodes added by the most recent addNode() call (empty before the first hop).
+   * @returns {object[]}
+   */
+  function getLastLayer() {
+    return [...lastLayer]
+  }
+
+  function clear() {
+    for (const node of nodes) removeMeshes(node)
+    clearPortRings()
+    clearDivergenceRings()
     nodes = []
+    lastLayer = []
   }
 
   // Call on final app teardown to free GPU memory
@@ -164,7 +491,14 @@ export function createNodeManager(scene) {
     clear()
     nodeGeometry.dispose()
     ghostAuraGeometry.dispose()
+    barrierGeometry.dispose()
+    wallGeometry.dispose()
+    portRingGeometry.dispose()
+    divergeGeometry.dispose()
   }
 
-  return { addNode, getNodes, getLastNode, clear, destroy }
+  return {
+    addNode, addBranchHop, updateNode, markPortState, getPortRings, markDivergence, getDivergenceRings,
+    getNodes, getLastLayer, clear, destroy,
+  }
 }
@@ -7,35 +7,40 @@ const PULSES_PER_LINK = 2
 const pulseGeometry = new THREE.SphereGeometry(PULSE_RADIUS, 6, 6)
 
 /**
- * Animates data packet particles along links.
- * @param {THREE.Scene} scene
+ * Animates data packet particles along links — straight topology links,
+ * or any THREE.Curve (the globe's great-circle arcs).
+ * @param {THREE.Object3D} scene - Parent for the pulse meshes
  */
 export function createPulseManager(scene) {
   let pulses = []
 
   /**
-   * Add animated pulses along a link.
-   * @param {THREE.Vector3} fromPos
-   * @param {THREE.Vector3} toPos
+   * Add animated pulses along a path.
+   * @param {THREE.Curve<THREE.Vector3>} path
    * @param {number} color - Hex color
    */
-  function addPulse(fromPos, toPos, color) {
+  function addCurvePulse(path, color) {
     for (let i = 0; i < PULSES_PER_LINK; i++) {
       const material = new THREE.MeshBasicMaterial({ color })
       const mesh = new THREE.Mesh(pulseGeometry, material)
       const progress = i / PULSES_PER_LINK
-      mesh.position.lerpVectors(fromPos, toPos, progress)
+      path.getPointAt(progress, mesh.position)
       scene.add(mesh)
 
-      pulses = [...pulses, {
-        mesh,
-        from: fromPos.clone(),
-        to: toPos.clone(),
-        progress,
-      }]
+      pulses = [...pulses, { mesh, path, progress }]
     }
   }
 
+  /**
+   * Add animated pulses along a link.
+   * @param {THREE.Vector3} fromPos
+   * @param {THREE.Vector3} toPos
+   * @param {number} color - Hex color
+   */
+  function addPulse(fromPos, toPos, color) {
+    addCurvePulse(new THREE.LineCurve3(fromPos.clone(), toPos.clone()), color)
+  }
+
   /**
    * Update all pulse positions. Call every frame.
    * Three.js requires in-place mutation of Vector3 — intentional exception to immutability rules.
@@ -44,7 +49,7 @@ export function createPulseManager(scene) {
   function update(delta) {
     pulses = pulses.map((p) => {
       const nextProgress = (p.progress + delta * PULSE_SPEED) % 1
-      p.mesh.position.lerpVectors(p.from, p.to, nextProgress)
+      p.path.getPointAt(nextProgress, p.mesh.position)
       return { ...p, progress: nextProgress }
     })
   }
@@ -63,5 +68,5 @@ export function createPulseManager(scene) {
     pulseGeometry.dispose()
   }
 
-  return { addPulse, update, clear, destroy }
+  return { addPulse, addCurvePulse, update, clear, destroy }
 }
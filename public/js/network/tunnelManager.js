@@ -0,0 +1,99 @@
+import * as THREE from 'three'
+import { TUNNEL_COLORS } from './colors.js'
+
+const TUBE_RADIUS = 0.75
+
+/** How far a tube runs past its first and last hop, so both sit inside it. */
+const TUBE_OVERHANG = 0.9
+
+const TUBE_OPACITY = 0.12
+
+/**
+ * Translucent tubes around MPLS tunnels (LSPs): every hop of one tunnel
+ * sits inside the same tube, which grows as the tunnel's hops arrive.
+ * A hidden tunnel (labels without TTL propagation) also swallows the hop
+ * before it, where the unseen LSRs are, and is drawn as a red wireframe.
+ *
+ * @param {THREE.Scene} scene
+ */
+export function createTunnelManager(scene) {
+  /** @type {Map<string, { points: THREE.Vector3[], hidden: boolean, mesh: THREE.Mesh|null }>} */
+  let tunnels = new Map()
+
+  /**
+   * Tube path through the tunnel's hops, extended past both ends.
+   * @param {THREE.Vector3[]} points
+   * @returns {THREE.Curve<THREE.Vector3>}
+   */
+  function tubePath(points) {
+    const first = points[0]
+    const last = points[points.length - 1]
+    const along = points.length > 1
+      ? new THREE.Vector3().subVectors(last, first).normalize()
+      : new THREE.Vector3(1, 0, 0)
+    const start = first.clone().addScaledVector(along, -TUBE_OVERHANG)
+    const end = last.clone().addScaledVector(along, TUBE_OVERHANG)
+    return new THREE.CatmullRomCurve3([start, ...points, end])
+  }
+
+  /**
+   * @param {{ points: THREE.Vector3[], hidden: boolean, mesh: THREE.Mesh|null }} tunnel
+   * @returns {THREE.Mesh}
+   */
+  function buildTube({ points, hidden, mesh }) {
+    if (mesh) {
+      scene.remove(mesh)
+      mesh.geometry.dispose()
+      mesh.material.dispose()
+    }
+    const geometry = new THREE.TubeGeometry(tubePath(points), 12 * (points.length + 1), TUBE_RADIUS, 12, false)
+    const material = new THREE.MeshBasicMaterial({
+      color: hidden ? TUNNEL_COLORS.hidden : TUNNEL_COLORS.visible,
+      transparent: true,
+      opacity: TUBE_OPACITY,
+      wireframe: hidden,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    })
+    const tube = new THREE.Mesh(geometry, material)
+    scene.add(tube)
+    return tube
+  }
+
+  /**
+   * Grow (or open) the tube for a hop inside a tunnel.
+   * @param {string} key - Unique per trace and tunnel, e.g. `${traceId}|${tunnel.id}`
+   * @param {{ hidden: boolean }} tunnel - The hop's `tunnel` field
+   * @param {THREE.Vector3} position - Center of the hop's node layer
+   * @param {THREE.Vector3|null} prevPosition - Center of the previous hop's layer
+   */
+  function addHop(key, tunnel, position, prevPosition) {
+    const existing = tunnels.get(key)
+    const points = existing
+      ? [...existing.points, position.clone()]
+      : [...(tunnel.hidden && prevPosition ? [prevPosition.clone()] : []), position.clone()]
+    const next = { points, hidden: (existing?.hidden ?? false) || tunnel.hidden, mesh: existing?.mesh ?? null }
+    tunnels = new Map(tunnels).set(key, { ...next, mesh: buildTube(next) })
+  }
+
+  /**
+   * Hidden tunnels breathe so they read as a warning. Call every frame.
+   * @param {number} elapsed - Seconds since start
+   */
+  function update(elapsed) {
+    for (const { hidden, mesh } of tunnels.values()) {
+      if (hidden) mesh.material.opacity = TUBE_OPACITY + 0.1 + Math.sin(elapsed * 2.5) * 0.08
+    }
+  }
+
+  function clear() {
+    for (const { mesh } of tunnels.values()) {
+      scene.remove(mesh)
+      mesh.geometry.dispose()
+      mesh.material.dispose()
+    }
+    tunnels = new Map()
+  }
+
+  return { addHop, update, clear }
+}
@@ -0,0 +1,240 @@
+import * as THREE from 'three'
+import { createPulseManager } from '../network/pulseManager.js'
+
+/**
+ * Globe scene mode — geolocated hops on a wireframe Earth.
+ *
+ * A scene of its own (the topology scene is left untouched): a dark sphere
+ * with a lat/lon graticule and coastlines, a marker per located hop, and
+ * great-circle arcs between consecutive located hops of each trace, with
+ * packet pulses travelling along them.
+ *
+ * Coastlines come from the world-atlas land TopoJSON on the same CDN as
+ * three.js; if it cannot load, the graticule alone still reads as a globe.
+ */
+
+export const GLOBE_RADIUS = 5
+
+const LAND_URL      = 'https://cdn.jsdelivr.net/npm/world-atlas@2.0.2/land-110m.json'
+const ARC_SEGMENTS  = 48
+const ARC_LIFT      = 0.35  // Peak height of an antipodal arc, in globe radii
+const MIN_ARC_LIFT  = 0.03  // Short hops still clear the surface
+const SPIN_SPEED    = 0.05  // rad/s
+const MARKER_RADIUS = 0.07
+
+const markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 10, 10)
+
+/**
+ * Position on (or above) the globe for a latitude / longitude in degrees.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [radius]
+ * @returns {THREE.Vector3}
+ */
+export function latLonToVector3(latitude, longitude, radius = GLOBE_RADIUS) {
+  const phi   = THREE.MathUtils.degToRad(90 - latitude)
+  const theta = THREE.MathUtils.degToRad(longitude + 180)
+  return new THREE.Vector3(
+    -radius * Math.sin(phi) * Math.cos(theta),
+    radius * Math.cos(phi),
+    radius * Math.sin(phi) * Math.sin(theta),
+  )
+}
+
+/**
+ * Points along the great circle between two locations, lifted off the
+ * surface in proportion to the distance covered so long hauls arc higher.
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @param {number} [segments]
+ * @returns {THREE.Vector3[]} segments + 1 points, from → to
+ */
+export function greatCirclePoints(from, to, segments = ARC_SEGMENTS) {
+  const a = latLonToVector3(from.latitude, from.longitude, 1)
+  const b = latLonToVector3(to.latitude, to.longitude, 1)
+  const angle = a.angleTo(b)
+  const lift = Math.max(MIN_ARC_LIFT, ARC_LIFT * (angle / Math.PI))
+  const rotation = new THREE.Quaternion().setFromUnitVectors(a, b)
+  const step = new THREE.Quaternion()
+
+  return Array.from({ length: segments + 1 }, (_, i) => {
+    const t = i / segments
+    step.identity().slerp(rotation, t)
+    const height = GLOBE_RADIUS * (1 + lift * Math.sin(Math.PI * t))
+    return a.clone().applyQuaternion(step).multiplyScalar(height)
+  })
+}
+
+/**
+ * Coastline segments from a quantized TopoJSON topology: every arc, decoded
+ * and cut wherever it wraps across the antimeridian.
+ * @param {{ arcs: number[][][], transform: { scale: number[], translate: number[] } }} topology
+ * @returns {THREE.BufferGeometry}
+ */
+function coastlineGeometry({ arcs, transform }) {
+  const [sx, sy] = transform.scale
+  const [tx, ty] = transform.translate
+  const positions = []
+
+  for (const arc of arcs) {
+    let x = 0
+    let y = 0
+    let prev = null
+    for (const [dx, dy] of arc) {
+      x += dx
+      y += dy
+      const lon = x * sx + tx
+      const lat = y * sy + ty
+      if (prev && Math.abs(lon - prev.lon) < 180) {
+        positions.push(...latLonToVector3(prev.lat, prev.lon, GLOBE_RADIUS * 1.002).toArray())
+        positions.push(...latLonToVector3(lat, lon, GLOBE_RADIUS * 1.002).toArray())
+      }
+      prev = { lat, lon }
+    }
+  }
+  return new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+}
+
+/**
+ * Meridians every 30°, parallels every 30°.
+ * @returns {THREE.LineSegments}
+ */
+function createGraticule() {
+  const positions = []
+  const addLine = (points) => {
+    for (let i = 1; i < points.length; i++) {
+      positions.push(...points[i - 1].toArray(), ...points[i].toArray())
+    }
+  }
+  for (let lon = -180; lon < 180; lon += 30) {
+    addLine(Array.from({ length: 61 }, (_, i) => latLonToVector3(-90 + i * 3, lon)))
+  }
+  for (let lat = -60; lat <= 60; lat += 30) {
+    addLine(Array.from({ length: 121 }, (_, i) => latLonToVector3(lat, -180 + i * 3)))
+  }
+
+  const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+  const material = new THREE.LineBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.12 })
+  return new THREE.LineSegments(geometry, material)
+}
+
+/**
+ * @returns {{
+ *   scene: THREE.Scene,
+ *   addHop: (traceId: string, intel: object, color: number) => void,
+ *   update: (time: number, delta: number) => void,
+ *   clear: () => void,
+ * }}
+ */
+export function createGlobe() {
+  const scene = new THREE.Scene()
+  scene.background = new THREE.Color(0x050508)
+  scene.add(new THREE.AmbientLight(0x111133, 2))
+
+  // Everything on the Earth spins with it, pulses included
+  const earth = new THREE.Group()
+  scene.add(earth)
+
+  earth.add(new THREE.Mesh(
+    new THREE.SphereGeometry(GLOBE_RADIUS * 0.995, 64, 48),
+    new THREE.MeshBasicMaterial({ color: 0x02060a }),
+  ))
+  earth.add(createGraticule())
+
+  // Atmosphere: a faint back-face shell that blooms into a rim glow
+  earth.add(new THREE.Mesh(
+    new THREE.SphereGeometry(GLOBE_RADIUS * 1.06, 48, 32),
+    new THREE.MeshBasicMaterial({ color: 0x0088ff, transparent: true, opacity: 0.06, side: THREE.BackSide }),
+  ))
+
+  fetch(LAND_URL)
+    .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+    .then((topology) => {
+      const material = new THREE.LineBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.55 })
+      earth.add(new THREE.LineSegments(coastlineGeometry(topology), material))
+    })
+    .catch(() => {
+      // Silent: the graticule alone still shows where the hops are
+    })
+
+  // Per trace: located hops (by "hop|ip"), and the arcs / pulses drawn from them
+  let paths = new Map()
+  // One marker per distinct location, shared by every trace through it
+  let markers = new Map()
+
+  /**
+   * Redraw one trace's arcs from its located hops, in hop order. Intel
+   * arrives out of order, so a late hop can split an arc already drawn.
+   * @param {{ points: Map, color: number, arcs: THREE.Line[], pulses: object }} path
+   */
+  function drawArcs(path) {
+    for (const line of path.arcs) {
+      earth.remove(line)
+      line.geometry.dispose()
+      line.material.dispose()
+    }
+    path.pulses.clear()
+
+    const ordered = [...path.points.values()].sort((a, b) => a.hop - b.hop)
+    const stops = ordered.filter((p, i) => i === 0 || p.key !== ordered[i - 1].key)
+
+    path.arcs = stops.slice(1).map((to, i) => {
+      const curve = new THREE.CatmullRomCurve3(greatCirclePoints(stops[i].geo, to.geo))
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(curve.getPoints(ARC_SEGMENTS)),
+        new THREE.LineBasicMaterial({ color: path.color, transparent: true, opacity: 0.8 }),
+      )
+      earth.add(line)
+      path.pulses.addCurvePulse(curve, path.color)
+      return line
+    })
+  }
+
+  /**
+   * Place a geolocated hop.
+   * @param {string} traceId
+   * @param {{ hop: number, ip: string, geo: { latitude: number, longitude: number } }} intel - trace-intel payload
+   * @param {number} color - Trace color
+   */
+  function addHop(traceId, { hop, ip, geo }, color) {
+    const key = `${geo.latitude.toFixed(2)},${geo.longitude.toFixed(2)}`
+
+    if (!markers.has(key)) {
+      const mesh = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({ color }))
+      mesh.position.copy(latLonToVector3(geo.latitude, geo.longitude, GLOBE_RADIUS * 1.01))
+      earth.add(mesh)
+      markers = new Map(markers).set(key, mesh)
+    }
+
+    const path = paths.get(traceId) ?? { points: new Map(), color, arcs: [], pulses: createPulseManager(earth) }
+    path.points = new Map(path.points).set(`${hop}|${ip}`, { hop, key, geo })
+    paths = new Map(paths).set(traceId, path)
+    drawArcs(path)
+  }
+
+  /**
+   * Call every frame.
+   * @param {number} time - Elapsed seconds
+   * @param {number} delta - Seconds since last frame
+   */
+  function update(time, delta) {
+    earth.rotation.y = time * SPIN_SPEED
+    for (const { pulses } of paths.values()) pulses.update(delta)
+    for (const marker of markers.values()) marker.scale.setScalar(1 + Math.sin(time * 3) * 0.15)
+  }
+
+  function clear() {
+    for (const path of paths.values()) {
+      path.points = new Map()
+      drawArcs(path)
+    }
+    for (const marker of markers.values()) {
+      earth.remove(marker)
+      marker.material.dispose()
+    }
+    paths = new Map()
+    markers = new Map()
+  }
+
+  return { scene, addHop, update, clear }
+}
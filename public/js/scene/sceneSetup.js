@@ -6,7 +6,8 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 /**
  * Initialize the Three.js scene, camera, renderer, and bloom composer.
  * @param {HTMLCanvasElement} canvas
- * @returns {{ scene, camera, renderer, composer }}
+ * The render pass is returned so another scene (the globe) can be swapped in.
+ * @returns {{ scene, camera, renderer, composer, renderPass }}
  */
 export function createScene(canvas) {
   // Renderer
@@ -32,7 +33,8 @@ export function createScene(canvas) {
 
   // Post-processing: bloom
   const composer = new EffectComposer(renderer)
-  composer.addPass(new RenderPass(scene, camera))
+  const renderPass = new RenderPass(scene, camera)
+  composer.addPass(renderPass)
 
   const bloomPass = new UnrealBloomPass(
     new THREE.Vector2(window.innerWidth, window.innerHeight),
@@ -53,5 +55,5 @@ export function createScene(canvas) {
     bloomPass.resolution.set(w, h)
   })
 
-  return Object.freeze({ scene, camera, renderer, composer })
+  return Object.freeze({ scene, camera, renderer, composer, renderPass })
 }
@@ -0,0 +1,67 @@
+/**
+ * HUD audio control: mute toggle + volume slider for the sound engine.
+ * Settings persist in localStorage, so a wall display comes back up at
+ * the level it was left at.
+ */
+
+const STORAGE_KEY = 'neon-ping:audio'
+
+/**
+ * @returns {{ volume: number, muted: boolean }|null} Saved settings, if any are valid
+ */
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (typeof saved?.volume === 'number' && typeof saved.muted === 'boolean') return saved
+  } catch {
+    // Corrupt or blocked storage: fall back to defaults
+  }
+  return null
+}
+
+/**
+ * @param {ReturnType<import('../audio/soundEngine.js').createSoundEngine>} sound
+ */
+export function createAudioControl(sound) {
+  const muteBtn      = document.getElementById('audio-mute')
+  const volumeSlider = document.getElementById('audio-volume')
+
+  function render() {
+    const muted = sound.isMuted()
+    muteBtn.textContent = muted ? 'MUTED' : 'SOUND'
+    muteBtn.setAttribute('aria-pressed', String(muted))
+    muteBtn.classList.toggle('active', !muted)
+    volumeSlider.value = String(Math.round(sound.getVolume() * 100))
+  }
+
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ volume: sound.getVolume(), muted: sound.isMuted() }))
+    } catch {
+      // Private mode / quota: settings just won't survive a reload
+    }
+  }
+
+  const saved = loadSettings()
+  if (saved) {
+    sound.setVolume(saved.volume)
+    sound.setMuted(saved.muted)
+  }
+  render()
+
+  // Either control counts as the user gesture that lets audio start
+  muteBtn.addEventListener('click', () => {
+    sound.unlock()
+    sound.setMuted(!sound.isMuted())
+    render()
+    save()
+  })
+
+  volumeSlider.addEventListener('input', () => {
+    sound.unlock()
+    sound.setVolume(Number(volumeSlider.value) / 100)
+    if (sound.isMuted() && sound.getVolume() > 0) sound.setMuted(false)
+    render()
+    save()
+  })
+}
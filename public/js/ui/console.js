@@ -1,5 +1,39 @@
+import { formatAnnotation, formatGeo } from './intelPanel.js'
+
 const MAX_LINES = 100
 
+/** What the destination sent back for each TCP port state, and its line style. */
+const PORT_REPLIES = Object.freeze({
+  open:     Object.freeze({ reply: 'SYN-ACK — service listening', type: 'intel' }),
+  closed:   Object.freeze({ reply: 'RST — host up, port closed', type: 'warning' }),
+  filtered: Object.freeze({ reply: 'NONE — SYN dropped before the target', type: 'loss' }),
+})
+
+/** Route diff: one-character status column and line style per entry status. */
+const DIFF_MARKS = Object.freeze({
+  same:    Object.freeze({ mark: '=', type: 'normal' }),
+  changed: Object.freeze({ mark: '~', type: 'warning' }),
+  added:   Object.freeze({ mark: '+', type: 'warning' }),
+  removed: Object.freeze({ mark: '-', type: 'warning' }),
+})
+
+/** Baseline regression headings by alert kind. */
+const ALERT_TITLES = Object.freeze({
+  path:    'ROUTE CHANGED',
+  hostile: 'NEW HOSTILE HOP',
+  lossy:   'NEW LOSSY HOP',
+  latency: 'LATENCY REGRESSION',
+})
+
+/**
+ * @param {number|null} ms
+ * @returns {string} "+12.3ms", "-4ms" or "—"
+ */
+function formatDelta(ms) {
+  if (ms == null) return '—'
+  return `${ms >= 0 ? '+' : ''}${ms}ms`
+}
+
 /**
  * Retro green console overlay controller.
  */
@@ -31,7 +65,7 @@ export function createConsole() {
    * Append a dramatic intel block for a discovered hop.
    * @param {{ hop: number, ip: string, hostname: string|null,
    *           org: string|null, country: string|null,
-   *           asn: string|null, netrange: string|null }} intel
+   *           asn: string|null, netrange: string|null, geo?: object|null }} intel
    */
   function addIntel(intel) {
     appendLine(`[INTEL >> HOP ${intel.hop}] ════════════════`, 'intel')
@@ -40,35 +74,153 @@ export function createConsole() {
     if (intel.country)  appendLine(`  COUNTRY : ${intel.country}`,  'intel')
     if (intel.asn)      appendLine(`  ASN     : ${intel.asn}`,      'intel')
     if (intel.netrange) appendLine(`  RANGE   : ${intel.netrange}`, 'intel')
+    if (intel.geo)      appendLine(`  GEO     : ${formatGeo(intel.geo)}`, 'intel')
   }
 
   /**
    * Append a warning block for a hostile hop.
-   * @param {{ hop: number, latencyDelta: number|null }} hop
+   * @param {{ hop: number, latencyDelta: number|null, reason?: string|null }} hop
    */
   function addWarning(hop) {
     appendLine(`[WARNING >> HOP ${hop.hop}] ▲ LATENCY SPIKE`, 'warning')
     if (hop.latencyDelta != null) {
       appendLine(`  DELTA   : +${hop.latencyDelta}ms`, 'warning')
     }
+    if (hop.reason) appendLine(`  REASON  : ${hop.reason}`, 'warning')
     appendLine('  STATUS  : ANOMALOUS ROUTING', 'warning')
   }
 
+  /**
+   * Append the classifier's verdict on a hop: a latency spike it cleared,
+   * or a verdict a later hop revised.
+   * @param {{ hop: number, type: string, reason: string|null }} hop
+   * @param {{ revised?: boolean }} [options]
+   */
+  function addVerdict(hop, { revised = false } = {}) {
+    const style = hop.type === 'normal' ? 'verdict' : 'warning'
+    const mark = revised ? `REVISED → ${hop.type.toUpperCase()}` : hop.type.toUpperCase()
+    appendLine(`[VERDICT >> HOP ${hop.hop}] ${mark}`, style)
+    if (hop.reason) appendLine(`  REASON  : ${hop.reason}`, style)
+  }
+
   /**
    * Append an amber warning block for a lossy (partial packet loss) hop.
-   * @param {{ hop: number, lossRate: number }} hop
+   * @param {{ hop: number, lossRate: number, probes?: number }} hop
    */
   function addLossWarning(hop) {
+    const sent = hop.probes ?? 3
     const pct = Math.round((hop.lossRate ?? 0) * 100)
-    const dropped = Math.round((hop.lossRate ?? 0) * 3)
+    const dropped = Math.round((hop.lossRate ?? 0) * sent)
     appendLine(`[LOSS] HOP ${hop.hop} — ${pct}% PACKET LOSS`, 'loss')
-    appendLine(`  PROBES  : ${dropped}/3 dropped`, 'loss')
+    appendLine(`  PROBES  : ${dropped}/${sent} dropped`, 'loss')
     appendLine('  STATUS  : DEGRADED SIGNAL', 'loss')
   }
 
+  /**
+   * Append a block for a hop whose router reported the target unreachable
+   * (type 'unreachable') or refused it by policy (type 'filtered').
+   * @param {{ hop: number, ip: string|null, type: 'unreachable'|'filtered',
+   *           annotations: Array<{ flag: string, reason: string, count: number }> }} hop
+   */
+  function addUnreachable(hop) {
+    const filtered = hop.type === 'filtered'
+    const style = filtered ? 'filtered' : 'unreachable'
+    appendLine(`[${filtered ? 'FILTERED' : 'UNREACHABLE'} >> HOP ${hop.hop}] ■ ${hop.annotations.map((a) => a.flag).join(' ')}`, style)
+    if (hop.ip) appendLine(`  ROUTER  : ${hop.ip}`, style)
+    for (const annotation of hop.annotations) appendLine(`  ICMP    : ${formatAnnotation(annotation)}`, style)
+    appendLine(`  STATUS  : ${filtered ? 'BLOCKED BY POLICY' : 'PATH ENDS HERE'}`, style)
+  }
+
+  /**
+   * Append the label stack of a hop inside an MPLS tunnel (LSP), marking
+   * the tunnel's first hop and, for a hidden tunnel, the LSRs it skipped.
+   * @param {{ hop: number, mpls: Array<{ label: number, exp: number, bottom: boolean, ttl: number }>,
+   *           tunnel: { id: number, hidden: boolean, hiddenHops: number|null } }} hop
+   */
+  function addLsp(hop) {
+    const stack = hop.mpls.map((l) => `L=${l.label} E=${l.exp} S=${l.bottom ? 1 : 0} T=${l.ttl}`).join(' / ')
+    const mark = hop.tunnel.id === hop.hop ? '⊂ LSP START' : '│'
+    appendLine(`[MPLS >> HOP ${hop.hop}] ${mark} ${stack}`, 'mpls')
+    if (hop.tunnel.hidden) {
+      const skipped = hop.tunnel.hiddenHops != null ? `~${hop.tunnel.hiddenHops} LSRs` : 'LSRs'
+      appendLine(`  HIDDEN  : ${skipped} before this hop never answered (TTL not propagated)`, 'warning')
+    }
+  }
+
+  /**
+   * Append the end of an MPLS tunnel, once a hop without labels follows it.
+   * @param {{ id: number, lastHop: number }} lsp - First and last labelled hop
+   */
+  function addLspEnd({ id, lastHop }) {
+    appendLine(`[MPLS] ⊃ LSP END after HOP ${lastHop} (hops ${id}–${lastHop})`, 'mpls')
+  }
+
+  /**
+   * Append a notice for a TTL answered by several routers (ECMP).
+   * @param {{ hop: number, responders: Array<{ ip: string, latencies: number[] }> }} hop
+   */
+  function addMultipath(hop) {
+    appendLine(`[MULTIPATH >> HOP ${hop.hop}] ⇉ ${hop.responders.length} RESPONDERS`, 'intel')
+    for (const { ip, latencies } of hop.responders) {
+      appendLine(`  ${ip.padEnd(16, ' ')}: ${latencies.length} probe(s)`, 'intel')
+    }
+  }
+
+  /**
+   * Append the verdict of a TCP trace's destination port.
+   * @param {{ hop: number, port: number, state: 'open'|'closed'|'filtered' }} port
+   */
+  function addPortState({ hop, port, state }) {
+    const { reply, type } = PORT_REPLIES[state] ?? PORT_REPLIES.filtered
+    appendLine(`[PORT >> HOP ${hop}] ${port}/TCP ${state.toUpperCase()}`, type)
+    appendLine(`  REPLY   : ${reply}`, type)
+  }
+
+  /**
+   * Append a route diff: totals, then one line per aligned hop with its
+   * latency delta, and a marker where the paths split or meet again.
+   * @param {{ from: { target: string, startedAt: string }, to: { target: string, startedAt: string },
+   *           entries: object[], summary: object }} diff
+   */
+  function addRouteDiff({ from, to, entries, summary }) {
+    const when = (trace) => new Date(trace.startedAt).toLocaleString()
+    appendLine(`[DIFF] ${from.target} @ ${when(from)} ⇄ ${to.target} @ ${when(to)}`, 'intel')
+    appendLine(`  SAME ${summary.same} · CHANGED ${summary.changed} · ADDED ${summary.added} · REMOVED ${summary.removed}`, 'intel')
+    appendLine(`  DEST Δ  : ${formatDelta(summary.destinationDelta)}`, 'intel')
+
+    for (const entry of entries) {
+      const ttl = (entry.to ?? entry.from).ttl
+      if (entry.marker === 'diverge') appendLine(`[DIFF >> HOP ${ttl}] ⑂ PATHS DIVERGE`, 'warning')
+      if (entry.marker === 'rejoin')  appendLine(`[DIFF >> HOP ${ttl}] ⑃ PATHS REJOIN`, 'intel')
+
+      const { mark, type } = DIFF_MARKS[entry.status] ?? DIFF_MARKS.changed
+      const before = entry.from ? (entry.from.ip ?? '*') : ''
+      const after  = entry.to ? (entry.to.ip ?? '*') : ''
+      const route  = entry.status === 'same' ? after : `${before} → ${after}`.trim()
+      const asn    = entry.sameAsn ? ` (same ${entry.from.asn})` : ''
+      appendLine(`  ${String(ttl).padStart(2, '0')} ${mark} ${route.padEnd(34, ' ')} ${formatDelta(entry.latencyDelta)}${asn}`, type)
+    }
+
+    if (summary.changed + summary.added + summary.removed === 0) {
+      appendLine('  ROUTE UNCHANGED', 'intel')
+    }
+  }
+
+  /**
+   * A trace got worse than its target's baseline.
+   * @param {{ target: string, kind: string, hop: number, message: string }} alert - As on trace-alert
+   */
+  function addAlert({ target, kind, hop, message }) {
+    appendLine(`[ALERT >> HOP ${hop}] ▲ ${ALERT_TITLES[kind] ?? 'REGRESSION'} · ${target}`, 'error')
+    appendLine(`  DETAIL  : ${message}`, 'error')
+  }
+
   function clear() {
     container.replaceChildren()
   }
 
-  return { appendLine, addIntel, addWarning, addLossWarning, clear }
+  return {
+    appendLine, addIntel, addWarning, addVerdict, addLossWarning, addUnreachable, addLsp, addLspEnd,
+    addMultipath, addPortState, addRouteDiff, addAlert, clear,
+  }
 }
@@ -0,0 +1,58 @@
+/**
+ * EXPORT menu in the input bar: download the trace on screen as JSON,
+ * CSV or an mtr-style text report (formatted by the server).
+ */
+
+/**
+ * Filename from a Content-Disposition header, if it names one.
+ * @param {string|null} header
+ * @returns {string|null}
+ */
+function filenameFrom(header) {
+  return header?.match(/filename="([^"]+)"/)?.[1] ?? null
+}
+
+/**
+ * Hand a fetched export to the browser as a file download.
+ * @param {Response} res - A successful export response
+ */
+export async function saveDownload(res) {
+  const blob = await res.blob()
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filenameFrom(res.headers.get('Content-Disposition')) ?? 'neon-ping-export'
+  document.body.append(link)
+  link.click()
+  link.remove()
+  // Revoke once the click has handed the blob to the download manager
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * @param {{ onExport: (format: 'json'|'csv'|'mtr') => void }} callbacks
+ */
+export function createExportMenu({ onExport }) {
+  const menu      = document.getElementById('export-menu')
+  const toggleBtn = document.getElementById('export-btn')
+
+  /**
+   * @param {boolean} [open] - Defaults to flipping the current state
+   */
+  function toggle(open = menu.hidden) {
+    menu.hidden = !open
+    toggleBtn.setAttribute('aria-expanded', String(open))
+    toggleBtn.classList.toggle('active', open)
+  }
+
+  toggleBtn.addEventListener('click', () => toggle())
+
+  for (const button of menu.querySelectorAll('button[data-format]')) {
+    button.addEventListener('click', () => {
+      toggle(false)
+      onExport(button.dataset.format)
+    })
+  }
+
+  return { toggle }
+}
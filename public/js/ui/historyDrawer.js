@@ -0,0 +1,111 @@
+/**
+ * Trace history drawer, toggled from the input bar.
+ * Lists saved traces (newest first) from GET /api/history. Picking one
+ * hands its id to the caller, which fetches and replays it; its DIFF
+ * button asks for a route diff against the trace currently in the scene.
+ * Its BASE button makes it (or stops it being) its target's baseline,
+ * lit for the traces GET /api/baselines names.
+ */
+
+/**
+ * One-line list entry: "14:02:11  example.com  12 hops".
+ * @param {{ target: string, startedAt: string, hopCount: number, mode: string }} summary
+ * @returns {string}
+ */
+function formatSummary(summary) {
+  const time = new Date(summary.startedAt).toLocaleString()
+  const mode = summary.mode === 'single' ? '' : `  [${summary.mode}]`
+  return `${time}  ${summary.target}  ${summary.hopCount} hops${mode}`
+}
+
+/**
+ * @param {{ onSelect: (id: string) => void, onDiff: (id: string) => void,
+ *           onBaseline: (trace: { id: string, target: string, active: boolean }) => void,
+ *           onSpeedChange: (speed: number) => void }} callbacks
+ *   onBaseline — active: the trace is its target's baseline now (so the click clears it)
+ */
+export function createHistoryDrawer({ onSelect, onDiff, onBaseline, onSpeedChange }) {
+  const drawer      = document.getElementById('history-drawer')
+  const toggleBtn   = document.getElementById('history-btn')
+  const list        = document.getElementById('history-list')
+  const speedSelect = document.getElementById('replay-speed')
+  const pctInput    = document.getElementById('baseline-pct')
+
+  /** @param {string} text - Placeholder shown instead of the list */
+  function showMessage(text) {
+    const item = document.createElement('li')
+    item.className = 'history-empty'
+    item.textContent = text
+    list.replaceChildren(item)
+  }
+
+  /** Reload the list from the server. */
+  async function refresh() {
+    try {
+      const [res, baselineRes] = await Promise.all([fetch('/api/history'), fetch('/api/baselines')])
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      const { traces } = await res.json()
+      // Without baselines the list still works; no BASE button is lit
+      const baselineIds = new Set(baselineRes.ok ? (await baselineRes.json()).baselines.map((b) => b.traceId) : [])
+      if (traces.length === 0) {
+        showMessage('No saved traces yet.')
+        return
+      }
+
+      // textContent only: targets and timestamps are rendered, never parsed as HTML
+      list.replaceChildren(...traces.map((summary) => {
+        const item = document.createElement('li')
+        const button = document.createElement('button')
+        button.textContent = formatSummary(summary)
+        button.title = summary.destination ? `Ended at ${summary.destination}` : 'No responding hop'
+        button.addEventListener('click', () => onSelect(summary.id))
+
+        const diffButton = document.createElement('button')
+        diffButton.className = 'history-diff'
+        diffButton.textContent = 'DIFF'
+        diffButton.title = 'Compare the trace on screen against this one'
+        diffButton.addEventListener('click', () => onDiff(summary.id))
+
+        const active = baselineIds.has(summary.id)
+        const baseButton = document.createElement('button')
+        baseButton.className = active ? 'history-base active' : 'history-base'
+        baseButton.textContent = 'BASE'
+        baseButton.title = active
+          ? `Baseline for ${summary.target}: click to stop comparing later traces with it`
+          : `Compare later traces to ${summary.target} with this one`
+        baseButton.setAttribute('aria-pressed', String(active))
+        baseButton.addEventListener('click', () => onBaseline({ id: summary.id, target: summary.target, active }))
+
+        item.append(button, diffButton, baseButton)
+        return item
+      }))
+    } catch (err) {
+      showMessage(`History unavailable: ${err.message}`)
+    }
+  }
+
+  /**
+   * @param {boolean} [open] - Defaults to flipping the current state
+   */
+  function toggle(open = drawer.hidden) {
+    drawer.hidden = !open
+    toggleBtn.setAttribute('aria-expanded', String(open))
+    toggleBtn.classList.toggle('active', open)
+    if (open) refresh()
+  }
+
+  toggleBtn.addEventListener('click', () => toggle())
+  speedSelect.addEventListener('change', () => onSpeedChange(getSpeed()))
+
+  /** @returns {number} Current replay speed multiplier */
+  function getSpeed() {
+    return Number(speedSelect.value)
+  }
+
+  /** @returns {number} Latency regression threshold (percent) for a new baseline */
+  function getRegressionPct() {
+    return Math.round(Number(pctInput.value)) || Number(pctInput.defaultValue)
+  }
+
+  return { refresh, toggle, getSpeed, getRegressionPct }
+}
@@ -1,13 +1,23 @@
+/** Allowlisted branch states for safe CSS class interpolation. */
+const BRANCH_STATES = new Set(['tracing', 'complete', 'failed'])
+
+/** Baseline alerts kept on screen; older ones stay in the console. */
+const MAX_ALERTS = 6
+
 /**
  * HUD overlay controller.
- * Updates target IP, average latency, packet loss, hop count, and status.
+ * Updates target IP, average latency, packet loss, hop count, and status,
+ * plus the color legend of a multi-target trace and the baseline alerts list.
  */
 export function createHUD() {
-  const elTarget  = document.getElementById('hud-target')
-  const elLatency = document.getElementById('hud-latency')
-  const elLoss    = document.getElementById('hud-loss')
-  const elHops    = document.getElementById('hud-hops')
-  const elStatus  = document.getElementById('hud-status')
+  const elTarget    = document.getElementById('hud-target')
+  const elLatency   = document.getElementById('hud-latency')
+  const elLoss      = document.getElementById('hud-loss')
+  const elHops      = document.getElementById('hud-hops')
+  const elStatus    = document.getElementById('hud-status')
+  const elBranches  = document.getElementById('hud-branches')
+  const elAlerts    = document.getElementById('hud-alerts')
+  const elAlertList = document.getElementById('hud-alert-list')
 
   function setFlicker(el) {
     el.classList.remove('updated')
@@ -46,9 +56,47 @@ export function createHUD() {
     }
   }
 
+  /**
+   * List each target of a multi-target trace with its branch color.
+   * An empty list hides the legend (single-target traces).
+   * @param {Array<{ target: string, color: number, state: 'tracing'|'complete'|'failed' }>} branches
+   */
+  function setBranches(branches) {
+    elBranches.replaceChildren(...branches.map(({ target, color, state }) => {
+      const row = document.createElement('div')
+      const safeState = BRANCH_STATES.has(state) ? state : 'tracing'
+      row.className = `hud-branch hud-branch--${safeState}`
+      row.style.setProperty('--branch-color', `#${color.toString(16).padStart(6, '0')}`)
+      row.textContent = target
+      return row
+    }))
+    elBranches.hidden = branches.length === 0
+  }
+
+  /**
+   * Put a baseline regression at the top of the alerts list.
+   * @param {{ target: string, message: string }} alert - As on trace-alert
+   */
+  function addAlert({ target, message }) {
+    const row = document.createElement('li')
+    row.className = 'hud-alert'
+    row.textContent = `${target}: ${message}`
+    elAlertList.prepend(row)
+    while (elAlertList.children.length > MAX_ALERTS) elAlertList.lastElementChild.remove()
+    elAlerts.hidden = false
+    setFlicker(row)
+  }
+
+  function clearAlerts() {
+    elAlertList.replaceChildren()
+    elAlerts.hidden = true
+  }
+
   function reset() {
     update({ target: '—', avgLatency: null, packetLoss: null, hopCount: 0, status: 'IDLE' })
+    setBranches([])
+    clearAlerts()
   }
 
-  return { update, reset }
+  return { update, setBranches, addAlert, clearAlerts, reset }
 }
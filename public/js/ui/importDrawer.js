@@ -0,0 +1,52 @@
+/**
+ * IMPORT drawer in the input bar: paste traceroute, tracert or
+ * mtr --report output (or load it from a file) and hand the text to the
+ * caller, which asks the server to parse and replay it as a trace.
+ */
+
+/** Matches the server's limit, so an oversized file is refused up front. */
+const MAX_IMPORT_BYTES = 64 * 1024
+
+/**
+ * @param {{ onImport: (text: string) => void, onError: (message: string) => void }} callbacks
+ */
+export function createImportDrawer({ onImport, onError }) {
+  const drawer    = document.getElementById('import-drawer')
+  const toggleBtn = document.getElementById('import-btn')
+  const textArea  = document.getElementById('import-text')
+  const fileInput = document.getElementById('import-file')
+  const submitBtn = document.getElementById('import-submit')
+
+  /**
+   * @param {boolean} [open] - Defaults to flipping the current state
+   */
+  function toggle(open = drawer.hidden) {
+    drawer.hidden = !open
+    toggleBtn.setAttribute('aria-expanded', String(open))
+    toggleBtn.classList.toggle('active', open)
+    if (open) textArea.focus()
+  }
+
+  toggleBtn.addEventListener('click', () => toggle())
+
+  // A chosen file fills the text area, so it can be checked before importing
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files
+    fileInput.value = ''
+    if (!file) return
+    if (file.size > MAX_IMPORT_BYTES) {
+      onError(`${file.name} is larger than ${MAX_IMPORT_BYTES / 1024} KB`)
+      return
+    }
+    textArea.value = await file.text()
+  })
+
+  submitBtn.addEventListener('click', () => {
+    const text = textArea.value
+    if (!text.trim()) return
+    toggle(false)
+    onImport(text)
+  })
+
+  return { toggle }
+}
@@ -2,12 +2,51 @@
  * Intel Panel — right-side sliding overlay showing WHOIS/DNS data per hop.
  *
  * Cards appear as intel arrives (typewriter reveal), newest at top.
- * Each card is color-coded by hop type: normal=cyan, hostile=red, ghost=blue, lossy=amber.
+ * Each card is color-coded by hop type: normal=cyan, hostile=red, ghost=blue, lossy=amber,
+ * unreachable=magenta, filtered=violet.
  */
 
 const MAX_CARDS = 12
 const TYPEWRITER_CHAR_MS = 18  // ms per character
 
+/**
+ * One-line hop location: "Frankfurt, DE · PoP FRA" or "Tokyo, JP · GeoIP ±50km".
+ * Falls back to coordinates when the source has no place name.
+ * @param {{ latitude: number, longitude: number, city: string|null, country: string|null,
+ *           accuracyKm: number|null, source: string, pop?: string }} geo
+ * @returns {string}
+ */
+export function formatGeo(geo) {
+  const place = [geo.city, geo.country].filter(Boolean).join(', ')
+    || `${geo.latitude.toFixed(2)}, ${geo.longitude.toFixed(2)}`
+  if (geo.source === 'rdns') return `${place} · PoP ${geo.pop}`
+  return `${place} · GeoIP${geo.accuracyKm != null ? ` ±${geo.accuracyKm}km` : ''}`
+}
+
+/** ICMP unreachable reason (as the parser names it) → what the router said. */
+const ANNOTATION_REASONS = Object.freeze({
+  network:        'network unreachable',
+  host:           'host unreachable',
+  protocol:       'protocol unreachable',
+  fragmentation:  'fragmentation needed',
+  'source-route': 'source route failed',
+  prohibited:     'administratively prohibited',
+  precedence:     'precedence cutoff',
+  unknown:        'unreachable',
+})
+
+/**
+ * One annotation as a readout line: "!X administratively prohibited ×2"
+ * or "!F-1400 fragmentation needed (MTU 1400)".
+ * @param {{ flag: string, reason: string, count: number, code?: number, mtu?: number }} annotation
+ * @returns {string}
+ */
+export function formatAnnotation({ flag, reason, count, code, mtu }) {
+  const detail = mtu != null ? ` (MTU ${mtu})` : code != null ? ` (ICMP code ${code})` : ''
+  const times = count > 1 ? ` ×${count}` : ''
+  return `${flag} ${ANNOTATION_REASONS[reason] ?? ANNOTATION_REASONS.unknown}${detail}${times}`
+}
+
 /**
  * Build formatted intel text lines for a card.
  * @param {object} intel
@@ -24,6 +63,7 @@ function formatIntelLines(intel) {
     pad('COUNTRY', intel.country ?? '—'),
     pad('ASN', intel.asn ?? '—'),
     pad('RANGE', intel.netrange ?? '—'),
+    ...(intel.geo ? [pad('GEO', formatGeo(intel.geo))] : []),
   ]
   return lines.join('\n')
 }
@@ -35,9 +75,11 @@ function formatIntelLines(intel) {
  */
 function cardHeader(intel) {
   const prefix = {
-    hostile: `[!] HOSTILE >> HOP ${intel.hop}`,
-    ghost:   `[?] GHOST >> HOP ${intel.hop}`,
-    lossy:   `[~] LOSSY >> HOP ${intel.hop}`,
+    hostile:     `[!] HOSTILE >> HOP ${intel.hop}`,
+    ghost:       `[?] GHOST >> HOP ${intel.hop}`,
+    lossy:       `[~] LOSSY >> HOP ${intel.hop}`,
+    unreachable: `[X] UNREACHABLE >> HOP ${intel.hop}`,
+    filtered:    `[#] FILTERED >> HOP ${intel.hop}`,
   }[intel.type] ?? `[+] INTEL >> HOP ${intel.hop}`
   return `${prefix} ${'═'.repeat(Math.max(0, 28 - prefix.length))}`
 }
@@ -61,29 +103,37 @@ function typewriterReveal(pre, fullText, charMs) {
 }
 
 /** Allowlisted hop types for safe CSS class interpolation. */
-const ALLOWED_TYPES = new Set(['normal', 'hostile', 'ghost', 'lossy'])
+const ALLOWED_TYPES = new Set(['normal', 'hostile', 'ghost', 'lossy', 'unreachable', 'filtered'])
+
+/** Allowlisted TCP port states, with the verdict line shown on the card. */
+const PORT_VERDICTS = Object.freeze({
+  open:     'SYN-ACK: service listening',
+  closed:   'RST: host up, port closed',
+  filtered: 'no reply: SYN dropped en route',
+})
 
 /**
  * Create the intel panel controller.
  *
  * @param {HTMLElement} panelEl   - #intel-panel container
  * @param {HTMLElement} cardsEl  - #intel-cards inner container
- * @returns {{ addCard: (intel: object) => void, clear: () => void }}
+ * @returns {{ addCard: (intel: object) => void, addPortCard: (port: object) => void,
+ *            addAnnotationCard: (hop: object) => void, clear: () => void }}
  */
 export function createIntelPanel(panelEl, cardsEl) {
   /**
-   * Add an intel card to the top of the panel.
-   * @param {object} intel - { hop, type, ip, hostname, org, country, asn, netrange }
+   * Insert a card at the top of the panel and typewrite its body.
+   * @param {string} className - Already allowlisted modifier classes
+   * @param {string} headerText
+   * @param {string} bodyText
    */
-  function addCard(intel) {
-    // MEDIUM-4: Allowlist type before CSS class interpolation
-    const safeType = ALLOWED_TYPES.has(intel.type) ? intel.type : 'normal'
+  function insertCard(className, headerText, bodyText) {
     const card = document.createElement('div')
-    card.className = `intel-card intel-card--${safeType}`
+    card.className = `intel-card ${className}`
 
     const header = document.createElement('div')
     header.className = 'intel-card__header'
-    header.textContent = cardHeader({ ...intel, type: safeType })
+    header.textContent = headerText
 
     const body = document.createElement('pre')
     body.className = 'intel-card__body'
@@ -100,12 +150,60 @@ export function createIntelPanel(panelEl, cardsEl) {
       cardsEl.removeChild(cardsEl.lastChild)
     }
 
-    typewriterReveal(body, formatIntelLines(intel), TYPEWRITER_CHAR_MS)
+    typewriterReveal(body, bodyText, TYPEWRITER_CHAR_MS)
+  }
+
+  /**
+   * Add an intel card to the top of the panel.
+   * @param {object} intel - { hop, type, ip, hostname, org, country, asn, netrange, geo }
+   */
+  function addCard(intel) {
+    // MEDIUM-4: Allowlist type before CSS class interpolation
+    const safeType = ALLOWED_TYPES.has(intel.type) ? intel.type : 'normal'
+    insertCard(`intel-card--${safeType}`, cardHeader({ ...intel, type: safeType }), formatIntelLines(intel))
+  }
+
+  /**
+   * Add a card with a TCP trace's destination port verdict.
+   * @param {{ hop: number, ip: string|null, port: number, state: 'open'|'closed'|'filtered' }} port
+   */
+  function addPortCard({ hop, ip, port, state }) {
+    const safeState = Object.hasOwn(PORT_VERDICTS, state) ? state : 'filtered'
+    const prefix = `[◎] PORT ${port}/TCP ${safeState.toUpperCase()} >> HOP ${hop}`
+    const pad = (label, value) => `  ${label.padEnd(8, ' ')}: ${value ?? '???'}`
+    const lines = [
+      pad('TARGET', ip),
+      pad('PORT', `${port}/tcp`),
+      pad('STATE', safeState.toUpperCase()),
+      pad('VERDICT', PORT_VERDICTS[safeState]),
+    ]
+    insertCard(
+      `intel-card--port intel-card--port-${safeState}`,
+      `${prefix} ${'═'.repeat(Math.max(0, 28 - prefix.length))}`,
+      lines.join('\n'),
+    )
+  }
+
+  /**
+   * Add a card listing the ICMP unreachable annotations a hop came back with.
+   * @param {{ hop: number, ip: string|null, type: string, probes?: number,
+   *           annotations: Array<{ flag: string, reason: string, count: number }> }} hop
+   */
+  function addAnnotationCard(hop) {
+    const safeType = hop.type === 'filtered' ? 'filtered' : 'unreachable'
+    const pad = (label, value) => `  ${label.padEnd(8, ' ')}: ${value ?? '???'}`
+    const lines = [
+      pad('ROUTER', hop.ip),
+      ...hop.annotations.map((annotation) => pad('ICMP', formatAnnotation(annotation))),
+      pad('PROBES', `${hop.annotations.reduce((sum, a) => sum + a.count, 0)}/${hop.probes ?? 3} annotated`),
+      pad('VERDICT', safeType === 'filtered' ? 'dropped by policy (ACL / firewall)' : 'no route past this router'),
+    ]
+    insertCard(`intel-card--${safeType}`, cardHeader({ hop: hop.hop, type: safeType }), lines.join('\n'))
   }
 
   function clear() {
     cardsEl.replaceChildren()
   }
 
-  return { addCard, clear }
+  return { addCard, addPortCard, addAnnotationCard, clear }
 }
@@ -0,0 +1,49 @@
+/**
+ * Advanced probe options drawer, toggled from the input bar.
+ * Empty fields are left out of the request so traceroute keeps its own
+ * defaults; the server allowlists every value that is sent.
+ */
+
+/** Drawer input id → start-trace option key */
+const NUMERIC_FIELDS = Object.freeze([
+  ['opt-max-hops',    'maxHops'],
+  ['opt-probes',      'probes'],
+  ['opt-wait',        'wait'],
+  ['opt-first-ttl',   'firstTtl'],
+  ['opt-port',        'port'],
+  ['opt-packet-size', 'packetSize'],
+])
+
+export function createOptionsDrawer() {
+  const drawer           = document.getElementById('options-drawer')
+  const toggleBtn        = document.getElementById('options-btn')
+  const protocolSelect   = document.getElementById('opt-protocol')
+  const mplsToggle       = document.getElementById('opt-mpls')
+  const classifierSelect = document.getElementById('opt-classifier')
+
+  /**
+   * @param {boolean} [open] - Defaults to flipping the current state
+   */
+  function toggle(open = drawer.hidden) {
+    drawer.hidden = !open
+    toggleBtn.setAttribute('aria-expanded', String(open))
+    toggleBtn.classList.toggle('active', open)
+  }
+
+  toggleBtn.addEventListener('click', () => toggle())
+
+  /**
+   * @returns {{ protocol: string, mpls: boolean, classifier: string, maxHops?: number, probes?: number,
+   *             wait?: number, firstTtl?: number, port?: number, packetSize?: number }}
+   */
+  function read() {
+    const options = { protocol: protocolSelect.value, mpls: mplsToggle.checked, classifier: classifierSelect.value }
+    for (const [id, key] of NUMERIC_FIELDS) {
+      const value = document.getElementById(id).value.trim()
+      if (value !== '') options[key] = Number(value)
+    }
+    return Object.freeze(options)
+  }
+
+  return { read, toggle }
+}
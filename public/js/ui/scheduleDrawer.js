@@ -0,0 +1,104 @@
+/**
+ * Scheduled traces drawer, toggled by SCHED in the input bar.
+ * ADD schedules the target in the input bar, with the current options,
+ * every N minutes; the server runs it with no browser attached. The list
+ * is redrawn from every schedule-jobs the server pushes, and each entry
+ * can be paused, resumed or deleted.
+ */
+
+/**
+ * @typedef {{
+ *   id: string, target: string, intervalMinutes: number, paused: boolean, runs: number,
+ *   status: 'scheduled'|'waiting'|'running'|'paused', nextRunAt: string|null,
+ *   options: { protocol: string },
+ *   lastRun: { status: 'running'|'complete'|'failed', startedAt: string, error: string|null }|null,
+ * }} Job - As sent in schedule-jobs
+ */
+
+/**
+ * @param {string} iso
+ * @returns {string} Local time of day, e.g. "14:02:11"
+ */
+function timeOf(iso) {
+  return new Date(iso).toLocaleTimeString()
+}
+
+/**
+ * One-line list entry: "example.com  /5 min  last 14:02:11 OK  next 14:07:11".
+ * @param {Job} job
+ * @returns {string}
+ */
+function formatJob(job) {
+  const last = job.lastRun && job.lastRun.status !== 'running'
+    ? `  last ${timeOf(job.lastRun.startedAt)} ${job.lastRun.status === 'complete' ? 'OK' : 'FAILED'}`
+    : ''
+  const next = job.status === 'scheduled' ? `  next ${timeOf(job.nextRunAt)}` : `  ${job.status.toUpperCase()}`
+  return `${job.target}  /${job.intervalMinutes} min${last}${next}`
+}
+
+/**
+ * @param {{ onAdd: (intervalMinutes: number) => void, onOpen: () => void,
+ *           onPause: (id: string) => void, onResume: (id: string) => void,
+ *           onDelete: (id: string) => void }} callbacks
+ *   onOpen — the drawer opened: ask the server for the current jobs
+ */
+export function createScheduleDrawer({ onAdd, onOpen, onPause, onResume, onDelete }) {
+  const drawer        = document.getElementById('schedule-drawer')
+  const toggleBtn     = document.getElementById('schedule-btn')
+  const list          = document.getElementById('schedule-list')
+  const intervalInput = document.getElementById('schedule-interval')
+  const addBtn        = document.getElementById('schedule-add')
+
+  /**
+   * Redraw the list.
+   * @param {Job[]} jobs
+   */
+  function render(jobs) {
+    if (jobs.length === 0) {
+      const item = document.createElement('li')
+      item.className = 'history-empty'
+      item.textContent = 'No scheduled traces.'
+      list.replaceChildren(item)
+      return
+    }
+
+    // textContent only: targets are rendered, never parsed as HTML
+    list.replaceChildren(...jobs.map((job) => {
+      const item = document.createElement('li')
+      const label = document.createElement('span')
+      label.className = `schedule-job ${job.status}`
+      label.textContent = formatJob(job)
+      label.title = job.lastRun?.error ?? `${job.runs} runs, ${job.options.protocol.toUpperCase()}`
+
+      const pauseButton = document.createElement('button')
+      pauseButton.textContent = job.paused ? 'RESUME' : 'PAUSE'
+      pauseButton.addEventListener('click', () => (job.paused ? onResume : onPause)(job.id))
+
+      const deleteButton = document.createElement('button')
+      deleteButton.className = 'schedule-delete'
+      deleteButton.textContent = 'DEL'
+      deleteButton.title = `Stop tracing ${job.target} on a schedule`
+      deleteButton.addEventListener('click', () => onDelete(job.id))
+
+      item.append(label, pauseButton, deleteButton)
+      return item
+    }))
+  }
+
+  /**
+   * @param {boolean} [open] - Defaults to flipping the current state
+   */
+  function toggle(open = drawer.hidden) {
+    drawer.hidden = !open
+    toggleBtn.setAttribute('aria-expanded', String(open))
+    toggleBtn.classList.toggle('active', open)
+    if (open) onOpen()
+  }
+
+  toggleBtn.addEventListener('click', () => toggle())
+  addBtn.addEventListener('click', () => {
+    onAdd(Math.round(Number(intervalInput.value)) || Number(intervalInput.defaultValue))
+  })
+
+  return { render, toggle }
+}
@@ -1,15 +1,69 @@
 import express from 'express'
 import { createServer } from 'node:http'
+import { randomUUID } from 'node:crypto'
 import { Server } from 'socket.io'
 import { fileURLToPath } from 'node:url'
 import { join, dirname } from 'node:path'
-import { validateTarget } from './src/validation.js'
-import { runTrace } from './src/tracer/runner.js'
-import { enrichHop } from './src/tracer/classifier.js'
+import { hostname } from 'node:os'
+import {
+  validateTarget, validateTargets, validateTraceOptions, validateTraceId,
+  validateExportFormat, validateExportTraces, validateImportText, validateBaseline,
+  validateSchedule, validateJobId, validateWebhookUrl,
+} from './src/validation.js'
+import { runTrace, runMultipathTrace } from './src/tracer/runner.js'
+import { runNativeTrace } from './src/tracer/native.js'
+import { runMonitor } from './src/tracer/monitor.js'
+import { parseTraceText, replayImport } from './src/tracer/importer.js'
+import { createCycleClassifier, createPathClassifier } from './src/tracer/pathClassifier.js'
 import { gatherIntel } from './src/intel/gatherer.js'
+import { createHistoryStore, DEFAULT_MAX_RECORDS } from './src/history/store.js'
+import { createTraceRecorder } from './src/history/recorder.js'
+import { diffRoutes } from './src/history/diff.js'
+import { exportTraces } from './src/history/export.js'
+import { createBaselineStore } from './src/history/baselines.js'
+import { createRegressionWatch, findRegressions } from './src/history/regression.js'
+import { openGeoDatabase } from './src/geo/database.js'
+import { createGeoLocator } from './src/geo/locator.js'
+import { createTraceSessions } from './src/api/traceSessions.js'
+import { createScheduler } from './src/api/scheduler.js'
+import { createProcessCap } from './src/api/processCap.js'
+import { DEFAULT_LOSS_PCT, findNotable } from './src/notify/findings.js'
+import { createNotifier } from './src/notify/notifier.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const PORT = process.env.PORT ?? 3000
+const HISTORY_FILE = process.env.HISTORY_FILE ?? join(__dirname, 'data', 'traces.jsonl')
+const BASELINE_FILE = process.env.BASELINE_FILE ?? join(__dirname, 'data', 'baselines.json')
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE ?? join(__dirname, 'data', 'schedules.json')
+const HISTORY_MAX_TRACES = Number.parseInt(process.env.HISTORY_MAX_TRACES ?? '', 10) || DEFAULT_MAX_RECORDS
+
+const history = createHistoryStore(HISTORY_FILE, { maxRecords: HISTORY_MAX_TRACES })
+const baselines = createBaselineStore(BASELINE_FILE)
+
+// Globe view: offline geolocation from a local GeoLite2-style .mmdb/.csv
+// (GEOIP_DB) plus PoP codes in router rDNS names (GEO_POP_HINTS=off disables).
+// A database that fails to load is logged and skipped; hints still work.
+const geo = createGeoLocator({
+  database: process.env.GEOIP_DB
+    ? await openGeoDatabase(process.env.GEOIP_DB).catch((err) => {
+      process.stderr.write(`GeoIP database not loaded: ${err.message}\n`)
+      return null
+    })
+    : null,
+  popHints: process.env.GEO_POP_HINTS !== 'off',
+})
+
+// Notifications: hostile hops, probe loss over NOTIFY_LOSS_PCT and route changes
+// go to a webhook (NOTIFY_WEBHOOK_URL, signed with NOTIFY_WEBHOOK_SECRET) and/or
+// a JSON-lines file (NOTIFY_LOG_FILE). An invalid URL is logged and skipped.
+const webhook = process.env.NOTIFY_WEBHOOK_URL ? validateWebhookUrl(process.env.NOTIFY_WEBHOOK_URL) : null
+if (webhook && !webhook.valid) process.stderr.write(`Webhook disabled: ${webhook.error}\n`)
+const notifier = createNotifier({
+  webhookUrl: webhook?.valid ? webhook.url : null,
+  webhookSecret: process.env.NOTIFY_WEBHOOK_SECRET || null,
+  logFile: process.env.NOTIFY_LOG_FILE || null,
+})
+const NOTIFY_LOSS_PCT = Number.parseInt(process.env.NOTIFY_LOSS_PCT ?? '', 10) || DEFAULT_LOSS_PCT
 
 const app = express()
 const httpServer = createServer(app)
@@ -26,6 +80,26 @@ const io = new Server(httpServer, {
 const rateLimitMap = new Map()
 const COOLDOWN_MS = 2000
 
+// traceroute -T and the native engine both probe port 80 unless told otherwise
+const DEFAULT_TCP_PORT = 80
+
+// Multi-Trace: traces one connection may have running at once
+const MAX_ACTIVE_TRACES = 4
+
+// REST API: headless traces running at once, across all clients
+const MAX_HTTP_TRACES = 8
+
+// Imported traceroute text: one hop per possible TTL
+const MAX_IMPORT_HOPS = 255
+
+// Scheduled jobs: how many may exist
+const MAX_SCHEDULED_JOBS = 50
+
+// Probe processes allowed at once across the server: socket and API starts are
+// refused above it, due scheduled jobs wait for a slot. Imports are not counted.
+const MAX_TRACE_PROCESSES = Number.parseInt(process.env.MAX_TRACE_PROCESSES ?? '', 10) || 8
+const processCap = createProcessCap(MAX_TRACE_PROCESSES)
+
 // HIGH-4: Prune stale rate-limit entries to prevent unbounded Map growth.
 // Entries older than 10x the cooldown window are no longer needed.
 setInterval(() => {
@@ -35,88 +109,795 @@ setInterval(() => {
   }
 }, 60_000)
 
+/**
+ * Per-IP cooldown shared by Socket.IO and the REST API. Call once a request
+ * has passed validation: an allowed call starts the next cooldown.
+ * @param {string} clientIp
+ * @returns {boolean} false while the IP is still cooling down
+ */
+function allowTrace(clientIp) {
+  const now = Date.now()
+  if (now - (rateLimitMap.get(clientIp) ?? 0) < COOLDOWN_MS) return false
+  rateLimitMap.set(clientIp, now)
+  return true
+}
+
+/**
+ * DNS + WHOIS intel for one responder, with its geolocation for the globe.
+ * @param {string} ip
+ * @param {string|null} hostname - As reported by the trace, if resolved
+ * @returns {Promise<object|null>} null for ghost hops / invalid IPs
+ */
+async function lookupIntel(ip, hostname) {
+  const intel = await gatherIntel(ip, hostname)
+  return intel && { ...intel, geo: geo.locate(intel.ip, intel.hostname) }
+}
+
 app.use(express.static(join(__dirname, 'public')))
 
+// Trace history: newest-first summaries, then one full record by id
+app.get('/api/history', async (req, res) => {
+  res.json({ traces: await history.list() })
+})
+
+app.get('/api/history/:id', async (req, res) => {
+  const validation = validateTraceId(req.params.id)
+  if (!validation.valid) {
+    res.status(400).json({ error: validation.error })
+    return
+  }
+
+  const record = await history.get(validation.id)
+  if (!record) {
+    res.status(404).json({ error: 'Trace not found' })
+    return
+  }
+  res.json(record)
+})
+
+/**
+ * Send traces as a download. mtr reports name this machine on their
+ * HOST: line, as mtr does: it is where the probes left from.
+ * @param {import('express').Response} res
+ * @param {object[]} records
+ * @param {'json'|'csv'|'mtr'} format
+ */
+function sendExport(res, records, format) {
+  const { contentType, filename, body } = exportTraces(records, format, { host: hostname() })
+  res.set('Content-Type', contentType)
+  res.attachment(filename)
+  res.send(body)
+}
+
+// Export for tickets: /api/history/<id>/export?format=json|csv|mtr
+app.get('/api/history/:id/export', async (req, res) => {
+  const validation = validateTraceId(req.params.id)
+  const formatValidation = validateExportFormat(req.query.format)
+  if (!validation.valid || !formatValidation.valid) {
+    res.status(400).json({ error: (validation.valid ? formatValidation : validation).error })
+    return
+  }
+
+  const record = await history.get(validation.id)
+  if (!record) {
+    res.status(404).json({ error: 'Trace not found' })
+    return
+  }
+  sendExport(res, [record], formatValidation.format)
+})
+
+// The browser's on-screen trace, which may never have been saved
+// (monitor sessions, multi-target runs): { traces: [record, ...] }
+app.post('/api/export', express.json({ limit: '1mb' }), (req, res) => {
+  const formatValidation = validateExportFormat(req.query.format)
+  const validation = validateExportTraces(req.body?.traces)
+  if (!formatValidation.valid || !validation.valid) {
+    res.status(400).json({ error: (formatValidation.valid ? validation : formatValidation).error })
+    return
+  }
+  sendExport(res, validation.traces, formatValidation.format)
+})
+
+// Route diff between two saved traces: /api/diff?from=<id>&to=<id>
+app.get('/api/diff', async (req, res) => {
+  const from = validateTraceId(req.query.from)
+  const to = validateTraceId(req.query.to)
+  if (!from.valid || !to.valid) {
+    res.status(400).json({ error: 'Invalid trace id' })
+    return
+  }
+
+  const [fromRecord, toRecord] = await Promise.all([history.get(from.id), history.get(to.id)])
+  if (!fromRecord || !toRecord) {
+    res.status(404).json({ error: 'Trace not found' })
+    return
+  }
+  res.json(diffRoutes(fromRecord, toRecord))
+})
+
+// Baselines: one known-good saved trace per target. Later traces to that
+// target, one-off or monitored, are checked against it (trace-alert).
+app.get('/api/baselines', async (req, res) => {
+  res.json({ baselines: await baselines.list() })
+})
+
+// { traceId, regressionPct? } — the trace's target gets (or replaces) its baseline
+app.post('/api/baselines', express.json({ limit: '1kb' }), async (req, res) => {
+  const validation = validateBaseline(req.body)
+  if (!validation.valid) {
+    res.status(400).json({ error: validation.error })
+    return
+  }
+
+  const record = await history.get(validation.traceId)
+  if (!record) {
+    res.status(404).json({ error: 'Trace not found' })
+    return
+  }
+  res.status(201).json(await baselines.set(record, { regressionPct: validation.regressionPct }))
+})
+
+app.delete('/api/baselines/:target', async (req, res) => {
+  const validation = validateTarget(req.params.target)
+  if (!validation.valid) {
+    res.status(400).json({ error: validation.error })
+    return
+  }
+
+  if (!(await baselines.remove(validation.target))) {
+    res.status(404).json({ error: 'No baseline for this target' })
+    return
+  }
+  res.status(204).end()
+})
+
+/**
+ * Regressions of a finished trace (or monitor cycle) against its target's
+ * baseline. A target without one, and the baseline trace itself, have none.
+ * @param {Pick<import('./src/history/store.js').TraceRecord, 'target'|'startedAt'|'hops'|'intel'> & { id: string|null }} record -
+ *   A monitor cycle is never saved, so has no id
+ * @returns {Promise<import('./src/history/regression.js').Alert[]>}
+ */
+async function checkBaseline(record) {
+  const baseline = await baselines.get(record.target)
+  if (!baseline || baseline.traceId === record.id) return []
+  return findRegressions(baseline.record, record, { regressionPct: baseline.regressionPct })
+}
+
+/**
+ * Send what a finished trace or monitor cycle found to the notification
+ * sinks. The watch drops findings its previous check already sent, so a
+ * hop that stays hostile is reported once, and again only after it clears.
+ * @param {Pick<import('./src/history/store.js').TraceRecord, 'target'|'startedAt'|'hops'|'intel'> & { id: string|null }} record
+ * @param {Pick<import('./src/history/store.js').TraceRecord, 'hops'|'intel'>|null} previous - For route changes
+ * @param {{ source: 'trace'|'monitor', watch: ReturnType<typeof createRegressionWatch> }} context
+ */
+async function notifyFindings(record, previous, { source, watch }) {
+  const findings = watch.fresh(findNotable(record, previous, { lossPct: NOTIFY_LOSS_PCT }))
+  if (findings.length === 0) return
+  await notifier.send({
+    source,
+    target: record.target,
+    traceId: record.id,
+    startedAt: record.startedAt,
+    detectedAt: new Date().toISOString(),
+    server: hostname(),
+    findings,
+  })
+}
+
+// Finding watches kept for one-shot traces; the least recently used goes first
+const MAX_FINDING_WATCHES = 200
+
+/**
+ * One-shot traces by origin ("job:<id>", "socket:<id>" or "api:<client ip>") and lowercase
+ * target, least recently used first: the watch, and the hops of the origin's
+ * previous saved trace to compare the next one with.
+ * @type {Map<string, { watch: ReturnType<typeof createRegressionWatch>, previous: Pick<import('./src/history/store.js').TraceRecord, 'hops'|'intel'>|null }>}
+ */
+const findingWatches = new Map()
+
+/**
+ * Notify about a saved trace, compared with the previous trace its origin
+ * saved to that target. A job never overlaps itself, so its findings are
+ * deduplicated run after run without other clients' traces interleaving.
+ * @param {import('./src/history/store.js').TraceRecord} record
+ * @param {string} origin
+ */
+function notifySaved(record, origin) {
+  if (!notifier.enabled) return
+  const key = `${origin} ${record.target.toLowerCase()}`
+  const entry = findingWatches.get(key) ?? { watch: createRegressionWatch(), previous: null }
+  findingWatches.delete(key)
+  findingWatches.set(key, entry)
+  if (findingWatches.size > MAX_FINDING_WATCHES) findingWatches.delete(findingWatches.keys().next().value)
+
+  const { previous } = entry
+  entry.previous = { hops: record.hops, intel: record.intel }
+  notifyFindings(record, previous, { source: 'trace', watch: entry.watch }).catch((err) => {
+    process.stderr.write(`Notification failed: ${err.message}\n`)
+  })
+}
+
+/**
+ * Drop the finding watches of an origin that will save no more traces.
+ * @param {string} origin
+ */
+function forgetFindings(origin) {
+  for (const key of findingWatches.keys()) {
+    if (key.startsWith(`${origin} `)) findingWatches.delete(key)
+  }
+}
+
+/**
+ * One-shot trace runner for validated options (monitor mode loops its own).
+ * @param {import('./src/validation.js').TraceOptions} options
+ */
+function pickRunner({ mode, engine }) {
+  if (mode === 'multipath') return processCap.counted(runMultipathTrace)
+  return processCap.counted(engine === 'native' ? runNativeTrace : runTrace)
+}
+
+/**
+ * Persist a finished trace once its intel lookups settle. Failures are logged,
+ * never surfaced: history is a convenience, the live trace already succeeded.
+ * @param {ReturnType<typeof createTraceRecorder>} recorder
+ * @param {(record: import('./src/history/store.js').TraceRecord) => void} onSaved
+ */
+async function saveTrace(recorder, onSaved) {
+  try {
+    const trace = await recorder.finish()
+    if (trace) onSaved(await history.save(trace))
+  } catch (err) {
+    process.stderr.write(`History save failed: ${err.message}\n`)
+  }
+}
+
+const sessions = createTraceSessions({
+  runnerFor: pickRunner,
+  lookupIntel,
+  save: async (record) => (await history.save(record)).id,
+  checkBaseline,
+  onSaved: notifySaved,
+})
+
+// Scheduled traces: each run is a headless session like POST /api/traces, so it
+// is saved to history and checked against its baseline. Every change is pushed
+// to all connected clients as schedule-jobs.
+const scheduler = createScheduler({
+  sessions,
+  filePath: SCHEDULE_FILE,
+  // A job that could never fit is let through: its run fails at once, saying why
+  hasCapacity: (options) => processCap.refusal(options)?.status !== 503,
+  onChange: (jobs) => io.emit('schedule-jobs', { jobs }),
+})
+scheduler.start().catch((err) => {
+  process.stderr.write(`Scheduler not started: ${err.message}\n`)
+})
+
+/**
+ * Add a scheduled job; shared by the REST API and the socket.
+ * The first run starts at once, so it takes the client's rate limit like a trace.
+ * @param {unknown} request - Raw { target, options?, intervalMinutes }
+ * @param {string} clientIp
+ * @returns {Promise<{ status: number, job?: import('./src/api/scheduler.js').JobSnapshot, error?: string }>}
+ */
+async function createJob(request, clientIp) {
+  const validation = validateSchedule(request)
+  if (!validation.valid) return { status: 400, error: validation.error }
+
+  // Busy is fine (the job waits for a slot); a job that could never run is not
+  const refused = processCap.refusal(validation.options)
+  if (refused?.status === 400) return refused
+  if ((await scheduler.list()).length >= MAX_SCHEDULED_JOBS) {
+    return { status: 409, error: `At most ${MAX_SCHEDULED_JOBS} traces can be scheduled.` }
+  }
+  if (!allowTrace(clientIp)) return { status: 429, error: 'Please wait before starting another trace.' }
+
+  const { target, options, intervalMinutes } = validation
+  return { status: 201, job: await scheduler.create({ target, options, intervalMinutes }) }
+}
+
+/**
+ * Pause, resume or delete a scheduled job; shared by the REST API and the socket.
+ * @param {'pause'|'resume'|'remove'} action
+ * @param {unknown} id
+ * @returns {Promise<{ status: number, job?: import('./src/api/scheduler.js').JobSnapshot, error?: string }>}
+ */
+async function changeJob(action, id) {
+  const validation = validateJobId(id)
+  if (!validation.valid) return { status: 400, error: validation.error }
+
+  const result = await scheduler[action](validation.id)
+  if (!result) return { status: 404, error: 'Job not found' }
+  if (action === 'remove') forgetFindings(`job:${validation.id}`)
+  return action === 'remove' ? { status: 204 } : { status: 200, job: result }
+}
+
+/**
+ * @param {import('express').Response} res
+ * @param {{ status: number, job?: object, error?: string }} result
+ */
+function sendJobResult(res, { status, job, error }) {
+  if (status === 429) res.set('Retry-After', String(Math.ceil(COOLDOWN_MS / 1000)))
+  if (error) res.status(status).json({ error })
+  else if (job) res.status(status).json(job)
+  else res.status(status).end()
+}
+
+// Scheduled jobs: { target, options?, intervalMinutes } re-traced every interval
+// with no client attached. Monitor mode cannot be scheduled.
+app.get('/api/schedules', async (req, res) => {
+  res.json({ jobs: await scheduler.list() })
+})
+
+app.post('/api/schedules', express.json({ limit: '16kb' }), async (req, res) => {
+  sendJobResult(res, await createJob(req.body, req.ip))
+})
+
+app.post('/api/schedules/:id/pause', async (req, res) => {
+  sendJobResult(res, await changeJob('pause', req.params.id))
+})
+
+app.post('/api/schedules/:id/resume', async (req, res) => {
+  sendJobResult(res, await changeJob('resume', req.params.id))
+})
+
+app.delete('/api/schedules/:id', async (req, res) => {
+  sendJobResult(res, await changeJob('remove', req.params.id))
+})
+
+// REST API: headless traces for scripts and dashboards. Same validation and
+// rate limit as the socket; monitor mode (unbounded) stays socket-only.
+app.post('/api/traces', express.json({ limit: '16kb' }), (req, res) => {
+  const optionValidation = validateTraceOptions(req.body?.options)
+  if (!optionValidation.valid) {
+    res.status(400).json({ error: optionValidation.error })
+    return
+  }
+  if (optionValidation.options.mode === 'monitor') {
+    res.status(400).json({ error: 'Monitor mode is only available over Socket.IO' })
+    return
+  }
+
+  const validation = validateTarget(req.body?.target)
+  if (!validation.valid) {
+    res.status(400).json({ error: validation.error })
+    return
+  }
+
+  if (sessions.runningCount() >= MAX_HTTP_TRACES) {
+    res.status(503).json({ error: `At most ${MAX_HTTP_TRACES} API traces can run at once.` })
+    return
+  }
+
+  const refused = processCap.refusal(optionValidation.options)
+  if (refused) {
+    res.status(refused.status).json({ error: refused.error })
+    return
+  }
+
+  if (!allowTrace(req.ip)) {
+    res.set('Retry-After', String(Math.ceil(COOLDOWN_MS / 1000)))
+    res.status(429).json({ error: 'Please wait before starting another trace.' })
+    return
+  }
+
+  // Each API client is its own origin: one caller's traces never mute another's findings
+  const trace = sessions.start(validation.target, optionValidation.options, `api:${req.ip}`)
+  res.status(202).location(`/api/traces/${trace.id}`).json(trace)
+})
+
+app.get('/api/traces/:id', (req, res) => {
+  const validation = validateTraceId(req.params.id)
+  if (!validation.valid) {
+    res.status(400).json({ error: validation.error })
+    return
+  }
+
+  const trace = sessions.get(validation.id)
+  if (!trace) {
+    res.status(404).json({ error: 'Trace not found' })
+    return
+  }
+  res.json(trace)
+})
+
+// Same formats as /api/history/<id>/export; a running trace exports what it has so far
+app.get('/api/traces/:id/export', (req, res) => {
+  const validation = validateTraceId(req.params.id)
+  const formatValidation = validateExportFormat(req.query.format)
+  if (!validation.valid || !formatValidation.valid) {
+    res.status(400).json({ error: (validation.valid ? formatValidation : validation).error })
+    return
+  }
+
+  const trace = sessions.get(validation.id)
+  if (!trace) {
+    res.status(404).json({ error: 'Trace not found' })
+    return
+  }
+  sendExport(res, [trace], formatValidation.format)
+})
+
+// Server-Sent Events by default; NDJSON with ?format=ndjson or Accept: application/x-ndjson.
+// Replays what the trace produced so far, then streams live until "complete".
+app.get('/api/traces/:id/stream', (req, res) => {
+  const validation = validateTraceId(req.params.id)
+  if (!validation.valid) {
+    res.status(400).json({ error: validation.error })
+    return
+  }
+  if (!sessions.get(validation.id)) {
+    res.status(404).json({ error: 'Trace not found' })
+    return
+  }
+
+  const ndjson = req.query.format === 'ndjson'
+    || req.accepts(['text/event-stream', 'application/x-ndjson']) === 'application/x-ndjson'
+  res.writeHead(200, {
+    'Content-Type': ndjson ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  })
+
+  const unsubscribe = sessions.subscribe(validation.id, ({ event, data }) => {
+    res.write(ndjson
+      ? `${JSON.stringify({ event, data })}\n`
+      : `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    if (event === 'complete') res.end()
+  })
+  req.on('close', unsubscribe)
+})
+
+// Malformed JSON bodies and other API errors answer in JSON, not Express's HTML page
+app.use('/api', (err, req, res, _next) => {
+  const status = err.status ?? 500
+  res.status(status).json({ error: status < 500 ? err.message : 'Internal server error' })
+})
+
 io.on('connection', (socket) => {
-  let activeCancelFn = null
+  /** @type {Map<string, () => void>} Cancel function of each running trace, by trace id */
+  const activeTraces = new Map()
   const clientIp = socket.handshake.address
 
-  // Per-connection state for hop classification
-  let prevHop = null
+  // Async intel lookup per responder — does NOT block hop emission.
+  // The classifier learns each location (the distance classifier re-judges
+  // with it); a recorder (single/multipath traces) keeps the payloads for
+  // history, a monitor's cycle log for its baseline checks.
+  function emitIntel(traceId, hop, classifier, recorder = null) {
+    for (const responder of hop.responders) {
+      const lookup = lookupIntel(responder.ip, responder.hostname).then((intel) => {
+        if (intel) {
+          const payload = { hop: hop.hop, ...intel }
+          socket.emit('trace-intel', { traceId, ...payload })
+          recorder?.intel(payload)
+          for (const changed of classifier.locate(intel)) {
+            socket.emit('trace-reclassify', { ...changed, traceId })
+            recorder?.revise(changed)
+          }
+        }
+      }).catch(() => {
+        // Silent: intel is enhancement, not critical path
+      })
+      recorder?.track(lookup)
+    }
+  }
+
+  // Baseline regressions as trace-alert events. A monitor's watch drops the
+  // ones its previous cycle already raised. Failures are logged, like history saves.
+  function emitAlerts(traceId, record, watch = null) {
+    checkBaseline(record).then((alerts) => {
+      for (const alert of watch ? watch.fresh(alerts) : alerts) {
+        socket.emit('trace-alert', { traceId, target: record.target, ...alert })
+      }
+    }).catch((err) => {
+      process.stderr.write(`Baseline check failed: ${err.message}\n`)
+    })
+  }
+
+  // TCP traces: report the destination port as open / closed (SYN-ACK / RST
+  // on the final hop) or filtered (the trace ended without either).
+  // settle() closes one pass; only changes are emitted, so monitor cycles stay quiet.
+  function watchPort(traceId, options, recorder = null) {
+    const port = options.port ?? DEFAULT_TCP_PORT
+    let lastHop = null
+    let seenState = false
+    let reported = null
 
-  socket.on('start-trace', ({ target } = {}) => {
-    // Rate limit by IP address
-    const now = Date.now()
-    const lastTraceAt = rateLimitMap.get(clientIp) ?? 0
-    if (now - lastTraceAt < COOLDOWN_MS) {
-      socket.emit('trace-error', 'Please wait before starting another trace.')
-      return
+    function report(hop, state) {
+      const key = `${hop.hop}|${state}`
+      if (key === reported) return
+      reported = key
+      const payload = { hop: hop.hop, ip: hop.ip, port, state }
+      socket.emit('trace-port', { traceId, ...payload })
+      recorder?.port(payload)
     }
 
-    // Validate input
-    const validation = validateTarget(target)
-    if (!validation.valid) {
-      socket.emit('trace-error', validation.error)
-      return
+    return {
+      observe(hop) {
+        if (options.protocol !== 'tcp') return
+        lastHop = hop
+        if (hop.portState) {
+          seenState = true
+          report(hop, hop.portState)
+        }
+      },
+      settle() {
+        if (lastHop && !seenState) report(lastHop, 'filtered')
+        lastHop = null
+        seenState = false
+      },
     }
+  }
 
-    // Cancel any running trace for this socket
-    if (activeCancelFn) {
-      activeCancelFn()
-      activeCancelFn = null
+  // Monitor mode: the first sighting of a TTL (or of a new responder on it)
+  // builds scene nodes; every cycle then streams running stats for in-place updates.
+  // Each completed cycle is checked against the target's baseline, and its
+  // findings (route changes against the previous cycle) are sent to the notifiers.
+  function startMonitor(traceId, target, options) {
+    const seen = new Set()
+    const portWatch = watchPort(traceId, options)
+    const classifier = createCycleClassifier(options.classifier)
+    const watch = createRegressionWatch()
+    const notifyWatch = createRegressionWatch()
+    let previousCycle = null
+    // Loss is judged over every cycle so far (mtr's LOSS%), not one cycle's few probes
+    const lossByTtl = new Map()
+
+    // What a baseline check needs of a cycle: its hops, final verdicts
+    // included, and the intel of every responder so far (looked up once)
+    let cycleHops = new Map()
+    let cycleStartedAt = null
+    const intelByIp = new Map()
+    const cycleLog = {
+      intel(payload) { intelByIp.set(payload.ip, payload) },
+      revise(hop) { if (cycleHops.has(hop.hop)) cycleHops.set(hop.hop, hop) },
+      track() {},
     }
 
-    rateLimitMap.set(clientIp, now)
-    prevHop = null  // Reset classifier state for new trace
+    return processCap.counted(runMonitor)(target, {
+      onCycle(cycle) {
+        classifier.nextCycle()  // Each cycle is classified as a fresh path
+        cycleHops = new Map()
+        cycleStartedAt = new Date().toISOString()
+        portWatch.settle()
+        socket.emit('trace-cycle', { traceId, cycle })
+      },
+      onHop(rawHop, stats) {
+        const { hop, revised } = classifier.add(rawHop)
+        cycleHops.set(hop.hop, hop)
+        lossByTtl.set(hop.hop, stats.loss / 100)
+        for (const earlier of revised) {
+          socket.emit('trace-reclassify', { ...earlier, traceId })
+          cycleLog.revise(earlier)
+        }
+        portWatch.observe(hop)
+
+        if (!seen.has(hop.hop)) {
+          seen.add(hop.hop)
+          socket.emit('trace-hop', { ...hop, traceId })
+        }
+
+        const unseenResponders = hop.responders.filter((r) => !seen.has(`${hop.hop}|${r.ip}`))
+        for (const r of unseenResponders) seen.add(`${hop.hop}|${r.ip}`)
+        emitIntel(traceId, { ...hop, responders: unseenResponders }, classifier, cycleLog)
+
+        socket.emit('trace-hop-stats', {
+          ...stats,
+          traceId,
+          type: hop.type,
+          latencyDelta: hop.latencyDelta,
+          lossRate: hop.lossRate,
+          reason: hop.reason,
+        })
+      },
+      onRaw(line) {
+        socket.emit('trace-raw', { traceId, line })
+      },
+      onError(message) {
+        socket.emit('trace-error', { traceId, message })
+      },
+      onCycleComplete() {
+        const hops = [...cycleHops.values()].sort((a, b) => a.hop - b.hop)
+        const cycle = { id: null, target, startedAt: cycleStartedAt, hops, intel: [...intelByIp.values()] }
+        emitAlerts(traceId, cycle, watch)
+
+        if (!notifier.enabled) return
+        const withLoss = { ...cycle, hops: hops.map((hop) => ({ ...hop, lossRate: lossByTtl.get(hop.hop) ?? null })) }
+        notifyFindings(withLoss, previousCycle, { source: 'monitor', watch: notifyWatch }).catch((err) => {
+          process.stderr.write(`Notification failed: ${err.message}\n`)
+        })
+        previousCycle = cycle
+      },
+    }, options)
+  }
+
+  /**
+   * Start one trace and register it under a fresh trace id. Every event it
+   * emits carries that id, so concurrent traces never mix on the client.
+   * @param {string} target - Validated target
+   * @param {import('./src/validation.js').TraceOptions | { mode: 'import', format: string }} options -
+   *   Validated options; an import records the format it was parsed from
+   * @param {typeof runTrace} [run] - Runner override (imports replay parsed text)
+   */
+  function startTrace(target, options, run = pickRunner(options)) {
+    const traceId = randomUUID()
+    socket.emit('trace-started', { traceId, target })
+
+    if (options.mode === 'monitor') {
+      // Runs until cancel-trace or disconnect; never emits trace-complete itself
+      activeTraces.set(traceId, startMonitor(traceId, target, options).cancel)
+      return
+    }
 
-    const { cancel } = runTrace(validation.target, {
+    // Classifier state is per trace: each path is judged on its own
+    const classifier = createPathClassifier(options.classifier)
+    let finished = false
+    const recorder = createTraceRecorder(target, options)
+    const portWatch = watchPort(traceId, options, recorder)
+    const { cancel } = run(target, {
       onHop(rawHop) {
-        // Enrich hop with classification type (normal/hostile/ghost)
-        const hop = enrichHop(rawHop, prevHop)
-        prevHop = hop
-
-        socket.emit('trace-hop', hop)
-
-        // Async intel lookup — does NOT block hop emission
-        if (hop.ip) {
-          gatherIntel(hop.ip).then((intel) => {
-            if (intel) {
-              socket.emit('trace-intel', { hop: hop.hop, ...intel })
-            }
-          }).catch(() => {
-            // Silent: intel is enhancement, not critical path
-          })
+        // Classify the hop (normal/hostile/ghost…); earlier verdicts it changes are re-sent
+        const { hop, revised } = classifier.add(rawHop)
+
+        socket.emit('trace-hop', { ...hop, traceId })
+        recorder.hop(hop)
+        for (const earlier of revised) {
+          socket.emit('trace-reclassify', { ...earlier, traceId })
+          recorder.revise(earlier)
         }
+        emitIntel(traceId, hop, classifier, recorder)
+        portWatch.observe(hop)
       },
       onRaw(line) {
-        socket.emit('trace-raw', line)
+        socket.emit('trace-raw', { traceId, line })
+        recorder.raw(line)
       },
       onError(message) {
-        socket.emit('trace-error', message)
+        socket.emit('trace-error', { traceId, message })
       },
       onComplete() {
-        activeCancelFn = null
-        socket.emit('trace-complete')
+        finished = true
+        activeTraces.delete(traceId)
+        portWatch.settle()
+        socket.emit('trace-complete', { traceId })
+        // Only completed traces are kept; cancel() never reaches onComplete.
+        // trace-saved tells the client the id it can diff or replay later;
+        // the saved trace is then checked against its target's baseline.
+        saveTrace(recorder, (record) => {
+          socket.emit('trace-saved', { traceId, id: record.id })
+          emitAlerts(traceId, record)
+          notifySaved(record, `socket:${socket.id}`)
+        })
       },
-    })
+    }, options)
+
+    // A runner that fails up front completes before returning its cancel()
+    if (!finished) activeTraces.set(traceId, cancel)
+  }
+
+  /**
+   * Cancel running traces and tell the client each one is over.
+   * @param {string[]} traceIds
+   */
+  function cancelTraces(traceIds) {
+    for (const traceId of traceIds) {
+      const cancel = activeTraces.get(traceId)
+      if (!cancel) continue
+      cancel()
+      activeTraces.delete(traceId)
+      socket.emit('trace-raw', { traceId, line: '[Trace cancelled by user]' })
+      socket.emit('trace-complete', { traceId })
+    }
+  }
+
+  // { target } starts one trace; { targets: [...] } starts one per target (Multi-Trace).
+  // Running traces keep going: a new request adds to them, up to MAX_ACTIVE_TRACES.
+  socket.on('start-trace', (request) => {
+    // Validate input
+    const optionValidation = validateTraceOptions(request?.options)
+    if (!optionValidation.valid) {
+      socket.emit('trace-error', { traceId: null, message: optionValidation.error })
+      return
+    }
+
+    const targets = Array.isArray(request?.targets) ? request.targets : [request?.target]
+    const validation = validateTargets(targets, optionValidation.options.mode)
+    if (!validation.valid) {
+      socket.emit('trace-error', { traceId: null, message: validation.error })
+      return
+    }
+
+    if (activeTraces.size + validation.targets.length > MAX_ACTIVE_TRACES) {
+      socket.emit('trace-error', { traceId: null, message: `At most ${MAX_ACTIVE_TRACES} traces can run at once.` })
+      return
+    }
+
+    const refused = processCap.refusal(optionValidation.options, validation.targets.length)
+    if (refused) {
+      socket.emit('trace-error', { traceId: null, message: refused.error })
+      return
+    }
+
+    // Rate limit by IP address (one request counts once, however many targets)
+    if (!allowTrace(clientIp)) {
+      socket.emit('trace-error', { traceId: null, message: 'Please wait before starting another trace.' })
+      return
+    }
 
-    activeCancelFn = cancel
+    for (const target of validation.targets) startTrace(target, optionValidation.options)
   })
 
-  socket.on('cancel-trace', () => {
-    if (activeCancelFn) {
-      activeCancelFn()
-      activeCancelFn = null
-      socket.emit('trace-raw', '[Trace cancelled by user]')
-      socket.emit('trace-complete')
+  // { text } replays pasted or uploaded traceroute / tracert / mtr --report
+  // output as a trace: same classification, intel and history as a live one.
+  socket.on('import-trace', (request) => {
+    const validation = validateImportText(request?.text)
+    if (!validation.valid) {
+      socket.emit('trace-error', { traceId: null, message: validation.error })
+      return
+    }
+
+    const parsed = parseTraceText(validation.text)
+    if (parsed.hops.length === 0) {
+      socket.emit('trace-error', { traceId: null, message: 'No traceroute, tracert or mtr --report hop lines found.' })
+      return
+    }
+    if (parsed.hops.length > MAX_IMPORT_HOPS) {
+      socket.emit('trace-error', { traceId: null, message: `Imports are limited to ${MAX_IMPORT_HOPS} hops.` })
+      return
+    }
+
+    if (activeTraces.size >= MAX_ACTIVE_TRACES) {
+      socket.emit('trace-error', { traceId: null, message: `At most ${MAX_ACTIVE_TRACES} traces can run at once.` })
+      return
+    }
+
+    // Imports send no probes, but every responding hop still costs intel lookups
+    if (!allowTrace(clientIp)) {
+      socket.emit('trace-error', { traceId: null, message: 'Please wait before starting another trace.' })
+      return
     }
+
+    // The header's destination when it names a valid one, else the last responder
+    const named = validateTarget(parsed.target ?? '')
+    const target = named.valid ? named.target : 'imported'
+    startTrace(target, { mode: 'import', format: parsed.format }, (_target, callbacks) => replayImport(parsed, callbacks))
   })
 
-  socket.on('disconnect', () => {
-    if (activeCancelFn) {
-      activeCancelFn()
-      activeCancelFn = null
+  // Scheduled jobs. Every change reaches all clients as schedule-jobs;
+  // list-schedules sends the current list to this client only. Refusals
+  // and failed writes come back as schedule-error.
+  async function answerSchedule(pending) {
+    try {
+      const { error } = await pending
+      if (error) socket.emit('schedule-error', { message: error })
+    } catch (err) {
+      socket.emit('schedule-error', { message: `Schedule not saved: ${err.message}` })
     }
+  }
+
+  socket.on('list-schedules', async () => {
+    socket.emit('schedule-jobs', { jobs: await scheduler.list().catch(() => []) })
+  })
+
+  socket.on('create-schedule', (request) => answerSchedule(createJob(request, clientIp)))
+
+  // { id } of the job to pause, resume or delete
+  socket.on('pause-schedule', (request) => answerSchedule(changeJob('pause', request?.id)))
+  socket.on('resume-schedule', (request) => answerSchedule(changeJob('resume', request?.id)))
+  socket.on('delete-schedule', (request) => answerSchedule(changeJob('remove', request?.id)))
+
+  // { traceId } cancels one trace; no id cancels them all
+  socket.on('cancel-trace', (request) => {
+    const traceId = request?.traceId
+    cancelTraces(typeof traceId === 'string' ? [traceId] : [...activeTraces.keys()])
+  })
+
+  socket.on('disconnect', () => {
+    for (const cancel of activeTraces.values()) cancel()
+    activeTraces.clear()
+    forgetFindings(`socket:${socket.id}`)
   })
 })
 
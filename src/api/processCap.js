@@ -0,0 +1,103 @@
+/**
+ * Server-wide cap on probe processes (MAX_TRACE_PROCESSES), shared by every
+ * way a trace starts: the socket, the REST API and the scheduler.
+ *
+ * A trace costs one process per traceroute child or native-engine probe; a
+ * multipath trace needs a whole round of FLOW_BATCH_SIZE flow children. A
+ * start that could never fit is refused outright, one that only has to wait
+ * for running traces is refused as busy (scheduled jobs wait instead).
+ *
+ * Public surface:
+ *   BUSY_MESSAGE          — refusal while running traces hold the slots
+ *   createProcessCap(max) — { refusal(options, traces?), counted(run), running() }
+ */
+
+import { FLOW_BATCH_SIZE } from '../tracer/runner.js'
+
+export const BUSY_MESSAGE = 'The server is running as many traces as it allows. Try again shortly.'
+
+/**
+ * Probe processes a trace with these options may run at once.
+ * @param {Partial<import('../validation.js').TraceOptions>} options
+ * @returns {number}
+ */
+function costOf({ mode }) {
+  return mode === 'multipath' ? FLOW_BATCH_SIZE : 1
+}
+
+/**
+ * @param {number} max - Probe processes allowed at once
+ */
+export function createProcessCap(max) {
+  let running = 0
+
+  /**
+   * @param {number} cost
+   * @returns {string}
+   */
+  function overCap(cost) {
+    return `${cost} probe processes are needed at once, over this server's limit of ${max} (MAX_TRACE_PROCESSES).`
+  }
+
+  /**
+   * Why traces with these options cannot start now, or null when they can.
+   * @param {Partial<import('../validation.js').TraceOptions>} options
+   * @param {number} [traces] - Started together (Multi-Trace)
+   * @returns {{ status: 400|503, error: string }|null} 400: never fits; 503: busy
+   */
+  function refusal(options, traces = 1) {
+    const cost = costOf(options) * traces
+    if (cost > max) return { status: 400, error: overCap(cost) }
+    if (running + cost > max) return { status: 503, error: BUSY_MESSAGE }
+    return null
+  }
+
+  /**
+   * Wrap a runner so its trace holds slots from start until it completes or
+   * is cancelled: one, or as many children as a multipath run reports alive.
+   * A trace that could never fit fails at once with the reason instead.
+   * @template {(target: string, callbacks: object, options: object) => { cancel: () => void }} R
+   * @param {R} run
+   * @returns {R}
+   */
+  function counted(run) {
+    return (target, callbacks, options) => {
+      const cost = costOf(options)
+      if (cost > max) {
+        callbacks.onError(overCap(cost))
+        callbacks.onComplete()
+        return { cancel: () => {} }
+      }
+
+      let held = 1
+      let released = false
+      const release = () => {
+        if (!released) running -= held
+        released = true
+      }
+
+      running += held
+      const handle = run(target, {
+        ...callbacks,
+        onProcesses(count) {
+          if (released) return
+          running += count - held
+          held = count
+        },
+        onComplete(...args) {
+          release()
+          return callbacks.onComplete?.(...args)
+        },
+      }, options)
+      return {
+        ...handle,
+        cancel() {
+          release()
+          handle.cancel()
+        },
+      }
+    }
+  }
+
+  return Object.freeze({ refusal, counted, running: () => running })
+}
@@ -0,0 +1,314 @@
+/**
+ * Scheduled traces: targets re-traced every N minutes, with no client attached.
+ *
+ * Each run is an ordinary headless session (traceSessions.js), so it gets
+ * the same runner, intel, history save and baseline alerts as POST
+ * /api/traces, and its session id can be polled or streamed while it runs.
+ *
+ * A due job starts only while hasCapacity(options) allows it (the server's cap
+ * on probe processes, whoever started them); otherwise it waits and is retried
+ * on the next tick. A job never overlaps itself: a run that outlasts the
+ * interval delays the next one. Pausing or deleting a job lets a run in
+ * progress finish.
+ *
+ * Jobs are kept in one JSON file, rewritten through a temporary file and a
+ * rename like baselines.js, so they survive restarts. A run cut short by a
+ * restart is recorded as failed. A file that no longer parses is moved
+ * aside (schedules.json.bad-<ms>) before anything is written over it.
+ *
+ * Job status:
+ *   scheduled — waiting for nextRunAt
+ *   waiting   — due, but the concurrency cap is reached
+ *   running   — a session is tracing (or settling intel)
+ *   paused    — no further runs until resumed
+ *
+ * Public surface:
+ *   createScheduler(deps) — { create, pause, resume, remove, list, get, tick, start, stop }
+ */
+
+import { randomUUID } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+
+/** How often due jobs are looked for, and so how soon a waiting job retries. */
+const TICK_MS = 5_000
+
+/**
+ * @typedef {{
+ *   sessionId: string, historyId: string|null,
+ *   status: 'running' | 'complete' | 'failed', error: string|null,
+ *   startedAt: number, completedAt: number|null,
+ * }} JobRun
+ */
+
+/**
+ * @typedef {{
+ *   id: string, target: string, options: import('../validation.js').TraceOptions,
+ *   intervalMinutes: number, paused: boolean, createdAt: number,
+ *   nextRunAt: number|null, runs: number, lastRun: JobRun|null,
+ * }} Job
+ */
+
+/**
+ * @typedef {Omit<Job, 'createdAt'|'nextRunAt'|'lastRun'> & {
+ *   status: 'scheduled' | 'waiting' | 'running' | 'paused',
+ *   createdAt: string, nextRunAt: string|null,
+ *   lastRun: (Omit<JobRun, 'startedAt'|'completedAt'> & { startedAt: string, completedAt: string|null })|null,
+ * }} JobSnapshot
+ */
+
+/**
+ * @param {number|null} time
+ * @returns {string|null}
+ */
+function iso(time) {
+  return time !== null ? new Date(time).toISOString() : null
+}
+
+/**
+ * @param {{
+ *   sessions: Pick<ReturnType<typeof import('./traceSessions.js').createTraceSessions>, 'start'|'subscribe'>,
+ *   filePath: string,
+ *   hasCapacity?: (options: import('../validation.js').TraceOptions) => boolean,
+ *   onChange?: (jobs: JobSnapshot[]) => void,
+ *   tickMs?: number,
+ *   now?: () => number,
+ * }} deps
+ *   sessions    — runs each trace (start) and reports its end (subscribe → complete)
+ *   filePath    — JSON file the jobs are kept in; created (with its directory) on first change
+ *   hasCapacity — false while a trace with these options would exceed the server-wide cap
+ *   onChange    — every job after any job was added, changed, started, finished or removed
+ *   tickMs      — how often start() looks for due jobs
+ */
+export function createScheduler({
+  sessions, filePath, hasCapacity = () => true, onChange = () => {}, tickMs = TICK_MS, now = Date.now,
+}) {
+  /** @type {Map<string, Job>} Insertion order = creation order */
+  const jobs = new Map()
+  /** Writes run one at a time, in call order */
+  let queue = Promise.resolve()
+  let timer = null
+  const ready = load()
+
+  async function load() {
+    let text
+    try {
+      text = await readFile(filePath, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return  // No file yet: no jobs
+      throw err
+    }
+
+    let stored = null
+    try {
+      stored = JSON.parse(text)
+    } catch {
+      // Handled below with a non-array file
+    }
+    if (!Array.isArray(stored)) {
+      // Keep the hand-edited or damaged file for the operator; if it cannot be
+      // moved, load fails and nothing is written over it
+      const aside = `${filePath}.bad-${now()}`
+      await rename(filePath, aside)
+      process.stderr.write(`Schedule file is not a JSON array of jobs; moved it to ${aside} and started with none\n`)
+      return
+    }
+
+    for (const job of stored) {
+      const cutShort = job.lastRun?.status === 'running'
+      jobs.set(job.id, Object.freeze(cutShort ? { ...job, lastRun: { ...job.lastRun, status: 'failed' } } : job))
+    }
+  }
+
+  /** @returns {Promise<void>} Resolves once the jobs as they are now are on disk */
+  function persist() {
+    const text = `${JSON.stringify([...jobs.values()])}\n`
+    const write = queue.then(async () => {
+      await mkdir(dirname(filePath), { recursive: true })
+      const temp = `${filePath}.${process.pid}.tmp`
+      await writeFile(temp, text, 'utf8')
+      await rename(temp, filePath)
+    })
+    queue = write.catch(() => {})
+    return write
+  }
+
+  /** Saves made by the scheduler itself (runs starting and ending) are logged, never thrown. */
+  function persistQuietly() {
+    persist().catch((err) => {
+      process.stderr.write(`Schedule save failed: ${err.message}\n`)
+    })
+  }
+
+  /**
+   * @param {Job} job
+   * @returns {JobSnapshot}
+   */
+  function snapshot(job) {
+    const status = job.lastRun?.status === 'running' ? 'running'
+      : job.paused ? 'paused'
+        : job.nextRunAt <= now() ? 'waiting' : 'scheduled'
+    return Object.freeze({
+      ...job,
+      status,
+      createdAt: iso(job.createdAt),
+      nextRunAt: iso(job.nextRunAt),
+      lastRun: job.lastRun && Object.freeze({
+        ...job.lastRun,
+        startedAt: iso(job.lastRun.startedAt),
+        completedAt: iso(job.lastRun.completedAt),
+      }),
+    })
+  }
+
+  function snapshots() {
+    return [...jobs.values()].map(snapshot)
+  }
+
+  /** @param {Job} job */
+  function put(job) {
+    jobs.set(job.id, Object.freeze(job))
+    onChange(snapshots())
+  }
+
+  /**
+   * Record how a job's run ended and give its slot to the next due job.
+   * A job deleted (or re-run) meanwhile keeps no record of it.
+   * @param {string} id
+   * @param {string} sessionId
+   * @param {{ status: 'complete'|'failed', historyId: string|null }} result
+   * @param {string|null} error - The run's last error message
+   */
+  function finish(id, sessionId, { status, historyId }, error) {
+    const job = jobs.get(id)
+    if (job?.lastRun?.sessionId !== sessionId) return
+    put({ ...job, runs: job.runs + 1, lastRun: { ...job.lastRun, status, historyId, error, completedAt: now() } })
+    persistQuietly()
+    tick()
+  }
+
+  /** @param {Job} job */
+  function run(job) {
+    const startedAt = now()
+    const session = sessions.start(job.target, job.options, `job:${job.id}`)
+    put({
+      ...job,
+      nextRunAt: startedAt + job.intervalMinutes * 60_000,
+      lastRun: { sessionId: session.id, historyId: null, status: 'running', error: null, startedAt, completedAt: null },
+    })
+    let error = null
+    sessions.subscribe(session.id, ({ event, data }) => {
+      if (event === 'error') error = data.message
+      if (event === 'complete') finish(job.id, session.id, data, error)
+    })
+  }
+
+  /** Start due jobs, longest overdue first, while there is capacity. */
+  function tick() {
+    const due = [...jobs.values()]
+      .filter((job) => !job.paused && job.lastRun?.status !== 'running' && job.nextRunAt <= now())
+      .sort((a, b) => a.nextRunAt - b.nextRunAt)
+    let started = 0
+    for (const job of due) {
+      if (!hasCapacity(job.options)) break
+      run(job)
+      started++
+    }
+    if (started > 0) persistQuietly()
+  }
+
+  /**
+   * Add a job; its first run is due at once.
+   * @param {{ target: string, options: import('../validation.js').TraceOptions, intervalMinutes: number }} spec - Validated
+   * @returns {Promise<JobSnapshot>}
+   */
+  async function create({ target, options, intervalMinutes }) {
+    await ready
+    const createdAt = now()
+    const job = { id: randomUUID(), target, options, intervalMinutes, paused: false, createdAt, nextRunAt: createdAt, runs: 0, lastRun: null }
+    put(job)
+    await persist()
+    tick()
+    return snapshot(jobs.get(job.id))
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<JobSnapshot|null>} null for an unknown id
+   */
+  async function pause(id) {
+    await ready
+    const job = jobs.get(id)
+    if (!job) return null
+    if (!job.paused) {
+      put({ ...job, paused: true, nextRunAt: null })
+      await persist()
+    }
+    return snapshot(jobs.get(id))
+  }
+
+  /**
+   * Resume a paused job; its next run is due at once.
+   * @param {string} id
+   * @returns {Promise<JobSnapshot|null>} null for an unknown id
+   */
+  async function resume(id) {
+    await ready
+    const job = jobs.get(id)
+    if (!job) return null
+    if (job.paused) {
+      put({ ...job, paused: false, nextRunAt: now() })
+      await persist()
+      tick()
+    }
+    return snapshot(jobs.get(id))
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} false for an unknown id
+   */
+  async function remove(id) {
+    await ready
+    if (!jobs.delete(id)) return false
+    onChange(snapshots())
+    await persist()
+    return true
+  }
+
+  /** @returns {Promise<JobSnapshot[]>} In creation order */
+  async function list() {
+    await ready
+    return snapshots()
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<JobSnapshot|null>}
+   */
+  async function get(id) {
+    await ready
+    const job = jobs.get(id)
+    return job ? snapshot(job) : null
+  }
+
+  /** Run due jobs now and every tickMs after; the timer does not keep the process alive. */
+  async function start() {
+    await ready
+    tick()
+    timer ??= setInterval(tick, tickMs)
+    timer.unref?.()
+  }
+
+  /**
+   * Stop the timer; runs in progress still finish and are recorded.
+   * @returns {Promise<void>} Resolves once pending writes are on disk
+   */
+  function stop() {
+    clearInterval(timer)
+    timer = null
+    return queue
+  }
+
+  return Object.freeze({ create, pause, resume, remove, list, get, tick, start, stop })
+}
@@ -0,0 +1,220 @@
+/**
+ * Headless trace sessions for the REST API.
+ *
+ * A session runs one trace with no socket attached and keeps everything
+ * it produced, so a client can poll it (get) or stream it (subscribe).
+ * Subscribers first receive every event so far, then live events, so
+ * a stream opened late — or after the trace ended — misses nothing.
+ *
+ * A session ends only once its intel lookups have settled and the trace
+ * has been saved to history: "complete" means the data is final.
+ *
+ * Event stream (each { event, data }):
+ *   hop        — enriched hop, as on the socket's trace-hop
+ *   reclassify — a hop whose verdict a later hop or a location changed, as on trace-reclassify
+ *   intel      — { hop, ip, hostname, org, country, asn, netrange, geo }
+ *   error      — { message }
+ *   alert      — a regression against the target's baseline, once the trace is saved
+ *   complete   — { status, historyId }
+ */
+
+import { randomUUID } from 'node:crypto'
+import { createPathClassifier } from '../tracer/pathClassifier.js'
+import { createTraceRecorder } from '../history/recorder.js'
+
+/**
+ * @typedef {{
+ *   id: string, target: string, options: object,
+ *   status: 'running' | 'complete' | 'failed',
+ *   startedAt: string, completedAt: string|null, historyId: string|null,
+ *   hops: object[], intel: object[], errors: string[], alerts: object[],
+ * }} SessionSnapshot
+ */
+
+/** @typedef {{ event: 'hop'|'reclassify'|'intel'|'error'|'alert'|'complete', data: object }} SessionEvent */
+
+/**
+ * @param {{
+ *   runnerFor: (options: object) => (target: string, callbacks: object, options: object) => { cancel: () => void },
+ *   lookupIntel: (ip: string, hostname: string|null) => Promise<object|null>,
+ *   save?: (record: object) => Promise<string|null>,
+ *   checkBaseline?: (record: object) => Promise<object[]>,
+ *   onSaved?: (record: object, origin: string) => void,
+ *   maxKept?: number,
+ *   now?: () => number,
+ * }} deps
+ *   runnerFor     — picks the trace runner for validated options (runTrace & co.)
+ *   lookupIntel   — intel for one responder, null when there is none
+ *   save          — persists a finished record, resolving to its history id
+ *   checkBaseline — regressions of a saved record against its target's baseline
+ *   onSaved       — told of each saved record (with its id) and its session's origin, e.g. to notify outside systems
+ *   maxKept       — finished sessions retained for polling, oldest dropped first
+ */
+export function createTraceSessions({
+  runnerFor, lookupIntel, save = async () => null, checkBaseline = async () => [], onSaved = () => {},
+  maxKept = 100, now = Date.now,
+}) {
+  /** @type {Map<string, object>} Insertion order = start order */
+  const sessions = new Map()
+
+  /** Drop the oldest finished sessions beyond maxKept. Running ones are never dropped. */
+  function prune() {
+    const finished = [...sessions.values()].filter((s) => s.status !== 'running')
+    for (const session of finished.slice(0, Math.max(0, finished.length - maxKept))) {
+      sessions.delete(session.id)
+    }
+  }
+
+  /**
+   * @param {object} session
+   * @returns {SessionSnapshot}
+   */
+  function snapshot(session) {
+    const of = (name) => session.log.filter((e) => e.event === name).map((e) => e.data)
+    const revised = new Map(of('reclassify').map((hop) => [hop.hop, hop]))
+    return Object.freeze({
+      id: session.id,
+      target: session.target,
+      options: session.options,
+      status: session.status,
+      startedAt: new Date(session.startedAt).toISOString(),
+      completedAt: session.completedAt !== null ? new Date(session.completedAt).toISOString() : null,
+      historyId: session.historyId,
+      hops: of('hop').map((hop) => revised.get(hop.hop) ?? hop),
+      intel: of('intel'),
+      errors: of('error').map((e) => e.message),
+      alerts: of('alert'),
+    })
+  }
+
+  /**
+   * @param {object} session
+   * @param {SessionEvent['event']} event
+   * @param {object} data
+   */
+  function publish(session, event, data) {
+    const entry = Object.freeze({ event, data: Object.freeze(data) })
+    session.log.push(entry)
+    for (const listener of session.listeners) listener(entry)
+  }
+
+  /**
+   * Start a trace. The caller has already validated target and options
+   * and checked capacity (runningCount).
+   * @param {string} target
+   * @param {import('../validation.js').TraceOptions} options - single or multipath
+   * @param {string} [origin] - Who started it, handed back to onSaved (e.g. "job:<id>")
+   * @returns {SessionSnapshot}
+   */
+  function start(target, options, origin = 'api') {
+    const session = {
+      id: randomUUID(),
+      target,
+      options,
+      origin,
+      status: 'running',
+      startedAt: now(),
+      completedAt: null,
+      historyId: null,
+      log: [],
+      listeners: new Set(),
+    }
+    sessions.set(session.id, session)
+    prune()
+
+    const recorder = createTraceRecorder(target, options, now)
+    const classifier = createPathClassifier(options.classifier)
+
+    runnerFor(options)(target, {
+      onHop(rawHop) {
+        const { hop, revised } = classifier.add(rawHop)
+        publish(session, 'hop', hop)
+        recorder.hop(hop)
+        for (const earlier of revised) {
+          publish(session, 'reclassify', earlier)
+          recorder.revise(earlier)
+        }
+
+        for (const responder of hop.responders) {
+          const lookup = lookupIntel(responder.ip, responder.hostname).then((intel) => {
+            if (!intel) return
+            const payload = { hop: hop.hop, ...intel }
+            publish(session, 'intel', payload)
+            recorder.intel(payload)
+            for (const changed of classifier.locate(intel)) {
+              publish(session, 'reclassify', changed)
+              recorder.revise(changed)
+            }
+          }).catch(() => {
+            // Silent: intel is enhancement, not critical path
+          })
+          recorder.track(lookup)
+        }
+      },
+      onRaw(line) {
+        recorder.raw(line)
+      },
+      onError(message) {
+        publish(session, 'error', { message })
+      },
+      async onComplete() {
+        let historyId = null
+        let record = null
+        try {
+          record = await recorder.finish()
+          if (record) historyId = await save(record)
+        } catch (err) {
+          process.stderr.write(`History save failed: ${err.message}\n`)
+        }
+        if (historyId) {
+          onSaved({ ...record, id: historyId }, session.origin)
+          try {
+            for (const alert of await checkBaseline({ ...record, id: historyId })) publish(session, 'alert', alert)
+          } catch (err) {
+            process.stderr.write(`Baseline check failed: ${err.message}\n`)
+          }
+        }
+
+        session.status = session.log.some((e) => e.event === 'hop') ? 'complete' : 'failed'
+        session.completedAt = now()
+        session.historyId = historyId
+        publish(session, 'complete', { status: session.status, historyId })
+        session.listeners.clear()
+        prune()
+      },
+    }, options)
+
+    return snapshot(session)
+  }
+
+  /**
+   * @param {string} id
+   * @returns {SessionSnapshot|null}
+   */
+  function get(id) {
+    const session = sessions.get(id)
+    return session ? snapshot(session) : null
+  }
+
+  /**
+   * Receive a session's events: everything so far at once, then live
+   * ones until "complete" (after which the listener is dropped).
+   * @param {string} id
+   * @param {(entry: SessionEvent) => void} listener
+   * @returns {(() => void)|null} Unsubscribe, or null for an unknown id
+   */
+  function subscribe(id, listener) {
+    const session = sessions.get(id)
+    if (!session) return null
+    for (const entry of session.log) listener(entry)
+    if (session.status === 'running') session.listeners.add(listener)
+    return () => session.listeners.delete(listener)
+  }
+
+  /** @returns {number} Sessions still tracing (or settling intel) */
+  function runningCount() {
+    return [...sessions.values()].filter((s) => s.status === 'running').length
+  }
+
+  return Object.freeze({ start, get, subscribe, runningCount })
+}
@@ -0,0 +1,232 @@
+/**
+ * neon-ping CLI: one trace (or monitor loop) straight from Node, no server.
+ *
+ * Runs the same pipeline as the socket handler — runner → path classifier →
+ * gatherIntel — and renders it as a hop table:
+ *
+ *   terminal   — the table redraws in place as hops and intel arrive
+ *   piped      — the finished table is printed once (per cycle when monitoring)
+ *   --json     — the trace as one JSON document, shaped like a history record;
+ *                with --monitor, one JSON line per completed cycle
+ */
+
+import { runTrace, runMultipathTrace } from '../tracer/runner.js'
+import { runNativeTrace } from '../tracer/native.js'
+import { runMonitor } from '../tracer/monitor.js'
+import { createCycleClassifier, createPathClassifier } from '../tracer/pathClassifier.js'
+import { gatherIntel } from '../intel/gatherer.js'
+import { createTraceRecorder } from '../history/recorder.js'
+import { renderReasons, renderTable } from './table.js'
+
+/** Batch redraws: hops and intel often land within a few ms of each other. */
+const REDRAW_DELAY_MS = 50
+
+/**
+ * @param {import('../validation.js').TraceOptions} options
+ */
+function pickRunner({ mode, engine }) {
+  if (mode === 'multipath') return runMultipathTrace
+  return engine === 'native' ? runNativeTrace : runTrace
+}
+
+/**
+ * Start the trace described by parsed CLI arguments.
+ *
+ * @param {import('./args.js').CliRequest} request
+ * @param {{
+ *   stdout?: NodeJS.WriteStream, stderr?: NodeJS.WriteStream,
+ *   env?: Record<string, string|undefined>,
+ *   lookupIntel?: typeof gatherIntel,
+ * }} [io]
+ * @returns {{ cancel: () => void, done: Promise<number> }} done resolves to the exit code
+ */
+export function runCli(request, { stdout = process.stdout, stderr = process.stderr, env = process.env, lookupIntel = gatherIntel } = {}) {
+  const { target, options, json, intel: withIntel } = request
+  const monitor = options.mode === 'monitor'
+  const live = !json && Boolean(stdout.isTTY)
+  const color = request.color && Boolean(stdout.isTTY) && !env.NO_COLOR
+
+  /** @type {Map<number, import('./table.js').TableRow>} Latest row per TTL */
+  const rows = new Map()
+  /** @type {Map<string, object>} Intel per responder IP */
+  const intelByIp = new Map()
+  const errors = []
+  let cycle = 0
+  let drawnLines = 0
+  let redrawTimer = null
+  let finished = false
+  let resolveDone
+  const done = new Promise((resolve) => { resolveDone = resolve })
+
+  // ── Rendering ──────────────────────────────────────────
+
+  function frame() {
+    const title = monitor ? `neon-ping ${target}  cycle ${cycle}` : `neon-ping ${target}`
+    const width = stdout.columns || Infinity
+    const table = renderTable([...rows.values()].map((row) => ({ ...row, intel: intelByIp.get(row.ip) ?? null })), {
+      monitor, color, width,
+    })
+    return [title, ...table, ...renderReasons([...rows.values()], { width }), ...errors.map((message) => `! ${message}`)]
+  }
+
+  /** Replace the previous frame with the current one. */
+  function redraw() {
+    clearTimeout(redrawTimer)
+    redrawTimer = null
+    const lines = frame()
+    const rewind = drawnLines > 0 ? `\x1b[${drawnLines}F\x1b[J` : ''
+    stdout.write(`${rewind}${lines.join('\n')}\n`)
+    drawnLines = lines.length
+  }
+
+  function scheduleRedraw() {
+    if (live && !finished && !redrawTimer) redrawTimer = setTimeout(redraw, REDRAW_DELAY_MS)
+  }
+
+  /** Piped output: print a finished table, blank-line separated. */
+  function printTable() {
+    stdout.write(`${frame().join('\n')}\n\n`)
+  }
+
+  // ── Trace events ───────────────────────────────────────
+
+  /**
+   * @param {import('../tracer/parser.js').HopResult & { type: string }} hop
+   * @param {{
+   *   classifier: { locate: (intel: object) => object[] },
+   *   stats?: object, revise?: (hop: object) => void,
+   * }} context - stats: monitor mode running stats; revise: for hops a location re-judged
+   * @returns {Promise<object|null>[]} In-flight intel lookups, resolving to trace-intel payloads
+   */
+  function acceptHop(hop, { classifier, stats, revise = reviseHop }) {
+    rows.set(hop.hop, stats ? { ...hop, stats } : hop)
+    scheduleRedraw()
+    if (!withIntel) return []
+
+    return hop.responders
+      .filter((r) => !intelByIp.has(r.ip))
+      .map((r) => {
+        intelByIp.set(r.ip, null)  // Claim the IP so each is looked up once
+        return lookupIntel(r.ip, r.hostname).then((intel) => {
+          if (!intel) return null
+          intelByIp.set(r.ip, intel)
+          for (const changed of classifier.locate(intel)) revise(changed)
+          scheduleRedraw()
+          return { hop: hop.hop, ...intel }
+        }).catch(() => null)  // Silent: intel is enhancement, not critical path
+      })
+  }
+
+  /**
+   * A later hop changed this earlier hop's verdict.
+   * @param {import('../tracer/parser.js').HopResult & { type: string }} hop
+   */
+  function reviseHop(hop) {
+    const row = rows.get(hop.hop)
+    rows.set(hop.hop, row?.stats ? { ...hop, stats: row.stats } : hop)
+    scheduleRedraw()
+  }
+
+  /** @param {string} message */
+  function acceptError(message) {
+    if (live) {
+      errors.push(message)
+      scheduleRedraw()
+    } else {
+      stderr.write(`neon-ping: ${message}\n`)
+    }
+  }
+
+  /** @param {number} code */
+  function finish(code) {
+    if (finished) return
+    finished = true
+    if (live) redraw()
+    resolveDone(code)
+  }
+
+  // ── Monitor ────────────────────────────────────────────
+
+  if (monitor) {
+    const classifier = createCycleClassifier(options.classifier)
+    const run = runMonitor(target, {
+      onCycle(n) {
+        cycle = n
+        classifier.nextCycle()  // Each cycle is classified as a fresh path
+        scheduleRedraw()
+      },
+      onHop(rawHop, stats) {
+        const { hop, revised } = classifier.add(rawHop)
+        for (const earlier of revised) reviseHop(earlier)
+        acceptHop(hop, { classifier, stats })
+      },
+      onRaw() {},
+      onError: acceptError,
+      onCycleComplete(n) {
+        if (json) {
+          const hops = [...rows.values()].sort((a, b) => a.hop - b.hop).map(({ stats, ...hop }) => ({
+            ...hop, ...stats, intel: intelByIp.get(hop.ip) ?? null,
+          }))
+          stdout.write(`${JSON.stringify({ target, cycle: n, at: new Date().toISOString(), hops })}\n`)
+        } else if (!live) {
+          printTable()
+        }
+      },
+    }, options)
+
+    return {
+      cancel() {
+        run.cancel()
+        finish(0)
+      },
+      done,
+    }
+  }
+
+  // ── Single / multipath ─────────────────────────────────
+
+  const recorder = createTraceRecorder(target, options)
+  const classifier = createPathClassifier(options.classifier)
+  const revise = (hop) => {
+    recorder.revise(hop)
+    reviseHop(hop)
+  }
+
+  async function complete(code) {
+    const record = await recorder.finish()
+    if (finished) return
+    if (json) {
+      stdout.write(`${JSON.stringify(record ?? { target, options, hops: [], intel: [] }, null, 2)}\n`)
+    } else if (!live && record) {
+      printTable()
+    }
+    finish(record || code !== 0 ? code : 1)
+  }
+
+  const run = pickRunner(options)(target, {
+    onHop(rawHop) {
+      const { hop, revised } = classifier.add(rawHop)
+      recorder.hop(hop)
+      for (const earlier of revised) revise(earlier)
+      for (const lookup of acceptHop(hop, { classifier, revise })) {
+        recorder.track(lookup.then((payload) => { if (payload) recorder.intel(payload) }))
+      }
+    },
+    onRaw(line) {
+      recorder.raw(line)
+    },
+    onError: acceptError,
+    onComplete() {
+      complete(0)
+    },
+  }, options)
+
+  return {
+    // Ctrl+C: stop probing but still show (or emit) whatever was collected
+    cancel() {
+      run.cancel()
+      complete(130)
+    },
+    done,
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * neon-ping command-line arguments → validated target and trace options.
+ *
+ * Flags mirror traceroute's where one exists (-m, -q, -w, -f, -p, -P),
+ * and every value goes through the same validators as the web UI, so the
+ * CLI accepts exactly what a browser client could send.
+ */
+
+import { parseArgs } from 'node:util'
+import { validateTarget, validateTraceOptions } from '../validation.js'
+
+export const USAGE = `Usage: neon-ping [options] <target>
+
+Trace the route to <target> and render each hop as a live, colored table.
+
+Modes:
+      --monitor            Re-probe every --interval seconds with mtr-style stats (Ctrl+C stops)
+      --multipath          Map every load-balanced path (Linux traceroute only)
+      --json               Machine-readable output instead of the table
+                           (one document per trace; one line per cycle with --monitor)
+
+Probes:
+  -4, -6                   Force IPv4 / IPv6
+  -P, --protocol <proto>   udp (default), icmp or tcp
+  -p, --port <port>        Destination port (tcp / udp)
+  -m, --max-hops <n>       Maximum TTL (default 30)
+  -q, --probes <n>         Probes per hop (default 3)
+  -w, --wait <sec>         Seconds to wait for each reply
+  -f, --first-ttl <n>      TTL to start from
+      --packet-size <n>    Probe packet size in bytes
+      --interval <sec>     Seconds between monitor cycles (default 10)
+      --native             Send probes from Node (needs raw-socket and CAP_NET_RAW)
+      --dns                Let traceroute resolve hop names
+      --mpls               Show MPLS label stacks and LSP tunnels (Linux traceroute -e)
+
+Output:
+      --classifier <name>  statistical (default), distance (allow for the fiber
+                           distance between located hops) or threshold (the fixed +100 ms rule)
+      --no-intel           Skip DNS / WHOIS lookups
+      --no-color           Plain text (also when NO_COLOR is set or output is not a terminal)
+  -h, --help               Show this help`
+
+const FLAGS = Object.freeze({
+  monitor:       { type: 'boolean' },
+  multipath:     { type: 'boolean' },
+  json:          { type: 'boolean' },
+  ipv4:          { type: 'boolean', short: '4' },
+  ipv6:          { type: 'boolean', short: '6' },
+  protocol:      { type: 'string', short: 'P' },
+  port:          { type: 'string', short: 'p' },
+  'max-hops':    { type: 'string', short: 'm' },
+  probes:        { type: 'string', short: 'q' },
+  wait:          { type: 'string', short: 'w' },
+  'first-ttl':   { type: 'string', short: 'f' },
+  'packet-size': { type: 'string' },
+  interval:      { type: 'string' },
+  native:        { type: 'boolean' },
+  dns:           { type: 'boolean' },
+  mpls:          { type: 'boolean' },
+  classifier:    { type: 'string' },
+  'no-intel':    { type: 'boolean' },
+  'no-color':    { type: 'boolean' },
+  help:          { type: 'boolean', short: 'h' },
+})
+
+/** Numeric flags → TraceOptions keys. Range checks are left to validateTraceOptions. */
+const NUMERIC_FLAGS = Object.freeze({
+  port:          'port',
+  'max-hops':    'maxHops',
+  probes:        'probes',
+  wait:          'wait',
+  'first-ttl':   'firstTtl',
+  'packet-size': 'packetSize',
+  interval:      'interval',
+})
+
+/**
+ * @typedef {{
+ *   target: string,
+ *   options: import('../validation.js').TraceOptions,
+ *   json: boolean, intel: boolean, color: boolean,
+ * }} CliRequest
+ */
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ ok: true, help: true } | { ok: true, help: false, request: CliRequest } | { ok: false, error: string }}
+ */
+export function parseCliArgs(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: FLAGS, allowPositionals: true, strict: true })
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+  const { values, positionals } = parsed
+
+  if (values.help) return { ok: true, help: true }
+
+  if (positionals.length !== 1) {
+    return { ok: false, error: positionals.length === 0 ? 'A target is required' : 'Only one target can be traced at a time' }
+  }
+  if (values.ipv4 && values.ipv6) return { ok: false, error: '-4 and -6 cannot be combined' }
+  if (values.monitor && values.multipath) return { ok: false, error: '--monitor and --multipath cannot be combined' }
+
+  const raw = {
+    family: values.ipv4 ? 'ipv4' : values.ipv6 ? 'ipv6' : 'auto',
+    resolveNames: values.dns ?? false,
+    mpls: values.mpls ?? false,
+    mode: values.monitor ? 'monitor' : values.multipath ? 'multipath' : 'single',
+    engine: values.native ? 'native' : 'system',
+    ...(values.protocol !== undefined && { protocol: values.protocol }),
+    ...(values.classifier !== undefined && { classifier: values.classifier }),
+  }
+  for (const [flag, key] of Object.entries(NUMERIC_FLAGS)) {
+    if (values[flag] === undefined) continue
+    if (!/^\d+$/.test(values[flag])) return { ok: false, error: `--${flag} must be a whole number` }
+    raw[key] = Number(values[flag])
+  }
+
+  const optionValidation = validateTraceOptions(raw)
+  if (!optionValidation.valid) return { ok: false, error: optionValidation.error }
+
+  const targetValidation = validateTarget(positionals[0])
+  if (!targetValidation.valid) return { ok: false, error: targetValidation.error }
+
+  return {
+    ok: true,
+    help: false,
+    request: Object.freeze({
+      target: targetValidation.target,
+      options: optionValidation.options,
+      json: values.json ?? false,
+      intel: !values['no-intel'],
+      color: !values['no-color'],
+    }),
+  }
+}
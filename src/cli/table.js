@@ -0,0 +1,185 @@
+/**
+ * Terminal hop table for the neon-ping CLI.
+ *
+ * Same vocabulary as the 3D view: the RTT columns take the latency color
+ * (green / yellow / red / grey) and the TYPE column the hop-type accent,
+ * both from public/js/network/colors.js, as 24-bit ANSI escapes.
+ *
+ *   single  — HOP HOST RTT TYPE ASN ORG
+ *   monitor — HOP HOST LOSS% SNT LAST AVG BEST WRST STDEV TYPE ASN ORG  (mtr's columns)
+ *
+ * Below the table, renderReasons() lists why the classifier flagged or
+ * cleared a latency spike.
+ *
+ * Pure: rows in, string out. The caller owns the terminal.
+ */
+
+import { resolveColor, TYPE_COLORS } from '../../public/js/network/colors.js'
+
+const RESET = '\x1b[0m'
+const DIM   = '\x1b[2m'
+
+/** The host column never grows past this; longer names are cut with "…". */
+const MAX_HOST_WIDTH = 40
+
+/**
+ * @typedef {{
+ *   hop: number, ip: string|null, hostname: string|null,
+ *   latencies: number[], timedOut: boolean,
+ *   responders?: { ip: string, hostname: string|null }[],
+ *   type: string,
+ *   reason?: string|null,
+ *   tunnel?: { hidden: boolean },
+ *   stats?: { loss: number, sent: number, last: number|null, avg: number|null,
+ *             best: number|null, worst: number|null, stdev: number|null },
+ *   intel?: { asn: string|null, org: string|null }|null,
+ * }} TableRow
+ */
+
+/**
+ * @param {number} hex - 0xRRGGBB
+ * @param {string} text
+ * @returns {string}
+ */
+function paint(hex, text) {
+  return `\x1b[38;2;${(hex >> 16) & 0xff};${(hex >> 8) & 0xff};${hex & 0xff}m${text}${RESET}`
+}
+
+/**
+ * @param {string} text
+ * @param {number} width
+ * @returns {string} text cut to width, ending in "…" when cut
+ */
+function truncate(text, width) {
+  if (width <= 0) return ''
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text
+}
+
+/**
+ * @param {number|null} value - ms
+ * @returns {string}
+ */
+function ms(value) {
+  return value === null || value === undefined ? '-' : value.toFixed(1)
+}
+
+/**
+ * Host cell: "name (ip)" when named, "*" for a silent hop, and "+N" when
+ * several routers answered the TTL.
+ * @param {TableRow} row
+ * @returns {string}
+ */
+function hostLabel(row) {
+  if (!row.ip) return '*'
+  const label = row.hostname && row.hostname !== row.ip ? `${row.hostname} (${row.ip})` : row.ip
+  const others = (row.responders?.length ?? 1) - 1
+  return others > 0 ? `${label} +${others}` : label
+}
+
+/**
+ * @param {TableRow} row
+ * @returns {number} Hex color for the row's latency cells
+ */
+function latencyColor(row) {
+  if (row.stats) return resolveColor(row.stats.avg === null ? [] : [row.stats.avg], row.stats.avg === null)
+  return resolveColor(row.latencies, row.timedOut)
+}
+
+/**
+ * @param {TableRow} row
+ * @returns {string}
+ */
+function rttLabel(row) {
+  if (row.timedOut || row.latencies.length === 0) return '*'
+  return row.latencies.map((v) => v.toFixed(1)).join(' ') + ' ms'
+}
+
+/**
+ * TYPE cell: the hop type, tagged when the hop sits in an MPLS tunnel.
+ * @param {TableRow} row
+ * @returns {string} e.g. "normal", "normal [LSP]", "normal [HIDDEN LSP]"
+ */
+function typeLabel(row) {
+  if (!row.tunnel) return row.type
+  return `${row.type} [${row.tunnel.hidden ? 'HIDDEN LSP' : 'LSP'}]`
+}
+
+/**
+ * Column definitions. `cell` returns plain text; `color` (optional) picks
+ * the hex it is painted in, or null to leave it plain. The last column
+ * absorbs whatever width is left.
+ */
+const COLUMNS = Object.freeze({
+  hop:   { title: 'HOP',   align: 'right', cell: (r) => String(r.hop) },
+  host:  { title: 'HOST',  align: 'left',  cell: hostLabel, max: MAX_HOST_WIDTH },
+  rtt:   { title: 'RTT',   align: 'left',  cell: rttLabel, color: latencyColor },
+  loss:  { title: 'LOSS%', align: 'right', cell: (r) => r.stats.loss.toFixed(1), color: (r) => (r.stats.loss > 0 ? TYPE_COLORS.lossy : null) },
+  sent:  { title: 'SNT',   align: 'right', cell: (r) => String(r.stats.sent) },
+  last:  { title: 'LAST',  align: 'right', cell: (r) => ms(r.stats.last), color: latencyColor },
+  avg:   { title: 'AVG',   align: 'right', cell: (r) => ms(r.stats.avg), color: latencyColor },
+  best:  { title: 'BEST',  align: 'right', cell: (r) => ms(r.stats.best), color: latencyColor },
+  worst: { title: 'WRST',  align: 'right', cell: (r) => ms(r.stats.worst), color: latencyColor },
+  stdev: { title: 'STDEV', align: 'right', cell: (r) => ms(r.stats.stdev) },
+  type:  { title: 'TYPE',  align: 'left',  cell: typeLabel, color: (r) => TYPE_COLORS[r.type] ?? latencyColor(r) },
+  asn:   { title: 'ASN',   align: 'left',  cell: (r) => r.intel?.asn ?? '' },
+  org:   { title: 'ORG',   align: 'left',  cell: (r) => r.intel?.org ?? '' },
+})
+
+const SINGLE_LAYOUT  = Object.freeze(['hop', 'host', 'rtt', 'type', 'asn', 'org'])
+const MONITOR_LAYOUT = Object.freeze(['hop', 'host', 'loss', 'sent', 'last', 'avg', 'best', 'worst', 'stdev', 'type', 'asn', 'org'])
+
+const GAP = '  '
+
+/**
+ * Render the hop table, header first, rows ordered by TTL.
+ *
+ * @param {TableRow[]} rows
+ * @param {{ monitor?: boolean, color?: boolean, width?: number }} [options]
+ *   monitor — mtr-style stats columns (rows must carry `stats`)
+ *   color   — ANSI colors (off: plain text)
+ *   width   — terminal columns; the last column is cut to fit (default: no limit)
+ * @returns {string[]} One string per line, without newlines
+ */
+export function renderTable(rows, { monitor = false, color = true, width = Infinity } = {}) {
+  const layout = (monitor ? MONITOR_LAYOUT : SINGLE_LAYOUT).map((key) => COLUMNS[key])
+  const sorted = [...rows].sort((a, b) => a.hop - b.hop)
+  const cells = sorted.map((row) => layout.map((col) => truncate(col.cell(row), col.max ?? Infinity)))
+
+  const widths = layout.map((col, i) => Math.max(col.title.length, ...cells.map((line) => line[i].length)))
+  const lastIndex = layout.length - 1
+  const lastWidth = width - widths.slice(0, lastIndex).reduce((sum, w) => sum + w + GAP.length, 0)
+
+  /**
+   * @param {string[]} texts
+   * @param {(text: string, i: number) => string} decorate
+   */
+  const line = (texts, decorate) => texts.map((text, i) => {
+    if (i === lastIndex) return decorate(truncate(text, lastWidth), i)
+    const padded = layout[i].align === 'right' ? text.padStart(widths[i]) : text.padEnd(widths[i])
+    return decorate(padded, i)
+  }).join(GAP).trimEnd()
+
+  const header = line(layout.map((col) => col.title), (text) => (color ? `${DIM}${text}${RESET}` : text))
+  const body = sorted.map((row, r) => line(cells[r], (text, i) => {
+    const hex = color && text.trim() ? layout[i].color?.(row) : null
+    return hex != null ? paint(hex, text) : text
+  }))
+
+  return [header, ...body]
+}
+
+/**
+ * Notes for the rows whose latency verdict has a reason: a hostile spike,
+ * or one the classifier cleared. Status reasons (ghost, lossy …) are left
+ * out — the TYPE column already says them.
+ *
+ * @param {TableRow[]} rows
+ * @param {{ width?: number }} [options] - width: terminal columns; notes are cut to fit
+ * @returns {string[]} e.g. "  hop 2: +180 ms over hop 1 persists downstream (…)"
+ */
+export function renderReasons(rows, { width = Infinity } = {}) {
+  return [...rows]
+    .filter((row) => row.reason && (row.type === 'hostile' || row.type === 'normal'))
+    .sort((a, b) => a.hop - b.hop)
+    .map((row) => truncate(`  hop ${row.hop}: ${row.reason}`, width))
+}
@@ -0,0 +1,127 @@
+/**
+ * PoP location codes seen in router rDNS names, with city coordinates.
+ *
+ * Carriers name routers after the nearest airport (IATA: "lax", "fra",
+ * "nrt") or a metro code ("nyc", "lon", "tyo"). Only cities that commonly
+ * host backbone PoPs are listed — a short table keeps false matches on
+ * ordinary hostname words rare.
+ *
+ * Coordinates are the city, not the airport: good enough for a globe.
+ */
+
+/** @typedef {{ city: string, country: string, latitude: number, longitude: number }} PopCity */
+
+/** @type {(city: string, country: string, latitude: number, longitude: number) => PopCity} */
+const pop = (city, country, latitude, longitude) => Object.freeze({ city, country, latitude, longitude })
+
+/** @type {Readonly<Record<string, PopCity>>} Lowercase code → city */
+export const POP_CODES = Object.freeze({
+  // North America
+  atl: pop('Atlanta', 'US', 33.75, -84.39),
+  bos: pop('Boston', 'US', 42.36, -71.06),
+  chi: pop('Chicago', 'US', 41.88, -87.63),
+  ord: pop('Chicago', 'US', 41.88, -87.63),
+  dfw: pop('Dallas', 'US', 32.78, -96.8),
+  dal: pop('Dallas', 'US', 32.78, -96.8),
+  den: pop('Denver', 'US', 39.74, -104.99),
+  iad: pop('Ashburn', 'US', 39.04, -77.49),
+  was: pop('Washington', 'US', 38.91, -77.04),
+  dca: pop('Washington', 'US', 38.91, -77.04),
+  jfk: pop('New York', 'US', 40.71, -74.01),
+  lga: pop('New York', 'US', 40.71, -74.01),
+  ewr: pop('Newark', 'US', 40.74, -74.17),
+  nyc: pop('New York', 'US', 40.71, -74.01),
+  lax: pop('Los Angeles', 'US', 34.05, -118.24),
+  mia: pop('Miami', 'US', 25.76, -80.19),
+  msp: pop('Minneapolis', 'US', 44.98, -93.27),
+  phx: pop('Phoenix', 'US', 33.45, -112.07),
+  pdx: pop('Portland', 'US', 45.52, -122.68),
+  sea: pop('Seattle', 'US', 47.61, -122.33),
+  sfo: pop('San Francisco', 'US', 37.77, -122.42),
+  sjc: pop('San Jose', 'US', 37.34, -121.89),
+  slc: pop('Salt Lake City', 'US', 40.76, -111.89),
+  iah: pop('Houston', 'US', 29.76, -95.37),
+  hou: pop('Houston', 'US', 29.76, -95.37),
+  yyz: pop('Toronto', 'CA', 43.65, -79.38),
+  tor: pop('Toronto', 'CA', 43.65, -79.38),
+  yul: pop('Montreal', 'CA', 45.5, -73.57),
+  yvr: pop('Vancouver', 'CA', 49.28, -123.12),
+  mex: pop('Mexico City', 'MX', 19.43, -99.13),
+
+  // South America
+  gru: pop('São Paulo', 'BR', -23.55, -46.63),
+  sao: pop('São Paulo', 'BR', -23.55, -46.63),
+  gig: pop('Rio de Janeiro', 'BR', -22.91, -43.17),
+  eze: pop('Buenos Aires', 'AR', -34.6, -58.38),
+  bue: pop('Buenos Aires', 'AR', -34.6, -58.38),
+  scl: pop('Santiago', 'CL', -33.45, -70.67),
+  bog: pop('Bogotá', 'CO', 4.71, -74.07),
+  lim: pop('Lima', 'PE', -12.05, -77.04),
+
+  // Europe
+  ams: pop('Amsterdam', 'NL', 52.37, 4.9),
+  arn: pop('Stockholm', 'SE', 59.33, 18.07),
+  sto: pop('Stockholm', 'SE', 59.33, 18.07),
+  bru: pop('Brussels', 'BE', 50.85, 4.35),
+  cdg: pop('Paris', 'FR', 48.86, 2.35),
+  par: pop('Paris', 'FR', 48.86, 2.35),
+  cph: pop('Copenhagen', 'DK', 55.68, 12.57),
+  dub: pop('Dublin', 'IE', 53.35, -6.26),
+  dus: pop('Düsseldorf', 'DE', 51.23, 6.77),
+  fra: pop('Frankfurt', 'DE', 50.11, 8.68),
+  ham: pop('Hamburg', 'DE', 53.55, 9.99),
+  hel: pop('Helsinki', 'FI', 60.17, 24.94),
+  lhr: pop('London', 'GB', 51.51, -0.13),
+  lon: pop('London', 'GB', 51.51, -0.13),
+  lis: pop('Lisbon', 'PT', 38.72, -9.14),
+  mad: pop('Madrid', 'ES', 40.42, -3.7),
+  man: pop('Manchester', 'GB', 53.48, -2.24),
+  mil: pop('Milan', 'IT', 45.46, 9.19),
+  mxp: pop('Milan', 'IT', 45.46, 9.19),
+  muc: pop('Munich', 'DE', 48.14, 11.58),
+  osl: pop('Oslo', 'NO', 59.91, 10.75),
+  prg: pop('Prague', 'CZ', 50.08, 14.44),
+  vie: pop('Vienna', 'AT', 48.21, 16.37),
+  waw: pop('Warsaw', 'PL', 52.23, 21.01),
+  zrh: pop('Zurich', 'CH', 47.38, 8.54),
+  mow: pop('Moscow', 'RU', 55.76, 37.62),
+  svo: pop('Moscow', 'RU', 55.76, 37.62),
+  ist: pop('Istanbul', 'TR', 41.01, 28.98),
+
+  // Middle East & Africa
+  dxb: pop('Dubai', 'AE', 25.2, 55.27),
+  tlv: pop('Tel Aviv', 'IL', 32.09, 34.78),
+  jnb: pop('Johannesburg', 'ZA', -26.2, 28.05),
+  cpt: pop('Cape Town', 'ZA', -33.92, 18.42),
+  nbo: pop('Nairobi', 'KE', -1.29, 36.82),
+  los: pop('Lagos', 'NG', 6.52, 3.38),
+  cai: pop('Cairo', 'EG', 30.04, 31.24),
+
+  // Asia-Pacific
+  nrt: pop('Tokyo', 'JP', 35.68, 139.69),
+  hnd: pop('Tokyo', 'JP', 35.68, 139.69),
+  tyo: pop('Tokyo', 'JP', 35.68, 139.69),
+  kix: pop('Osaka', 'JP', 34.69, 135.5),
+  osa: pop('Osaka', 'JP', 34.69, 135.5),
+  icn: pop('Seoul', 'KR', 37.57, 126.98),
+  sel: pop('Seoul', 'KR', 37.57, 126.98),
+  hkg: pop('Hong Kong', 'HK', 22.32, 114.17),
+  tpe: pop('Taipei', 'TW', 25.03, 121.57),
+  sin: pop('Singapore', 'SG', 1.35, 103.82),
+  kul: pop('Kuala Lumpur', 'MY', 3.14, 101.69),
+  bkk: pop('Bangkok', 'TH', 13.76, 100.5),
+  cgk: pop('Jakarta', 'ID', -6.21, 106.85),
+  jkt: pop('Jakarta', 'ID', -6.21, 106.85),
+  mnl: pop('Manila', 'PH', 14.6, 120.98),
+  bom: pop('Mumbai', 'IN', 19.08, 72.88),
+  del: pop('Delhi', 'IN', 28.61, 77.21),
+  maa: pop('Chennai', 'IN', 13.08, 80.27),
+  pek: pop('Beijing', 'CN', 39.9, 116.41),
+  bjs: pop('Beijing', 'CN', 39.9, 116.41),
+  pvg: pop('Shanghai', 'CN', 31.23, 121.47),
+  sha: pop('Shanghai', 'CN', 31.23, 121.47),
+  syd: pop('Sydney', 'AU', -33.87, 151.21),
+  mel: pop('Melbourne', 'AU', -37.81, 144.96),
+  per: pop('Perth', 'AU', -31.95, 115.86),
+  akl: pop('Auckland', 'NZ', -36.85, 174.76),
+})
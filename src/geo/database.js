@@ -0,0 +1,268 @@
+/**
+ * Offline IP geolocation databases, read from local files.
+ *
+ * Two formats, picked by file extension:
+ *   .mmdb — MaxMind DB (GeoLite2-City / GeoIP2-City, or any DB with a
+ *           `location` record), read with mmdb-lib
+ *   .csv  — header-driven CSV with `network` (CIDR), `latitude` and
+ *           `longitude` columns, e.g. GeoLite2-City-Blocks-IPv4/IPv6.
+ *           `accuracy_radius`, `city_name` and `country_iso_code` are
+ *           read when present (a blocks file pre-joined with locations).
+ *
+ * Nothing here touches the network: the whole point is geolocating hops
+ * without sending their IPs anywhere.
+ *
+ * Public surface:
+ *   openGeoDatabase(path)  — load a file, resolve to { kind, lookup(ip) }
+ *   indexGeoCsv(lines)     — build a CSV lookup from lines (unit-tested)
+ *   fromMmdbRecord(record) — map an MMDB record to a GeoPoint (unit-tested)
+ */
+
+import { createReadStream } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { extname } from 'node:path'
+import { createInterface } from 'node:readline'
+import net from 'node:net'
+import { Reader } from 'mmdb-lib'
+
+/**
+ * @typedef {{
+ *   latitude: number, longitude: number,
+ *   city: string|null, country: string|null, accuracyKm: number|null,
+ * }} GeoPoint
+ */
+
+/** @typedef {{ kind: 'mmdb'|'csv', lookup: (ip: string) => GeoPoint|null }} GeoDatabase */
+
+// ── Address arithmetic ────────────────────────────────────
+
+/**
+ * @param {string} address - Valid dotted-quad IPv4
+ * @returns {number}
+ */
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0)
+}
+
+/**
+ * @param {string} address - Valid IPv6, optionally with a zone or an IPv4 tail
+ * @returns {bigint}
+ */
+function ipv6ToBigInt(address) {
+  let text = address.replace(/%.*$/, '')
+
+  // ::ffff:192.0.2.1 → ::ffff:c000:201
+  const v4Tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(text)
+  if (v4Tail) {
+    const n = ipv4ToNumber(v4Tail[1])
+    text = `${text.slice(0, -v4Tail[1].length)}${Math.floor(n / 65536).toString(16)}:${(n % 65536).toString(16)}`
+  }
+
+  const [head, tail] = text.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+
+  return groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n)
+}
+
+/**
+ * Parse a CIDR block into an inclusive address range.
+ * @param {string} cidr - e.g. "1.0.0.0/24" or "2001:db8::/32"
+ * @returns {{ family: 4, start: number, end: number } | { family: 6, start: bigint, end: bigint } | null}
+ */
+function parseCidr(cidr) {
+  const [address, prefixText] = cidr.split('/')
+  const family = net.isIP(address)
+  const prefix = Number(prefixText)
+  const bits = family === 4 ? 32 : 128
+  if (!family || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null
+
+  if (family === 4) {
+    const size = 2 ** (32 - prefix)
+    const start = ipv4ToNumber(address) - (ipv4ToNumber(address) % size)
+    return { family, start, end: start + size - 1 }
+  }
+  const size = 1n << BigInt(128 - prefix)
+  const start = ipv6ToBigInt(address) - (ipv6ToBigInt(address) % size)
+  return { family, start, end: start + size - 1n }
+}
+
+// ── CSV ───────────────────────────────────────────────────
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * (GeoLite2 quotes city names that contain commas).
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+  const fields = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i]
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"'
+        i += 1
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      fields.push(field)
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  fields.push(field)
+  return fields
+}
+
+/**
+ * Binary search a start-sorted range list for the range holding `value`.
+ * @template {number|bigint} T
+ * @param {Array<{ start: T, end: T, geo: GeoPoint }>} ranges
+ * @param {T} value
+ * @returns {GeoPoint|null}
+ */
+function findRange(ranges, value) {
+  let lo = 0
+  let hi = ranges.length - 1
+  let candidate = null
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (ranges[mid].start <= value) {
+      candidate = ranges[mid]
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  return candidate && value <= candidate.end ? candidate.geo : null
+}
+
+/**
+ * Build a lookup from geolocation CSV lines (header first). Rows without
+ * coordinates or with a malformed network are skipped.
+ *
+ * @param {Iterable<string>|AsyncIterable<string>} lines
+ * @returns {Promise<(ip: string) => GeoPoint|null>}
+ * @throws {Error} When the header lacks network / latitude / longitude
+ */
+export async function indexGeoCsv(lines) {
+  const v4 = []
+  const v6 = []
+  // Blocks files repeat one city's coordinates thousands of times: share the objects
+  const points = new Map()
+  let columns = null
+
+  for await (const line of lines) {
+    if (!line.trim()) continue
+    const fields = splitCsvLine(line)
+
+    if (!columns) {
+      columns = Object.fromEntries(fields.map((name, index) => [name.trim(), index]))
+      for (const required of ['network', 'latitude', 'longitude']) {
+        if (!Object.hasOwn(columns, required)) throw new Error(`Geolocation CSV has no "${required}" column`)
+      }
+      continue
+    }
+
+    const field = (name) => (Object.hasOwn(columns, name) ? fields[columns[name]]?.trim() || null : null)
+    const range = parseCidr(field('network') ?? '')
+    const latitude = Number.parseFloat(field('latitude'))
+    const longitude = Number.parseFloat(field('longitude'))
+    if (!range || !Number.isFinite(latitude) || !Number.isFinite(longitude)) continue
+
+    const accuracy = Number.parseInt(field('accuracy_radius'), 10)
+    const point = {
+      latitude,
+      longitude,
+      city: field('city_name'),
+      country: field('country_iso_code'),
+      accuracyKm: Number.isFinite(accuracy) ? accuracy : null,
+    }
+    const key = Object.values(point).join('|')
+    if (!points.has(key)) points.set(key, Object.freeze(point))
+
+    const entry = { start: range.start, end: range.end, geo: points.get(key) }
+    if (range.family === 4) v4.push(entry)
+    else v6.push(entry)
+  }
+
+  // Published files are already sorted; hand-made ones may not be
+  const byStart = (a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0)
+  v4.sort(byStart)
+  v6.sort(byStart)
+
+  return (ip) => {
+    const family = net.isIP(ip)
+    if (family === 4) return findRange(v4, ipv4ToNumber(ip))
+    if (family === 6) return findRange(v6, ipv6ToBigInt(ip))
+    return null
+  }
+}
+
+// ── MMDB ──────────────────────────────────────────────────
+
+/**
+ * Map a MaxMind City record to a GeoPoint. Records without coordinates
+ * (country-only databases, anonymous ranges) cannot be placed: null.
+ *
+ * @param {object|null} record - As returned by mmdb-lib Reader#get
+ * @returns {GeoPoint|null}
+ */
+export function fromMmdbRecord(record) {
+  const location = record?.location
+  if (!Number.isFinite(location?.latitude) || !Number.isFinite(location?.longitude)) return null
+
+  return Object.freeze({
+    latitude: location.latitude,
+    longitude: location.longitude,
+    city: record.city?.names?.en ?? null,
+    country: record.country?.iso_code ?? record.registered_country?.iso_code ?? null,
+    accuracyKm: location.accuracy_radius ?? null,
+  })
+}
+
+// ── Public API ────────────────────────────────────────────
+
+/**
+ * Load a local geolocation database. The format follows the extension.
+ *
+ * @param {string} filePath - Path to a .mmdb or .csv file
+ * @returns {Promise<GeoDatabase>}
+ * @throws {Error} On an unreadable file, unknown extension, or malformed database
+ */
+export async function openGeoDatabase(filePath) {
+  const ext = extname(filePath).toLowerCase()
+
+  if (ext === '.mmdb') {
+    const reader = new Reader(await readFile(filePath))
+    return Object.freeze({
+      kind: 'mmdb',
+      lookup: (ip) => (net.isIP(ip) ? fromMmdbRecord(reader.get(ip)) : null),
+    })
+  }
+
+  if (ext === '.csv') {
+    const input = createReadStream(filePath, { encoding: 'utf8' })
+    try {
+      const lookup = await indexGeoCsv(createInterface({ input, crlfDelay: Infinity }))
+      return Object.freeze({ kind: 'csv', lookup })
+    } finally {
+      input.destroy()
+    }
+  }
+
+  throw new Error(`Unsupported geolocation database "${filePath}" (expected .mmdb or .csv)`)
+}
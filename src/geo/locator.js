@@ -0,0 +1,40 @@
+/**
+ * Hop geolocation: combines the offline database with rDNS PoP hints.
+ *
+ * A PoP code in a router's name is where the operator says the router
+ * is; a database entry is usually where the address block is registered,
+ * which for backbone routers is often the carrier's head office. So a
+ * hint, when there is one, wins over the database.
+ */
+
+import { parsePopHint } from './popHint.js'
+
+/**
+ * @typedef {import('./database.js').GeoPoint & {
+ *   source: 'rdns'|'mmdb'|'csv', pop?: string,
+ * }} HopGeo
+ */
+
+/**
+ * @param {{ database?: import('./database.js').GeoDatabase|null, popHints?: boolean }} [sources]
+ * @returns {{ locate: (ip: string|null, hostname?: string|null) => HopGeo|null }}
+ */
+export function createGeoLocator({ database = null, popHints = true } = {}) {
+  /**
+   * @param {string|null} ip
+   * @param {string|null} [hostname] - Reverse DNS name, searched for PoP codes
+   * @returns {HopGeo|null} null when neither source can place the hop
+   */
+  function locate(ip, hostname = null) {
+    const hint = popHints ? parsePopHint(hostname) : null
+    if (hint) {
+      const { code, ...city } = hint
+      return Object.freeze({ ...city, accuracyKm: null, source: 'rdns', pop: code })
+    }
+
+    const point = ip && database ? database.lookup(ip) : null
+    return point ? Object.freeze({ ...point, source: database.kind }) : null
+  }
+
+  return Object.freeze({ locate })
+}
@@ -0,0 +1,38 @@
+/**
+ * PoP hint: guess a router's city from location codes in its rDNS name.
+ *
+ *   ae-1.cr2.lax01.example.net        → LAX (Los Angeles)
+ *   lhr25s34-in-f14.1e100.net         → LHR (London)
+ *   be2.fra03.core.example.com        → FRA (Frankfurt)
+ *
+ * Only labels left of the registrable domain are searched, so a provider
+ * name like "sea.example.net" is never mistaken for Seattle. The leftmost
+ * matching token wins; names usually nest interface → router → site.
+ */
+
+import { POP_CODES } from './airports.js'
+
+/** A code alone, or followed by a site number ("lax", "lax01", "lhr25s34"). */
+const TOKEN_PATTERN = /^([a-z]{3})(?:\d[a-z\d]*)?$/
+
+/** Labels kept as the registrable domain (example.net, 1e100.net). */
+const DOMAIN_LABELS = 2
+
+/**
+ * @param {string|null} hostname - Reverse DNS name of a hop
+ * @returns {{ code: string, city: string, country: string, latitude: number, longitude: number }|null}
+ */
+export function parsePopHint(hostname) {
+  if (!hostname || typeof hostname !== 'string') return null
+
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.')
+  const tokens = labels.slice(0, -DOMAIN_LABELS).flatMap((label) => label.split(/[-_]/))
+
+  for (const token of tokens) {
+    const m = TOKEN_PATTERN.exec(token)
+    if (m && Object.hasOwn(POP_CODES, m[1])) {
+      return Object.freeze({ code: m[1].toUpperCase(), ...POP_CODES[m[1]] })
+    }
+  }
+  return null
+}
@@ -0,0 +1,142 @@
+/**
+ * Baselines: one "known good" trace per target, that later traces to the
+ * same target are compared with (regression.js).
+ *
+ * Kept in one JSON file, rewritten through a temporary file and a rename
+ * so a crash mid-write leaves the previous version. Each baseline holds a
+ * copy of its trace, so it survives the history file being trimmed.
+ * Targets match case-insensitively (hostnames).
+ *
+ * Public surface:
+ *   createBaselineStore(filePath) — { set(record, options), get(target), list(), remove(target) }
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+
+/**
+ * @typedef {{
+ *   target: string, traceId: string, regressionPct: number, setAt: string,
+ *   record: import('./store.js').TraceRecord,
+ * }} Baseline
+ */
+
+/**
+ * @typedef {{
+ *   target: string, traceId: string, regressionPct: number, setAt: string, startedAt: string,
+ * }} BaselineSummary
+ */
+
+/**
+ * @param {string} target
+ * @returns {string}
+ */
+function keyOf(target) {
+  return target.toLowerCase()
+}
+
+/**
+ * @param {Baseline} baseline
+ * @returns {BaselineSummary}
+ */
+function toSummary({ target, traceId, regressionPct, setAt, record }) {
+  return Object.freeze({ target, traceId, regressionPct, setAt, startedAt: record.startedAt })
+}
+
+/**
+ * @param {string} filePath - JSON file; created (with its directory) on first set
+ * @param {{ now?: () => number }} [clock]
+ */
+export function createBaselineStore(filePath, { now = Date.now } = {}) {
+  /** @type {Promise<Map<string, Baseline>>|null} Loaded once; this store is the file's only writer */
+  let loading = null
+  /** Changes run one at a time, in call order, each on the result of the last */
+  let queue = Promise.resolve()
+
+  /** @returns {Promise<Map<string, Baseline>>} */
+  async function readAll() {
+    let text
+    try {
+      text = await readFile(filePath, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return new Map()
+      throw err
+    }
+    try {
+      return new Map(Object.entries(JSON.parse(text)))
+    } catch {
+      // A hand-edited file that no longer parses counts as empty
+      return new Map()
+    }
+  }
+
+  function load() {
+    loading ??= readAll()
+    return loading
+  }
+
+  /**
+   * Apply a change to a copy of the baselines and write the result.
+   * @param {(baselines: Map<string, Baseline>) => Map<string, Baseline>} change
+   * @returns {Promise<void>}
+   */
+  function update(change) {
+    const run = queue.then(async () => {
+      const next = change(new Map(await load()))
+      loading = Promise.resolve(next)
+      await mkdir(dirname(filePath), { recursive: true })
+      const temp = `${filePath}.${process.pid}.tmp`
+      await writeFile(temp, `${JSON.stringify(Object.fromEntries(next))}\n`, 'utf8')
+      await rename(temp, filePath)
+    })
+    queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Make a trace the baseline for its target, replacing any earlier one.
+   * @param {import('./store.js').TraceRecord} record
+   * @param {{ regressionPct: number }} options
+   * @returns {Promise<BaselineSummary>}
+   */
+  async function set(record, { regressionPct }) {
+    const baseline = Object.freeze({
+      target: record.target,
+      traceId: record.id,
+      regressionPct,
+      setAt: new Date(now()).toISOString(),
+      record,
+    })
+    await update((baselines) => baselines.set(keyOf(record.target), baseline))
+    return toSummary(baseline)
+  }
+
+  /**
+   * @param {string} target
+   * @returns {Promise<Baseline|null>}
+   */
+  async function get(target) {
+    return (await load()).get(keyOf(target)) ?? null
+  }
+
+  /** @returns {Promise<BaselineSummary[]>} By target */
+  async function list() {
+    const baselines = [...(await load()).values()]
+    return baselines.sort((a, b) => a.target.localeCompare(b.target)).map(toSummary)
+  }
+
+  /**
+   * @param {string} target
+   * @returns {Promise<boolean>} false when the target had no baseline
+   */
+  async function remove(target) {
+    let removed = false
+    await update((baselines) => {
+      removed = baselines.delete(keyOf(target))
+      return baselines
+    })
+    return removed
+  }
+
+  return { set, get, list, remove }
+}
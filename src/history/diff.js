@@ -0,0 +1,223 @@
+/**
+ * Route diff: align two saved traces hop by hop and report what changed.
+ *
+ * Alignment is a weighted longest common subsequence over the two paths.
+ * A shared responder IP is the strongest anchor; a shared ASN (another
+ * router in the same network) is a weaker one; two timeouts line up only
+ * when nothing better does. Unanchored hops between two anchors are paired
+ * in order as "changed", and the leftovers become "added" or "removed".
+ *
+ * Pure logic only — records come from the history store.
+ */
+
+/** Alignment scores. IP beats ASN beats a pair of timeouts. */
+const IP_MATCH = 3
+const ASN_MATCH = 2
+const TIMEOUT_MATCH = 1
+
+/**
+ * @typedef {{
+ *   ttl: number, ip: string|null, hostname: string|null, ips: string[],
+ *   asn: string|null, country: string|null, rtt: number|null, type: string, timedOut: boolean,
+ * }} PathHop
+ */
+
+/**
+ * @typedef {{
+ *   status: 'same' | 'changed' | 'added' | 'removed',
+ *   from: PathHop|null,
+ *   to: PathHop|null,
+ *   latencyDelta: number|null,
+ *   marker: 'diverge' | 'rejoin' | null,
+ *   sameAsn?: boolean,
+ * }} DiffEntry
+ */
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10
+}
+
+/**
+ * @param {number[]} latencies
+ * @returns {number|null}
+ */
+function mean(latencies) {
+  if (!latencies?.length) return null
+  return latencies.reduce((a, b) => a + b, 0) / latencies.length
+}
+
+/**
+ * Flatten a record's hops into comparable path points, with ASN and
+ * country taken from the intel recorded alongside them.
+ *
+ * @param {import('./store.js').TraceRecord} record
+ * @returns {PathHop[]}
+ */
+function toPath(record) {
+  const intelByIp = new Map(record.intel.map((i) => [i.ip, i]))
+
+  return record.hops.map((hop) => {
+    const ips = hop.responders?.length ? hop.responders.map((r) => r.ip) : (hop.ip ? [hop.ip] : [])
+    const intel = intelByIp.get(hop.ip)
+    return Object.freeze({
+      ttl: hop.hop,
+      ip: hop.ip,
+      hostname: hop.hostname ?? null,
+      ips,
+      asn: intel?.asn ?? null,
+      country: intel?.country ?? null,
+      rtt: mean(hop.latencies),
+      type: hop.type ?? (ips.length === 0 ? 'ghost' : 'normal'),
+      timedOut: ips.length === 0,
+    })
+  })
+}
+
+/**
+ * How strongly two hops line up (0 = not at all).
+ * @param {PathHop} a
+ * @param {PathHop} b
+ * @returns {number}
+ */
+function matchScore(a, b) {
+  if (a.ips.some((ip) => b.ips.includes(ip))) return IP_MATCH
+  if (a.asn && a.asn === b.asn) return ASN_MATCH
+  if (a.timedOut && b.timedOut) return TIMEOUT_MATCH
+  return 0
+}
+
+/**
+ * Weighted LCS: the highest-scoring in-order pairing of the two paths.
+ *
+ * @param {PathHop[]} from
+ * @param {PathHop[]} to
+ * @returns {Array<{ i: number, j: number, score: number }>} Anchors in path order
+ */
+function alignPaths(from, to) {
+  const rows = from.length + 1
+  const cols = to.length + 1
+  const best = Array.from({ length: rows }, () => new Array(cols).fill(0))
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const score = matchScore(from[i - 1], to[j - 1])
+      const diagonal = score > 0 ? best[i - 1][j - 1] + score : 0
+      best[i][j] = Math.max(best[i - 1][j], best[i][j - 1], diagonal)
+    }
+  }
+
+  const anchors = []
+  let i = from.length
+  let j = to.length
+  while (i > 0 && j > 0) {
+    const score = matchScore(from[i - 1], to[j - 1])
+    if (score > 0 && best[i][j] === best[i - 1][j - 1] + score) {
+      anchors.push({ i: i - 1, j: j - 1, score })
+      i -= 1
+      j -= 1
+    } else if (best[i - 1][j] >= best[i][j - 1]) {
+      i -= 1
+    } else {
+      j -= 1
+    }
+  }
+  return anchors.reverse()
+}
+
+/**
+ * @param {DiffEntry['status']} status
+ * @param {PathHop|null} from
+ * @param {PathHop|null} to
+ * @returns {Omit<DiffEntry, 'marker'>}
+ */
+function makeEntry(status, from, to) {
+  const latencyDelta = from?.rtt != null && to?.rtt != null ? round1(to.rtt - from.rtt) : null
+  const sameAsn = status === 'changed' && from.asn !== null && from.asn === to.asn
+  return { status, from, to, latencyDelta, ...(status === 'changed' && { sameAsn }) }
+}
+
+/**
+ * Entries for the unanchored stretch between two anchors: paired in order
+ * as changed hops, with the longer side's surplus added or removed.
+ *
+ * @param {PathHop[]} fromGap
+ * @param {PathHop[]} toGap
+ * @returns {Array<Omit<DiffEntry, 'marker'>>}
+ */
+function gapEntries(fromGap, toGap) {
+  const paired = Math.min(fromGap.length, toGap.length)
+  return [
+    ...fromGap.slice(0, paired).map((hop, k) => makeEntry('changed', hop, toGap[k])),
+    ...fromGap.slice(paired).map((hop) => makeEntry('removed', hop, null)),
+    ...toGap.slice(paired).map((hop) => makeEntry('added', null, hop)),
+  ]
+}
+
+/**
+ * Tag where the paths split (first differing entry after a shared one)
+ * and where they meet again (first shared entry after a split). Both
+ * traces leave the same host, so the path counts as shared before hop 1.
+ *
+ * @param {Array<Omit<DiffEntry, 'marker'>>} entries
+ * @returns {DiffEntry[]}
+ */
+function markDivergence(entries) {
+  let wasSame = true
+  return entries.map((entry) => {
+    const isSame = entry.status === 'same'
+    const marker = isSame === wasSame ? null : (isSame ? 'rejoin' : 'diverge')
+    wasSame = isSame
+    return Object.freeze({ ...entry, marker })
+  })
+}
+
+/**
+ * Compare two saved traces.
+ *
+ * @param {import('./store.js').TraceRecord} fromRecord - The earlier / reference trace
+ * @param {import('./store.js').TraceRecord} toRecord - The trace compared against it
+ * @returns {{
+ *   from: { id: string, target: string, startedAt: string },
+ *   to: { id: string, target: string, startedAt: string },
+ *   entries: DiffEntry[],
+ *   summary: { same: number, changed: number, added: number, removed: number, destinationDelta: number|null },
+ * }}
+ */
+export function diffRoutes(fromRecord, toRecord) {
+  const from = toPath(fromRecord)
+  const to = toPath(toRecord)
+
+  const raw = []
+  let i = 0
+  let j = 0
+  for (const anchor of alignPaths(from, to)) {
+    raw.push(...gapEntries(from.slice(i, anchor.i), to.slice(j, anchor.j)))
+    // An ASN-only anchor is the same network but a different router
+    raw.push(makeEntry(anchor.score === ASN_MATCH ? 'changed' : 'same', from[anchor.i], to[anchor.j]))
+    i = anchor.i + 1
+    j = anchor.j + 1
+  }
+  raw.push(...gapEntries(from.slice(i), to.slice(j)))
+
+  const entries = markDivergence(raw)
+  const count = (status) => entries.filter((e) => e.status === status).length
+  const lastFrom = from.findLast((h) => h.rtt !== null)
+  const lastTo = to.findLast((h) => h.rtt !== null)
+
+  return Object.freeze({
+    from: Object.freeze({ id: fromRecord.id, target: fromRecord.target, startedAt: fromRecord.startedAt }),
+    to: Object.freeze({ id: toRecord.id, target: toRecord.target, startedAt: toRecord.startedAt }),
+    entries,
+    summary: Object.freeze({
+      same: count('same'),
+      changed: count('changed'),
+      added: count('added'),
+      removed: count('removed'),
+      destinationDelta: lastFrom && lastTo ? round1(lastTo.rtt - lastFrom.rtt) : null,
+    }),
+  })
+}
@@ -0,0 +1,376 @@
+/**
+ * Trace export: saved (or on-screen) traces as files for incident tickets.
+ *
+ *   json — every hop with its classification, per-hop stats, ICMP annotations,
+ *          MPLS labels and intel
+ *   csv  — one row per responding router, spreadsheet-friendly
+ *   mtr  — a text report laid out like `mtr --report`
+ *
+ * Each format takes a list of records, so a multi-target trace exports as
+ * one file. Records are TraceRecord-shaped; a monitor session's hops also
+ * carry `stats` (its running mtr figures), which win over the one-shot
+ * latencies. Records posted by a browser are only loosely validated, so
+ * every field is read defensively.
+ *
+ * Pure logic only — the server picks the records and writes the response.
+ */
+
+/** traceroute's default probes per hop, when a hop does not say. */
+const DEFAULT_PROBES = 3
+
+/** Width of mtr's host column (HOST: line), before it grows for long names. */
+const MTR_HOST_WIDTH = 27
+
+/** Widest the host column grows; longer names are cut short, as mtr does. */
+const MTR_MAX_HOST_WIDTH = 64
+
+export const EXPORT_FORMATS = Object.freeze({
+  json: Object.freeze({ contentType: 'application/json; charset=utf-8', extension: 'json' }),
+  csv:  Object.freeze({ contentType: 'text/csv; charset=utf-8', extension: 'csv' }),
+  mtr:  Object.freeze({ contentType: 'text/plain; charset=utf-8', extension: 'txt' }),
+})
+
+/**
+ * @typedef {{
+ *   sent: number, received: number, loss: number,
+ *   last: number|null, avg: number|null, best: number|null, worst: number|null, stdev: number|null,
+ * }} HopStats
+ */
+
+/**
+ * @typedef {{
+ *   hop: number, ip: string|null, hostname: string|null,
+ *   type: string, latencyDelta: number|null, lossRate: number|null, reason: string|null,
+ *   latencies: number[], stats: HopStats,
+ *   annotations: Array<{ flag: string, reason: string, count: number, code?: number, mtu?: number }>,
+ *   mpls: Array<{ label: number, exp: number, bottom: boolean, ttl: number }>,
+ *   tunnel: { id: number, hidden: boolean, hiddenHops: number|null }|null,
+ *   responders: Array<{ ip: string, hostname: string|null, latencies: number[], intel: object|null }>,
+ *   intel: object|null,
+ * }} ExportHop
+ */
+
+/**
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number[]} Finite numbers only
+ */
+function numbers(value) {
+  return Array.isArray(value) ? value.filter((v) => typeof v === 'number' && Number.isFinite(v)) : []
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+function text(value) {
+  return typeof value === 'string' && value !== '' ? value : null
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+function finite(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null
+}
+
+/**
+ * mtr's columns for a one-shot hop, from its probe RTTs.
+ * @param {number[]} latencies
+ * @param {number} sent
+ * @returns {HopStats}
+ */
+function statsFromLatencies(latencies, sent) {
+  const received = latencies.length
+  const total = Math.max(sent, received)
+  if (received === 0) {
+    return { sent: total, received: 0, loss: total > 0 ? 100 : 0, last: null, avg: null, best: null, worst: null, stdev: null }
+  }
+  const avg = latencies.reduce((a, b) => a + b, 0) / received
+  const variance = latencies.reduce((sum, v) => sum + (v - avg) ** 2, 0) / received
+  return {
+    sent: total,
+    received,
+    loss: round1(((total - received) / total) * 100),
+    last: round1(latencies[received - 1]),
+    avg: round1(avg),
+    best: round1(Math.min(...latencies)),
+    worst: round1(Math.max(...latencies)),
+    stdev: round1(Math.sqrt(variance)),
+  }
+}
+
+/**
+ * ICMP unreachable annotations (parser.js Annotation), read defensively.
+ * @param {unknown} value
+ * @returns {ExportHop['annotations']}
+ */
+function annotationsOf(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter((a) => a && text(a.flag) && text(a.reason))
+    .map((a) => ({
+      flag: a.flag,
+      reason: a.reason,
+      count: finite(a.count) ?? 1,
+      ...(finite(a.code) !== null && { code: a.code }),
+      ...(finite(a.mtu) !== null && { mtu: a.mtu }),
+    }))
+}
+
+/**
+ * MPLS label stack (mpls.js MplsLabel), read defensively.
+ * @param {unknown} value
+ * @returns {ExportHop['mpls']}
+ */
+function labelsOf(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter((l) => l && finite(l.label) !== null && finite(l.ttl) !== null)
+    .map((l) => ({ label: l.label, exp: finite(l.exp) ?? 0, bottom: l.bottom === true, ttl: l.ttl }))
+}
+
+/**
+ * LSP membership (mpls.js Tunnel), read defensively.
+ * @param {unknown} value
+ * @returns {ExportHop['tunnel']}
+ */
+function tunnelOf(value) {
+  if (!value || typeof value !== 'object' || finite(value.id) === null) return null
+  return { id: value.id, hidden: value.hidden === true, hiddenHops: finite(value.hiddenHops) }
+}
+
+/**
+ * A monitor hop's running stats (trace-hop-stats), read defensively.
+ * @param {object} stats
+ * @returns {HopStats}
+ */
+function statsFromSnapshot(stats) {
+  const sent = finite(stats.sent) ?? 0
+  const received = finite(stats.received) ?? 0
+  return {
+    sent,
+    received,
+    loss: finite(stats.loss) ?? (sent > 0 ? round1(((sent - received) / sent) * 100) : 0),
+    last: finite(stats.last),
+    avg: finite(stats.avg),
+    best: finite(stats.best),
+    worst: finite(stats.worst),
+    stdev: finite(stats.stdev),
+  }
+}
+
+/**
+ * Join a record's hops with their intel: one entry per TTL (the latest
+ * event wins, so a monitor log's last cycle is what gets exported).
+ *
+ * @param {{ hops?: unknown[], intel?: unknown[] }} record
+ * @returns {ExportHop[]} Ordered by TTL
+ */
+export function toExportHops(record) {
+  const intelByKey = new Map()
+  const intelByIp = new Map()
+  for (const entry of Array.isArray(record.intel) ? record.intel : []) {
+    if (!entry || !text(entry.ip)) continue
+    const { at, traceId, ...intel } = entry
+    intelByKey.set(`${entry.hop}|${entry.ip}`, intel)
+    intelByIp.set(entry.ip, intel)
+  }
+  const intelFor = (hop, ip) => (ip ? intelByKey.get(`${hop}|${ip}`) ?? intelByIp.get(ip) ?? null : null)
+
+  const byTtl = new Map()
+  for (const hop of Array.isArray(record.hops) ? record.hops : []) {
+    if (!hop || !Number.isInteger(hop.hop)) continue
+    byTtl.set(hop.hop, hop)
+  }
+
+  return [...byTtl.values()].sort((a, b) => a.hop - b.hop).map((hop) => {
+    const ip = text(hop.ip)
+    const latencies = numbers(hop.latencies)
+    const responders = (Array.isArray(hop.responders) ? hop.responders : [])
+      .filter((r) => r && text(r.ip))
+      .map((r) => ({ ip: r.ip, hostname: text(r.hostname), latencies: numbers(r.latencies), intel: intelFor(hop.hop, r.ip) }))
+    const intel = intelFor(hop.hop, ip)
+
+    return {
+      hop: hop.hop,
+      ip,
+      hostname: text(hop.hostname) ?? text(intel?.hostname),
+      type: text(hop.type) ?? (ip ? 'normal' : 'ghost'),
+      latencyDelta: finite(hop.latencyDelta),
+      lossRate: finite(hop.lossRate),
+      reason: text(hop.reason),
+      latencies,
+      stats: hop.stats && typeof hop.stats === 'object'
+        ? statsFromSnapshot(hop.stats)
+        : statsFromLatencies(latencies, finite(hop.probes) ?? DEFAULT_PROBES),
+      annotations: annotationsOf(hop.annotations),
+      mpls: labelsOf(hop.mpls),
+      tunnel: tunnelOf(hop.tunnel),
+      responders: responders.length > 0 || !ip ? responders : [{ ip, hostname: text(hop.hostname), latencies, intel }],
+      intel,
+    }
+  })
+}
+
+// ── JSON ──────────────────────────────────────────────────
+
+/**
+ * @param {object[]} records
+ * @param {{ now?: () => number }} [options]
+ * @returns {string}
+ */
+export function formatJson(records, { now = Date.now } = {}) {
+  const traces = records.map((record) => ({
+    id: text(record.id),
+    target: String(record.target),
+    options: record.options ?? null,
+    startedAt: text(record.startedAt),
+    completedAt: text(record.completedAt),
+    hops: toExportHops(record),
+    port: Array.isArray(record.port) ? record.port : [],
+  }))
+  return `${JSON.stringify({ exportedAt: new Date(now()).toISOString(), traces }, null, 2)}\n`
+}
+
+// ── CSV ───────────────────────────────────────────────────
+
+const CSV_COLUMNS = Object.freeze([
+  'target', 'hop', 'ip', 'hostname', 'type',
+  'sent', 'received', 'loss_pct', 'last_ms', 'avg_ms', 'best_ms', 'worst_ms', 'stdev_ms', 'latency_delta_ms',
+  'asn', 'org', 'country', 'netrange', 'city', 'latitude', 'longitude',
+])
+
+/**
+ * RFC 4180 quoting. Cells a spreadsheet would run as a formula (rDNS
+ * names are attacker-controlled) get a leading apostrophe.
+ * @param {string|number|null} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  let cell = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+}
+
+/**
+ * One row per router that answered a TTL (several under ECMP); a silent
+ * TTL still gets a row, with no address.
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function formatCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')]
+  for (const record of records) {
+    for (const hop of toExportHops(record)) {
+      const { stats } = hop
+      const responders = hop.responders.length > 0 ? hop.responders : [{ ip: null, hostname: null, intel: null }]
+      for (const responder of responders) {
+        const intel = responder.intel ?? {}
+        lines.push([
+          record.target, hop.hop, responder.ip, responder.hostname ?? text(intel.hostname), hop.type,
+          stats.sent, stats.received, stats.loss, stats.last, stats.avg, stats.best, stats.worst, stats.stdev, hop.latencyDelta,
+          text(intel.asn), text(intel.org), text(intel.country), text(intel.netrange),
+          text(intel.geo?.city), finite(intel.geo?.latitude), finite(intel.geo?.longitude),
+        ].map(csvCell).join(','))
+      }
+    }
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
+
+// ── mtr --report ──────────────────────────────────────────
+
+/**
+ * mtr's "Start:" stamp: ISO 8601 in UTC with a numeric offset.
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function mtrStart(iso) {
+  const date = new Date(iso ?? NaN)
+  return Number.isNaN(date.getTime()) ? 'unknown' : date.toISOString().replace(/\.\d{3}Z$/, '+0000')
+}
+
+/**
+ * @param {{ ip: string|null, hostname: string|null }} host
+ * @returns {string} "name (ip)" like mtr -b, the bare IP or name, or "???"
+ */
+function mtrHost({ ip, hostname }) {
+  // An imported mtr report may name a router without its address
+  if (!ip) return hostname ?? '???'
+  return hostname && hostname !== ip ? `${hostname} (${ip})` : ip
+}
+
+/**
+ * @param {object} record
+ * @param {string} host - Name shown on the HOST: line (the vantage point)
+ * @returns {string[]}
+ */
+function mtrSection(record, host) {
+  const hops = toExportHops(record)
+  // "HOST: " is 6 wide and "  1.|-- " 8, so hop names get 2 fewer columns
+  const names = hops.map((hop) => mtrHost(hop).slice(0, MTR_MAX_HOST_WIDTH - 2))
+  const width = Math.max(MTR_HOST_WIDTH, Math.min(host.length, MTR_MAX_HOST_WIDTH), ...names.map((name) => name.length + 2))
+  const ms = (value) => (value ?? 0).toFixed(1).padStart(7)
+
+  const lines = [
+    `Start: ${mtrStart(text(record.startedAt))}`,
+    `HOST: ${host.slice(0, width).padEnd(width)}  Loss%   Snt   Last    Avg   Best   Wrst  StDev`,
+  ]
+  hops.forEach((hop, i) => {
+    const { stats } = hop
+    lines.push(
+      `${String(hop.hop).padStart(3)}.|-- ${names[i].padEnd(width - 2)}` +
+      `${`${stats.loss.toFixed(1)}%`.padStart(7)}${String(stats.sent).padStart(6)}` +
+      `${ms(stats.last)}${ms(stats.avg)}${ms(stats.best)}${ms(stats.worst)}${ms(stats.stdev)}`
+    )
+    // Further routers on the same TTL, the way mtr lists ECMP next hops
+    for (const responder of hop.responders.filter((r) => r.ip !== hop.ip)) {
+      lines.push(`    |  \`-- ${mtrHost(responder).slice(0, MTR_MAX_HOST_WIDTH)}`)
+    }
+  })
+  return lines
+}
+
+/**
+ * @param {object[]} records
+ * @param {{ host?: string }} [options] - host: the machine that ran the traces
+ * @returns {string} One report per record, blank-line separated
+ */
+export function formatMtrReport(records, { host = 'neon-ping' } = {}) {
+  return `${records.map((record) => mtrSection(record, host).join('\n')).join('\n\n')}\n`
+}
+
+// ── Dispatch ──────────────────────────────────────────────
+
+/**
+ * Download name: neon-ping-<target>-<UTC start>.<ext>, filesystem-safe.
+ * @param {object[]} records
+ * @param {keyof typeof EXPORT_FORMATS} format
+ * @returns {string}
+ */
+export function exportFilename(records, format) {
+  const target = records.length === 1 ? String(records[0].target) : `${records.length}-targets`
+  const started = mtrStart(text(records[0]?.startedAt)).replace(/\+0000$/, 'Z').replace(/[-:]/g, '')
+  return `neon-ping-${target}-${started}.${EXPORT_FORMATS[format].extension}`.replace(/[^\w.-]+/g, '_')
+}
+
+/**
+ * @param {object[]} records - At least one
+ * @param {keyof typeof EXPORT_FORMATS} format - Already validated
+ * @param {{ host?: string, now?: () => number }} [options]
+ * @returns {{ contentType: string, filename: string, body: string }}
+ */
+export function exportTraces(records, format, options = {}) {
+  const body = format === 'csv' ? formatCsv(records)
+    : format === 'mtr' ? formatMtrReport(records, options)
+      : formatJson(records, options)
+  return Object.freeze({ contentType: EXPORT_FORMATS[format].contentType, filename: exportFilename(records, format), body })
+}
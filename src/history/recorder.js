@@ -0,0 +1,69 @@
+/**
+ * Collects one trace's client-facing events for the history store.
+ *
+ * Every event is stamped with `at` (ms since the recorder was created)
+ * so a saved trace replays with its original pacing.
+ *
+ * Reclassified hops replace their earlier verdict, so a saved trace holds
+ * the final classification of its whole path.
+ *
+ * Intel arrives asynchronously after its hop, so finish() waits for the
+ * lookups handed to track() before building the record.
+ */
+
+/**
+ * @param {string} target - Validated hostname or IP
+ * @param {import('../validation.js').TraceOptions} options - Validated trace options
+ * @param {() => number} [now] - Clock (injectable for tests)
+ */
+export function createTraceRecorder(target, options, now = Date.now) {
+  const startedAt = now()
+  const hops = []
+  const intel = []
+  const raw = []
+  const port = []
+  const pending = []
+
+  const at = () => now() - startedAt
+
+  return {
+    /** @param {Record<string, unknown>} hop - Enriched hop as emitted on trace-hop */
+    hop(hop) { hops.push(Object.freeze({ at: at(), ...hop })) },
+    /**
+     * A later hop changed an earlier one's verdict: the saved hop takes the
+     * new classification but keeps its original timing.
+     * @param {{ hop: number }} hop - Enriched hop as emitted on trace-reclassify
+     */
+    revise(hop) {
+      const index = hops.findLastIndex((h) => h.hop === hop.hop)
+      if (index >= 0) hops[index] = Object.freeze({ at: hops[index].at, ...hop })
+    },
+    /** @param {Record<string, unknown>} payload - As emitted on trace-intel */
+    intel(payload) { intel.push(Object.freeze({ at: at(), ...payload })) },
+    /** @param {string} line - As emitted on trace-raw */
+    raw(line) { raw.push(Object.freeze({ at: at(), line })) },
+    /** @param {Record<string, unknown>} payload - As emitted on trace-port */
+    port(payload) { port.push(Object.freeze({ at: at(), ...payload })) },
+    /** @param {Promise<unknown>} lookup - An in-flight intel lookup to wait for */
+    track(lookup) { pending.push(lookup) },
+
+    /**
+     * Settle outstanding intel lookups and build the record.
+     * @returns {Promise<Omit<import('./store.js').TraceRecord, 'id'> | null>} null when no hop was seen
+     */
+    async finish() {
+      await Promise.allSettled(pending)
+      if (hops.length === 0) return null
+      return Object.freeze({
+        target,
+        options,
+        startedAt: new Date(startedAt).toISOString(),
+        completedAt: new Date(now()).toISOString(),
+        hops: [...hops],
+        intel: [...intel],
+        raw: [...raw],
+        port: [...port],
+      })
+    },
+  }
+}
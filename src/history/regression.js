@@ -0,0 +1,141 @@
+/**
+ * Baseline regressions: compare a trace with its target's "known good"
+ * trace and report what got worse.
+ *
+ *   path    — hops that answered in either trace no longer line up (diffRoutes)
+ *   hostile — a hop is hostile that was not hostile in the baseline
+ *   lossy   — the same for lossy
+ *   latency — a hop on both paths got slower by more than regressionPct
+ *             of its baseline RTT (and by at least MIN_REGRESSION_MS)
+ *
+ * Timeouts are left out of path changes: a router that stops answering
+ * TTL-exceeded has not moved.
+ *
+ * Pure logic only — baselines come from baselines.js, traces from the
+ * recorder (one-off) or a monitor cycle.
+ *
+ * Public surface:
+ *   DEFAULT_REGRESSION_PCT         — latency regression threshold unless the baseline sets one
+ *   findRegressions(base, record)  — Alert[] for one trace
+ *   findRouteChange(from, to)      — where two traces' paths part, or null
+ *   createRegressionWatch()        — fresh(alerts): only alerts the previous check did not raise
+ */
+
+import { diffRoutes } from './diff.js'
+
+/** A hop must be this much slower than in the baseline, in percent… */
+export const DEFAULT_REGRESSION_PCT = 50
+
+/** …and at least this many ms, so 1 → 2 ms on a LAN hop is not +100%. */
+const MIN_REGRESSION_MS = 5
+
+/** Hop types that raise an alert when they are new since the baseline. */
+const WATCHED_TYPES = new Set(['hostile', 'lossy'])
+
+/**
+ * @typedef {{
+ *   kind: 'path'|'hostile'|'lossy'|'latency',
+ *   hop: number, ip: string|null, message: string, baselineId: string,
+ * }} Alert
+ */
+
+/**
+ * @param {import('./diff.js').PathHop} hop
+ * @returns {string} e.g. "Hop 5 (10.0.0.5)"
+ */
+function describe(hop) {
+  return `Hop ${hop.ttl} (${hop.ip ?? '*'})`
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function ms(value) {
+  return `${(Math.round(value * 10) / 10).toFixed(1)} ms`
+}
+
+/**
+ * Where two traces' paths part: the first hop that answered in either trace
+ * and does not line up with the other one.
+ *
+ * @param {Pick<import('./store.js').TraceRecord, 'hops'|'intel'>} from - The earlier trace
+ * @param {Pick<import('./store.js').TraceRecord, 'hops'|'intel'>} to - The later trace
+ * @returns {{ hop: number, ip: string|null, fromIp: string|null, toIp: string|null, message: string }|null}
+ *   hop / ip of the later trace where it has one; message e.g. "hop 2 (10.0.0.2 → 10.9.9.9); 2 hops differ"
+ */
+export function findRouteChange(from, to) {
+  const moved = diffRoutes(from, to).entries.filter((e) => e.status !== 'same' && !e.from?.timedOut && !e.to?.timedOut)
+  if (moved.length === 0) return null
+
+  const [first] = moved
+  const { ttl, ip } = first.to ?? first.from
+  const fromIp = first.from?.ip ?? null
+  const toIp = first.to?.ip ?? null
+  const count = moved.length === 1 ? '1 hop differs' : `${moved.length} hops differ`
+  return { hop: ttl, ip, fromIp, toIp, message: `hop ${ttl} (${fromIp ?? 'none'} → ${toIp ?? 'none'}); ${count}` }
+}
+
+/**
+ * Compare a trace with the baseline for its target.
+ *
+ * @param {import('./store.js').TraceRecord} baseline - The known-good trace
+ * @param {Pick<import('./store.js').TraceRecord, 'id'|'target'|'startedAt'|'hops'|'intel'>} record - The trace to check
+ * @param {{ regressionPct?: number }} [options]
+ * @returns {Alert[]} Path change first, then per hop in path order
+ */
+export function findRegressions(baseline, record, { regressionPct = DEFAULT_REGRESSION_PCT } = {}) {
+  const { entries } = diffRoutes(baseline, record)
+  const alert = (kind, hop, message) => Object.freeze({ kind, hop: hop.ttl, ip: hop.ip, message, baselineId: baseline.id })
+  const alerts = []
+
+  const change = findRouteChange(baseline, record)
+  if (change) {
+    alerts.push(alert('path', { ttl: change.hop, ip: change.ip }, `Route left the baseline at ${change.message}`))
+  }
+
+  for (const { status, from, to } of entries) {
+    if (!to) continue
+
+    if (WATCHED_TYPES.has(to.type) && from?.type !== to.type) {
+      const before = from ? `it was ${from.type} in the baseline` : 'it is not in the baseline'
+      alerts.push(alert(to.type, to, `${describe(to)} is ${to.type}; ${before}`))
+    }
+
+    if (status === 'same' && from.rtt !== null && to.rtt !== null) {
+      const increase = to.rtt - from.rtt
+      if (increase >= MIN_REGRESSION_MS && increase > (from.rtt * regressionPct) / 100) {
+        const pct = from.rtt > 0 ? ` (+${Math.round((increase / from.rtt) * 100)}%)` : ''
+        alerts.push(alert('latency', to, `${describe(to)} at ${ms(to.rtt)}, up from ${ms(from.rtt)} in the baseline${pct}`))
+      }
+    }
+  }
+  return alerts
+}
+
+/**
+ * Alert key: the same regression on the same hop is one alert across checks.
+ * @param {Alert} alert
+ * @returns {string}
+ */
+function alertKey({ kind, hop, ip }) {
+  return `${kind}|${hop}|${ip}`
+}
+
+/**
+ * Monitor mode checks every cycle; a regression that persists is raised
+ * once, and again only after a cycle without it.
+ *
+ * @returns {{ fresh: (alerts: Alert[]) => Alert[] }}
+ */
+export function createRegressionWatch() {
+  let active = new Set()
+
+  return {
+    fresh(alerts) {
+      const raised = alerts.filter((a) => !active.has(alertKey(a)))
+      active = new Set(alerts.map(alertKey))
+      return raised
+    },
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Trace history: completed traces persisted as JSON lines.
+ *
+ * One record per line, appended on save, so a crash mid-write can only
+ * damage the last line — list() and get() skip lines that do not parse.
+ *
+ * Only the newest maxRecords are kept: once the file holds a tenth more,
+ * the next save rewrites it (temporary file + rename) with the newest
+ * maxRecords, so scheduled jobs cannot grow it without bound.
+ *
+ * Public surface:
+ *   DEFAULT_MAX_RECORDS                     — retention unless HISTORY_MAX_TRACES sets one
+ *   createHistoryStore(filePath, options?) — { save(trace), list(options?), get(id) }
+ */
+
+import { randomUUID } from 'node:crypto'
+import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+
+/** Summaries returned by list() when the caller does not choose. */
+const DEFAULT_LIST_LIMIT = 50
+
+/** Traces kept when the caller does not choose. */
+export const DEFAULT_MAX_RECORDS = 1000
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   target: string,
+ *   options: import('../validation.js').TraceOptions,
+ *   startedAt: string,
+ *   completedAt: string,
+ *   hops: Array<{ at: number } & Record<string, unknown>>,
+ *   intel: Array<{ at: number } & Record<string, unknown>>,
+ *   raw: Array<{ at: number, line: string }>,
+ *   port: Array<{ at: number } & Record<string, unknown>>,
+ * }} TraceRecord
+ *
+ * `at` is milliseconds since the trace started, so a replay can keep the original pacing.
+ */
+
+/**
+ * @typedef {{
+ *   id: string, target: string, mode: string, protocol: string,
+ *   startedAt: string, completedAt: string, hopCount: number, destination: string|null,
+ * }} TraceSummary
+ */
+
+/**
+ * List-view projection of a record (no per-event payloads).
+ * @param {TraceRecord} record
+ * @returns {TraceSummary}
+ */
+function toSummary(record) {
+  const lastHop = record.hops[record.hops.length - 1]
+  return Object.freeze({
+    id: record.id,
+    target: record.target,
+    mode: record.options.mode,
+    protocol: record.options.protocol,
+    startedAt: record.startedAt,
+    completedAt: record.completedAt,
+    hopCount: record.hops.length,
+    destination: lastHop?.ip ?? null,
+  })
+}
+
+/**
+ * @param {string} filePath - JSONL file; created (with its directory) on first save
+ * @param {{ maxRecords?: number }} [options]
+ *   maxRecords — newest traces kept; older ones are dropped as the file is trimmed
+ */
+export function createHistoryStore(filePath, { maxRecords = DEFAULT_MAX_RECORDS } = {}) {
+  /** Lines the file holds, counted on the first save; this store is the file's only writer */
+  let lineCount = null
+  /** Saves run one at a time, in call order, so a trim never drops an append */
+  let queue = Promise.resolve()
+
+  /**
+   * Every readable record, oldest first. A missing file is an empty history.
+   * @returns {Promise<TraceRecord[]>}
+   */
+  async function readAll() {
+    let text
+    try {
+      text = await readFile(filePath, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+
+    const records = []
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue
+      try {
+        records.push(JSON.parse(line))
+      } catch {
+        // Skip a torn or hand-edited line rather than losing the whole history
+      }
+    }
+    return records
+  }
+
+  /** Rewrite the file with the newest maxRecords; readers see the old or the new file, never half of one. */
+  async function trim() {
+    const kept = (await readAll()).slice(-maxRecords)
+    const tempPath = `${filePath}.${process.pid}.tmp`
+    await writeFile(tempPath, kept.map((r) => `${JSON.stringify(r)}\n`).join(''), 'utf8')
+    await rename(tempPath, filePath)
+    lineCount = kept.length
+  }
+
+  /**
+   * @param {TraceRecord} record
+   */
+  async function append(record) {
+    await mkdir(dirname(filePath), { recursive: true })
+    lineCount ??= (await readAll()).length
+    await appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8')
+    lineCount++
+    if (lineCount <= maxRecords + Math.ceil(maxRecords / 10)) return
+    try {
+      await trim()
+    } catch (err) {
+      // The trace is saved; an untrimmed file is retried on the next save
+      process.stderr.write(`History trim failed: ${err.message}\n`)
+    }
+  }
+
+  /**
+   * Persist a completed trace under a fresh id.
+   * @param {Omit<TraceRecord, 'id'>} trace
+   * @returns {Promise<TraceRecord>}
+   */
+  async function save(trace) {
+    const record = Object.freeze({ id: randomUUID(), ...trace })
+    const saving = queue.then(() => append(record))
+    queue = saving.catch(() => {})
+    await saving
+    return record
+  }
+
+  /**
+   * Newest-first summaries.
+   * @param {{ limit?: number }} [options]
+   * @returns {Promise<TraceSummary[]>}
+   */
+  async function list({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    const records = await readAll()
+    return records.reverse().slice(0, limit).map(toSummary)
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<TraceRecord|null>}
+   */
+  async function get(id) {
+    const records = await readAll()
+    return records.find((r) => r.id === id) ?? null
+  }
+
+  return { save, list, get }
+}
@@ -6,7 +6,7 @@
  *
  * Public surface:
  *   parseWhois(text)   — pure parser, easily unit-tested
- *   gatherIntel(ip)    — async network lookup, result cached by IP
+ *   gatherIntel(ip, knownHostname?) — async network lookup, result cached by IP
  *   clearCache()       — reset cache (for tests / new sessions)
  */
 
@@ -40,9 +40,6 @@ const ALLOWED_REGISTRIES = new Set([
   'whois.krnic.net',
 ])
 
-/** Basic IPv4 / IPv6 allowlist (no shell, just sanity check before network calls). */
-const IP_PATTERN = /^[\d.]+$|^[0-9a-fA-F:]+$/
-
 /** LRU-like cap: evict oldest entry when cache exceeds this size. */
 const MAX_CACHE_SIZE = 500
 
@@ -256,10 +253,14 @@ function cacheSet(ip, intel) {
 // ── Public API ────────────────────────────────────────────
 
 /**
- * Gather DNS + WHOIS intel for an IP address.
+ * Gather DNS + WHOIS intel for an IPv4 or IPv6 address.
  * Runs DNS and WHOIS lookups concurrently; caches results by IP.
  *
+ * When the trace already resolved the hop's name (traceroute without -n),
+ * pass it as `knownHostname` to skip the reverse DNS lookup.
+ *
  * @param {string|null} ip
+ * @param {string|null} [knownHostname] - Hostname reported by traceroute, if any
  * @returns {Promise<{
  *   ip: string,
  *   hostname: string|null,
@@ -269,14 +270,19 @@ function cacheSet(ip, intel) {
  *   netrange: string|null,
  * }|null>}  null when ip is null (ghost hop)
  */
-export async function gatherIntel(ip) {
+export async function gatherIntel(ip, knownHostname = null) {
   if (!ip) return null
-  // MEDIUM-1: Validate IP format before making any network calls
-  if (!IP_PATTERN.test(ip)) return null
-  if (cache.has(ip)) return cache.get(ip)
+  // MEDIUM-1: Validate IP format (IPv4 or IPv6) before making any network calls
+  if (!net.isIP(ip)) return null
+  if (cache.has(ip)) {
+    const cached = cache.get(ip)
+    return cached.hostname || !knownHostname
+      ? cached
+      : Object.freeze({ ...cached, hostname: knownHostname })
+  }
 
   const [hostname, whoisText] = await Promise.all([
-    resolveHostname(ip),
+    knownHostname ?? resolveHostname(ip),
     fetchWhoisText(ip),
   ])
 
@@ -0,0 +1,55 @@
+/**
+ * Findings worth telling someone about, from a finished trace or monitor cycle:
+ *
+ *   hostile — a hop the classifier judged hostile (its reason, when it gave one)
+ *   loss    — a responding hop that lost at least lossPct of its probes
+ *   route   — the path no longer lines up with the previous trace to the target
+ *
+ * The verdicts are the classifier's (hop.type / hop.lossRate), so a finding
+ * matches what the browser colours; this module only picks them out.
+ *
+ * Public surface:
+ *   DEFAULT_LOSS_PCT                      — loss threshold unless NOTIFY_LOSS_PCT sets one
+ *   findNotable(record, previous, opts)   — Finding[] for one trace or cycle
+ */
+
+import { findRouteChange } from '../history/regression.js'
+
+/** Probe loss on a responding hop, in percent, that counts as a finding. */
+export const DEFAULT_LOSS_PCT = 20
+
+/**
+ * @typedef {{ kind: 'hostile'|'loss'|'route', hop: number, ip: string|null, message: string }} Finding
+ */
+
+/**
+ * @param {Pick<import('../history/store.js').TraceRecord, 'hops'|'intel'>} record - The trace (or cycle) that finished
+ * @param {Pick<import('../history/store.js').TraceRecord, 'hops'|'intel'>|null} previous -
+ *   The previous trace to the same target (or the previous cycle); null: no route check
+ * @param {{ lossPct?: number }} [options]
+ * @returns {Finding[]} Route change first, then per hop in path order
+ */
+export function findNotable(record, previous, { lossPct = DEFAULT_LOSS_PCT } = {}) {
+  const findings = []
+
+  const change = previous && findRouteChange(previous, record)
+  if (change) {
+    findings.push(Object.freeze({
+      kind: 'route', hop: change.hop, ip: change.ip, message: `Route changed since the previous trace at ${change.message}`,
+    }))
+  }
+
+  for (const hop of [...record.hops].sort((a, b) => a.hop - b.hop)) {
+    const name = `Hop ${hop.hop} (${hop.ip ?? '*'})`
+    if (hop.type === 'hostile') {
+      const why = hop.reason ?? (hop.latencyDelta !== null ? `+${hop.latencyDelta} ms over the previous hop` : 'latency spike')
+      findings.push(Object.freeze({ kind: 'hostile', hop: hop.hop, ip: hop.ip, message: `${name} is hostile: ${why}` }))
+    }
+
+    const loss = typeof hop.lossRate === 'number' ? Math.round(hop.lossRate * 100) : null
+    if (hop.ip && loss !== null && loss >= lossPct) {
+      findings.push(Object.freeze({ kind: 'loss', hop: hop.hop, ip: hop.ip, message: `${name} lost ${loss}% of its probes` }))
+    }
+  }
+  return findings
+}
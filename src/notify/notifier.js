@@ -0,0 +1,124 @@
+/**
+ * Notification sinks: where findings (findings.js) go besides the browser.
+ *
+ *   webhook — POST of the JSON notification. With a secret, the body is
+ *             signed: X-Neon-Signature-256: sha256=<HMAC-SHA256 of the raw body>.
+ *             Network errors, timeouts, 429 and 5xx are retried with
+ *             exponential backoff; other answers are final.
+ *   logFile — the notification appended as one JSON line
+ *
+ * Every configured sink gets every notification; one failing does not
+ * stop the others.
+ *
+ * Public surface:
+ *   createNotifier(config) — { enabled, send(notification) }
+ *   signBody(body, secret) — the X-Neon-Signature-256 value a receiver should compute
+ */
+
+import { createHmac } from 'node:crypto'
+import { appendFile, mkdir } from 'node:fs/promises'
+import { dirname } from 'node:path'
+
+/** Webhook attempts per notification, the first included. */
+const MAX_ATTEMPTS = 5
+
+/** Delay before the first retry; each further retry waits twice as long. */
+const BACKOFF_MS = 1000
+
+/** One webhook attempt is abandoned (and retried) after this long. */
+const ATTEMPT_TIMEOUT_MS = 10_000
+
+/**
+ * @param {string} body
+ * @param {string} secret
+ * @returns {string} Header value, e.g. "sha256=3f…"
+ */
+export function signBody(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`
+}
+
+/**
+ * @param {number} status
+ * @returns {boolean} Worth trying again later
+ */
+function isRetryable(status) {
+  return status === 429 || status >= 500
+}
+
+/**
+ * @param {{
+ *   webhookUrl?: string|null,
+ *   webhookSecret?: string|null,
+ *   logFile?: string|null,
+ *   fetch?: typeof fetch,
+ *   sleep?: (ms: number) => Promise<void>,
+ * }} config
+ *   webhookUrl    — http(s) URL the notifications are POSTed to; unset: no webhook
+ *   webhookSecret — HMAC key for X-Neon-Signature-256; unset: unsigned
+ *   logFile       — JSON-lines file the notifications are appended to; unset: no log
+ */
+export function createNotifier({
+  webhookUrl = null, webhookSecret = null, logFile = null,
+  fetch = globalThis.fetch, sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) {
+  /**
+   * @param {string} body
+   * @param {Record<string, string>} headers
+   * @returns {Promise<{ reason: string, retry: boolean }|null>} null once delivered
+   */
+  async function postOnce(body, headers) {
+    try {
+      const res = await fetch(webhookUrl, { method: 'POST', headers, body, signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS) })
+      // The answer is unread either way; cancelling it frees the keep-alive socket now, not at GC
+      await res.body?.cancel()
+      if (res.ok) return null
+      return { reason: `HTTP ${res.status}`, retry: isRetryable(res.status) }
+    } catch (err) {
+      // Refused, reset or timed out: the receiver may be back shortly
+      return { reason: err.message, retry: true }
+    }
+  }
+
+  /**
+   * @param {string} body
+   * @param {string} event - Finding kinds, e.g. "hostile,route"
+   */
+  async function postWebhook(body, event) {
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'neon-ping', 'X-Neon-Event': event }
+    if (webhookSecret) headers['X-Neon-Signature-256'] = signBody(body, webhookSecret)
+
+    for (let attempt = 1; ; attempt++) {
+      const failure = await postOnce(body, headers)
+      if (!failure) return
+      if (!failure.retry || attempt === MAX_ATTEMPTS) {
+        throw new Error(`${failure.reason} after ${attempt} attempt${attempt === 1 ? '' : 's'}`)
+      }
+      await sleep(BACKOFF_MS * 2 ** (attempt - 1))
+    }
+  }
+
+  /** @param {string} body */
+  async function appendLog(body) {
+    await mkdir(dirname(logFile), { recursive: true })
+    await appendFile(logFile, `${body}\n`, 'utf8')
+  }
+
+  /**
+   * Deliver one notification to every sink.
+   * @param {{ findings: import('./findings.js').Finding[] } & Record<string, unknown>} notification
+   * @returns {Promise<void>} Rejects, naming each failed sink, once all have been tried
+   */
+  async function send(notification) {
+    const body = JSON.stringify(notification)
+    const event = [...new Set(notification.findings.map((f) => f.kind))].join(',')
+    const sinks = [
+      ...(webhookUrl ? [['webhook', postWebhook(body, event)]] : []),
+      ...(logFile ? [['log file', appendLog(body)]] : []),
+    ]
+    const results = await Promise.allSettled(sinks.map(([, delivery]) => delivery))
+    const failed = results.flatMap((result, k) => (result.status === 'rejected' ? [`${sinks[k][0]}: ${result.reason.message}`] : []))
+    if (failed.length > 0) throw new Error(failed.join('; '))
+  }
+
+  return Object.freeze({ enabled: Boolean(webhookUrl || logFile), send })
+}
@@ -1,15 +1,25 @@
 /**
  * Classifies traceroute hops into normal / hostile / ghost types.
  *
+ * filtered    — a probe came back administratively prohibited (!X, !<13> …)
+ * unreachable — a probe came back with any other ICMP unreachable (!H, !N …)
  * ghost   — timedOut === true (router exists but doesn't respond)
  * lossy   — partialLoss === true (some probes dropped, others responded)
  * hostile — latency spikes abruptly vs previous hop
  * normal  — everything else
+ *
+ * enrichHop() also places MPLS-labelled hops in their LSP (see mpls.js).
+ * Traces are classified a path at a time by pathClassifier.js, which
+ * builds on classifyHop().
  */
 
+import { tunnelOf } from './mpls.js'
+
 /** Absolute ms threshold for hostile classification */
-const HOSTILE_DELTA_MS = 100
+export const HOSTILE_DELTA_MS = 100
 
+/** Annotation reasons that mean policy (an ACL or firewall), not a broken path. */
+const FILTERED_REASONS = new Set(['prohibited', 'precedence'])
 
 /**
  * Calculate average latency from a latencies array.
@@ -22,13 +32,19 @@ function avgLatency(latencies) {
 }
 
 /**
- * Classify a hop as 'normal', 'hostile', 'ghost', or 'lossy'.
+ * Classify a hop as 'normal', 'hostile', 'ghost', 'lossy', 'unreachable' or 'filtered'.
  *
  * @param {import('./parser.js').HopResult} hop       Current hop
  * @param {import('./parser.js').HopResult|null} prevHop  Previous hop (null if first)
- * @returns {{ type: 'normal'|'hostile'|'ghost'|'lossy', latencyDelta: number|null, lossRate: number|null }}
+ * @returns {{ type: 'normal'|'hostile'|'ghost'|'lossy'|'unreachable'|'filtered', latencyDelta: number|null, lossRate: number|null }}
  */
 export function classifyHop(hop, prevHop) {
+  // Unreachable / filtered: the router answered, but to say nothing goes past it
+  if (hop.annotations?.length) {
+    const filtered = hop.annotations.some((a) => FILTERED_REASONS.has(a.reason))
+    return { type: filtered ? 'filtered' : 'unreachable', latencyDelta: null, lossRate: null }
+  }
+
   // Ghost: full timeout
   if (hop.timedOut) {
     return { type: 'ghost', latencyDelta: null, lossRate: null }
@@ -36,7 +52,10 @@ export function classifyHop(hop, prevHop) {
 
   // Lossy: partial probe timeout (some * in output)
   if (hop.partialLoss) {
-    const lossRate = Math.round(((3 - hop.latencies.length) / 3) * 100) / 100
+    // `probes` is set whenever the count is known (configured probe count,
+    // native engine, multipath flows); otherwise traceroute/tracert sent 3
+    const sent = hop.probes ?? 3
+    const lossRate = Math.round(((sent - hop.latencies.length) / sent) * 100) / 100
     return { type: 'lossy', latencyDelta: null, lossRate }
   }
 
@@ -63,14 +82,17 @@ export function classifyHop(hop, prevHop) {
 }
 
 /**
- * Return a new hop object enriched with classification fields.
+ * Return a new hop object enriched with classification fields, plus
+ * `tunnel` when the hop carries an MPLS label stack.
  * Does not mutate the original hop.
  *
  * @param {import('./parser.js').HopResult} hop
- * @param {import('./parser.js').HopResult|null} prevHop
- * @returns {import('./parser.js').HopResult & { type: string, latencyDelta: number|null, lossRate: number|null }}
+ * @param {(import('./parser.js').HopResult & { tunnel?: import('./mpls.js').Tunnel })|null} prevHop - Previous hop, already enriched
+ * @returns {import('./parser.js').HopResult & { type: string, latencyDelta: number|null, lossRate: number|null,
+ *           tunnel?: import('./mpls.js').Tunnel }}
  */
 export function enrichHop(hop, prevHop) {
   const { type, latencyDelta, lossRate } = classifyHop(hop, prevHop)
-  return Object.freeze({ ...hop, type, latencyDelta, lossRate })
+  const tunnel = tunnelOf(hop, prevHop)
+  return Object.freeze({ ...hop, type, latencyDelta, lossRate, ...(tunnel && { tunnel }) })
 }
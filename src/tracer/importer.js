@@ -0,0 +1,224 @@
+/**
+ * Imports traceroute output captured elsewhere — a customer's paste or an
+ * attached file — so it can be drawn like a live trace.
+ *
+ * Supported text:
+ *   traceroute (Linux, macOS, BSD) — the 'bsd' dialect, which also folds
+ *                                    BSD continuation lines into their hop
+ *   tracert (Windows)   — the 'win32' dialect
+ *   mtr --report        — "  1.|-- host  0.0%  10  1.2  1.3  1.1  1.6  0.1"
+ *
+ * Public surface:
+ *   parseMtrReportLine(line)           — one mtr report hop line → HopResult + stats
+ *   parseTraceText(text)               — detect the format, parse every hop
+ *   replayImport(parsed, callbacks, …) — a runner (same callbacks and cancel
+ *                                        as runTrace) that plays the hops back
+ */
+
+import { isIP } from 'node:net'
+import { createHopAssembler } from './parser.js'
+
+/** Pause between imported hops, so the scene builds up the way a live trace does. */
+const IMPORT_HOP_DELAY_MS = 150
+
+/** Highest TTL an IPv4/IPv6 packet can carry; anything above is not a hop line. */
+const MAX_TTL = 255
+
+/**
+ * mtr derives loss from many cycles; the classifier reads it from
+ * latencies.length / probes, so imported hops are scaled to this many probes.
+ */
+const MTR_PROBE_SCALE = 10
+
+// "traceroute to example.com (93.184.216.34), 30 hops max, 60 byte packets"
+const TRACEROUTE_HEADER = /^\s*traceroute6?\s+to\s+(\S+)/i
+
+// "Tracing route to example.com [93.184.216.34]"
+const TRACERT_HEADER = /^\s*Tracing route to\s+(\S+)/i
+
+// tracert hop: three probe columns ("<1 ms", "12 ms" or "*") before the address
+const TRACERT_HOP = /^\s*\d+\s+(?:(?:<?\d+\s*ms|\*)\s+){3}\S/
+
+// "  3.|-- edge.example.net (203.0.113.9)  33.3%  3  130.5  125.5  120.5  130.5  5.0"
+// mtr -z puts the AS before the host: "  3. AS64500  203.0.113.9  …"
+const MTR_HOP = /^\s*(\d+)\.\s*(?:\|--\s*)?(?:AS[\d?]+\s+)?(\S(?:.*?\S)?)\s+(\d+(?:\.\d+)?)%?\s+(\d+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s*$/
+
+// Another router on the previous TTL: "    |  `-- 10.0.0.2"
+const MTR_EXTRA_HOST = /^\s*\|\s*`--\s*(\S(?:.*?\S)?)\s*$/
+
+/**
+ * @typedef {import('./parser.js').HopResult & {
+ *   stats?: { sent: number, received: number, loss: number, last: number, avg: number,
+ *             best: number, worst: number, stdev: number },
+ * }} ImportedHop
+ */
+
+/**
+ * @typedef {{
+ *   format: 'traceroute' | 'tracert' | 'mtr',
+ *   target: string | null,
+ *   hops: ImportedHop[],
+ *   lines: Array<{ text: string, hops: ImportedHop[] }>,
+ * }} ParsedImport
+ */
+
+/**
+ * mtr host cell: "name (ip)" (mtr -b), a bare IP, a bare name, or "???".
+ * @param {string} cell
+ * @returns {{ ip: string | null, hostname: string | null }}
+ */
+function parseMtrHost(cell) {
+  if (cell === '???') return { ip: null, hostname: null }
+  const named = /^(\S+)\s+\(([^)]+)\)$/.exec(cell)
+  if (named && isIP(named[2])) return { ip: named[2], hostname: named[1] === named[2] ? null : named[1] }
+  return isIP(cell) ? { ip: cell, hostname: null } : { ip: null, hostname: cell }
+}
+
+/**
+ * Parse one hop line of an `mtr --report` (or --report-wide) table.
+ *
+ * mtr prints aggregates, not probes, so `latencies` is synthesized: one
+ * entry at the average per received probe out of MTR_PROBE_SCALE. That
+ * keeps the classifier's average and loss rate true to the report; the
+ * exact figures ride along in `stats`.
+ *
+ * @param {string} line
+ * @returns {ImportedHop | null}
+ */
+export function parseMtrReportLine(line) {
+  const match = MTR_HOP.exec(line)
+  if (!match) return null
+
+  const hop = Number(match[1])
+  if (hop < 1 || hop > MAX_TTL) return null
+
+  const [loss, sent, last, avg, best, worst, stdev] = match.slice(3).map(Number)
+  const { ip, hostname } = parseMtrHost(match[2])
+  const received = Math.round(sent * (1 - loss / 100))
+
+  const probes = Math.min(sent, MTR_PROBE_SCALE)
+  const scaledReceived = received === 0 ? 0 : Math.max(1, Math.round(probes * (1 - loss / 100)))
+  const latencies = Array(scaledReceived).fill(avg)
+  const timedOut = ip === null && hostname === null ? true : received === 0
+
+  return Object.freeze({
+    hop,
+    ip,
+    hostname,
+    latencies,
+    responders: ip ? [Object.freeze({ ip, hostname, latencies })] : [],
+    timedOut,
+    partialLoss: !timedOut && scaledReceived < probes,
+    probes,
+    stats: Object.freeze({ sent, received, loss, last, avg, best, worst, stdev }),
+  })
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {ParsedImport['format']}
+ */
+function detectFormat(lines) {
+  if (lines.some((line) => MTR_HOP.test(line))) return 'mtr'
+  if (lines.some((line) => TRACERT_HEADER.test(line) || TRACERT_HOP.test(line))) return 'tracert'
+  return 'traceroute'
+}
+
+/**
+ * Destination named in a traceroute / tracert header, if there is one.
+ * @param {string[]} lines
+ * @returns {string | null}
+ */
+function headerTarget(lines) {
+  for (const line of lines) {
+    const match = TRACEROUTE_HEADER.exec(line) ?? TRACERT_HEADER.exec(line)
+    if (match) return match[1].replace(/,$/, '')
+  }
+  return null
+}
+
+/**
+ * Parse pasted or uploaded traceroute output. Lines that are not hops
+ * (headers, "Trace complete.", blank lines) are kept for the console.
+ *
+ * @param {string} text
+ * @returns {ParsedImport} `target` is the header's destination, else the last responding hop
+ */
+export function parseTraceText(text) {
+  const rawLines = text.split(/\r?\n/).map((line) => line.replace(/\s+$/, ''))
+  const format = detectFormat(rawLines)
+  // Linux lines are complete hops in the BSD dialect too, so it reads both
+  const assembler = createHopAssembler(format === 'tracert' ? 'win32' : 'bsd')
+  const inRange = (hop) => hop.hop >= 1 && hop.hop <= MAX_TTL
+
+  /** @type {ParsedImport['lines']} */
+  const lines = []
+  for (const line of rawLines) {
+    if (!line.trim()) continue
+
+    if (format === 'mtr') {
+      const extra = MTR_EXTRA_HOST.exec(line)
+      const previous = lines.findLast((entry) => entry.hops.length > 0)
+      if (extra && previous) {
+        // ECMP: the TTL's extra router joins the hop it is listed under
+        const { ip, hostname } = parseMtrHost(extra[1])
+        if (ip) {
+          const [hop] = previous.hops
+          const responders = [...hop.responders, Object.freeze({ ip, hostname, latencies: [] })]
+          previous.hops = [Object.freeze({ ...hop, responders })]
+        }
+        lines.push({ text: line, hops: [] })
+        continue
+      }
+      const hop = parseMtrReportLine(line)
+      lines.push({ text: line, hops: hop ? [hop] : [] })
+      continue
+    }
+
+    lines.push({ text: line, hops: assembler.push(line).filter(inRange) })
+  }
+  lines.at(-1)?.hops.push(...assembler.flush().filter(inRange))
+
+  const hops = lines.flatMap((entry) => entry.hops)
+  const lastResponder = hops.findLast((hop) => hop.ip)?.ip ?? null
+  return { format, target: headerTarget(rawLines) ?? lastResponder, hops, lines }
+}
+
+/**
+ * Play a parsed import back through runner callbacks: each line goes to
+ * onRaw, each hop to onHop, IMPORT_HOP_DELAY_MS apart, then onComplete.
+ * Like runTrace, cancel() stops it without calling onComplete.
+ *
+ * @param {ParsedImport} parsed
+ * @param {import('./runner.js').RunCallbacks} callbacks
+ * @param {{ delayMs?: number }} [options]
+ * @returns {{ cancel: () => void }}
+ */
+export function replayImport(parsed, callbacks, { delayMs = IMPORT_HOP_DELAY_MS } = {}) {
+  let index = 0
+  let timer = null
+
+  function step() {
+    while (index < parsed.lines.length) {
+      const { text, hops } = parsed.lines[index++]
+      callbacks.onRaw(text)
+      if (hops.length > 0) {
+        for (const hop of hops) callbacks.onHop(hop)
+        timer = setTimeout(step, delayMs)
+        return
+      }
+    }
+    timer = null
+    callbacks.onComplete()
+  }
+
+  // Start on the next tick, after the caller has registered the cancel handle
+  timer = setTimeout(step, 0)
+
+  return {
+    cancel() {
+      clearTimeout(timer)
+      timer = null
+    },
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Continuous MTR-style monitoring.
+ *
+ * Re-runs traceroute every `interval` seconds and keeps running per-hop
+ * statistics keyed by TTL, the way `mtr` does:
+ *   sent, received, loss %, last / avg / best / worst / stdev RTT
+ *
+ * Public surface:
+ *   accumulateStats(stats, latencies, sent) — pure stats update (Welford)
+ *   toStatsSnapshot(hop, stats)             — client-facing stats payload
+ *   runMonitor(target, callbacks, options)  — the re-probe loop
+ */
+
+import { runTrace } from './runner.js'
+import { runNativeTrace } from './native.js'
+
+/** Seconds between cycles when the client does not choose. */
+const DEFAULT_INTERVAL_SEC = 10
+
+/** traceroute's default probes per hop. */
+const DEFAULT_PROBES = 3
+
+/**
+ * @typedef {{
+ *   sent: number, received: number,
+ *   last: number|null, best: number|null, worst: number|null,
+ *   mean: number, m2: number,
+ * }} RunningStats
+ */
+
+/** @type {RunningStats} */
+const EMPTY_STATS = Object.freeze({
+  sent: 0, received: 0, last: null, best: null, worst: null, mean: 0, m2: 0,
+})
+
+/**
+ * Fold one cycle's probes for a hop into its running stats.
+ * Uses Welford's online algorithm so stdev needs no sample history.
+ *
+ * @param {RunningStats|null} stats - Previous stats (null on first cycle)
+ * @param {number[]} latencies - RTTs received this cycle
+ * @param {number} sent - Probes sent this cycle
+ * @returns {RunningStats}
+ */
+export function accumulateStats(stats, latencies, sent) {
+  let { received, best, worst, mean, m2 } = stats ?? EMPTY_STATS
+
+  for (const rtt of latencies) {
+    received += 1
+    const delta = rtt - mean
+    mean += delta / received
+    m2 += delta * (rtt - mean)
+    best = best === null ? rtt : Math.min(best, rtt)
+    worst = worst === null ? rtt : Math.max(worst, rtt)
+  }
+
+  return Object.freeze({
+    sent: (stats?.sent ?? 0) + Math.max(sent, latencies.length),
+    received,
+    last: latencies.length > 0 ? latencies[latencies.length - 1] : stats?.last ?? null,
+    best,
+    worst,
+    mean,
+    m2,
+  })
+}
+
+/**
+ * Round to 0.1 ms like mtr's report columns.
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10
+}
+
+/**
+ * Build the `trace-hop-stats` payload for a hop.
+ *
+ * @param {{ hop: number, ip: string|null }} hop
+ * @param {RunningStats} stats
+ * @returns {{ hop: number, ip: string|null, sent: number, received: number, loss: number,
+ *             last: number|null, avg: number|null, best: number|null, worst: number|null, stdev: number|null }}
+ */
+export function toStatsSnapshot(hop, stats) {
+  const hasSamples = stats.received > 0
+  return Object.freeze({
+    hop: hop.hop,
+    ip: hop.ip,
+    sent: stats.sent,
+    received: stats.received,
+    loss: stats.sent > 0 ? Math.round(((stats.sent - stats.received) / stats.sent) * 1000) / 10 : 0,
+    last: round1(stats.last),
+    avg: hasSamples ? round1(stats.mean) : null,
+    best: round1(stats.best),
+    worst: round1(stats.worst),
+    stdev: hasSamples ? round1(Math.sqrt(stats.m2 / stats.received)) : null,
+  })
+}
+
+/**
+ * @typedef {Object} MonitorCallbacks
+ * @property {(cycle: number) => void} onCycle - A new probe cycle is starting
+ * @property {(cycle: number) => void} [onCycleComplete] - A cycle's trace finished (not called on cancel)
+ * @property {(hop: import('./parser.js').HopResult, stats: ReturnType<typeof toStatsSnapshot>) => void} onHop
+ * @property {(line: string) => void} onRaw
+ * @property {(message: string) => void} onError
+ */
+
+/**
+ * Monitor the path to a target until cancelled.
+ * Each cycle is an ordinary trace on the chosen engine; the next one starts `interval`
+ * seconds after the previous one completes, so cycles never overlap.
+ *
+ * @param {string} target - Validated hostname or IP
+ * @param {MonitorCallbacks} callbacks
+ * @param {Partial<import('../validation.js').TraceOptions>} [options] - Validated trace options
+ * @returns {{ cancel: () => void }}
+ */
+export function runMonitor(target, callbacks, options = {}) {
+  const intervalMs = (options.interval ?? DEFAULT_INTERVAL_SEC) * 1000
+  const trace = options.engine === 'native' ? runNativeTrace : runTrace
+
+  /** @type {Map<number, RunningStats>} Running stats keyed by TTL */
+  const statsByTtl = new Map()
+  let cycle = 0
+  let current = null
+  let timer = null
+  let cancelled = false
+
+  function startCycle() {
+    if (cancelled) return
+    cycle += 1
+    callbacks.onCycle(cycle)
+
+    current = trace(target, {
+      onHop(hop) {
+        const sent = hop.probes ?? DEFAULT_PROBES
+        const stats = accumulateStats(statsByTtl.get(hop.hop) ?? null, hop.latencies, sent)
+        statsByTtl.set(hop.hop, stats)
+        callbacks.onHop(hop, toStatsSnapshot(hop, stats))
+      },
+      onRaw: callbacks.onRaw,
+      onError: callbacks.onError,
+      onComplete() {
+        current = null
+        if (cancelled) return
+        callbacks.onCycleComplete?.(cycle)
+        if (!cancelled) timer = setTimeout(startCycle, intervalMs)
+      },
+    }, options)
+  }
+
+  function cancel() {
+    cancelled = true
+    clearTimeout(timer)
+    if (current) current.cancel()
+    current = null
+  }
+
+  startCycle()
+
+  return { cancel }
+}
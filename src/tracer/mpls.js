@@ -0,0 +1,88 @@
+/**
+ * MPLS label stacks (RFC 4950 ICMP extensions) and LSP tunnel detection.
+ *
+ * traceroute -e prints the label stack a router quoted after the RTT:
+ *   " 5  10.0.0.5  12.345 ms <MPLS:L=24001,E=0,S=1,T=1>"
+ *   " 6  10.0.0.6  13.001 ms <MPLS:L=16003,E=0,S=0,T=1/L=24005,E=0,S=1,T=2>"
+ * (top of stack first, entries separated by "/").
+ *
+ * Tunnels: consecutive labelled hops are one LSP, identified by the TTL of
+ * its first hop. A hop whose top label arrived with a TTL above 1 was not
+ * reached by an expiring label: the ingress did not copy the IP TTL into
+ * the label (pipe mode, `no mpls ip propagate-ttl`), so the LSRs before it
+ * never answered and the tunnel is flagged hidden.
+ */
+
+/** LSE TTL an ingress in pipe mode usually starts the label at. */
+const PIPE_INITIAL_TTL = 255
+
+/** Above this many hidden LSRs the 255-start guess is not believable. */
+const MAX_HIDDEN_ESTIMATE = 64
+
+// "L=24001,E=0,S=1,T=1"
+const LABEL_ENTRY = /^L=(\d+),E=(\d+),S=([01]),T=(\d+)$/
+
+/**
+ * One label stack entry.
+ * @typedef {{ label: number, exp: number, bottom: boolean, ttl: number }} MplsLabel
+ */
+
+/**
+ * An enriched hop's place in an LSP. `id` is the TTL of the tunnel's first
+ * hop; `hiddenHops` estimates the LSRs a hidden tunnel skipped (null when
+ * the tunnel is visible or the estimate is not believable).
+ * @typedef {{ id: number, hidden: boolean, hiddenHops: number | null }} Tunnel
+ */
+
+/**
+ * Read the body of a "<MPLS:…>" extension as traceroute -e prints it.
+ *
+ * @param {string} text - The text between "<" and ">", e.g. "MPLS:L=24001,E=0,S=1,T=1"
+ * @returns {MplsLabel[] | null} Top of stack first; null for other extensions or malformed stacks
+ */
+export function parseMplsExtension(text) {
+  if (!text.startsWith('MPLS:')) return null
+
+  const labels = []
+  for (const entry of text.slice('MPLS:'.length).split('/')) {
+    const match = LABEL_ENTRY.exec(entry)
+    if (!match) return null
+    const [label, exp, bottom, ttl] = match.slice(1).map(Number)
+    if (label > 0xfffff || exp > 7 || ttl > 255) return null
+    labels.push(Object.freeze({ label, exp, bottom: bottom === 1, ttl }))
+  }
+  return labels
+}
+
+/**
+ * Format a label stack back into traceroute -e's notation.
+ *
+ * @param {MplsLabel[]} labels
+ * @returns {string} e.g. "MPLS:L=24001,E=0,S=1,T=1"
+ */
+export function formatMplsExtension(labels) {
+  const entries = labels.map(({ label, exp, bottom, ttl }) => `L=${label},E=${exp},S=${bottom ? 1 : 0},T=${ttl}`)
+  return `MPLS:${entries.join('/')}`
+}
+
+/**
+ * Place a hop in an LSP: it continues the previous hop's tunnel, or
+ * opens a new one. Hops without a label stack are outside every tunnel,
+ * timeouts included, so a lost hop splits an LSP in two.
+ *
+ * @param {{ hop: number, mpls?: MplsLabel[] }} hop
+ * @param {{ tunnel?: Tunnel } | null} prevHop - The previous hop, already enriched
+ * @returns {Tunnel | null}
+ */
+export function tunnelOf(hop, prevHop) {
+  const top = hop.mpls?.[0]
+  if (!top) return null
+
+  const hidden = top.ttl > 1
+  const skipped = PIPE_INITIAL_TTL - top.ttl
+  return Object.freeze({
+    id: prevHop?.tunnel?.id ?? hop.hop,
+    hidden,
+    hiddenHops: hidden && skipped <= MAX_HIDDEN_ESTIMATE ? skipped : null,
+  })
+}
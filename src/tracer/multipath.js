@@ -0,0 +1,118 @@
+/**
+ * Multipath Detection Algorithm (MDA) bookkeeping, as in Paris traceroute.
+ *
+ * Each flow is one traceroute run whose flow identifier (UDP destination
+ * port) stays constant, so every probe of that run hashes onto the same
+ * load-balanced path. Merging many flows reveals every next hop per TTL
+ * and the edges between them: a diamond graph rather than a single chain.
+ *
+ * Pure logic only — process management lives in runner.js.
+ */
+
+/**
+ * Probes needed per TTL to rule out one more interface with 95% confidence,
+ * indexed by the number of interfaces already seen (Augustin et al., 2007).
+ */
+const MDA_STOPPING_POINTS = [0, 6, 11, 16, 21, 27, 33, 38, 44, 51, 57, 63, 70, 76, 83, 90, 96]
+
+/**
+ * @param {number} interfaces - Interfaces discovered so far at one TTL
+ * @returns {number} Flows that must reach the TTL before discovery can stop
+ */
+export function probesNeeded(interfaces) {
+  const last = MDA_STOPPING_POINTS.length - 1
+  return MDA_STOPPING_POINTS[Math.min(interfaces, last)]
+}
+
+/**
+ * @typedef {import('./parser.js').Responder & { prev: string[] }} MultipathResponder
+ */
+
+/**
+ * Accumulates flows into a layered graph keyed by TTL.
+ *
+ * @returns {{
+ *   addFlow: (hops: import('./parser.js').HopResult[]) => void,
+ *   flowCount: () => number,
+ *   flowsStillNeeded: () => number,
+ *   toHops: () => import('./parser.js').HopResult[],
+ * }}
+ */
+export function createMultipathGraph() {
+  /** @type {Map<number, Map<string, { hostname: string|null, latencies: number[], prev: Set<string> }>>} */
+  const layers = new Map()
+  /** @type {Map<number, number>} Flows that produced a line for each TTL */
+  const probes = new Map()
+  let flows = 0
+
+  /**
+   * Merge one flow's hops (one probe per TTL) into the graph.
+   * An edge is recorded whenever the flow got answers at two consecutive TTLs.
+   * @param {import('./parser.js').HopResult[]} hops
+   */
+  function addFlow(hops) {
+    flows += 1
+    const byTtl = new Map(hops.map((h) => [h.hop, h]))
+
+    for (const hop of hops) {
+      probes.set(hop.hop, (probes.get(hop.hop) ?? 0) + 1)
+      if (!layers.has(hop.hop)) layers.set(hop.hop, new Map())
+
+      const prevIps = byTtl.get(hop.hop - 1)?.responders.map((r) => r.ip) ?? []
+      const layer = layers.get(hop.hop)
+
+      for (const responder of hop.responders) {
+        const node = layer.get(responder.ip) ?? { hostname: responder.hostname, latencies: [], prev: new Set() }
+        node.latencies.push(...responder.latencies)
+        for (const ip of prevIps) node.prev.add(ip)
+        layer.set(responder.ip, node)
+      }
+    }
+  }
+
+  /**
+   * How many more flows the least-explored TTL needs before the
+   * stopping rule is met everywhere (0 when discovery is complete).
+   * @returns {number}
+   */
+  function flowsStillNeeded() {
+    let needed = 0
+    for (const [ttl, layer] of layers) {
+      if (layer.size === 0) continue
+      needed = Math.max(needed, probesNeeded(layer.size) - (probes.get(ttl) ?? 0))
+    }
+    return needed
+  }
+
+  /**
+   * Snapshot the graph as HopResults in TTL order. Each responder lists the
+   * previous-TTL addresses it was reached through (`prev`), and `probes`
+   * counts the flows that reached the TTL.
+   * @returns {import('./parser.js').HopResult[]}
+   */
+  function toHops() {
+    return [...layers.keys()].sort((a, b) => a - b).map((ttl) => {
+      const responders = [...layers.get(ttl)].map(([ip, node]) => Object.freeze({
+        ip,
+        hostname: node.hostname,
+        latencies: [...node.latencies],
+        prev: [...node.prev],
+      }))
+      const latencies = responders.flatMap((r) => r.latencies)
+      const sent = probes.get(ttl) ?? 0
+
+      return Object.freeze({
+        hop: ttl,
+        ip: responders[0]?.ip ?? null,
+        hostname: responders[0]?.hostname ?? null,
+        latencies,
+        responders,
+        probes: sent,
+        timedOut: latencies.length === 0,
+        partialLoss: latencies.length > 0 && latencies.length < sent,
+      })
+    })
+  }
+
+  return { addFlow, flowCount: () => flows, flowsStillNeeded, toHops }
+}
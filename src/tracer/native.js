@@ -0,0 +1,368 @@
+/**
+ * Native probe engine: sends UDP or TCP-SYN probes with increasing TTL
+ * straight from Node and reads the ICMP answers off a raw socket, instead
+ * of spawning traceroute and parsing its text output.
+ *
+ * Raw sockets come from the optional `raw-socket` package and need root or
+ * CAP_NET_RAW. Hops are emitted as the same HopResult objects runner.js
+ * produces, plus `probes` (probes sent) for the classifier.
+ */
+
+import dgram from 'node:dgram'
+import { lookup } from 'node:dns/promises'
+import { isIP } from 'node:net'
+import { randomInt } from 'node:crypto'
+import { buildTcpSyn, normalizeAddress, parseIcmpReply, parseTcpReply } from './packets.js'
+import { parseAnnotation, portStateFromFlags } from './parser.js'
+import { formatMplsExtension } from './mpls.js'
+
+const MAX_RUNTIME_MS = 60_000
+
+const DEFAULT_MAX_HOPS = 30
+const DEFAULT_PROBES = 3
+const DEFAULT_WAIT_SEC = 3
+
+/** traceroute's classic UDP base port; each probe uses the next port up. */
+const DEFAULT_UDP_PORT = 33434
+const DEFAULT_TCP_PORT = 80
+
+/** TTLs probed side by side (traceroute -N does the same, default 16). */
+const SIMULTANEOUS_TTLS = 6
+
+/** UDP payload when no packet size is set (traceroute's 60-byte IPv4 / 80-byte IPv6 probes). */
+const DEFAULT_UDP_PAYLOAD_BYTES = 32
+
+/** IP + UDP header bytes, subtracted from a requested packet size. */
+const UDP_OVERHEAD_BYTES = Object.freeze({ 4: 28, 6: 48 })
+
+const DNS_FAMILY = Object.freeze({ auto: 0, ipv4: 4, ipv6: 6 })
+
+/**
+ * One probe's answer; null when the probe was lost. `flags` holds the TCP
+ * flags when the destination itself answered a SYN ("syn,ack" or "rst");
+ * `annotation` the traceroute flag text of an ICMP unreachable ("H", "<10>");
+ * `mpls` the label stack the router quoted.
+ * @typedef {{ ip: string, rtt: number, flags?: string, annotation?: string,
+ *             mpls?: import('./mpls.js').MplsLabel[] } | null} ProbeAnswer
+ */
+
+/**
+ * Assemble the HopResult for one TTL from its probes' answers (in send order).
+ *
+ * @param {number} ttl
+ * @param {ProbeAnswer[]} answers
+ * @returns {import('./parser.js').HopResult & { probes: number }}
+ */
+export function toHopResult(ttl, answers) {
+  /** @type {Map<string, number[]>} */
+  const byIp = new Map()
+  const latencies = []
+  /** @type {Map<string, import('./parser.js').Annotation>} */
+  const annotations = new Map()
+  let portState = null
+  let mpls = null
+  for (const answer of answers) {
+    if (!answer) continue
+    mpls ??= answer.mpls ?? null
+    latencies.push(answer.rtt)
+    byIp.set(answer.ip, [...(byIp.get(answer.ip) ?? []), answer.rtt])
+    if (answer.flags) portState = portStateFromFlags(answer.flags) ?? portState
+    const annotation = answer.annotation ? parseAnnotation(answer.annotation) : null
+    if (annotation) {
+      const seen = annotations.get(annotation.flag)
+      annotations.set(annotation.flag, Object.freeze({ ...annotation, count: (seen?.count ?? 0) + 1 }))
+    }
+  }
+
+  const responders = [...byIp].map(([ip, rtts]) => Object.freeze({ ip, hostname: null, latencies: rtts }))
+
+  return Object.freeze({
+    hop: ttl,
+    ip: responders[0]?.ip ?? null,
+    hostname: null,
+    latencies,
+    responders,
+    probes: answers.length,
+    timedOut: latencies.length === 0,
+    partialLoss: latencies.length > 0 && latencies.length < answers.length,
+    ...(portState && { portState }),
+    ...(annotations.size > 0 && { annotations: [...annotations.values()] }),
+    ...(mpls && { mpls }),
+  })
+}
+
+/**
+ * Render a hop the way `traceroute -n` (with `-O info` for TCP) prints it,
+ * for the console readout.
+ *
+ * @param {number} ttl
+ * @param {ProbeAnswer[]} answers
+ * @returns {string}
+ */
+export function formatHopLine(ttl, answers) {
+  let lastIp = null
+  const columns = answers.map((answer) => {
+    if (!answer) return '*'
+    const address = answer.ip === lastIp ? '' : `${answer.ip}  `
+    lastIp = answer.ip
+    const flags = answer.flags ? ` <${answer.flags}>` : ''
+    const mpls = answer.mpls ? ` <${formatMplsExtension(answer.mpls)}>` : ''
+    const annotation = answer.annotation ? ` !${answer.annotation}` : ''
+    return `${address}${answer.rtt.toFixed(3)} ms${flags}${annotation}${mpls}`
+  })
+  return `${String(ttl).padStart(2)}  ${columns.join('  ')}`
+}
+
+/**
+ * @returns {Promise<any | null>} The raw-socket module, or null when it is not installed
+ */
+async function loadRawSocket() {
+  try {
+    return (await import('raw-socket')).default
+  } catch {
+    return null
+  }
+}
+
+/**
+ * The local address the kernel would use to reach `ip` (needed for the TCP
+ * checksum pseudo-header). Connecting a UDP socket sends nothing.
+ *
+ * @param {string} ip
+ * @param {4 | 6} family
+ * @returns {Promise<string>}
+ */
+async function sourceAddressFor(ip, family) {
+  const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4')
+  try {
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject)
+      socket.connect(DEFAULT_TCP_PORT, ip, resolve)
+    })
+    return socket.address().address
+  } finally {
+    socket.close()
+  }
+}
+
+/**
+ * Trace the route to a target with in-process probes.
+ * Same callbacks and cancel semantics as runTrace().
+ *
+ * @param {string} target - Validated hostname or IP
+ * @param {import('./runner.js').RunCallbacks} callbacks
+ * @param {Partial<import('../validation.js').TraceOptions>} [options] - Validated trace options
+ *   (protocol udp/tcp, port, probes, wait, maxHops, firstTtl; packetSize sizes UDP probes)
+ * @returns {{ cancel: () => void }}
+ */
+export function runNativeTrace(target, callbacks, options = {}) {
+  const protocol = options.protocol === 'tcp' ? 'tcp' : 'udp'
+  const maxHops = options.maxHops ?? DEFAULT_MAX_HOPS
+  const probesPerHop = options.probes ?? DEFAULT_PROBES
+  const waitMs = (options.wait ?? DEFAULT_WAIT_SEC) * 1000
+  const port = options.port ?? (protocol === 'tcp' ? DEFAULT_TCP_PORT : DEFAULT_UDP_PORT)
+
+  /** @type {Map<string, { ttl: number, index: number, sentAt: number }>} keyed "srcPort:dstPort" */
+  const pending = new Map()
+  /** @type {Map<number, { answers: ProbeAnswer[], outstanding: number, done: boolean, timer: any }>} */
+  const hops = new Map()
+  const closables = []
+
+  let finished = false
+  let nextSend = options.firstTtl ?? 1
+  let nextEmit = nextSend
+  let lastTtl = maxHops
+  let probeSeq = 0
+
+  const timeout = setTimeout(() => {
+    callbacks.onError('Trace timed out after 60 seconds')
+    finish(true)
+  }, MAX_RUNTIME_MS)
+
+  function finish(notify) {
+    if (finished) return
+    finished = true
+    clearTimeout(timeout)
+    for (const hop of hops.values()) clearTimeout(hop.timer)
+    for (const socket of closables) {
+      try { socket.close() } catch { /* already closed */ }
+    }
+    if (notify) callbacks.onComplete()
+  }
+
+  function fail(message) {
+    if (finished) return
+    callbacks.onError(message)
+    finish(true)
+  }
+
+  start().catch((err) => fail(`Native probe engine failed: ${err.message}`))
+
+  async function start() {
+    const raw = await loadRawSocket()
+    if (!raw) {
+      fail('Native probe engine needs the optional "raw-socket" package: npm install raw-socket')
+      return
+    }
+
+    let ip = target
+    if (!isIP(target)) {
+      try {
+        ip = (await lookup(target, { family: DNS_FAMILY[options.family] ?? 0 })).address
+      } catch (err) {
+        fail(`Could not resolve ${target} (${err.code ?? err.message})`)
+        return
+      }
+    }
+    if (finished) return
+
+    const family = isIP(ip) === 6 ? 6 : 4
+    const destination = normalizeAddress(ip)
+    const addressFamily = family === 6 ? raw.AddressFamily.IPv6 : raw.AddressFamily.IPv4
+    const source = protocol === 'tcp' ? await sourceAddressFor(ip, family) : null
+    if (finished) return
+
+    let icmpSocket, tcpSocket
+    try {
+      icmpSocket = raw.createSocket({ addressFamily, protocol: family === 6 ? raw.Protocol.ICMPv6 : raw.Protocol.ICMP })
+      closables.push(icmpSocket)
+      if (protocol === 'tcp') {
+        tcpSocket = raw.createSocket({ addressFamily, protocol: raw.Protocol.TCP })
+        closables.push(tcpSocket)
+      }
+    } catch (err) {
+      fail(`Native probe engine could not open a raw socket (${err.message}). Run as root or grant CAP_NET_RAW: sudo setcap cap_net_raw+ep "$(which node)"`)
+      return
+    }
+
+    icmpSocket.on('error', (err) => fail(`Raw socket error: ${err.message}`))
+    icmpSocket.on('message', (buffer, from) => {
+      const reply = parseIcmpReply(buffer, family)
+      if (!reply || reply.protocol !== protocol || reply.destination !== destination) return
+      answer(`${reply.srcPort}:${reply.dstPort}`, from, {
+        terminal: reply.kind === 'unreachable',
+        annotation: reply.annotation,
+        mpls: reply.mpls,
+      })
+    })
+
+    // TCP mode: the destination itself answers with SYN-ACK (open) or RST (closed)
+    tcpSocket?.on('error', (err) => fail(`Raw socket error: ${err.message}`))
+    tcpSocket?.on('message', (buffer, from) => {
+      if (normalizeAddress(from) !== destination) return
+      const reply = parseTcpReply(buffer, family)
+      if (!reply || !(reply.rst || (reply.syn && reply.ack))) return
+      answer(`${reply.dstPort}:${reply.srcPort}`, from, { terminal: true, flags: reply.rst ? 'rst' : 'syn,ack' })
+    })
+
+    const tcpPortBase = randomInt(32768, 60000)
+    const udpPayload = Buffer.alloc(options.packetSize
+      ? Math.max(0, options.packetSize - UDP_OVERHEAD_BYTES[family])
+      : DEFAULT_UDP_PAYLOAD_BYTES)
+
+    /** Probe ports advance per probe and wrap inside the valid range. */
+    function nextPort(base) {
+      const value = ((base + probeSeq - 1) % 65535) + 1
+      probeSeq += 1
+      return value
+    }
+
+    function sendUdpProbes(ttl) {
+      const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4')
+      closables.push(socket)
+      socket.on('error', (err) => fail(`UDP probe error: ${err.message}`))
+      socket.bind(0, () => {
+        if (finished) return
+        socket.setTTL(ttl)
+        const srcPort = socket.address().port
+        for (let index = 0; index < probesPerHop; index++) {
+          const dstPort = nextPort(port)
+          pending.set(`${srcPort}:${dstPort}`, { ttl, index, sentAt: performance.now() })
+          socket.send(udpPayload, dstPort, ip)
+        }
+      })
+    }
+
+    function sendTcpProbes(ttl) {
+      const ttlLevel = family === 6 ? raw.SocketLevel.IPPROTO_IPV6 : raw.SocketLevel.IPPROTO_IP
+      const ttlOption = family === 6 ? raw.SocketOption.IPV6_UNICAST_HOPS : raw.SocketOption.IP_TTL
+
+      for (let index = 0; index < probesPerHop; index++) {
+        const srcPort = nextPort(tcpPortBase)
+        const probe = { ttl, index, sentAt: performance.now() }
+        pending.set(`${srcPort}:${port}`, probe)
+
+        const segment = buildTcpSyn({ source, destination: ip, srcPort, dstPort: port, seq: randomInt(0, 2 ** 32) })
+        tcpSocket.send(segment, 0, segment.length, ip, () => {
+          // TTL is a socket option, so set it right before this probe leaves
+          tcpSocket.setOption(ttlLevel, ttlOption, ttl)
+          probe.sentAt = performance.now()
+        }, (err) => {
+          if (err) fail(`TCP probe error: ${err.message}`)
+        })
+      }
+    }
+
+    function sendProbes(ttl) {
+      const hop = { answers: Array(probesPerHop).fill(null), outstanding: probesPerHop, done: false, timer: null }
+      hop.timer = setTimeout(() => completeHop(ttl), waitMs)
+      hops.set(ttl, hop)
+      if (protocol === 'tcp') sendTcpProbes(ttl)
+      else sendUdpProbes(ttl)
+    }
+
+    function answer(key, from, { terminal, flags, annotation, mpls }) {
+      const probe = pending.get(key)
+      if (!probe || finished) return
+      pending.delete(key)
+
+      const hop = hops.get(probe.ttl)
+      hop.answers[probe.index] = {
+        ip: normalizeAddress(from),
+        rtt: Math.round((performance.now() - probe.sentAt) * 1000) / 1000,
+        ...(flags && { flags }),
+        ...(annotation && { annotation }),
+        ...(mpls && { mpls }),
+      }
+      hop.outstanding -= 1
+
+      if (terminal) lastTtl = Math.min(lastTtl, probe.ttl)
+      if (hop.outstanding === 0) completeHop(probe.ttl)
+      else flush()
+    }
+
+    function completeHop(ttl) {
+      const hop = hops.get(ttl)
+      if (!hop || hop.done) return
+      hop.done = true
+      clearTimeout(hop.timer)
+      for (const [key, probe] of pending) {
+        if (probe.ttl === ttl) pending.delete(key)
+      }
+      flush()
+    }
+
+    // Emit finished hops strictly in TTL order, then keep the window full
+    function flush() {
+      while (!finished && hops.get(nextEmit)?.done) {
+        const { answers } = hops.get(nextEmit)
+        callbacks.onRaw(formatHopLine(nextEmit, answers))
+        callbacks.onHop(toHopResult(nextEmit, answers))
+        nextEmit += 1
+        if (nextEmit > lastTtl) {
+          finish(true)
+          return
+        }
+      }
+      while (!finished && nextSend < nextEmit + SIMULTANEOUS_TTLS && nextSend <= lastTtl) {
+        sendProbes(nextSend)
+        nextSend += 1
+      }
+    }
+
+    callbacks.onRaw(`traceroute to ${target} (${ip}), ${maxHops} hops max, native ${protocol.toUpperCase()} probes`)
+    flush()
+  }
+
+  return { cancel: () => finish(false) }
+}
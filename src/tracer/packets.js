@@ -0,0 +1,318 @@
+/**
+ * Packet encoding/decoding for the native probe engine.
+ *
+ * Pure Buffer logic only — sockets and timing live in native.js.
+ *
+ * Raw socket framing differs by family:
+ *   IPv4 raw sockets deliver the IP header in front of the payload
+ *   IPv6 raw sockets deliver the payload only (the kernel strips the header)
+ */
+
+import { isIP } from 'node:net'
+
+const PROTO_TCP = 6
+const PROTO_UDP = 17
+
+const IPV6_HEADER_LEN = 40
+const TCP_HEADER_LEN = 20
+const ICMP_HEADER_LEN = 8
+
+/**
+ * ICMP extensions (RFC 4884): routers that predate the length field put the
+ * extension structure after a fixed 128 bytes of the original datagram.
+ */
+const LEGACY_ORIGINAL_LEN = 128
+const EXTENSION_VERSION = 2
+
+/** Extension object class / C-Type of an MPLS label stack (RFC 4950). */
+const MPLS_CLASS = 1
+const MPLS_CTYPE = 1
+
+const TCP_FLAG_SYN = 0x02
+const TCP_FLAG_RST = 0x04
+const TCP_FLAG_ACK = 0x10
+
+/** ICMP / ICMPv6 message types the engine cares about, by family. */
+const ICMP_TYPES = Object.freeze({
+  4: Object.freeze({ timeExceeded: 11, unreachable: 3 }),
+  6: Object.freeze({ timeExceeded: 3, unreachable: 1 }),
+})
+
+/** Port unreachable: the probe reached the destination host. */
+const PORT_UNREACHABLE = Object.freeze({ 4: 3, 6: 4 })
+
+/**
+ * ICMPv6 destination-unreachable code → the letter traceroute6 prints
+ * (RFC 4443). Source policy (5) and reject route (6) are policy, so !X.
+ */
+const ICMP6_ANNOTATIONS = Object.freeze({ 0: 'N', 1: 'X', 2: 'H', 3: 'H', 5: 'X', 6: 'X' })
+
+/** ICMPv4 destination-unreachable codes with a traceroute letter; the rest print as "!<code>". */
+const ICMP4_ANNOTATIONS = Object.freeze({ 0: 'N', 1: 'H', 2: 'P', 4: 'F', 5: 'S', 13: 'X', 14: 'V', 15: 'C' })
+
+/**
+ * Expand an IPv4 or IPv6 address into its network-order bytes.
+ *
+ * @param {string} ip
+ * @returns {Buffer} 4 or 16 bytes
+ */
+export function addressBytes(ip) {
+  const version = isIP(ip)
+  if (version === 4) return Buffer.from(ip.split('.').map(Number))
+  if (version !== 6) throw new Error(`Not an IP address: ${ip}`)
+
+  // Embedded IPv4 tail ("::ffff:1.2.3.4") becomes two hex groups
+  let text = ip.replace(/%.*$/, '')
+  const v4Tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(text)
+  if (v4Tail) {
+    const [a, b, c, d] = v4Tail[1].split('.').map(Number)
+    text = text.slice(0, v4Tail.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`
+  }
+
+  const [head, tail] = text.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0')
+
+  const bytes = Buffer.alloc(16)
+  ;[...headGroups, ...zeros, ...tailGroups].forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2))
+  return bytes
+}
+
+/**
+ * Format 4 or 16 network-order bytes as an address string.
+ * IPv6 uses the canonical RFC 5952 text form, so two spellings of the
+ * same address format identically.
+ *
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function formatAddress(bytes) {
+  if (bytes.length === 4) return [...bytes].join('.')
+  const groups = []
+  for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16))
+  return compressIpv6(groups)
+}
+
+/**
+ * Collapse the longest run of zero groups to "::" (RFC 5952).
+ * @param {string[]} groups - Eight hex groups
+ * @returns {string}
+ */
+function compressIpv6(groups) {
+  let bestStart = -1
+  let bestLen = 1
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== '0') { i += 1; continue }
+    let j = i
+    while (j < 8 && groups[j] === '0') j += 1
+    if (j - i > bestLen) { bestStart = i; bestLen = j - i }
+    i = j
+  }
+  if (bestStart === -1) return groups.join(':')
+  return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLen).join(':')}`
+}
+
+/**
+ * Canonical text form of an address, for comparing addresses that may be
+ * spelled differently ("2001:db8:0::1" vs "2001:db8::1").
+ *
+ * @param {string} ip
+ * @returns {string}
+ */
+export function normalizeAddress(ip) {
+  return formatAddress(addressBytes(ip))
+}
+
+/**
+ * RFC 1071 Internet checksum over one or more buffers treated as one.
+ *
+ * @param {...Buffer} buffers
+ * @returns {number} 16-bit checksum
+ */
+export function internetChecksum(...buffers) {
+  const data = Buffer.concat(buffers)
+  let sum = 0
+  for (let i = 0; i < data.length; i += 2) {
+    sum += i + 1 < data.length ? data.readUInt16BE(i) : data[i] << 8
+  }
+  while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16)
+  return ~sum & 0xffff
+}
+
+/**
+ * TCP/UDP checksum pseudo-header for either family.
+ * @param {string} source
+ * @param {string} destination
+ * @param {number} protocol
+ * @param {number} length - Transport segment length
+ * @returns {Buffer}
+ */
+function pseudoHeader(source, destination, protocol, length) {
+  const src = addressBytes(source)
+  const dst = addressBytes(destination)
+  if (src.length === 4) {
+    const tail = Buffer.alloc(4)
+    tail.writeUInt8(protocol, 1)
+    tail.writeUInt16BE(length, 2)
+    return Buffer.concat([src, dst, tail])
+  }
+  const tail = Buffer.alloc(8)
+  tail.writeUInt32BE(length, 0)
+  tail.writeUInt8(protocol, 7)
+  return Buffer.concat([src, dst, tail])
+}
+
+/**
+ * Build a bare TCP SYN segment (no options, no payload) with a valid checksum.
+ *
+ * @param {{ source: string, destination: string, srcPort: number, dstPort: number, seq: number }} probe
+ * @returns {Buffer}
+ */
+export function buildTcpSyn({ source, destination, srcPort, dstPort, seq }) {
+  const segment = Buffer.alloc(TCP_HEADER_LEN)
+  segment.writeUInt16BE(srcPort, 0)
+  segment.writeUInt16BE(dstPort, 2)
+  segment.writeUInt32BE(seq >>> 0, 4)
+  segment.writeUInt8((TCP_HEADER_LEN / 4) << 4, 12)
+  segment.writeUInt8(TCP_FLAG_SYN, 13)
+  segment.writeUInt16BE(64240, 14)
+
+  const checksum = internetChecksum(pseudoHeader(source, destination, PROTO_TCP, TCP_HEADER_LEN), segment)
+  segment.writeUInt16BE(checksum, 16)
+  return segment
+}
+
+/**
+ * Strip the IPv4 header a raw socket delivers, if any.
+ * @param {Buffer} buffer
+ * @param {4 | 6} family
+ * @returns {Buffer}
+ */
+function transportPayload(buffer, family) {
+  if (family === 6) return buffer
+  return buffer.subarray((buffer[0] & 0x0f) * 4)
+}
+
+/**
+ * @typedef {{
+ *   kind: 'time-exceeded' | 'unreachable',
+ *   code: number,
+ *   portUnreachable: boolean,
+ *   annotation: string | null,
+ *   mpls: import('./mpls.js').MplsLabel[] | null,
+ *   protocol: 'udp' | 'tcp',
+ *   destination: string,
+ *   srcPort: number,
+ *   dstPort: number,
+ * }} IcmpReply
+ */
+
+/**
+ * MPLS label stack from an ICMP error's extension structure, if it has one.
+ * The RFC 4884 length field counts 32-bit words (ICMPv4, byte 5) or 64-bit
+ * words (ICMPv6, byte 4); zero means a legacy router's fixed 128 bytes.
+ *
+ * @param {Buffer} icmp - The ICMP message, header first
+ * @param {4 | 6} family
+ * @returns {import('./mpls.js').MplsLabel[] | null} Top of stack first
+ */
+function mplsFromExtensions(icmp, family) {
+  const words = family === 6 ? icmp[4] * 8 : icmp[5] * 4
+  const originalLen = words || LEGACY_ORIGINAL_LEN
+  const extension = icmp.subarray(ICMP_HEADER_LEN + originalLen)
+  if (extension.length < 4 || extension[0] >> 4 !== EXTENSION_VERSION) return null
+
+  let offset = 4
+  while (offset + 4 <= extension.length) {
+    const length = extension.readUInt16BE(offset)
+    if (length < 4 || offset + length > extension.length) return null
+    if (extension[offset + 2] === MPLS_CLASS && extension[offset + 3] === MPLS_CTYPE) {
+      const labels = []
+      for (let at = offset + 4; at + 4 <= offset + length; at += 4) {
+        const entry = extension.readUInt32BE(at)
+        labels.push(Object.freeze({ label: entry >>> 12, exp: (entry >>> 9) & 7, bottom: ((entry >>> 8) & 1) === 1, ttl: entry & 0xff }))
+      }
+      return labels.length > 0 ? labels : null
+    }
+    offset += length
+  }
+  return null
+}
+
+/**
+ * Decode an ICMP/ICMPv6 error that quotes one of our UDP or TCP probes.
+ * `annotation` is what traceroute would print after "!" for an unreachable
+ * other than port unreachable ("H", "X", "<10>" …), else null; `mpls` the
+ * label stack the router quoted in its ICMP extensions (RFC 4950), else null.
+ *
+ * @param {Buffer} buffer - Bytes as read from the raw ICMP socket
+ * @param {4 | 6} family
+ * @returns {IcmpReply | null} null for anything else (echo, truncated, other protocols)
+ */
+export function parseIcmpReply(buffer, family) {
+  if (family === 4 && buffer.length < 20) return null
+  const icmp = transportPayload(buffer, family)
+  if (icmp.length < ICMP_HEADER_LEN) return null
+
+  const types = ICMP_TYPES[family]
+  const type = icmp[0]
+  if (type !== types.timeExceeded && type !== types.unreachable) return null
+
+  // Quoted original datagram: its IP header, then at least 8 transport bytes
+  const quoted = icmp.subarray(ICMP_HEADER_LEN)
+  let protocol, destination, transport
+  if (family === 4) {
+    if (quoted.length < 20) return null
+    const headerLen = (quoted[0] & 0x0f) * 4
+    protocol = quoted[9]
+    destination = formatAddress(quoted.subarray(16, 20))
+    transport = quoted.subarray(headerLen)
+  } else {
+    if (quoted.length < IPV6_HEADER_LEN) return null
+    protocol = quoted[6]
+    destination = formatAddress(quoted.subarray(24, 40))
+    transport = quoted.subarray(IPV6_HEADER_LEN)
+  }
+
+  if (protocol !== PROTO_UDP && protocol !== PROTO_TCP) return null
+  if (transport.length < 4) return null
+
+  const code = icmp[1]
+  const unreachable = type === types.unreachable
+  const portUnreachable = unreachable && code === PORT_UNREACHABLE[family]
+  const letters = family === 6 ? ICMP6_ANNOTATIONS : ICMP4_ANNOTATIONS
+  return Object.freeze({
+    kind: unreachable ? 'unreachable' : 'time-exceeded',
+    code,
+    portUnreachable,
+    annotation: unreachable && !portUnreachable ? letters[code] ?? `<${code}>` : null,
+    mpls: mplsFromExtensions(icmp, family),
+    protocol: protocol === PROTO_UDP ? 'udp' : 'tcp',
+    destination,
+    srcPort: transport.readUInt16BE(0),
+    dstPort: transport.readUInt16BE(2),
+  })
+}
+
+/**
+ * Decode a TCP segment read from a raw TCP socket (the target's answer to a SYN).
+ *
+ * @param {Buffer} buffer
+ * @param {4 | 6} family
+ * @returns {{ srcPort: number, dstPort: number, syn: boolean, ack: boolean, rst: boolean } | null}
+ */
+export function parseTcpReply(buffer, family) {
+  if (family === 4 && buffer.length < 20) return null
+  const segment = transportPayload(buffer, family)
+  if (segment.length < TCP_HEADER_LEN) return null
+
+  const flags = segment[13]
+  return Object.freeze({
+    srcPort: segment.readUInt16BE(0),
+    dstPort: segment.readUInt16BE(2),
+    syn: (flags & TCP_FLAG_SYN) !== 0,
+    ack: (flags & TCP_FLAG_ACK) !== 0,
+    rst: (flags & TCP_FLAG_RST) !== 0,
+  })
+}
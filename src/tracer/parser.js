@@ -6,30 +6,163 @@
  *     " 1  203.0.113.1  1.234 ms  1.456 ms  1.789 ms"
  *     " 2  * * *"
  *     " 3  192.168.1.1  * 2.345 ms *"   (partial timeout)
+ *     " 1  2001:db8::1  0.512 ms  0.480 ms  0.470 ms"   (traceroute -6)
+ *
+ *   Linux traceroute, several routers answering one TTL (ECMP / load balancing):
+ *     " 5  10.0.0.1  1.000 ms 10.0.0.2  2.000 ms  3.000 ms"
+ *
+ *   Linux traceroute -T -O info (TCP SYN; flags of the destination's reply):
+ *     " 9  93.184.216.34  89.160 ms <syn,ack>  89.162 ms <syn,ack>  89.189 ms <syn,ack>"
+ *
+ *   Linux traceroute -e (MPLS label stack quoted in the ICMP extensions):
+ *     " 5  10.0.0.5  12.345 ms <MPLS:L=24001,E=0,S=1,T=1>  12.400 ms <MPLS:L=24001,E=0,S=1,T=1>"
+ *
+ *   Linux traceroute (names resolved, no -n):
+ *     " 1  _gateway (192.168.1.1)  0.345 ms  0.300 ms  0.290 ms"
+ *     " 2  10.0.0.1 (10.0.0.1)  1.000 ms  1.100 ms  1.200 ms"   (no PTR record)
+ *
+ *   ICMP unreachable annotations after an RTT (both Linux and BSD), read
+ *   into HopResult.annotations:
+ *     " 7  198.51.100.1  20.100 ms !H  20.200 ms !H  20.300 ms !H"
+ *     " 7  198.51.100.1  20.100 ms !X  20.200 ms !<10>  20.300 ms !F-1400"
+ *
+ *   macOS / BSD traceroute (dialect 'bsd') — same hop grammar, but when the
+ *   responding address changes mid-hop the next router goes on its own line:
+ *     " 5  10.0.0.1 (10.0.0.1)  10.123 ms"
+ *     "    10.0.0.2 (10.0.0.2)  11.234 ms  12.345 ms"
+ *   Those continuation lines carry no hop number; createHopAssembler() folds
+ *   them into the hop above.
  *
  *   Windows tracert:
  *     "  1    <1 ms    1 ms    2 ms  203.0.113.1"
+ *     "  1    <1 ms    1 ms    2 ms  2001:db8::1"   (tracert -6)
+ *     "  1    <1 ms    1 ms    2 ms  router.lan [192.168.1.1]"   (names resolved)
  *     "  2     *        *        *     Request timed out."
  */
 
-// Linux: " 1  1.2.3.4  1.234 ms  1.456 ms  1.789 ms"
-const LINUX_HOP_FULL = /^\s*(\d+)\s+([\d.]+)\s+([\d.]+)\s+ms\s+([\d.]+)\s+ms\s+([\d.]+)\s+ms\s*$/
+import { parseMplsExtension } from './mpls.js'
+
+// IPv4 dotted quad, or IPv6 (hex groups with at least one colon, optional embedded IPv4)
+const IP = String.raw`(?:\d{1,3}(?:\.\d{1,3}){3}|[0-9a-fA-F]*:[0-9a-fA-F:.]+)`
 
 // Linux: hop number at start, then anything
 const LINUX_HOP_START = /^\s*(\d+)\s+(.*)/
 
+// BSD continuation: indented responder (no hop number) followed by its RTTs
+const BSD_CONTINUATION = new RegExp(String.raw`^\s+(?:\S+\s+\(${IP}\)|${IP})\s`)
+
+/**
+ * Linux hop body tokens, each anchored at a whitespace boundary:
+ *   1: "*"                     lost probe
+ *   2: "1.234 ms"              round-trip time
+ *   3,4: "name (1.2.3.4)"      resolved responder
+ *   5: "1.2.3.4"               bare responder
+ *   6: "<syn,ack>"             TCP flags of a final reply (traceroute -T -O info),
+ *                              or "<MPLS:L=…>" ICMP extensions (traceroute -e)
+ *   7: "!H"                    ICMP annotation on the probe before it ("!<10>", "!F-1400" …)
+ * Anything else (noise) is skipped.
+ */
+const LINUX_TOKEN = new RegExp(
+  String.raw`(?<=^|\s)(?:(\*)|([\d.]+)\s*ms\b|(\S+)\s+\((${IP})\)|(${IP})(?=\s|$)|<([^>\s]+)>|!(\S*))`,
+  'g'
+)
+
+/**
+ * ICMP destination-unreachable annotations → why the probe went no further.
+ * Linux and BSD traceroute share most letters; the BSD-only ones (A, I, Q,
+ * T, U, W, Z) name the finer-grained codes Linux prints as !<num>.
+ */
+const ANNOTATION_LETTERS = Object.freeze({
+  N: 'network',
+  U: 'network',
+  Q: 'network',
+  H: 'host',
+  W: 'host',
+  I: 'host',
+  T: 'host',
+  P: 'protocol',
+  F: 'fragmentation',
+  S: 'source-route',
+  X: 'prohibited',
+  A: 'prohibited',
+  Z: 'prohibited',
+  V: 'precedence',
+  C: 'precedence',
+})
+
+/**
+ * ICMP type 3 code (RFC 792 / RFC 1812) → reason, for "!<num>" annotations.
+ * Code 3 (port unreachable) is how a UDP trace reaches its target; it is
+ * never annotated.
+ */
+const ICMP_UNREACHABLE_CODES = Object.freeze([
+  'network', 'host', 'protocol', null, 'fragmentation', 'source-route',
+  'network', 'host', 'host', 'prohibited', 'prohibited', 'network',
+  'host', 'prohibited', 'precedence', 'precedence',
+])
+
 // Windows: "  2     *        *        *     Request timed out."
 const WIN_TIMEOUT = /^\s*(\d+)\s+\*\s+\*\s+\*\s+Request timed out\./i
 
+// Windows: address at end of line, either "name [1.2.3.4]" or a bare IP
+const WIN_NAMED_END = new RegExp(String.raw`(\S+)\s+\[(${IP})\]\s*$`)
+const WIN_IP_END = new RegExp(String.raw`(${IP})\s*$`)
+
+/**
+ * Why a router refused to forward a probe.
+ * @typedef {'network' | 'host' | 'protocol' | 'fragmentation' | 'source-route'
+ *   | 'prohibited' | 'precedence' | 'unknown'} AnnotationReason
+ */
+
 /**
- * @typedef {{ hop: number, ip: string | null, latencies: number[], timedOut: boolean, partialLoss: boolean }} HopResult
+ * One ICMP annotation as printed after an RTT, with how many probes carried it.
+ * `code` is set for "!<num>", `mtu` for "!F-<mtu>".
+ * @typedef {{ flag: string, reason: AnnotationReason, count: number, code?: number, mtu?: number }} Annotation
  */
 
 /**
- * Parse a single line of traceroute/tracert output.
+ * One router that answered probes for a TTL.
+ * @typedef {{ ip: string, hostname: string | null, latencies: number[] }} Responder
+ */
+
+/**
+ * `ip` / `hostname` mirror the first responder and `latencies` holds every
+ * RTT for the TTL, so single-path consumers can ignore `responders`.
+ * `probes` (probes sent) is added downstream when it differs from the
+ * parser's assumption of 3 — the parser itself never sets it.
+ * `portState` is only present on a TCP trace's destination hop.
+ * `annotations` is only present when a probe came back with an ICMP
+ * unreachable annotation (!H, !N, !X, !<10> …), one entry per distinct flag.
+ * `mpls` is only present when a router quoted an MPLS label stack
+ * (traceroute -e); it is the first stack printed for the hop.
+ *
+ * @typedef {{
+ *   hop: number,
+ *   ip: string | null,
+ *   hostname: string | null,
+ *   latencies: number[],
+ *   responders: Responder[],
+ *   timedOut: boolean,
+ *   partialLoss: boolean,
+ *   probes?: number,
+ *   portState?: 'open' | 'closed',
+ *   annotations?: Annotation[],
+ *   mpls?: import('./mpls.js').MplsLabel[],
+ * }} HopResult
+ */
+
+/**
+ * Output dialect: 'unix' is Linux traceroute, 'bsd' is macOS / *BSD
+ * traceroute, 'win32' is tracert.
+ * @typedef {'unix' | 'bsd' | 'win32'} Dialect
+ */
+
+/**
+ * Parse a single line of traceroute/tracert output. A BSD continuation
+ * line is not a hop on its own (null); see createHopAssembler().
  *
  * @param {string} line - Raw stdout line
- * @param {'unix' | 'win32'} platform
+ * @param {Dialect} platform
  * @returns {HopResult | null} Parsed hop or null if line is not a hop line
  */
 export function parseTraceLine(line, platform) {
@@ -39,53 +172,185 @@ export function parseTraceLine(line, platform) {
   return parseLinuxLine(line)
 }
 
-function parseLinuxLine(line) {
-  // Try full match (all 3 RTTs present)
-  const fullMatch = LINUX_HOP_FULL.exec(line)
-  if (fullMatch) {
-    return Object.freeze({
-      hop: parseInt(fullMatch[1], 10),
-      ip: fullMatch[2],
-      latencies: [
-        parseFloat(fullMatch[3]),
-        parseFloat(fullMatch[4]),
-        parseFloat(fullMatch[5]),
-      ],
-      timedOut: false,
-      partialLoss: false,
-    })
+/**
+ * Port state from the TCP flags the destination answered a SYN with:
+ * SYN-ACK means something is listening, RST means the port is closed.
+ *
+ * @param {string} flags - Comma-separated flag names, e.g. "syn,ack"
+ * @returns {'open' | 'closed' | null}
+ */
+export function portStateFromFlags(flags) {
+  const names = flags.toLowerCase().split(',')
+  if (names.includes('rst')) return 'closed'
+  if (names.includes('syn') && names.includes('ack')) return 'open'
+  return null
+}
+
+/**
+ * traceroute prints the address twice when a name does not resolve
+ * ("10.0.0.1 (10.0.0.1)") — that is not a hostname.
+ * @param {string | undefined} name
+ * @param {string} ip
+ * @returns {string | null}
+ */
+function normalizeHostname(name, ip) {
+  return name && name !== ip ? name : null
+}
+
+/**
+ * Probe results on one line (or the continuation part of one).
+ * @typedef {{
+ *   byIp: Map<string, { hostname: string | null, latencies: number[] }>,
+ *   latencies: number[],
+ *   stars: number,
+ *   portState: 'open' | 'closed' | null,
+ *   annotations: Map<string, Annotation>,
+ *   mpls: import('./mpls.js').MplsLabel[] | null,
+ * }} ProbeScan
+ */
+
+/** @returns {ProbeScan} */
+function emptyScan() {
+  return { byIp: new Map(), latencies: [], stars: 0, portState: null, annotations: new Map(), mpls: null }
+}
+
+/**
+ * Read the text after a "!" annotation marker. A bare "!" (Linux: the
+ * reply arrived with TTL <= 1) is not an unreachable and yields null.
+ *
+ * @param {string} text - e.g. "H", "F-1400", "<10>"
+ * @returns {Omit<Annotation, 'count'> | null}
+ */
+export function parseAnnotation(text) {
+  const flag = `!${text}`
+  const code = /^<(\d+)>$/.exec(text)
+  if (code) {
+    const number = Number(code[1])
+    return { flag, reason: ICMP_UNREACHABLE_CODES[number] ?? 'unknown', code: number }
   }
+  const frag = /^F-(\d+)$/.exec(text)
+  if (frag) return { flag, reason: 'fragmentation', mtu: Number(frag[1]) }
+  if (!text) return null
+  return { flag, reason: ANNOTATION_LETTERS[text] ?? 'unknown' }
+}
+
+/**
+ * Fold a hop line's tokens into `scan`. Each RTT belongs to the most
+ * recently printed address; traceroute re-prints an address whenever it
+ * changes between probes, so repeats merge.
+ *
+ * @param {string} text - The line after its hop number
+ * @param {ProbeScan} scan - Mutated in place (scans are local to the parser)
+ * @returns {ProbeScan}
+ */
+function scanProbes(text, scan) {
+  let currentIp = null
 
-  // Try mixed/partial line
-  const mixedMatch = LINUX_HOP_START.exec(line)
-  if (!mixedMatch) return null
+  for (const m of text.matchAll(LINUX_TOKEN)) {
+    if (m[7] !== undefined) {
+      const annotation = parseAnnotation(m[7])
+      if (annotation) {
+        const seen = scan.annotations.get(annotation.flag)
+        scan.annotations.set(annotation.flag, { ...annotation, count: (seen?.count ?? 0) + 1 })
+      }
+    } else if (m[6]?.startsWith('MPLS:')) {
+      scan.mpls ??= parseMplsExtension(m[6])
+    } else if (m[6]) {
+      scan.portState = portStateFromFlags(m[6]) ?? scan.portState
+    } else if (m[1]) {
+      scan.stars++
+    } else if (m[2]) {
+      const rtt = parseFloat(m[2])
+      scan.latencies.push(rtt)
+      if (currentIp) scan.byIp.get(currentIp).latencies.push(rtt)
+    } else {
+      currentIp = m[4] ?? m[5]
+      if (!scan.byIp.has(currentIp)) {
+        scan.byIp.set(currentIp, { hostname: m[4] ? normalizeHostname(m[3], m[4]) : null, latencies: [] })
+      }
+    }
+  }
+  return scan
+}
+
+/**
+ * @param {number} hopNum
+ * @param {ProbeScan} scan
+ * @returns {HopResult}
+ */
+function buildHop(hopNum, { byIp, latencies, stars, portState, annotations, mpls }) {
+  const responders = [...byIp].map(([ip, r]) => Object.freeze({ ip, hostname: r.hostname, latencies: [...r.latencies] }))
+  const hasStars = stars > 0
 
-  const hopNum = parseInt(mixedMatch[1], 10)
+  return Object.freeze({
+    hop: hopNum,
+    ip: responders[0]?.ip ?? null,
+    hostname: responders[0]?.hostname ?? null,
+    latencies: [...latencies],
+    responders,
+    timedOut: hasStars && latencies.length === 0,
+    partialLoss: hasStars && latencies.length > 0,
+    ...(portState && { portState }),
+    ...(annotations.size > 0 && { annotations: [...annotations.values()].map((a) => Object.freeze({ ...a })) }),
+    ...(mpls && { mpls }),
+  })
+}
+
+function parseLinuxLine(line) {
+  const startMatch = LINUX_HOP_START.exec(line)
+  if (!startMatch) return null
+
+  const hopNum = parseInt(startMatch[1], 10)
   if (isNaN(hopNum)) return null
 
-  const rest = mixedMatch[2].trim()
+  return buildHop(hopNum, scanProbes(startMatch[2].trim(), emptyScan()))
+}
+
+/**
+ * Turns a stream of output lines into complete hops.
+ *
+ * Linux traceroute and tracert print one line per hop, so each hop line is
+ * a hop. BSD traceroute breaks a hop over several lines when routers change
+ * mid-hop, so a hop line that has not yet accounted for every probe is
+ * held until its continuation lines make up the rest, the next hop starts,
+ * or the output ends (flush).
+ *
+ * @param {Dialect} platform
+ * @param {number} [probes] - Probes per hop (traceroute -q; 3 by default)
+ * @returns {{ push: (line: string) => HopResult[], flush: () => HopResult[] }}
+ */
+export function createHopAssembler(platform, probes = 3) {
+  /** @type {{ hop: number, scan: ProbeScan } | null} */
+  let held = null
 
-  // All stars = full timeout
-  if (/^\*\s*\*\s*\*$/.test(rest)) {
-    return Object.freeze({ hop: hopNum, ip: null, latencies: [], timedOut: true, partialLoss: false })
+  function release() {
+    const done = held ? [buildHop(held.hop, held.scan)] : []
+    held = null
+    return done
   }
 
-  // Extract IP (first token that looks like an IP)
-  const ipMatch = /^([\d.]+)/.exec(rest)
-  const ip = ipMatch ? ipMatch[1] : null
+  function push(line) {
+    if (platform !== 'bsd') {
+      const hop = parseTraceLine(line, platform)
+      return hop ? [hop] : []
+    }
 
-  // Extract latency values
-  const latencies = []
-  const latencyPattern = /([\d.]+)\s*ms/g
-  let m
-  while ((m = latencyPattern.exec(rest)) !== null) {
-    latencies.push(parseFloat(m[1]))
-  }
+    if (held && BSD_CONTINUATION.test(line)) {
+      scanProbes(line.trim(), held.scan)
+      return held.scan.latencies.length + held.scan.stars >= probes ? release() : []
+    }
 
-  const hasStars = rest.includes('*')
-  const timedOut = hasStars && latencies.length === 0
+    const startMatch = LINUX_HOP_START.exec(line)
+    if (!startMatch) return []
 
-  return Object.freeze({ hop: hopNum, ip, latencies, timedOut, partialLoss: hasStars && latencies.length > 0 })
+    const done = release()
+    const scan = scanProbes(startMatch[2].trim(), emptyScan())
+    if (scan.latencies.length + scan.stars >= probes) return [...done, buildHop(Number(startMatch[1]), scan)]
+    held = { hop: Number(startMatch[1]), scan }
+    return done
+  }
+
+  return { push, flush: release }
 }
 
 function parseWindowsLine(line) {
@@ -95,27 +360,34 @@ function parseWindowsLine(line) {
     return Object.freeze({
       hop: parseInt(timeoutMatch[1], 10),
       ip: null,
+      hostname: null,
       latencies: [],
+      responders: [],
       timedOut: true,
       partialLoss: false,
     })
   }
 
-  // Normal hop: extract hop number, IP at end, then latencies
+  // Normal hop: extract hop number, address at end, then latencies
   const hopNumMatch = /^\s*(\d+)\s+/.exec(line)
   if (!hopNumMatch) return null
 
   const hopNum = parseInt(hopNumMatch[1], 10)
 
-  // IP is the last token on the line
-  const ipMatch = /([\d.]+)\s*$/.exec(line)
-  if (!ipMatch) return null
+  // Address is the last token(s) on the line: "name [ip]" or a bare IP
+  const namedMatch = WIN_NAMED_END.exec(line)
+  const ipMatch = namedMatch ? null : WIN_IP_END.exec(line)
+  if (!namedMatch && !ipMatch) return null
+
+  const ip = namedMatch ? namedMatch[2] : ipMatch[1]
+  const hostname = namedMatch ? normalizeHostname(namedMatch[1], ip) : null
 
-  // Extract latencies (numbers followed by ms, or <N ms)
+  // Extract latencies (numbers followed by ms, or <N ms) from the probe columns only
+  const probeColumns = line.slice(0, (namedMatch ?? ipMatch).index)
   const latencies = []
   const latencyPattern = /(?:<)?(\d+)\s*ms/g
   let m
-  while ((m = latencyPattern.exec(line)) !== null) {
+  while ((m = latencyPattern.exec(probeColumns)) !== null) {
     latencies.push(parseFloat(m[1]))
   }
 
@@ -123,8 +395,10 @@ function parseWindowsLine(line) {
 
   return Object.freeze({
     hop: hopNum,
-    ip: ipMatch[1],
+    ip,
+    hostname,
     latencies,
+    responders: [Object.freeze({ ip, hostname, latencies })],
     timedOut: false,
     partialLoss: false,
   })
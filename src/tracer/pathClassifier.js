@@ -0,0 +1,397 @@
+/**
+ * Path-level hop classification.
+ *
+ * classifyHop() judges a hop against the one before it. A path classifier
+ * sees every hop of the trace so far, so a hop's verdict can depend on the
+ * hops after it — and is revised as they arrive.
+ *
+ * Classifiers (TraceOptions.classifier):
+ *   statistical — default. A rise counts as a spike only when it is large
+ *                 relative to the path's RTT so far and to the probes'
+ *                 jitter; a spike is hostile only if later hops carry it
+ *                 (congestion). A spike that later hops shed is a router
+ *                 slow to answer ICMP (control-plane deprioritization).
+ *   distance    — statistical, less the time light needs in fiber between
+ *                 the two hops' locations (from intel geo), so a 120 ms
+ *                 jump from Tokyo to Los Angeles is not a spike. A hop that
+ *                 answers faster than its claimed location allows is
+ *                 flagged `geoError`: the location is probably wrong. A
+ *                 rise judged without a location says so in its reason.
+ *   threshold   — classifyHop()'s fixed +100 ms rule against the previous hop
+ *
+ * Every verdict explains itself in `reason` (null for an unremarkable
+ * normal hop), which the console shows next to the hop.
+ *
+ * Public surface:
+ *   CLASSIFIERS                 — classifier names, the default first
+ *   classifyPath(hops, name, locations) — one verdict per hop
+ *   createPathClassifier(name)  — streaming: add(rawHop) → { hop, revised },
+ *                                 locate(intel) → hops its location re-judged
+ *   createCycleClassifier(name) — the same per monitor cycle: nextCycle(), add(rawHop), locate(intel)
+ */
+
+import { classifyHop, HOSTILE_DELTA_MS } from './classifier.js'
+import { tunnelOf } from './mpls.js'
+
+/** A spike must rise at least this many ms over the last responding hop… */
+const MIN_SPIKE_MS = 5
+
+/** …and this share of that hop's RTT, so a long-haul path needs a larger jump than a LAN… */
+const SPIKE_RATIO = 0.5
+
+/** …and this many standard deviations of the two hops' combined probe jitter. */
+const SPIKE_SIGMA = 3
+
+/** Share of a spike every later hop must keep for it to be on the forwarding path. */
+const PERSIST_RATIO = 0.5
+
+/** Light in fiber: c over a refractive index of about 1.468. */
+const FIBER_KM_PER_MS = 204.19
+
+const EARTH_RADIUS_KM = 6371
+
+/** RTT resolution to allow for before calling a location impossible (tracert rounds to 1 ms). */
+const GEO_SLACK_MS = 2
+
+/**
+ * @typedef {{
+ *   type: 'normal'|'hostile'|'ghost'|'lossy'|'unreachable'|'filtered',
+ *   latencyDelta: number|null, lossRate: number|null, reason: string|null,
+ *   geoError?: true,
+ * }} Verdict
+ */
+
+/**
+ * Where a responder is, as the distance classifier uses it. `place` names
+ * it in reasons ("Tokyo, JP").
+ * @typedef {{ latitude: number, longitude: number, accuracyKm: number, place: string }} Location
+ */
+
+/**
+ * Why a hop got a verdict that does not depend on latency.
+ * @param {import('./parser.js').HopResult} hop
+ * @param {{ type: string, lossRate: number|null }} verdict - From classifyHop()
+ * @returns {string|null}
+ */
+function statusReason(hop, { type, lossRate }) {
+  if (type === 'filtered' || type === 'unreachable') {
+    const flags = hop.annotations.map((a) => `${a.flag} (${a.reason})`).join(', ')
+    return type === 'filtered'
+      ? `${flags}: an ACL or firewall refused the probe`
+      : `${flags}: no route past this router`
+  }
+  if (type === 'ghost') return 'no reply to any probe'
+  if (type === 'lossy') return `${Math.round(lossRate * 100)}% of probes lost`
+  return null
+}
+
+/**
+ * Mean RTT of a hop's probes and their jitter (sample standard deviation;
+ * an mtr import brings its own across all cycles).
+ * @param {import('./parser.js').HopResult & { stats?: { stdev: number } }} hop
+ * @returns {{ mean: number, jitter: number } | null} null when nothing answered
+ */
+function rttOf(hop) {
+  if (hop.timedOut || !hop.latencies?.length) return null
+  const n = hop.latencies.length
+  const mean = hop.latencies.reduce((a, b) => a + b, 0) / n
+  const variance = n > 1 ? hop.latencies.reduce((sum, rtt) => sum + (rtt - mean) ** 2, 0) / (n - 1) : 0
+  return { mean, jitter: hop.stats?.stdev ?? Math.sqrt(variance) }
+}
+
+/**
+ * @param {import('./parser.js').HopResult[]} hops
+ * @returns {Verdict[]}
+ */
+function thresholdPath(hops) {
+  return hops.map((hop, i) => {
+    const prevHop = hops[i - 1] ?? null
+    const verdict = classifyHop(hop, prevHop)
+    const reason = verdict.type === 'hostile'
+      ? `+${verdict.latencyDelta} ms over hop ${prevHop.hop}, above the fixed ${HOSTILE_DELTA_MS} ms threshold`
+      : statusReason(hop, verdict)
+    return { ...verdict, reason }
+  })
+}
+
+/**
+ * The statistical rules, with an optional physical allowance: `distance`
+ * gives the least RTT two hops' locations add, which a rise may use up
+ * before it counts against the hop.
+ *
+ * @param {import('./parser.js').HopResult[]} hops
+ * @param {(from: number, to: number) => { ms: number, route: string } | null} [distance] - By hop index
+ * @returns {Verdict[]}
+ */
+function spikePath(hops, distance = () => null) {
+  const rtts = hops.map(rttOf)
+
+  return hops.map((hop, i) => {
+    // Ghost / lossy / unreachable / filtered do not depend on the path
+    const status = classifyHop(hop, null)
+    if (status.type !== 'normal') return { ...status, reason: statusReason(hop, status) }
+
+    // Baseline: the last hop before this one that answered, ghosts skipped
+    const b = rtts.slice(0, i).findLastIndex(Boolean)
+    if (b < 0 || !rtts[i]) return { type: 'normal', latencyDelta: null, lossRate: null, reason: null }
+
+    const base = rtts[b]
+    const delta = rtts[i].mean - base.mean
+    const latencyDelta = Math.round(delta)
+    const fiber = distance(b, i)
+    const expected = fiber?.ms ?? 0
+    const excess = delta - expected
+    const minimum = fiber && `the ${Math.round(fiber.ms)} ms fiber minimum ${fiber.route}`
+    const rise = `+${latencyDelta} ms over hop ${hops[b].hop}${fiber ? ` (${Math.round(excess)} ms beyond ${minimum})` : ''}`
+    const normal = (reason) => ({ type: 'normal', latencyDelta, lossRate: null, reason })
+    const hostile = (reason) => ({ type: 'hostile', latencyDelta, lossRate: null, reason })
+
+    if (excess <= Math.max(MIN_SPIKE_MS, SPIKE_RATIO * (base.mean + expected))) {
+      const cleared = fiber && delta > Math.max(MIN_SPIKE_MS, SPIKE_RATIO * base.mean)
+      return normal(cleared ? `+${latencyDelta} ms over hop ${hops[b].hop} is explained by ${minimum}` : null)
+    }
+
+    const jitter = Math.hypot(rtts[i].jitter, base.jitter)
+    if (excess <= SPIKE_SIGMA * jitter) {
+      return normal(`${rise} is within probe jitter (±${Math.round(jitter)} ms)`)
+    }
+
+    // The hop after the spike that kept the least of it decides
+    const downstream = rtts
+      .map((rtt, j) => (j > i && rtt
+        ? { hop: hops[j].hop, carried: rtt.mean - base.mean - (distance(b, j)?.ms ?? expected) }
+        : null))
+      .filter(Boolean)
+    if (downstream.length === 0) return hostile(`${rise}; no later hop yet to show whether it persists`)
+
+    const floor = downstream.reduce((low, next) => (next.carried < low.carried ? next : low))
+    const { carried } = floor
+    if (carried >= PERSIST_RATIO * excess) return hostile(`${rise} persists downstream: congestion on the forwarding path`)
+    const shed = `hop ${floor.hop} ${carried >= 0 ? '+' : ''}${Math.round(carried)} ms`
+    return normal(`${rise} at this hop only (${shed}): the router deprioritizes its own ICMP replies`)
+  })
+}
+
+/**
+ * @param {import('./parser.js').HopResult[]} hops
+ * @returns {Verdict[]}
+ */
+function statisticalPath(hops) {
+  return spikePath(hops)
+}
+
+/**
+ * Least RTT between two locations: there and back along the great circle,
+ * less both locations' uncertainty, at the speed of light in fiber.
+ * @param {Location} a
+ * @param {Location} b
+ * @returns {number} ms
+ */
+function fiberRtt(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180
+  const dLat = rad(b.latitude - a.latitude)
+  const dLon = rad(b.longitude - a.longitude)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)))
+  return (2 * Math.max(0, km - a.accuracyKm - b.accuracyKm)) / FIBER_KM_PER_MS
+}
+
+/**
+ * Hops whose location the RTTs rule out. The source is within best(k) of
+ * hop k and within best(i) of hop i, so the two can be no further apart
+ * than best(k) + best(i) allows; a hop that breaks this against an
+ * earlier, trusted one is blamed for it.
+ *
+ * @param {import('./parser.js').HopResult[]} hops
+ * @param {Array<Location|null>} places - By hop index, responding hops only
+ * @returns {Map<number, string>} Reason by hop index
+ */
+function geoSuspects(hops, places) {
+  const best = hops.map((hop) => (hop.latencies?.length ? Math.min(...hop.latencies) : null))
+  const suspects = new Map()
+
+  places.forEach((place, i) => {
+    if (!place) return
+    for (let k = 0; k < i; k++) {
+      if (!places[k] || suspects.has(k)) continue
+      const minimum = fiberRtt(places[k], place)
+      if (best[i] + best[k] + GEO_SLACK_MS >= minimum) continue
+      suspects.set(i, `${Math.round(best[i])} ms here + ${Math.round(best[k])} ms at hop ${hops[k].hop}`
+        + ` is under the ${Math.round(minimum)} ms fiber minimum ${places[k].place} → ${place.place}: likely a geolocation error`)
+      return
+    }
+  })
+  return suspects
+}
+
+/**
+ * @param {import('./parser.js').HopResult[]} hops
+ * @param {Map<string, Location>} locations - By responder IP
+ * @returns {Verdict[]}
+ */
+function distancePath(hops, locations) {
+  const places = hops.map((hop) => (hop.ip && !hop.timedOut && locations.get(hop.ip)) || null)
+  const suspects = geoSuspects(hops, places)
+  const trusted = (i) => places[i] && !suspects.has(i)
+
+  const verdicts = spikePath(hops, (from, to) => (trusted(from) && trusted(to)
+    ? { ms: fiberRtt(places[from], places[to]), route: `${places[from].place} → ${places[to].place}` }
+    : null))
+
+  // A rise judged without a location (no GEOIP_DB entry or PoP hint) got no
+  // fiber allowance: say so, or distance mode looks like it did nothing
+  const rtts = hops.map(rttOf)
+  const unplaced = (verdict, i) => {
+    if (!verdict.reason || !(verdict.latencyDelta > 0)) return null
+    const missing = [rtts.slice(0, i).findLastIndex(Boolean), i].filter((k) => k >= 0 && !places[k])
+    return missing.length > 0 ? `no location for hop ${missing.map((k) => hops[k].hop).join(' or ')}, so no fiber allowance` : null
+  }
+
+  return verdicts.map((verdict, i) => {
+    const notes = [verdict.reason, unplaced(verdict, i), suspects.get(i)].filter(Boolean)
+    const reason = notes.length > 0 ? notes.join('; ') : null
+    return suspects.has(i) ? { ...verdict, reason, geoError: true } : { ...verdict, reason }
+  })
+}
+
+/** Classifier strategies by name; the first is the default. */
+const STRATEGIES = Object.freeze({
+  statistical: statisticalPath,
+  distance:    distancePath,
+  threshold:   thresholdPath,
+})
+
+/** Names accepted as TraceOptions.classifier. */
+export const CLASSIFIERS = Object.freeze(Object.keys(STRATEGIES))
+
+/**
+ * Classify every hop of a path, in the order given (TTL order).
+ *
+ * @param {import('./parser.js').HopResult[]} hops
+ * @param {string} [name] - One of CLASSIFIERS
+ * @param {Map<string, Location>} [locations] - By responder IP; only the distance classifier reads them
+ * @returns {Verdict[]} One per hop
+ */
+export function classifyPath(hops, name = CLASSIFIERS[0], locations = new Map()) {
+  if (!Object.hasOwn(STRATEGIES, name)) throw new Error(`Unknown classifier: ${name}`)
+  return STRATEGIES[name](hops, locations)
+}
+
+/**
+ * A responder's location from its intel payload, when geolocation placed it.
+ * @param {{ ip: string, country?: string|null, geo?: import('../geo/locator.js').HopGeo|null }} intel
+ * @returns {Location|null}
+ */
+function locationOf({ ip, country = null, geo = null }) {
+  if (!ip || !geo) return null
+  const place = [geo.city, geo.country ?? country].filter(Boolean).join(', ') || ip
+  return Object.freeze({ latitude: geo.latitude, longitude: geo.longitude, accuracyKm: geo.accuracyKm ?? 0, place })
+}
+
+/**
+ * @param {Verdict} a
+ * @param {Verdict} b
+ * @returns {boolean}
+ */
+function sameVerdict(a, b) {
+  return a.type === b.type && a.latencyDelta === b.latencyDelta
+    && a.lossRate === b.lossRate && a.reason === b.reason && a.geoError === b.geoError
+}
+
+/**
+ * Streaming classification for one trace (or one monitor cycle). Each
+ * add() re-judges the path so far: the new hop comes back enriched like
+ * enrichHop()'s output plus `reason`, along with every earlier hop whose
+ * verdict the new one changed. locate() does the same when a responder's
+ * intel arrives with a location, returning every hop it changed.
+ *
+ * `lookahead` is an earlier pass over the same path (the previous monitor
+ * cycle): its hops beyond the newest one stand in for the hops not probed
+ * yet, so a spike is judged at once instead of flipping when they arrive.
+ *
+ * @param {string} [name] - One of CLASSIFIERS
+ * @param {{
+ *   lookahead?: import('./parser.js').HopResult[],
+ *   locations?: Map<string, Location>,
+ * }} [context] - `locations` carries responders already placed (earlier cycles)
+ * @returns {{
+ *   add: (rawHop: import('./parser.js').HopResult) => { hop: object, revised: object[] },
+ *   locate: (intel: object) => object[],
+ * }}
+ */
+export function createPathClassifier(name = CLASSIFIERS[0], { lookahead = [], locations: known = new Map() } = {}) {
+  if (!Object.hasOwn(STRATEGIES, name)) throw new Error(`Unknown classifier: ${name}`)
+
+  /** @type {Array<{ hop: import('./parser.js').HopResult, tunnel: import('./mpls.js').Tunnel|null }>} */
+  let path = []
+  let enriched = []
+  let locations = known
+
+  /** @returns {object[]} Hops whose enriched object changed, the newest included */
+  function judge() {
+    const newest = path.at(-1).hop.hop
+    const ahead = lookahead.filter((hop) => hop.hop > newest)
+    const verdicts = classifyPath([...path.map((entry) => entry.hop), ...ahead], name, locations)
+    const next = path.map(({ hop, tunnel }, i) => {
+      const current = enriched[i]
+      if (current && sameVerdict(current, verdicts[i])) return current
+      return Object.freeze({ ...hop, ...verdicts[i], ...(tunnel && { tunnel }) })
+    })
+
+    const changed = next.filter((hop, i) => hop !== enriched[i])
+    enriched = next
+    return changed
+  }
+
+  return {
+    add(rawHop) {
+      // A hop's LSP depends only on the hops before it, so it is placed once
+      path = [...path, { hop: rawHop, tunnel: tunnelOf(rawHop, enriched.at(-1) ?? null) }]
+      const changed = judge()
+      return { hop: enriched.at(-1), revised: changed.filter((hop) => hop !== enriched.at(-1)) }
+    },
+    locate(intel) {
+      const location = locationOf(intel)
+      if (!location) return []
+      locations = new Map(locations).set(intel.ip, location)
+      return path.length > 0 ? judge() : []
+    },
+  }
+}
+
+/**
+ * Monitor mode: every cycle is classified as a fresh path, looking ahead
+ * with the previous cycle's hops (see createPathClassifier). Locations
+ * outlive the cycle: intel is looked up once per responder.
+ *
+ * @param {string} [name] - One of CLASSIFIERS
+ * @returns {{
+ *   nextCycle: () => void,
+ *   add: (rawHop: import('./parser.js').HopResult) => { hop: object, revised: object[] },
+ *   locate: (intel: object) => object[],
+ * }}
+ */
+export function createCycleClassifier(name = CLASSIFIERS[0]) {
+  let classifier = createPathClassifier(name)
+  let cycleHops = []
+  let lastCycle = []
+  let locations = new Map()
+
+  return {
+    nextCycle() {
+      // A cycle that saw no hop (the runner failed) keeps the last real one
+      if (cycleHops.length > 0) lastCycle = cycleHops
+      cycleHops = []
+      classifier = createPathClassifier(name, { lookahead: lastCycle, locations })
+    },
+    add(rawHop) {
+      cycleHops = [...cycleHops, rawHop]
+      return classifier.add(rawHop)
+    },
+    locate(intel) {
+      const location = locationOf(intel)
+      if (location) locations = new Map(locations).set(intel.ip, location)
+      return classifier.locate(intel)
+    },
+  }
+}
@@ -3,27 +3,137 @@
  * Returns the appropriate command and args for the current platform.
  */
 
+import { isIP } from 'node:net'
+
+/** Platforms whose traceroute is the BSD one (LBL lineage): BSD flags and output. */
+const BSD_PLATFORMS = new Set(['darwin', 'freebsd', 'openbsd', 'netbsd'])
+
+/**
+ * Pick the address-family flag for a trace.
+ * IP literals always win; hostnames follow the requested family.
+ * IPv4 is every traceroute's default, so IPv4 literals need no flag.
+ *
+ * @param {string} target
+ * @param {'auto' | 'ipv4' | 'ipv6'} [family]
+ * @returns {'-4' | '-6' | null}
+ */
+function familyFlag(target, family = 'auto') {
+  const version = isIP(target)
+  if (version === 6) return '-6'
+  if (version === 4) return null
+  if (family === 'ipv6') return '-6'
+  if (family === 'ipv4') return '-4'
+  return null
+}
+
 /**
+ * Map validated probe options to traceroute flags. Unset (null) options
+ * emit nothing so traceroute keeps its own defaults. Probe count, port and
+ * protocol are left out for flow-pinned runs, which fix all three.
+ *
+ * @param {Partial<import('../validation.js').TraceOptions> & { flowPort?: number }} options
+ * @param {string[]} tcpArgs - This traceroute's TCP SYN switches (Linux -T -O info, BSD -P tcp)
+ * @returns {string[]}
+ */
+function probeArgs(options, tcpArgs) {
+  const args = []
+  if (options.maxHops) args.push('-m', String(options.maxHops))
+  if (options.wait) args.push('-w', String(options.wait))
+  if (options.firstTtl) args.push('-f', String(options.firstTtl))
+  if (options.flowPort) return args
+
+  if (options.probes) args.push('-q', String(options.probes))
+  if (options.protocol === 'icmp') args.push('-I')
+  if (options.protocol === 'tcp') args.push(...tcpArgs)
+  if (options.port) args.push('-p', String(options.port))
+  return args
+}
+
+/**
+ * tracert only understands max hops (-h) and a per-probe timeout in ms (-w).
+ * It always sends 3 ICMP probes from TTL 1, so the other options do not apply.
+ *
+ * @param {Partial<import('../validation.js').TraceOptions>} options
+ * @returns {string[]}
+ */
+function tracertArgs(options) {
+  const args = []
+  if (options.maxHops) args.push('-h', String(options.maxHops))
+  if (options.wait) args.push('-w', String(options.wait * 1000))
+  return args
+}
+
+/**
+ * Build the traceroute/tracert command for a target.
+ *
+ * Unix traces run numeric (-n) unless `resolveNames` is set, in which case
+ * traceroute prints "name (ip)" and the parser picks the hostname up.
+ * Windows tracert always resolves names unless told otherwise, so its
+ * args are left as they are.
+ *
+ * `flowPort` (set internally by multipath discovery, Linux only) pins every
+ * probe to one UDP destination port with a single probe per TTL, so the run
+ * follows exactly one load-balanced path.
+ *
+ * Probe options (max hops, probes, wait, first TTL, protocol, port, packet
+ * size) map to flags when set; the packet size is traceroute's trailing
+ * `packetlen` argument.
+ *
+ * `mpls` adds Linux traceroute's -e, which prints the MPLS label stacks
+ * routers quote in their ICMP extensions. BSD traceroute's -e is firewall
+ * evasion instead and tracert has no equivalent, so elsewhere it is ignored.
+ *
  * @param {string} target - Validated hostname or IP address
  * @param {string} [platformOverride] - Optional platform override for testing
+ * @param {Partial<import('../validation.js').TraceOptions> & { flowPort?: number }} [options] - Validated trace options
  * @returns {{ cmd: string, args: string[] }}
  */
-export function getTraceCommand(target, platformOverride) {
+export function getTraceCommand(target, platformOverride, options = {}) {
   const platform = platformOverride ?? process.platform
+  const flag = familyFlag(target, options.family)
 
   if (platform === 'win32') {
-    return Object.freeze({ cmd: 'tracert', args: [target] })
+    const familyArgs = flag ? [flag] : []
+    return Object.freeze({ cmd: 'tracert', args: [...familyArgs, ...tracertArgs(options), target] })
+  }
+
+  const numericArgs = options.resolveNames ? [] : ['-n']
+  const sizeArgs = options.packetSize ? [String(options.packetSize)] : []
+
+  // macOS/BSD traceroute is IPv4-only; IPv6 uses the separate traceroute6 binary
+  if (BSD_PLATFORMS.has(platform)) {
+    const cmd = flag === '-6' ? 'traceroute6' : 'traceroute'
+    const tcpArgs = cmd === 'traceroute6' ? ['-T'] : ['-P', 'tcp']
+    return Object.freeze({ cmd, args: [...numericArgs, ...probeArgs(options, tcpArgs), target, ...sizeArgs] })
   }
 
-  // linux, darwin, etc.
-  return Object.freeze({ cmd: 'traceroute', args: ['-n', target] })
+  // linux, etc.
+  const familyArgs = flag ? [flag] : []
+  const mplsArgs = options.mpls ? ['-e'] : []
+  const flowArgs = options.flowPort ? ['-U', '-p', String(options.flowPort), '-q', '1'] : []
+  // -O info makes the tcp method print the destination's reply flags (<syn,ack> / <rst,ack>)
+  const args = [...numericArgs, ...familyArgs, ...mplsArgs, ...probeArgs(options, ['-T', '-O', 'info']), ...flowArgs, target, ...sizeArgs]
+  return Object.freeze({ cmd: 'traceroute', args })
+}
+
+/**
+ * Multipath discovery needs a traceroute that can pin the flow identifier
+ * (Linux traceroute's -U). BSD/macOS traceroute and Windows tracert cannot.
+ *
+ * @param {string} [platformOverride] - Optional platform override for testing
+ * @returns {boolean}
+ */
+export function supportsFlowPinning(platformOverride) {
+  return (platformOverride ?? process.platform) === 'linux'
 }
 
 /**
+ * Output dialect of this platform's trace command, for the parser.
  * @param {string} [platformOverride] - Optional platform override for testing
- * @returns {'unix' | 'win32'}
+ * @returns {import('./parser.js').Dialect}
  */
 export function getCurrentPlatform(platformOverride) {
   const platform = platformOverride ?? process.platform
-  return platform === 'win32' ? 'win32' : 'unix'
+  if (platform === 'win32') return 'win32'
+  return BSD_PLATFORMS.has(platform) ? 'bsd' : 'unix'
 }
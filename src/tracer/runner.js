@@ -1,21 +1,41 @@
 /**
  * Spawns traceroute/tracert as a child process and emits parsed hop events.
  *
+ * Two modes:
+ *   runTrace()          — one traceroute run, hops streamed as they arrive
+ *   runMultipathTrace() — MDA discovery: many flow-pinned runs merged into
+ *                         a diamond graph, hops emitted once discovery ends
+ *
  * Security: uses spawn() with an args array — never shell interpolation.
  */
 
 import { spawn } from 'node:child_process'
-import { getTraceCommand, getCurrentPlatform } from './platform.js'
-import { parseTraceLine } from './parser.js'
+import { getTraceCommand, getCurrentPlatform, supportsFlowPinning } from './platform.js'
+import { createHopAssembler } from './parser.js'
+import { createMultipathGraph } from './multipath.js'
 
 const MAX_RUNTIME_MS = 60_000
 
+/** Whole-discovery cap for multipath mode (individual runs keep MAX_RUNTIME_MS). */
+const MAX_MULTIPATH_RUNTIME_MS = 180_000
+
+/** First UDP destination port used as a flow identifier (traceroute's classic base). */
+const FLOW_BASE_PORT = 33434
+
+/** Flow-pinned traceroute processes run side by side per discovery round. */
+export const FLOW_BATCH_SIZE = 6
+
+/** Upper bound on flows per multipath trace (enough to confirm 9 interfaces at one TTL). */
+const MAX_FLOWS = 48
+
 /**
  * @typedef {Object} RunCallbacks
  * @property {(hop: import('./parser.js').HopResult) => void} onHop
  * @property {(line: string) => void} onRaw
  * @property {(message: string) => void} onError
  * @property {() => void} onComplete
+ * @property {(count: number) => void} [onProcesses] - Multipath only: traceroute
+ *   children alive right now, reported whenever the number changes
  */
 
 /**
@@ -23,12 +43,18 @@ const MAX_RUNTIME_MS = 60_000
  *
  * @param {string} target - Validated hostname or IP
  * @param {RunCallbacks} callbacks
+ * @param {Partial<import('../validation.js').TraceOptions>} [options] - Validated trace options
  * @returns {{ cancel: () => void }}
  */
-export function runTrace(target, callbacks) {
-  const { cmd, args } = getTraceCommand(target)
+export function runTrace(target, callbacks, options = {}) {
+  const { cmd, args } = getTraceCommand(target, undefined, options)
   const platform = getCurrentPlatform()
 
+  // Tell the classifier how many probes each hop was sent. tracert always
+  // sends 3, and flow-pinned runs send 1 (the multipath graph counts flows).
+  const probes = platform !== 'win32' && !options.flowPort ? options.probes : null
+  const assembler = createHopAssembler(platform, options.flowPort ? 1 : probes ?? 3)
+
   let child
   try {
     child = spawn(cmd, args, { shell: false })
@@ -62,10 +88,11 @@ export function runTrace(target, callbacks) {
     if (!line.trim()) return
     callbacks.onRaw(line)
 
-    const hop = parseTraceLine(line, platform)
-    if (hop) {
-      callbacks.onHop(hop)
-    }
+    for (const hop of assembler.push(line)) emitHop(hop)
+  }
+
+  function emitHop(hop) {
+    callbacks.onHop(probes ? Object.freeze({ ...hop, probes }) : hop)
   }
 
   child.stdout.on('data', (chunk) => {
@@ -99,6 +126,8 @@ export function runTrace(target, callbacks) {
     if (!cancelled) {
       if (lineBuffer.trim()) processLine(lineBuffer)
       lineBuffer = ''
+      // A BSD hop still waiting for continuation lines is as complete as it gets
+      for (const hop of assembler.flush()) emitHop(hop)
       complete()
     }
   })
@@ -113,3 +142,101 @@ export function runTrace(target, callbacks) {
 
   return { cancel }
 }
+
+/**
+ * Discover every load-balanced path to the target (Paris traceroute MDA).
+ *
+ * Runs flow-pinned traceroutes in rounds of FLOW_BATCH_SIZE until each TTL
+ * has seen enough flows to satisfy the MDA stopping rule, then emits one
+ * HopResult per TTL whose responders carry `prev` edges. Raw lines are
+ * streamed live, prefixed with their flow number.
+ *
+ * @param {string} target - Validated hostname or IP
+ * @param {RunCallbacks} callbacks
+ * @param {Partial<import('../validation.js').TraceOptions>} [options] - Validated trace options
+ * @returns {{ cancel: () => void }}
+ */
+export function runMultipathTrace(target, callbacks, options = {}) {
+  if (!supportsFlowPinning()) {
+    callbacks.onError('Multipath discovery requires Linux traceroute (flow pinning via -U)')
+    callbacks.onComplete()
+    return { cancel: () => {} }
+  }
+
+  const graph = createMultipathGraph()
+  const reportedErrors = new Set()
+  let runs = []
+  let nextFlow = 0
+  let alive = 0
+  let stopped = false
+
+  /** @param {number} count - Flow processes still running */
+  function setAlive(count) {
+    alive = count
+    callbacks.onProcesses?.(alive)
+  }
+
+  function stop() {
+    stopped = true
+    clearTimeout(timeout)
+    for (const run of runs) run.cancel()
+    runs = []
+    if (alive > 0) setAlive(0)
+  }
+
+  function finish() {
+    if (stopped) return
+    stop()
+    for (const hop of graph.toHops()) callbacks.onHop(hop)
+    callbacks.onComplete()
+  }
+
+  // Every flow hits the same failure (e.g. ENOENT) — report each message once
+  function reportError(message) {
+    if (reportedErrors.has(message)) return
+    reportedErrors.add(message)
+    callbacks.onError(message)
+  }
+
+  function runRound(size) {
+    let pending = size
+    setAlive(alive + size)
+    for (let i = 0; i < size; i++) {
+      const flow = nextFlow++
+      const hops = []
+      const run = runTrace(target, {
+        onHop: (hop) => hops.push(hop),
+        onRaw: (line) => callbacks.onRaw(`[flow ${flow + 1}] ${line}`),
+        onError: reportError,
+        onComplete() {
+          graph.addFlow(hops)
+          if (!stopped) setAlive(alive - 1)
+          pending -= 1
+          if (pending === 0) nextRound()
+        },
+      }, { ...options, flowPort: FLOW_BASE_PORT + flow })
+      runs = [...runs, run]
+    }
+  }
+
+  function nextRound() {
+    if (stopped) return
+    const needed = Math.min(graph.flowsStillNeeded(), MAX_FLOWS - nextFlow)
+    if (needed <= 0) {
+      finish()
+      return
+    }
+    runRound(Math.min(needed, FLOW_BATCH_SIZE))
+  }
+
+  // On timeout, emit whatever graph has been discovered so far
+  const timeout = setTimeout(() => {
+    if (stopped) return
+    callbacks.onError('Multipath discovery timed out after 180 seconds')
+    finish()
+  }, MAX_MULTIPATH_RUNTIME_MS)
+
+  runRound(FLOW_BATCH_SIZE)
+
+  return { cancel: stop }
+}
@@ -6,6 +6,9 @@
  * allowlist validation is mandatory.
  */
 
+import { CLASSIFIERS } from './tracer/pathClassifier.js'
+import { DEFAULT_REGRESSION_PCT } from './history/regression.js'
+
 const MAX_TARGET_LENGTH = 253
 const ALLOWED_PATTERN = /^[a-zA-Z0-9.\-:]+$/
 
@@ -34,3 +37,358 @@ export function validateTarget(input) {
 
   return { valid: true, target: trimmed }
 }
+
+/** Targets one start-trace request may trace concurrently (Multi-Trace). */
+const MAX_TARGETS = 4
+
+/**
+ * Validate a multi-target request. Every target must pass validateTarget();
+ * duplicates are dropped. Monitor and multipath sessions take one target,
+ * since their per-hop stats and DAG layout are per path.
+ *
+ * @param {unknown} input - Raw target list
+ * @param {string} [mode] - Already-validated trace mode
+ * @returns {{ valid: true, targets: string[] } | { valid: false, error: string }}
+ */
+export function validateTargets(input, mode = 'single') {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { valid: false, error: 'At least one target is required' }
+  }
+
+  if (input.length > MAX_TARGETS) {
+    return { valid: false, error: `At most ${MAX_TARGETS} targets can be traced at once` }
+  }
+
+  const targets = []
+  for (const raw of input) {
+    const result = validateTarget(raw)
+    if (!result.valid) return result
+    if (!targets.includes(result.target)) targets.push(result.target)
+  }
+
+  if (targets.length > 1 && mode !== 'single') {
+    return { valid: false, error: 'Monitor and multipath modes trace one target at a time' }
+  }
+  return { valid: true, targets }
+}
+
+// ── Trace options ─────────────────────────────────────────
+
+/** Address families a trace can be pinned to. 'auto' lets the target decide. */
+const ADDRESS_FAMILIES = new Set(['auto', 'ipv4', 'ipv6'])
+
+/** 'single' runs traceroute once; 'multipath' runs MDA discovery; 'monitor' re-probes like mtr. */
+const TRACE_MODES = new Set(['single', 'multipath', 'monitor'])
+
+/** 'system' spawns traceroute/tracert; 'native' probes in-process over raw sockets. */
+const PROBE_ENGINES = new Set(['system', 'native'])
+
+/** Probe protocols. 'udp' is every traceroute's default; tracert is always ICMP. */
+const PROBE_PROTOCOLS = new Set(['udp', 'icmp', 'tcp'])
+
+/**
+ * Inclusive bounds for numeric probe options. A missing value (null) means
+ * "use the traceroute/tracert default", so no flag is emitted for it.
+ */
+const PROBE_LIMITS = Object.freeze({
+  maxHops:    Object.freeze({ min: 1, max: 64, label: 'Max hops' }),
+  probes:     Object.freeze({ min: 1, max: 10, label: 'Probes per hop' }),
+  wait:       Object.freeze({ min: 1, max: 10, label: 'Probe wait (seconds)' }),
+  firstTtl:   Object.freeze({ min: 1, max: 64, label: 'First TTL' }),
+  port:       Object.freeze({ min: 1, max: 65535, label: 'Port' }),
+  packetSize: Object.freeze({ min: 28, max: 1500, label: 'Packet size' }),
+})
+
+/** traceroute's default max hops, used to bound firstTtl when maxHops is unset. */
+const DEFAULT_MAX_HOPS = 30
+
+/** Monitor re-probe interval bounds in seconds. */
+const MIN_INTERVAL_SEC = 5
+const MAX_INTERVAL_SEC = 300
+const DEFAULT_INTERVAL_SEC = 10
+
+/**
+ * @typedef {{
+ *   family: 'auto' | 'ipv4' | 'ipv6',
+ *   resolveNames: boolean,
+ *   mpls: boolean,
+ *   classifier: 'statistical' | 'distance' | 'threshold',
+ *   mode: 'single' | 'multipath' | 'monitor',
+ *   interval: number,
+ *   engine: 'system' | 'native',
+ *   protocol: 'udp' | 'icmp' | 'tcp',
+ *   maxHops: number | null,
+ *   probes: number | null,
+ *   wait: number | null,
+ *   firstTtl: number | null,
+ *   port: number | null,
+ *   packetSize: number | null,
+ * }} TraceOptions
+ */
+
+/**
+ * Validate the optional options object sent with `start-trace`.
+ * Only allowlisted keys and values pass through; unknown keys are dropped.
+ *
+ * @param {unknown} input - Raw options from the client (may be undefined)
+ * @returns {{ valid: true, options: TraceOptions } | { valid: false, error: string }}
+ */
+export function validateTraceOptions(input) {
+  if (input === undefined || input === null) {
+    return validateTraceOptions({})
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'Options must be an object' }
+  }
+
+  const family = input.family ?? 'auto'
+  if (!ADDRESS_FAMILIES.has(family)) {
+    return { valid: false, error: 'Address family must be one of: auto, ipv4, ipv6' }
+  }
+
+  const resolveNames = input.resolveNames ?? false
+  if (typeof resolveNames !== 'boolean') {
+    return { valid: false, error: 'resolveNames must be a boolean' }
+  }
+
+  const mpls = input.mpls ?? false
+  if (typeof mpls !== 'boolean') {
+    return { valid: false, error: 'mpls must be a boolean' }
+  }
+
+  const classifier = input.classifier ?? CLASSIFIERS[0]
+  if (!CLASSIFIERS.includes(classifier)) {
+    return { valid: false, error: `Classifier must be one of: ${CLASSIFIERS.join(', ')}` }
+  }
+
+  const mode = input.mode ?? 'single'
+  if (!TRACE_MODES.has(mode)) {
+    return { valid: false, error: 'Trace mode must be one of: single, multipath, monitor' }
+  }
+
+  const interval = input.interval ?? DEFAULT_INTERVAL_SEC
+  if (!Number.isInteger(interval) || interval < MIN_INTERVAL_SEC || interval > MAX_INTERVAL_SEC) {
+    return { valid: false, error: `Interval must be a whole number of seconds between ${MIN_INTERVAL_SEC} and ${MAX_INTERVAL_SEC}` }
+  }
+
+  const engine = input.engine ?? 'system'
+  if (!PROBE_ENGINES.has(engine)) {
+    return { valid: false, error: 'Probe engine must be one of: system, native' }
+  }
+
+  // MDA pins flows through traceroute's -U; the native engine has no flow pinning yet
+  if (engine === 'native' && mode === 'multipath') {
+    return { valid: false, error: 'Multipath discovery requires the system probe engine' }
+  }
+
+  const protocol = input.protocol ?? 'udp'
+  if (!PROBE_PROTOCOLS.has(protocol)) {
+    return { valid: false, error: 'Protocol must be one of: udp, icmp, tcp' }
+  }
+  if (mode === 'multipath' && protocol !== 'udp') {
+    return { valid: false, error: 'Multipath discovery probes with UDP flows only' }
+  }
+  if (engine === 'native' && protocol === 'icmp') {
+    return { valid: false, error: 'The native probe engine supports udp and tcp only' }
+  }
+
+  const probeOptions = {}
+  for (const [key, { min, max, label }] of Object.entries(PROBE_LIMITS)) {
+    const value = input[key] ?? null
+    if (value !== null && (!Number.isInteger(value) || value < min || value > max)) {
+      return { valid: false, error: `${label} must be a whole number between ${min} and ${max}` }
+    }
+    probeOptions[key] = value
+  }
+
+  if (probeOptions.firstTtl !== null && probeOptions.firstTtl > (probeOptions.maxHops ?? DEFAULT_MAX_HOPS)) {
+    return { valid: false, error: 'First TTL cannot exceed max hops' }
+  }
+
+  return {
+    valid: true,
+    options: Object.freeze({ family, resolveNames, mpls, classifier, mode, interval, engine, protocol, ...probeOptions }),
+  }
+}
+
+// ── History ids ───────────────────────────────────────────
+
+/** History records are keyed by crypto.randomUUID() (RFC 4122 v4). */
+const TRACE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+
+/**
+ * @param {unknown} input - Raw id from a URL parameter
+ * @returns {{ valid: true, id: string } | { valid: false, error: string }}
+ */
+export function validateTraceId(input) {
+  if (typeof input !== 'string' || !TRACE_ID_PATTERN.test(input)) {
+    return { valid: false, error: 'Invalid trace id' }
+  }
+  return { valid: true, id: input }
+}
+
+// ── Export ────────────────────────────────────────────────
+
+/** Download formats (see src/history/export.js). */
+const EXPORT_FORMATS = new Set(['json', 'csv', 'mtr'])
+
+/** Hop / intel events one posted trace may carry: a monitor log keeps one hop per TTL. */
+const MAX_EXPORT_EVENTS = 1024
+
+/**
+ * @param {unknown} input - Raw ?format= value; missing means json
+ * @returns {{ valid: true, format: 'json' | 'csv' | 'mtr' } | { valid: false, error: string }}
+ */
+export function validateExportFormat(input) {
+  const format = input ?? 'json'
+  if (!EXPORT_FORMATS.has(format)) {
+    return { valid: false, error: 'Export format must be one of: json, csv, mtr' }
+  }
+  return { valid: true, format }
+}
+
+/**
+ * @param {unknown} event - A posted hop or intel event, or one of a hop's responders
+ * @returns {boolean} Its ip or hostname is a string no DNS name could be
+ */
+function hasOversizedName(event) {
+  return ['ip', 'hostname'].some((key) => typeof event?.[key] === 'string' && event[key].length > MAX_TARGET_LENGTH)
+}
+
+/**
+ * Validate traces posted for export (the browser's on-screen trace, which
+ * may never have been saved). Only the envelope and the names the reports
+ * lay out are checked here — the formatters read every other hop field
+ * defensively — so a record can at worst produce a garbled file for the
+ * client that sent it.
+ *
+ * @param {unknown} input - Raw `traces` array from the request body
+ * @returns {{ valid: true, traces: object[] } | { valid: false, error: string }}
+ */
+export function validateExportTraces(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_TARGETS) {
+    return { valid: false, error: `Export between 1 and ${MAX_TARGETS} traces` }
+  }
+
+  const traces = []
+  for (const raw of input) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { valid: false, error: 'Each trace must be an object' }
+    }
+    const target = validateTarget(raw.target)
+    if (!target.valid) return target
+    for (const key of ['hops', 'intel']) {
+      const events = raw[key] ?? []
+      if (!Array.isArray(events) || events.length > MAX_EXPORT_EVENTS) {
+        return { valid: false, error: `${key} must be an array of at most ${MAX_EXPORT_EVENTS} entries` }
+      }
+      const responders = events.flatMap((event) => (Array.isArray(event?.responders) ? event.responders : []))
+      if (responders.length > MAX_EXPORT_EVENTS) {
+        return { valid: false, error: `${key} may list at most ${MAX_EXPORT_EVENTS} responders` }
+      }
+      if ([...events, ...responders].some(hasOversizedName)) {
+        return { valid: false, error: `IPs and hostnames in ${key} are limited to ${MAX_TARGET_LENGTH} characters` }
+      }
+    }
+    traces.push({ ...raw, target: target.target })
+  }
+  return { valid: true, traces }
+}
+
+/** Pasted or uploaded traceroute output: a long mtr --report-wide is well under this. */
+const MAX_IMPORT_LENGTH = 64 * 1024
+
+/**
+ * @param {unknown} input - Raw text from an import-trace request
+ * @returns {{ valid: true, text: string } | { valid: false, error: string }}
+ */
+export function validateImportText(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return { valid: false, error: 'Paste traceroute, tracert or mtr --report output to import' }
+  }
+  if (input.length > MAX_IMPORT_LENGTH) {
+    return { valid: false, error: `Imported text is limited to ${MAX_IMPORT_LENGTH / 1024} KB` }
+  }
+  return { valid: true, text: input }
+}
+
+// ── Baselines ─────────────────────────────────────────────
+
+/** Latency regression thresholds a baseline may set, in percent of the baseline RTT. */
+const MIN_REGRESSION_PCT = 1
+const MAX_REGRESSION_PCT = 1000
+
+/**
+ * @param {unknown} input - Raw request body: { traceId, regressionPct? }
+ * @returns {{ valid: true, traceId: string, regressionPct: number } | { valid: false, error: string }}
+ */
+export function validateBaseline(input) {
+  const id = validateTraceId(input?.traceId)
+  if (!id.valid) return id
+
+  const regressionPct = input.regressionPct ?? DEFAULT_REGRESSION_PCT
+  if (!Number.isInteger(regressionPct) || regressionPct < MIN_REGRESSION_PCT || regressionPct > MAX_REGRESSION_PCT) {
+    return { valid: false, error: `regressionPct must be an integer between ${MIN_REGRESSION_PCT} and ${MAX_REGRESSION_PCT}` }
+  }
+  return { valid: true, traceId: id.id, regressionPct }
+}
+
+// ── Schedules ─────────────────────────────────────────────
+
+/** Scheduled trace interval bounds in minutes: at most once a minute, at least once a day. */
+const MIN_SCHEDULE_MINUTES = 1
+const MAX_SCHEDULE_MINUTES = 1440
+
+/**
+ * Validate a scheduled job: a target, trace options and how often to run.
+ * Monitor mode never ends, so it cannot be run on a schedule.
+ *
+ * @param {unknown} input - Raw { target, options?, intervalMinutes } from the client
+ * @returns {{ valid: true, target: string, options: TraceOptions, intervalMinutes: number } | { valid: false, error: string }}
+ */
+export function validateSchedule(input) {
+  const optionValidation = validateTraceOptions(input?.options)
+  if (!optionValidation.valid) return optionValidation
+  if (optionValidation.options.mode === 'monitor') {
+    return { valid: false, error: 'Monitor mode cannot be scheduled' }
+  }
+
+  const validation = validateTarget(input?.target)
+  if (!validation.valid) return validation
+
+  const intervalMinutes = input.intervalMinutes
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_SCHEDULE_MINUTES || intervalMinutes > MAX_SCHEDULE_MINUTES) {
+    return { valid: false, error: `intervalMinutes must be a whole number between ${MIN_SCHEDULE_MINUTES} and ${MAX_SCHEDULE_MINUTES}` }
+  }
+  return { valid: true, target: validation.target, options: optionValidation.options, intervalMinutes }
+}
+
+/**
+ * Scheduled job ids are UUIDs, like trace ids.
+ * @param {unknown} input
+ * @returns {{ valid: true, id: string } | { valid: false, error: string }}
+ */
+export function validateJobId(input) {
+  return validateTraceId(input).valid ? { valid: true, id: input } : { valid: false, error: 'Invalid job id' }
+}
+
+// ── Notifications ─────────────────────────────────────────
+
+/**
+ * The NOTIFY_WEBHOOK_URL setting: an absolute http or https URL.
+ * @param {unknown} input
+ * @returns {{ valid: true, url: string } | { valid: false, error: string }}
+ */
+export function validateWebhookUrl(input) {
+  let url
+  try {
+    url = new URL(typeof input === 'string' ? input : '')
+  } catch {
+    return { valid: false, error: 'Webhook URL must be an absolute URL' }
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { valid: false, error: 'Webhook URL must use http or https' }
+  }
+  return { valid: true, url: url.href }
+}
@@ -90,6 +90,12 @@ describe('classifyHop', () => {
       expect(result.lossRate).toBeCloseTo(0.67, 1)
     })
 
+    it('should use the hop probe count when present (multipath flows)', () => {
+      const hop = Object.freeze({ ...makeLossyHop(2, '10.0.0.1', [5, 6, 7]), probes: 6 })
+      const result = classifyHop(hop, null)
+      expect(result.lossRate).toBeCloseTo(0.5, 2)
+    })
+
     it('should classify lossy before hostile (even with large delta)', () => {
       const prev = makeHop(1, '1.1.1.1', [10, 10, 10])
       const hop  = makeLossyHop(2, '10.0.0.1', [200]) // large delta but lossy wins
@@ -129,6 +135,25 @@ describe('classifyHop', () => {
       expect(result.latencyDelta).toBe(180)
     })
   })
+
+  describe('unreachable / filtered classification', () => {
+    const annotated = (...reasons) => Object.freeze({
+      ...makeLossyHop(2, '1.1.1.2', [300]),
+      annotations: reasons.map((reason) => ({ flag: '!?', reason, count: 1 })),
+    })
+
+    it('should classify a !H / !N hop as unreachable whatever its latency or loss', () => {
+      const prev = makeHop(1, '1.1.1.1', [10, 10, 10])
+      expect(classifyHop(annotated('host'), prev)).toEqual({ type: 'unreachable', latencyDelta: null, lossRate: null })
+      expect(classifyHop(annotated('network', 'fragmentation'), prev).type).toBe('unreachable')
+    })
+
+    it('should classify an administratively prohibited hop as filtered', () => {
+      const prev = makeHop(1, '1.1.1.1', [10, 10, 10])
+      expect(classifyHop(annotated('prohibited'), prev)).toEqual({ type: 'filtered', latencyDelta: null, lossRate: null })
+      expect(classifyHop(annotated('host', 'precedence'), prev).type).toBe('filtered')
+    })
+  })
 })
 
 // ── enrichHop ─────────────────────────────────────────────
@@ -142,6 +167,15 @@ describe('enrichHop', () => {
     expect(enriched.timedOut).toBe(false)
   })
 
+  it('should place labelled hops in their MPLS tunnel', () => {
+    const mpls = [{ label: 24001, exp: 0, bottom: true, ttl: 1 }]
+    const first = enrichHop({ ...makeHop(4, '4.4.4.4', [10]), mpls }, makeHop(3, '3.3.3.3', [9]))
+    const second = enrichHop({ ...makeHop(5, '5.5.5.5', [11]), mpls }, first)
+    expect(first.tunnel).toEqual({ id: 4, hidden: false, hiddenHops: null })
+    expect(second.tunnel).toEqual({ id: 4, hidden: false, hiddenHops: null })
+    expect(enrichHop(makeHop(6, '6.6.6.6', [12]), second)).not.toHaveProperty('tunnel')
+  })
+
   it('should add type and latencyDelta fields', () => {
     const hop = makeHop(1, '1.1.1.1', [10, 10, 10])
     const enriched = enrichHop(hop, null)
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest'
+import { parseCliArgs } from '../src/cli/args.js'
+import { renderReasons, renderTable } from '../src/cli/table.js'
+
+const row = (hop, ip, latencies, type = 'normal', extra = {}) => ({
+  hop, ip, hostname: null, latencies, timedOut: latencies.length === 0,
+  responders: ip ? [{ ip, hostname: null, latencies }] : [], type, ...extra,
+})
+
+const stripAnsi = (text) => text.replace(/\x1b\[[\d;]*m/g, '')
+
+describe('parseCliArgs', () => {
+  it('defaults to a single system trace with intel and color', () => {
+    const result = parseCliArgs(['example.com'])
+    expect(result).toMatchObject({ ok: true, help: false })
+    expect(result.request).toMatchObject({
+      target: 'example.com', json: false, intel: true, color: true,
+      options: { mode: 'single', engine: 'system', family: 'auto', protocol: 'udp', maxHops: null },
+    })
+  })
+
+  it('maps traceroute-style flags onto trace options', () => {
+    const result = parseCliArgs(['-6', '-P', 'tcp', '-p', '443', '-m', '20', '-q', '2', '-w', '3', '-f', '2', '--dns', '2001:db8::1'])
+    expect(result.request.options).toMatchObject({
+      family: 'ipv6', protocol: 'tcp', port: 443, maxHops: 20, probes: 2, wait: 3, firstTtl: 2, resolveNames: true,
+    })
+  })
+
+  it('selects monitor, json and output switches', () => {
+    const { request } = parseCliArgs(['--monitor', '--interval', '30', '--json', '--no-intel', '--no-color', '1.1.1.1'])
+    expect(request).toMatchObject({ json: true, intel: false, color: false, options: { mode: 'monitor', interval: 30 } })
+  })
+
+  it('turns on MPLS label stacks with --mpls', () => {
+    expect(parseCliArgs(['--mpls', '1.1.1.1']).request.options.mpls).toBe(true)
+    expect(parseCliArgs(['1.1.1.1']).request.options.mpls).toBe(false)
+  })
+
+  it('picks the hop classifier with --classifier', () => {
+    expect(parseCliArgs(['--classifier', 'threshold', '1.1.1.1']).request.options.classifier).toBe('threshold')
+    expect(parseCliArgs(['1.1.1.1']).request.options.classifier).toBe('statistical')
+  })
+
+  it('reports help without requiring a target', () => {
+    expect(parseCliArgs(['--help'])).toEqual({ ok: true, help: true })
+  })
+
+  it.each([
+    [[], 'A target is required'],
+    [['a.com', 'b.com'], 'Only one target'],
+    [['-4', '-6', 'a.com'], 'cannot be combined'],
+    [['--monitor', '--multipath', 'a.com'], 'cannot be combined'],
+    [['-m', 'ten', 'a.com'], '--max-hops must be a whole number'],
+    [['-m', '99', 'a.com'], 'Max hops'],
+    [['--native', '-P', 'icmp', 'a.com'], 'native probe engine'],
+    [['--classifier', 'ml', 'a.com'], 'Classifier must be one of'],
+    [['--bogus', 'a.com'], 'bogus'],
+    [['a.com; rm -rf /'], ''],
+  ])('rejects %j', (argv, message) => {
+    const result = parseCliArgs(argv)
+    expect(result.ok).toBe(false)
+    expect(result.error).toContain(message)
+  })
+})
+
+describe('renderTable', () => {
+  it('lays out single-trace rows in TTL order under a header', () => {
+    const lines = renderTable([
+      row(2, null, [], 'ghost'),
+      row(1, '10.0.0.1', [1.234, 2.5], 'normal', { intel: { asn: 'AS64500', org: 'Example Net' } }),
+    ], { color: false })
+
+    expect(lines[0]).toMatch(/^HOP\s+HOST\s+RTT\s+TYPE\s+ASN\s+ORG$/)
+    expect(lines[1]).toMatch(/^\s+1\s+10\.0\.0\.1\s+1\.2 2\.5 ms\s+normal\s+AS64500\s+Example Net$/)
+    expect(lines[2]).toMatch(/^\s+2\s+\*\s+\*\s+ghost$/)
+  })
+
+  it('tags hops inside an MPLS tunnel in the TYPE cell', () => {
+    const lines = renderTable([
+      row(4, '10.0.0.4', [5], 'normal', { tunnel: { id: 4, hidden: false } }),
+      row(5, '10.0.0.5', [6], 'normal', { tunnel: { id: 5, hidden: true } }),
+    ], { color: false })
+    expect(lines[1]).toContain('normal [LSP]')
+    expect(lines[2]).toContain('normal [HIDDEN LSP]')
+  })
+
+  it('shows hostnames and extra ECMP responders in the host cell', () => {
+    const [, line] = renderTable([row(3, '10.0.0.1', [5], 'normal', {
+      hostname: 'core1.example.net',
+      responders: [{ ip: '10.0.0.1' }, { ip: '10.0.0.2' }, { ip: '10.0.0.3' }],
+    })], { color: false })
+    expect(line).toContain('core1.example.net (10.0.0.1) +2')
+  })
+
+  it('paints RTT by latency band and TYPE by hop-type accent', () => {
+    const [, fast, hostile] = renderTable([
+      row(1, '10.0.0.1', [10]),
+      row(2, '10.0.0.2', [300], 'hostile'),
+    ])
+    expect(fast).toContain('\x1b[38;2;0;255;65m10.0 ms')       // COLOR_FAST
+    expect(hostile).toContain('\x1b[38;2;255;0;64m300.0 ms')   // COLOR_SLOW
+    expect(hostile).toContain('\x1b[38;2;255;34;0mhostile')    // TYPE_COLORS.hostile
+  })
+
+  it('renders mtr-style stats columns in monitor mode', () => {
+    const stats = { loss: 33.3, sent: 6, last: 40, avg: 25, best: 10, worst: 40, stdev: 11.2 }
+    const lines = renderTable([row(1, '10.0.0.1', [40], 'lossy', { stats })], { monitor: true })
+
+    expect(stripAnsi(lines[0])).toMatch(/^HOP\s+HOST\s+LOSS%\s+SNT\s+LAST\s+AVG\s+BEST\s+WRST\s+STDEV\s+TYPE\s+ASN\s+ORG$/)
+    expect(stripAnsi(lines[1])).toMatch(/^\s+1\s+10\.0\.0\.1\s+33\.3\s+6\s+40\.0\s+25\.0\s+10\.0\s+40\.0\s+11\.2\s+lossy$/)
+    expect(lines[1]).toContain('\x1b[38;2;255;170;0m 33.3')     // loss in the lossy accent
+  })
+
+  it('cuts the last column to fit the terminal width', () => {
+    const lines = renderTable([
+      row(1, '10.0.0.1', [1], 'normal', { intel: { asn: 'AS1', org: 'A Very Long Organisation Name' } }),
+    ], { color: false, width: 50 })
+    expect(lines[1].length).toBeLessThanOrEqual(50)
+    expect(lines[1]).toMatch(/…$/)
+  })
+})
+
+describe('renderReasons', () => {
+  it('lists the reasons behind latency verdicts in TTL order, status reasons left out', () => {
+    const lines = renderReasons([
+      row(3, '10.0.0.3', [200], 'hostile', { reason: '+190 ms over hop 1 persists downstream' }),
+      row(2, null, [], 'ghost', { reason: 'no reply to any probe' }),
+      row(1, '10.0.0.1', [10], 'normal', { reason: '+40 ms over hop 0 at this hop only' }),
+      row(4, '10.0.0.4', [210], 'normal', { reason: null }),
+    ])
+    expect(lines).toEqual([
+      '  hop 1: +40 ms over hop 0 at this hop only',
+      '  hop 3: +190 ms over hop 1 persists downstream',
+    ])
+  })
+
+  it('cuts notes to the terminal width', () => {
+    const [line] = renderReasons([row(2, '10.0.0.2', [90], 'hostile', { reason: 'x'.repeat(80) })], { width: 30 })
+    expect(line).toHaveLength(30)
+    expect(line).toMatch(/…$/)
+  })
+})
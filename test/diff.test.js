@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest'
+import { diffRoutes } from '../src/history/diff.js'
+
+/**
+ * Minimal history record: each spec is an IP (one 10 ms hop), null (timeout)
+ * or [ip, rtt]. `asns` maps IP → ASN via recorded intel.
+ */
+function makeRecord(id, specs, asns = {}) {
+  const hops = specs.map((spec, k) => {
+    const [ip, rtt] = Array.isArray(spec) ? spec : [spec, 10]
+    return {
+      at: k * 10,
+      hop: k + 1,
+      ip,
+      hostname: null,
+      latencies: ip ? [rtt] : [],
+      responders: ip ? [{ ip, hostname: null, latencies: [rtt] }] : [],
+      timedOut: !ip,
+      type: ip ? 'normal' : 'ghost',
+    }
+  })
+  const intel = Object.entries(asns).map(([ip, asn]) => ({ at: 0, hop: 0, ip, asn, country: 'JP' }))
+  return { id, target: 'example.com', startedAt: '2026-01-01T00:00:00.000Z', hops, intel }
+}
+
+const statuses = (diff) => diff.entries.map((e) => e.status)
+
+describe('diffRoutes', () => {
+  it('reports identical paths as all same', () => {
+    const a = makeRecord('a', ['10.0.0.1', '10.0.0.2', '192.0.2.1'])
+    const b = makeRecord('b', ['10.0.0.1', '10.0.0.2', '192.0.2.1'])
+    const diff = diffRoutes(a, b)
+    expect(statuses(diff)).toEqual(['same', 'same', 'same'])
+    expect(diff.summary).toMatchObject({ same: 3, changed: 0, added: 0, removed: 0 })
+    expect(diff.entries.every((e) => e.marker === null)).toBe(true)
+  })
+
+  it('pairs a swapped router as changed, with diverge and rejoin markers', () => {
+    const a = makeRecord('a', ['10.0.0.1', '10.0.0.2', '192.0.2.1'])
+    const b = makeRecord('b', ['10.0.0.1', '10.9.9.9', '192.0.2.1'])
+    const diff = diffRoutes(a, b)
+    expect(statuses(diff)).toEqual(['same', 'changed', 'same'])
+    expect(diff.entries.map((e) => e.marker)).toEqual([null, 'diverge', 'rejoin'])
+    expect(diff.entries[1].from.ip).toBe('10.0.0.2')
+    expect(diff.entries[1].to.ip).toBe('10.9.9.9')
+  })
+
+  it('reports an extra hop as added and a missing one as removed', () => {
+    const a = makeRecord('a', ['10.0.0.1', '192.0.2.1'])
+    const b = makeRecord('b', ['10.0.0.1', '10.0.0.5', '192.0.2.1'])
+    expect(statuses(diffRoutes(a, b))).toEqual(['same', 'added', 'same'])
+    expect(statuses(diffRoutes(b, a))).toEqual(['same', 'removed', 'same'])
+  })
+
+  it('aligns by IP even when the TTLs shift', () => {
+    const a = makeRecord('a', ['10.0.0.1', '10.0.0.2', '10.0.0.3', '192.0.2.1'])
+    const b = makeRecord('b', ['10.0.0.1', '10.0.0.3', '192.0.2.1'])
+    const diff = diffRoutes(a, b)
+    expect(statuses(diff)).toEqual(['same', 'removed', 'same', 'same'])
+    expect(diff.entries[2]).toMatchObject({ from: { ttl: 3 }, to: { ttl: 2 } })
+  })
+
+  it('anchors on a shared ASN and flags it as the same network', () => {
+    const asns = { '10.0.0.2': 'AS64500', '10.0.0.7': 'AS64500' }
+    const a = makeRecord('a', ['10.0.0.1', '10.0.0.2', '192.0.2.1'], asns)
+    const b = makeRecord('b', ['10.0.0.1', '10.0.0.7', '192.0.2.1'], asns)
+    const entry = diffRoutes(a, b).entries[1]
+    expect(entry).toMatchObject({ status: 'changed', sameAsn: true })
+    expect(entry.from.asn).toBe('AS64500')
+  })
+
+  it('prefers an IP anchor over an ASN anchor', () => {
+    const asns = { '10.0.0.2': 'AS64500', '10.0.0.3': 'AS64500' }
+    const a = makeRecord('a', ['10.0.0.2', '10.0.0.3'], asns)
+    const b = makeRecord('b', ['10.0.0.3'], asns)
+    const diff = diffRoutes(a, b)
+    expect(statuses(diff)).toEqual(['removed', 'same'])
+  })
+
+  it('lines up matching timeouts', () => {
+    const a = makeRecord('a', ['10.0.0.1', null, '192.0.2.1'])
+    const b = makeRecord('b', ['10.0.0.1', null, '192.0.2.1'])
+    expect(statuses(diffRoutes(a, b))).toEqual(['same', 'same', 'same'])
+  })
+
+  it('computes per-hop and destination latency deltas', () => {
+    const a = makeRecord('a', [['10.0.0.1', 5], ['192.0.2.1', 40]])
+    const b = makeRecord('b', [['10.0.0.1', 7.5], ['192.0.2.1', 52.25]])
+    const diff = diffRoutes(a, b)
+    expect(diff.entries.map((e) => e.latencyDelta)).toEqual([2.5, 12.3])
+    expect(diff.summary.destinationDelta).toBe(12.3)
+  })
+
+  it('leaves the latency delta null when one side timed out', () => {
+    const a = makeRecord('a', ['10.0.0.1', null])
+    const b = makeRecord('b', ['10.0.0.1', '10.0.0.9'])
+    expect(diffRoutes(a, b).entries[1]).toMatchObject({ status: 'changed', latencyDelta: null })
+  })
+
+  it('marks divergence from the first hop when the paths never share one', () => {
+    const a = makeRecord('a', ['10.0.0.1'])
+    const b = makeRecord('b', ['10.1.0.1'])
+    expect(diffRoutes(a, b).entries[0].marker).toBe('diverge')
+  })
+
+  it('identifies both traces and freezes the result', () => {
+    const diff = diffRoutes(makeRecord('a', ['10.0.0.1']), makeRecord('b', ['10.0.0.1']))
+    expect(diff.from.id).toBe('a')
+    expect(diff.to.id).toBe('b')
+    expect(Object.isFrozen(diff)).toBe(true)
+    expect(Object.isFrozen(diff.entries[0])).toBe(true)
+  })
+})
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest'
+import {
+  toExportHops, formatJson, formatCsv, formatMtrReport, exportFilename, exportTraces,
+} from '../src/history/export.js'
+
+const hop = (n, ip, latencies, extra = {}) => ({
+  at: n * 100, hop: n, ip, hostname: null, latencies, timedOut: ip === null, partialLoss: false,
+  responders: ip ? [{ ip, hostname: null, latencies }] : [],
+  type: ip ? 'normal' : 'ghost', latencyDelta: null, lossRate: null, ...extra,
+})
+
+const record = {
+  id: 'a0b1c2d3-0000-4000-8000-000000000000',
+  target: 'example.com',
+  options: { mode: 'single', protocol: 'udp' },
+  startedAt: '2026-03-01T12:00:00.000Z',
+  completedAt: '2026-03-01T12:00:05.000Z',
+  hops: [
+    hop(1, '10.0.0.1', [1, 2, 3]),
+    hop(2, null, []),
+    hop(3, '203.0.113.9', [120.5, 130.5], {
+      hostname: 'edge.example.net', type: 'hostile', latencyDelta: 118, probes: 3, reason: '+118 ms over hop 1 persists downstream',
+    }),
+  ],
+  intel: [
+    { at: 150, hop: 1, ip: '10.0.0.1', hostname: 'gw.lan', org: 'Home', country: null, asn: null, netrange: null, geo: null },
+    { at: 350, hop: 3, ip: '203.0.113.9', hostname: 'edge.example.net', org: 'Example, Inc.', country: 'JP', asn: 'AS64500',
+      netrange: '203.0.113.0/24', geo: { city: 'Tokyo', latitude: 35.68, longitude: 139.69 } },
+  ],
+  raw: [],
+  port: [],
+}
+
+describe('toExportHops', () => {
+  it('derives mtr stats from a one-shot hop and joins its intel', () => {
+    const [first, ghost, third] = toExportHops(record)
+    expect(first.stats).toEqual({ sent: 3, received: 3, loss: 0, last: 3, avg: 2, best: 1, worst: 3, stdev: 0.8 })
+    expect(first.hostname).toBe('gw.lan')
+    expect(first.intel.org).toBe('Home')
+    expect(ghost).toMatchObject({ ip: null, type: 'ghost', responders: [], stats: { sent: 3, received: 0, loss: 100, avg: null } })
+    expect(third).toMatchObject({ type: 'hostile', latencyDelta: 118, stats: { sent: 3, received: 2, loss: 33.3 } })
+    expect(third.reason).toBe('+118 ms over hop 1 persists downstream')
+    expect(first.reason).toBeNull()
+    expect(third.intel).not.toHaveProperty('at')
+  })
+
+  it("prefers a monitor hop's running stats and keeps the latest event per TTL", () => {
+    const stats = { sent: 30, received: 27, loss: 10, last: 5, avg: 6, best: 4, worst: 9, stdev: 1.2 }
+    const [only] = toExportHops({ hops: [hop(1, '10.0.0.1', [50]), hop(1, '10.0.0.1', [5], { stats })], intel: [] })
+    expect(only.stats).toEqual(stats)
+  })
+
+  it('keeps ICMP annotations, dropping malformed entries', () => {
+    const annotations = [{ flag: '!X', reason: 'prohibited', count: 2 }, { flag: 42 }, null, { flag: '!F-1400', reason: 'fragmentation', count: 1, mtu: 1400 }]
+    const [only] = toExportHops({ hops: [hop(1, '10.0.0.1', [5], { type: 'filtered', annotations })] })
+    expect(only.annotations).toEqual([annotations[0], annotations[3]])
+    expect(toExportHops(record)[0].annotations).toEqual([])
+  })
+
+  it('keeps MPLS label stacks and tunnel membership', () => {
+    const mpls = [{ label: 24001, exp: 0, bottom: true, ttl: 1 }, { ttl: 'x' }]
+    const tunnel = { id: 4, hidden: false, hiddenHops: null }
+    const [only] = toExportHops({ hops: [hop(4, '10.0.0.4', [5], { mpls, tunnel })] })
+    expect(only).toMatchObject({ mpls: [mpls[0]], tunnel })
+    expect(toExportHops(record)[0]).toMatchObject({ mpls: [], tunnel: null })
+  })
+
+  it('ignores malformed hops and fields', () => {
+    const hops = toExportHops({ hops: [null, { hop: 'x' }, { hop: 2, ip: 42, latencies: ['1', 2, NaN] }] })
+    expect(hops).toHaveLength(1)
+    expect(hops[0]).toMatchObject({ hop: 2, ip: null, latencies: [2], type: 'ghost' })
+  })
+})
+
+describe('formatJson', () => {
+  it('wraps each trace with its hops, classifications and intel', () => {
+    const parsed = JSON.parse(formatJson([record], { now: () => Date.parse('2026-03-02T00:00:00Z') }))
+    expect(parsed.exportedAt).toBe('2026-03-02T00:00:00.000Z')
+    expect(parsed.traces).toHaveLength(1)
+    expect(parsed.traces[0]).toMatchObject({ id: record.id, target: 'example.com', options: record.options })
+    expect(parsed.traces[0].hops[2]).toMatchObject({ hop: 3, type: 'hostile', intel: { asn: 'AS64500' } })
+  })
+})
+
+describe('formatCsv', () => {
+  it('writes a header and one row per responder, quoting where needed', () => {
+    const lines = formatCsv([record]).trimEnd().split('\r\n')
+    expect(lines[0]).toBe('target,hop,ip,hostname,type,sent,received,loss_pct,last_ms,avg_ms,best_ms,worst_ms,stdev_ms,latency_delta_ms,asn,org,country,netrange,city,latitude,longitude')
+    expect(lines[1]).toBe('example.com,1,10.0.0.1,gw.lan,normal,3,3,0,3,2,1,3,0.8,,,Home,,,,,')
+    expect(lines[2]).toBe('example.com,2,,,ghost,3,0,100,,,,,,,,,,,,,')
+    expect(lines[3]).toBe('example.com,3,203.0.113.9,edge.example.net,hostile,3,2,33.3,130.5,125.5,120.5,130.5,5,118,AS64500,"Example, Inc.",JP,203.0.113.0/24,Tokyo,35.68,139.69')
+  })
+
+  it('lists every ECMP responder and defuses spreadsheet formulas', () => {
+    const ecmp = hop(4, '10.0.0.4', [5, 6], {
+      responders: [
+        { ip: '10.0.0.4', hostname: '=HYPERLINK("x")', latencies: [5] },
+        { ip: '10.0.0.5', hostname: null, latencies: [6] },
+      ],
+    })
+    const lines = formatCsv([{ target: 'a.com', hops: [ecmp], intel: [] }]).trimEnd().split('\r\n')
+    expect(lines).toHaveLength(3)
+    expect(lines[1]).toContain(`"'=HYPERLINK(""x"")"`)
+    expect(lines[2]).toMatch(/^a\.com,4,10\.0\.0\.5,/)
+  })
+})
+
+describe('formatMtrReport', () => {
+  it('lays out hops like mtr --report', () => {
+    const lines = formatMtrReport([record], { host: 'probe-1' }).trimEnd().split('\n')
+    expect(lines).toEqual([
+      'Start: 2026-03-01T12:00:00+0000',
+      'HOST: probe-1                           Loss%   Snt   Last    Avg   Best   Wrst  StDev',
+      '  1.|-- gw.lan (10.0.0.1)                0.0%     3    3.0    2.0    1.0    3.0    0.8',
+      '  2.|-- ???                            100.0%     3    0.0    0.0    0.0    0.0    0.0',
+      '  3.|-- edge.example.net (203.0.113.9)  33.3%     3  130.5  125.5  120.5  130.5    5.0',
+    ])
+  })
+
+  it('lists extra ECMP routers under their hop and separates traces', () => {
+    const ecmp = hop(1, '10.0.0.1', [1], { responders: [{ ip: '10.0.0.1', latencies: [1] }, { ip: '10.0.0.2', latencies: [2] }] })
+    const report = formatMtrReport([{ target: 'a.com', hops: [ecmp] }, { target: 'b.com', hops: [] }])
+    expect(report).toContain('    |  `-- 10.0.0.2\n')
+    expect(report.split('\n\n')).toHaveLength(2)
+  })
+
+  it('stops widening the host column at 64 and cuts longer names short', () => {
+    const long = hop(1, '10.0.0.1', [1, 2, 3], { hostname: `${'a'.repeat(250)}.example.net` })
+    const lines = formatMtrReport([{ target: 'a.com', hops: [long] }], { host: 'h'.repeat(100) }).trimEnd().split('\n')
+    expect(lines[1]).toBe(`HOST: ${'h'.repeat(64)}  Loss%   Snt   Last    Avg   Best   Wrst  StDev`)
+    expect(lines[2].startsWith(`  1.|-- ${'a'.repeat(62)}   0.0%`)).toBe(true)
+    expect(Math.max(...lines.map((line) => line.length))).toBeLessThan(128)
+  })
+})
+
+describe('exportTraces', () => {
+  it('names the download after the target and start time', () => {
+    expect(exportFilename([record], 'mtr')).toBe('neon-ping-example.com-20260301T120000Z.txt')
+    expect(exportFilename([record, record], 'csv')).toBe('neon-ping-2-targets-20260301T120000Z.csv')
+    expect(exportFilename([{ target: '2001:db8::1' }], 'json')).toBe('neon-ping-2001_db8_1-unknown.json')
+  })
+
+  it('returns body, content type and filename for the format', () => {
+    const result = exportTraces([record], 'csv')
+    expect(result.contentType).toBe('text/csv; charset=utf-8')
+    expect(result.filename).toMatch(/\.csv$/)
+    expect(result.body.startsWith('target,hop,')).toBe(true)
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { parseWhois } from '../src/intel/gatherer.js'
+import { parseWhois, gatherIntel } from '../src/intel/gatherer.js'
 
 // Note: gatherIntel makes real network calls (DNS + WHOIS), so we
 // only unit-test the pure parseWhois function here.
@@ -144,3 +144,17 @@ route:          203.0.114.0/24
     })
   })
 })
+
+// ── gatherIntel input guard ───────────────────────────────
+// These cases are rejected before any network call is made.
+describe('gatherIntel — input guard', () => {
+  it('should return null for a ghost hop (null ip)', async () => {
+    await expect(gatherIntel(null)).resolves.toBeNull()
+  })
+
+  it('should return null for strings that are not IPv4 or IPv6 addresses', async () => {
+    await expect(gatherIntel('example.com')).resolves.toBeNull()
+    await expect(gatherIntel('abc')).resolves.toBeNull()
+    await expect(gatherIntel('1.2.3.4; whoami')).resolves.toBeNull()
+  })
+})
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { parsePopHint } from '../src/geo/popHint.js'
+import { indexGeoCsv, fromMmdbRecord, openGeoDatabase } from '../src/geo/database.js'
+import { createGeoLocator } from '../src/geo/locator.js'
+
+const BLOCKS_CSV = [
+  'network,geoname_id,registered_country_geoname_id,represented_country_geoname_id,is_anonymous_proxy,is_satellite_provider,postal_code,latitude,longitude,accuracy_radius',
+  '203.0.113.0/24,1850147,1861060,,0,0,100-0001,35.6895,139.6917,50',
+  '198.51.100.128/25,5368361,6252001,,0,0,,34.0522,-118.2437,20',
+  '192.0.2.0/24,,6252001,,0,0,,,,',
+  '2001:db8:1::/48,2950159,2921044,,0,0,,52.5244,13.4105,100',
+]
+
+describe('parsePopHint', () => {
+  it('reads an airport code with a site number', () => {
+    expect(parsePopHint('ae-1.cr2.lax01.example.net')).toMatchObject({
+      code: 'LAX', city: 'Los Angeles', country: 'US',
+    })
+  })
+
+  it('reads a code embedded in a dash-separated label', () => {
+    expect(parsePopHint('lhr25s34-in-f14.1e100.net')).toMatchObject({ code: 'LHR', city: 'London' })
+  })
+
+  it('reads a bare metro code', () => {
+    expect(parsePopHint('be2.tyo.core.example.com').code).toBe('TYO')
+  })
+
+  it('takes the leftmost match', () => {
+    expect(parsePopHint('xe-0.fra03.ams01.example.net').code).toBe('FRA')
+  })
+
+  it('ignores the registrable domain', () => {
+    expect(parsePopHint('router1.sea.net')).toBeNull()
+    expect(parsePopHint('core1.example.sea.net')).toBeNull()
+  })
+
+  it('is case-insensitive and tolerates a trailing dot', () => {
+    expect(parsePopHint('CR1.SJC2.EXAMPLE.NET.').code).toBe('SJC')
+  })
+
+  it('returns null for names without a known code', () => {
+    expect(parsePopHint('ae-3.r24.tokyjp05.jp.bb.example.net')).toBeNull()
+    expect(parsePopHint('home-router.local')).toBeNull()
+    expect(parsePopHint('abc123.example.net')).toBeNull()
+  })
+
+  it('returns null for a missing hostname', () => {
+    expect(parsePopHint(null)).toBeNull()
+    expect(parsePopHint('')).toBeNull()
+  })
+})
+
+describe('indexGeoCsv', () => {
+  it('finds the block containing an IPv4 address', async () => {
+    const lookup = await indexGeoCsv(BLOCKS_CSV)
+    expect(lookup('203.0.113.77')).toEqual({
+      latitude: 35.6895, longitude: 139.6917, city: null, country: null, accuracyKm: 50,
+    })
+    expect(lookup('198.51.100.200').latitude).toBe(34.0522)
+  })
+
+  it('respects block boundaries', async () => {
+    const lookup = await indexGeoCsv(BLOCKS_CSV)
+    expect(lookup('198.51.100.127')).toBeNull()
+    expect(lookup('198.51.100.128')).not.toBeNull()
+    expect(lookup('198.51.100.255')).not.toBeNull()
+    expect(lookup('203.0.114.0')).toBeNull()
+  })
+
+  it('finds IPv6 addresses, including compressed forms', async () => {
+    const lookup = await indexGeoCsv(BLOCKS_CSV)
+    expect(lookup('2001:db8:1::1').longitude).toBe(13.4105)
+    expect(lookup('2001:db8:1:ffff:ffff:ffff:ffff:ffff')).not.toBeNull()
+    expect(lookup('2001:db8:2::1')).toBeNull()
+  })
+
+  it('skips blocks without coordinates', async () => {
+    const lookup = await indexGeoCsv(BLOCKS_CSV)
+    expect(lookup('192.0.2.1')).toBeNull()
+  })
+
+  it('reads optional city and country columns, including quoted fields', async () => {
+    const lookup = await indexGeoCsv([
+      'network,latitude,longitude,city_name,country_iso_code',
+      '100.64.0.0/10,40.7128,-74.006,"New York, NY",US',
+    ])
+    expect(lookup('100.100.1.1')).toMatchObject({ city: 'New York, NY', country: 'US' })
+  })
+
+  it('sorts unsorted input and skips malformed networks', async () => {
+    const lookup = await indexGeoCsv([
+      'network,latitude,longitude',
+      '10.2.0.0/16,2,2',
+      'not-a-network,9,9',
+      '10.0.0.0/33,9,9',
+      '10.1.0.0/16,1,1',
+    ])
+    expect(lookup('10.1.5.5').latitude).toBe(1)
+    expect(lookup('10.2.5.5').latitude).toBe(2)
+  })
+
+  it('shares one point object between blocks with the same location', async () => {
+    const lookup = await indexGeoCsv([
+      'network,latitude,longitude',
+      '10.1.0.0/16,1,1',
+      '10.3.0.0/16,1,1',
+    ])
+    expect(lookup('10.1.0.1')).toBe(lookup('10.3.0.1'))
+  })
+
+  it('rejects a file without coordinate columns', async () => {
+    await expect(indexGeoCsv(['network,geoname_id', '1.0.0.0/24,1'])).rejects.toThrow(/latitude/)
+  })
+
+  it('returns null for non-IP input', async () => {
+    const lookup = await indexGeoCsv(BLOCKS_CSV)
+    expect(lookup('not-an-ip')).toBeNull()
+  })
+})
+
+describe('openGeoDatabase', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'neon-geo-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('loads a CSV file from disk', async () => {
+    const file = join(dir, 'blocks.csv')
+    await writeFile(file, `${BLOCKS_CSV.join('\r\n')}\r\n`)
+    const db = await openGeoDatabase(file)
+    expect(db.kind).toBe('csv')
+    expect(db.lookup('203.0.113.1').accuracyKm).toBe(50)
+  })
+
+  it('rejects an unknown extension', async () => {
+    await expect(openGeoDatabase(join(dir, 'geo.dat'))).rejects.toThrow(/\.mmdb or \.csv/)
+  })
+
+  it('rejects a missing file', async () => {
+    await expect(openGeoDatabase(join(dir, 'missing.mmdb'))).rejects.toThrow(/ENOENT/)
+  })
+})
+
+describe('fromMmdbRecord', () => {
+  it('maps a City record', () => {
+    expect(fromMmdbRecord({
+      city: { names: { en: 'Frankfurt am Main', de: 'Frankfurt am Main' } },
+      country: { iso_code: 'DE' },
+      location: { latitude: 50.1155, longitude: 8.6842, accuracy_radius: 20 },
+    })).toEqual({ latitude: 50.1155, longitude: 8.6842, city: 'Frankfurt am Main', country: 'DE', accuracyKm: 20 })
+  })
+
+  it('falls back to the registered country', () => {
+    const geo = fromMmdbRecord({ registered_country: { iso_code: 'US' }, location: { latitude: 37.751, longitude: -97.822 } })
+    expect(geo).toMatchObject({ country: 'US', city: null, accuracyKm: null })
+  })
+
+  it('returns null without coordinates', () => {
+    expect(fromMmdbRecord({ country: { iso_code: 'JP' } })).toBeNull()
+    expect(fromMmdbRecord(null)).toBeNull()
+  })
+})
+
+describe('createGeoLocator', () => {
+  const database = {
+    kind: 'csv',
+    lookup: (ip) => (ip === '203.0.113.1' ? { latitude: 35.7, longitude: 139.7, city: 'Tokyo', country: 'JP', accuracyKm: 50 } : null),
+  }
+
+  it('prefers an rDNS PoP hint over the database', () => {
+    const geo = createGeoLocator({ database }).locate('203.0.113.1', 'xe-1.fra01.example.net')
+    expect(geo).toMatchObject({ city: 'Frankfurt', source: 'rdns', pop: 'FRA' })
+  })
+
+  it('falls back to the database', () => {
+    const geo = createGeoLocator({ database }).locate('203.0.113.1', 'unknown.example.net')
+    expect(geo).toMatchObject({ city: 'Tokyo', source: 'csv' })
+    expect(geo).not.toHaveProperty('pop')
+  })
+
+  it('skips hints when disabled', () => {
+    const geo = createGeoLocator({ database, popHints: false }).locate('203.0.113.1', 'xe-1.fra01.example.net')
+    expect(geo.source).toBe('csv')
+  })
+
+  it('returns null when nothing places the hop', () => {
+    expect(createGeoLocator().locate('198.51.100.1', null)).toBeNull()
+    expect(createGeoLocator({ database }).locate(null)).toBeNull()
+  })
+})
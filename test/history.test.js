@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, appendFile, readFile, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createHistoryStore } from '../src/history/store.js'
+import { createTraceRecorder } from '../src/history/recorder.js'
+import { createBaselineStore } from '../src/history/baselines.js'
+import { validateTraceOptions } from '../src/validation.js'
+
+const OPTIONS = validateTraceOptions({}).options
+
+function makeTrace(target, hops = [{ at: 5, hop: 1, ip: '10.0.0.1' }]) {
+  return {
+    target,
+    options: OPTIONS,
+    startedAt: '2026-01-01T00:00:00.000Z',
+    completedAt: '2026-01-01T00:00:02.000Z',
+    hops,
+    intel: [],
+    raw: [],
+    port: [],
+  }
+}
+
+describe('createHistoryStore', () => {
+  let dir
+  let file
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'neon-history-'))
+    file = join(dir, 'nested', 'traces.jsonl')
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('treats a missing file as an empty history', async () => {
+    const store = createHistoryStore(file)
+    expect(await store.list()).toEqual([])
+    expect(await store.get('anything')).toBeNull()
+  })
+
+  it('saves one JSON line per trace, creating the directory', async () => {
+    const store = createHistoryStore(file)
+    await store.save(makeTrace('a.example'))
+    await store.save(makeTrace('b.example'))
+    const lines = (await readFile(file, 'utf8')).trim().split('\n')
+    expect(lines).toHaveLength(2)
+    expect(JSON.parse(lines[0]).target).toBe('a.example')
+  })
+
+  it('assigns each record a uuid', async () => {
+    const store = createHistoryStore(file)
+    const record = await store.save(makeTrace('a.example'))
+    expect(record.id).toMatch(/^[0-9a-f-]{36}$/)
+  })
+
+  it('round-trips a full record by id', async () => {
+    const store = createHistoryStore(file)
+    const saved = await store.save(makeTrace('a.example'))
+    expect(await store.get(saved.id)).toEqual(saved)
+  })
+
+  it('lists summaries newest first', async () => {
+    const store = createHistoryStore(file)
+    await store.save(makeTrace('old.example'))
+    await store.save(makeTrace('new.example', [
+      { at: 1, hop: 1, ip: '10.0.0.1' },
+      { at: 2, hop: 2, ip: '192.0.2.9' },
+    ]))
+
+    const [newest, oldest] = await store.list()
+    expect(newest).toMatchObject({ target: 'new.example', hopCount: 2, destination: '192.0.2.9', mode: 'single', protocol: 'udp' })
+    expect(oldest.target).toBe('old.example')
+    expect(newest).not.toHaveProperty('hops')
+  })
+
+  it('honours the list limit', async () => {
+    const store = createHistoryStore(file)
+    for (const name of ['a', 'b', 'c']) await store.save(makeTrace(`${name}.example`))
+    const traces = await store.list({ limit: 2 })
+    expect(traces.map((t) => t.target)).toEqual(['c.example', 'b.example'])
+  })
+
+  it('keeps the newest traces once the file outgrows its retention by a tenth', async () => {
+    const store = createHistoryStore(file, { maxRecords: 10 })
+    for (let i = 1; i <= 11; i++) await store.save(makeTrace(`t${i}.example`))
+    expect((await readFile(file, 'utf8')).trim().split('\n')).toHaveLength(11)
+
+    const twelfth = await store.save(makeTrace('t12.example'))
+    expect((await readFile(file, 'utf8')).trim().split('\n')).toHaveLength(10)
+    const traces = await store.list({ limit: Infinity })
+    expect(traces.map((t) => t.target)).toEqual(Array.from({ length: 10 }, (_, k) => `t${12 - k}.example`))
+    expect(await store.get(twelfth.id)).toEqual(twelfth)
+  })
+
+  it('counts traces already in the file and loses none to concurrent saves', async () => {
+    const before = createHistoryStore(file, { maxRecords: 10 })
+    for (let i = 1; i <= 10; i++) await before.save(makeTrace(`old${i}.example`))
+
+    const after = createHistoryStore(file, { maxRecords: 10 })
+    const saved = await Promise.all([1, 2].map((i) => after.save(makeTrace(`new${i}.example`))))
+    const traces = await after.list({ limit: Infinity })
+    expect(traces).toHaveLength(10)
+    expect(traces.slice(0, 2).map((t) => t.id).sort()).toEqual(saved.map((r) => r.id).sort())
+  })
+
+  it('skips corrupt lines instead of failing', async () => {
+    const store = createHistoryStore(file)
+    const saved = await store.save(makeTrace('a.example'))
+    await appendFile(file, '{"id": "torn\n\n')
+    expect(await store.list()).toHaveLength(1)
+    expect(await store.get(saved.id)).not.toBeNull()
+  })
+})
+
+describe('createTraceRecorder', () => {
+  function makeClock(start = 1_000) {
+    let t = start
+    const now = () => t
+    now.advance = (ms) => { t += ms }
+    return now
+  }
+
+  it('stamps events with ms since the trace started', async () => {
+    const now = makeClock()
+    const recorder = createTraceRecorder('example.com', OPTIONS, now)
+    now.advance(40)
+    recorder.raw(' 1  10.0.0.1  1.0 ms')
+    recorder.hop({ hop: 1, ip: '10.0.0.1' })
+    now.advance(60)
+    recorder.intel({ hop: 1, ip: '10.0.0.1', org: 'Example' })
+    recorder.port({ hop: 1, ip: '10.0.0.1', port: 80, state: 'open' })
+
+    const trace = await recorder.finish()
+    expect(trace.raw).toEqual([{ at: 40, line: ' 1  10.0.0.1  1.0 ms' }])
+    expect(trace.hops).toEqual([{ at: 40, hop: 1, ip: '10.0.0.1' }])
+    expect(trace.intel[0]).toMatchObject({ at: 100, org: 'Example' })
+    expect(trace.port[0]).toMatchObject({ at: 100, state: 'open' })
+  })
+
+  it('replaces the verdict of a revised hop but keeps its timing', async () => {
+    const now = makeClock()
+    const recorder = createTraceRecorder('example.com', OPTIONS, now)
+    recorder.hop({ hop: 1, ip: '10.0.0.1', type: 'hostile' })
+    now.advance(50)
+    recorder.hop({ hop: 2, ip: '10.0.0.2', type: 'normal' })
+    recorder.revise({ hop: 1, ip: '10.0.0.1', type: 'normal', reason: 'at this hop only' })
+    recorder.revise({ hop: 9, ip: null, type: 'ghost' })
+
+    const trace = await recorder.finish()
+    expect(trace.hops).toEqual([
+      { at: 0, hop: 1, ip: '10.0.0.1', type: 'normal', reason: 'at this hop only' },
+      { at: 50, hop: 2, ip: '10.0.0.2', type: 'normal' },
+    ])
+  })
+
+  it('records target, options and ISO timestamps', async () => {
+    const now = makeClock(Date.UTC(2026, 0, 1))
+    const recorder = createTraceRecorder('example.com', OPTIONS, now)
+    recorder.hop({ hop: 1, ip: null })
+    now.advance(2_000)
+
+    const trace = await recorder.finish()
+    expect(trace).toMatchObject({
+      target: 'example.com',
+      options: OPTIONS,
+      startedAt: '2026-01-01T00:00:00.000Z',
+      completedAt: '2026-01-01T00:00:02.000Z',
+    })
+  })
+
+  it('waits for tracked intel lookups before finishing', async () => {
+    const recorder = createTraceRecorder('example.com', OPTIONS)
+    recorder.hop({ hop: 1, ip: '10.0.0.1' })
+    recorder.track(new Promise((resolve) => setTimeout(() => {
+      recorder.intel({ hop: 1, ip: '10.0.0.1' })
+      resolve()
+    }, 5)))
+    recorder.track(Promise.reject(new Error('whois down')))
+
+    const trace = await recorder.finish()
+    expect(trace.intel).toHaveLength(1)
+  })
+
+  it('returns null for a trace with no hops', async () => {
+    const recorder = createTraceRecorder('example.com', OPTIONS)
+    recorder.raw('traceroute: unknown host')
+    expect(await recorder.finish()).toBeNull()
+  })
+})
+
+describe('createBaselineStore', () => {
+  let dir
+  let file
+  const now = () => Date.parse('2026-02-01T00:00:00.000Z')
+  const saved = (id, target) => ({ id, ...makeTrace(target) })
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'neon-baselines-'))
+    file = join(dir, 'nested', 'baselines.json')
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('keeps one baseline per target, with a copy of its trace', async () => {
+    const store = createBaselineStore(file, { now })
+    expect(await store.get('a.example')).toBeNull()
+
+    const summary = await store.set(saved('t1', 'a.example'), { regressionPct: 50 })
+    expect(summary).toEqual({
+      target: 'a.example', traceId: 't1', regressionPct: 50,
+      setAt: '2026-02-01T00:00:00.000Z', startedAt: '2026-01-01T00:00:00.000Z',
+    })
+    await store.set(saved('t2', 'a.example'), { regressionPct: 20 })
+
+    const baseline = await store.get('A.Example')
+    expect(baseline).toMatchObject({ traceId: 't2', regressionPct: 20 })
+    expect(baseline.record.hops).toEqual(makeTrace('a.example').hops)
+  })
+
+  it('persists across instances, listed by target', async () => {
+    const store = createBaselineStore(file, { now })
+    await Promise.all([
+      store.set(saved('t1', 'b.example'), { regressionPct: 50 }),
+      store.set(saved('t2', 'a.example'), { regressionPct: 50 }),
+    ])
+
+    const reopened = createBaselineStore(file, { now })
+    expect((await reopened.list()).map((b) => b.target)).toEqual(['a.example', 'b.example'])
+    expect(await reopened.list()).not.toContainEqual(expect.objectContaining({ record: expect.anything() }))
+  })
+
+  it('removes a baseline', async () => {
+    const store = createBaselineStore(file, { now })
+    await store.set(saved('t1', 'a.example'), { regressionPct: 50 })
+    expect(await store.remove('a.example')).toBe(true)
+    expect(await store.remove('a.example')).toBe(false)
+    expect(await createBaselineStore(file).get('a.example')).toBeNull()
+  })
+
+  it('treats an unreadable file as no baselines', async () => {
+    await createBaselineStore(file).set(saved('t1', 'a.example'), { regressionPct: 50 })
+    await writeFile(file, '{"a.example": ')
+    expect(await createBaselineStore(file).list()).toEqual([])
+  })
+})
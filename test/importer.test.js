@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { parseMtrReportLine, parseTraceText, replayImport } from '../src/tracer/importer.js'
+
+const TRACEROUTE = `traceroute to example.com (93.184.216.34), 30 hops max, 60 byte packets
+ 1  _gateway (192.168.1.1)  0.512 ms  0.498 ms  0.470 ms
+ 2  * * *
+ 3  93.184.216.34  12.101 ms  12.334 ms  *
+`
+
+const TRACERT = `
+Tracing route to example.com [93.184.216.34]
+over a maximum of 30 hops:
+
+  1    <1 ms    <1 ms    <1 ms  192.168.1.1
+  2     *        *        *     Request timed out.
+  3    12 ms    13 ms    12 ms  93.184.216.34
+
+Trace complete.
+`
+
+const MTR = `Start: 2026-03-01T12:00:00+0000
+HOST: probe-1                           Loss%   Snt   Last    Avg   Best   Wrst  StDev
+  1.|-- gw.lan (10.0.0.1)                0.0%    10    3.0    2.0    1.0    3.0    0.8
+  2.|-- ???                            100.0%    10    0.0    0.0    0.0    0.0    0.0
+  3.|-- 203.0.113.9                     30.0%    10  130.5  125.5  120.5  130.5    5.0
+    |  \`-- 203.0.113.10
+`
+
+describe('parseMtrReportLine', () => {
+  it('reads host, loss and timings, keeping the exact figures as stats', () => {
+    const hop = parseMtrReportLine('  1.|-- gw.lan (10.0.0.1)                0.0%    10    3.0    2.0    1.0    3.0    0.8')
+    expect(hop).toMatchObject({
+      hop: 1, ip: '10.0.0.1', hostname: 'gw.lan', timedOut: false, partialLoss: false, probes: 10,
+      stats: { sent: 10, received: 10, loss: 0, last: 3, avg: 2, best: 1, worst: 3, stdev: 0.8 },
+    })
+    expect(hop.latencies).toEqual(Array(10).fill(2))
+    expect(hop.responders).toEqual([{ ip: '10.0.0.1', hostname: 'gw.lan', latencies: hop.latencies }])
+  })
+
+  it('scales long runs to ten probes so the loss rate survives', () => {
+    const hop = parseMtrReportLine('  4.|-- 198.51.100.7  25.0%   200   9.1   9.4   8.8  12.0   0.4')
+    expect(hop).toMatchObject({ probes: 10, partialLoss: true, stats: { sent: 200, received: 150 } })
+    expect(hop.latencies).toHaveLength(8)
+  })
+
+  it('treats ??? and all-lost rows as timeouts, and accepts mtr -z AS columns', () => {
+    expect(parseMtrReportLine('  2.|-- ???   100.0     3    0.0    0.0    0.0    0.0    0.0'))
+      .toMatchObject({ ip: null, hostname: null, timedOut: true, latencies: [], responders: [] })
+    expect(parseMtrReportLine('  5. AS64500  203.0.113.9  0.0%  5  1.0  1.0  1.0  1.0  0.0'))
+      .toMatchObject({ hop: 5, ip: '203.0.113.9' })
+  })
+
+  it('keeps a bare router name when mtr printed no address', () => {
+    expect(parseMtrReportLine('  6.|-- core1.example.net  0.0%  3  5.0  5.0  5.0  5.0  0.0'))
+      .toMatchObject({ ip: null, hostname: 'core1.example.net', timedOut: false, responders: [] })
+  })
+
+  it('rejects headers and out-of-range TTLs', () => {
+    expect(parseMtrReportLine('HOST: probe-1   Loss%   Snt   Last    Avg   Best   Wrst  StDev')).toBeNull()
+    expect(parseMtrReportLine('  0.|-- 10.0.0.1  0.0%  3  1.0  1.0  1.0  1.0  0.0')).toBeNull()
+    expect(parseMtrReportLine('256.|-- 10.0.0.1  0.0%  3  1.0  1.0  1.0  1.0  0.0')).toBeNull()
+  })
+})
+
+describe('parseTraceText', () => {
+  it('parses Linux traceroute output and takes the target from its header', () => {
+    const parsed = parseTraceText(TRACEROUTE)
+    expect(parsed.format).toBe('traceroute')
+    expect(parsed.target).toBe('example.com')
+    expect(parsed.hops.map((hop) => hop.ip)).toEqual(['192.168.1.1', null, '93.184.216.34'])
+    expect(parsed.hops[2].partialLoss).toBe(true)
+    expect(parsed.lines[0]).toEqual({ text: TRACEROUTE.split('\n')[0], hops: [] })
+  })
+
+  it('parses Windows tracert output, CRLF line endings included', () => {
+    const parsed = parseTraceText(TRACERT.replaceAll('\n', '\r\n'))
+    expect(parsed.format).toBe('tracert')
+    expect(parsed.target).toBe('example.com')
+    expect(parsed.hops).toHaveLength(3)
+    expect(parsed.hops[1]).toMatchObject({ hop: 2, timedOut: true })
+    expect(parsed.lines.at(-1)).toEqual({ text: 'Trace complete.', hops: [] })
+  })
+
+  it('parses an mtr report and folds ECMP routers into their hop', () => {
+    const parsed = parseTraceText(MTR)
+    expect(parsed.format).toBe('mtr')
+    expect(parsed.hops).toHaveLength(3)
+    expect(parsed.hops[2].responders.map((r) => r.ip)).toEqual(['203.0.113.9', '203.0.113.10'])
+    // The line entry carries the merged hop, so a replay emits it whole
+    expect(parsed.lines.find((entry) => entry.hops[0]?.hop === 3).hops[0]).toBe(parsed.hops[2])
+  })
+
+  it('folds pasted macOS continuation lines into their hop', () => {
+    const parsed = parseTraceText(' 1  10.0.0.1  1.000 ms\n    10.0.0.2  2.000 ms  2.100 ms\n 2  10.0.0.9  3.000 ms !H  3.100 ms !H  *\n')
+    expect(parsed.hops.map((hop) => hop.responders.length)).toEqual([2, 1])
+    expect(parsed.hops[1].annotations).toEqual([{ flag: '!H', reason: 'host', count: 2 }])
+    // The hop is replayed once its last line has been shown
+    expect(parsed.lines.map((entry) => entry.hops.length)).toEqual([0, 1, 1])
+  })
+
+  it('falls back to the last responding hop when there is no header', () => {
+    expect(parseTraceText(MTR).target).toBe('203.0.113.9')
+    expect(parseTraceText(' 1  * * *\n').target).toBeNull()
+  })
+
+  it('finds no hops in unrelated text', () => {
+    expect(parseTraceText('hello\nworld\n').hops).toEqual([])
+  })
+})
+
+describe('replayImport', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const callbacks = () => ({ onHop: vi.fn(), onRaw: vi.fn(), onError: vi.fn(), onComplete: vi.fn() })
+
+  it('emits every line and paces hops, then completes', () => {
+    vi.useFakeTimers()
+    const parsed = parseTraceText(TRACEROUTE)
+    const cb = callbacks()
+    replayImport(parsed, cb, { delayMs: 100 })
+
+    expect(cb.onRaw).not.toHaveBeenCalled()
+    vi.advanceTimersByTime(0)
+    expect(cb.onRaw).toHaveBeenCalledTimes(2)
+    expect(cb.onHop).toHaveBeenCalledTimes(1)
+
+    vi.advanceTimersByTime(200)
+    expect(cb.onHop.mock.calls.map(([hop]) => hop.hop)).toEqual([1, 2, 3])
+    expect(cb.onComplete).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(100)
+    expect(cb.onComplete).toHaveBeenCalledOnce()
+    expect(cb.onError).not.toHaveBeenCalled()
+  })
+
+  it('stops without completing when cancelled', () => {
+    vi.useFakeTimers()
+    const cb = callbacks()
+    const { cancel } = replayImport(parseTraceText(TRACEROUTE), cb, { delayMs: 100 })
+    vi.advanceTimersByTime(0)
+    cancel()
+    vi.advanceTimersByTime(1000)
+    expect(cb.onHop).toHaveBeenCalledOnce()
+    expect(cb.onComplete).not.toHaveBeenCalled()
+  })
+})
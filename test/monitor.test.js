@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { EventEmitter } from 'node:events'
+import { accumulateStats, toStatsSnapshot } from '../src/tracer/monitor.js'
+
+function makeFakeChild() {
+  const child = new EventEmitter()
+  child.stdout = new EventEmitter()
+  child.stderr = new EventEmitter()
+  child.kill = vi.fn()
+  return child
+}
+
+describe('accumulateStats', () => {
+  it('counts sent and received probes across cycles', () => {
+    const first = accumulateStats(null, [10, 20], 3)
+    const second = accumulateStats(first, [30], 3)
+    expect(second.sent).toBe(6)
+    expect(second.received).toBe(3)
+  })
+
+  it('tracks last, best, worst and mean', () => {
+    const stats = accumulateStats(accumulateStats(null, [10, 30], 3), [20], 3)
+    expect(stats.last).toBe(20)
+    expect(stats.best).toBe(10)
+    expect(stats.worst).toBe(30)
+    expect(stats.mean).toBeCloseTo(20)
+  })
+
+  it('keeps the previous last RTT when a cycle gets no replies', () => {
+    const stats = accumulateStats(accumulateStats(null, [12], 3), [], 3)
+    expect(stats.last).toBe(12)
+    expect(stats.sent).toBe(6)
+  })
+
+  it('returns frozen stats', () => {
+    expect(Object.isFrozen(accumulateStats(null, [1], 3))).toBe(true)
+  })
+})
+
+describe('toStatsSnapshot', () => {
+  it('computes loss percentage and population stdev', () => {
+    const stats = accumulateStats(null, [2, 4, 4, 4, 5, 5, 7, 9], 10)
+    const snapshot = toStatsSnapshot({ hop: 3, ip: '10.0.0.1' }, stats)
+    expect(snapshot).toMatchObject({ hop: 3, ip: '10.0.0.1', sent: 10, received: 8, loss: 20, avg: 5, stdev: 2 })
+  })
+
+  it('rounds to 0.1 ms', () => {
+    const snapshot = toStatsSnapshot({ hop: 1, ip: null }, accumulateStats(null, [1.234, 1.26], 2))
+    expect(snapshot.avg).toBe(1.2)
+    expect(snapshot.best).toBe(1.2)
+    expect(snapshot.worst).toBe(1.3)
+  })
+
+  it('reports null RTT stats and 100% loss for a silent hop', () => {
+    const snapshot = toStatsSnapshot({ hop: 2, ip: null }, accumulateStats(null, [], 3))
+    expect(snapshot).toMatchObject({ loss: 100, last: null, avg: null, best: null, worst: null, stdev: null })
+  })
+})
+
+describe('runMonitor', () => {
+  // runner.js is cached by the static import above, so each test resets
+  // the module graph before loading monitor.js against the mocked spawn
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.doUnmock('node:child_process')
+  })
+
+  it('re-runs the trace after the interval and accumulates per-hop stats', async () => {
+    vi.useFakeTimers()
+    vi.resetModules()
+    const children = []
+    vi.doMock('node:child_process', () => ({
+      spawn: vi.fn(() => {
+        const child = makeFakeChild()
+        children.push(child)
+        return child
+      }),
+    }))
+
+    const { runMonitor } = await import('../src/tracer/monitor.js?m1=' + Date.now())
+
+    const cycles = []
+    const completed = []
+    const stats = []
+    const monitor = runMonitor('1.1.1.1', {
+      onCycle: (n) => cycles.push(n),
+      onCycleComplete: (n) => completed.push(n),
+      onHop: (_hop, s) => stats.push(s),
+      onRaw: () => {},
+      onError: () => {},
+    }, { interval: 5 })
+
+    children[0].stdout.emit('data', ' 1  1.1.1.1  10.000 ms  20.000 ms  30.000 ms\n')
+    children[0].emit('close', 0)
+    expect(children).toHaveLength(1)
+
+    vi.advanceTimersByTime(5000)
+    expect(children).toHaveLength(2)
+    children[1].stdout.emit('data', ' 1  1.1.1.1  * 40.000 ms *\n')
+    children[1].emit('close', 0)
+
+    expect(cycles).toEqual([1, 2])
+    expect(completed).toEqual([1, 2])
+    expect(stats[1]).toMatchObject({ hop: 1, sent: 6, received: 4, loss: 33.3, last: 40, avg: 25 })
+
+    monitor.cancel()
+  })
+
+  it('stops the running trace and schedules nothing after cancel', async () => {
+    vi.useFakeTimers()
+    vi.resetModules()
+    const children = []
+    vi.doMock('node:child_process', () => ({
+      spawn: vi.fn(() => {
+        const child = makeFakeChild()
+        children.push(child)
+        return child
+      }),
+    }))
+
+    const { runMonitor } = await import('../src/tracer/monitor.js?m2=' + Date.now())
+
+    const monitor = runMonitor('1.1.1.1', {
+      onCycle: () => {}, onHop: () => {}, onRaw: () => {}, onError: () => {},
+    }, { interval: 5 })
+
+    monitor.cancel()
+    expect(children[0].kill).toHaveBeenCalled()
+
+    vi.advanceTimersByTime(60_000)
+    expect(children).toHaveLength(1)
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { parseMplsExtension, formatMplsExtension, tunnelOf } from '../src/tracer/mpls.js'
+
+const labelled = (hop, ttl = 1) => ({ hop, mpls: [{ label: 24000 + hop, exp: 0, bottom: true, ttl }] })
+
+describe('parseMplsExtension', () => {
+  it('reads a single label stack entry', () => {
+    expect(parseMplsExtension('MPLS:L=24001,E=0,S=1,T=1')).toEqual([{ label: 24001, exp: 0, bottom: true, ttl: 1 }])
+  })
+
+  it('reads a stacked entry top first', () => {
+    expect(parseMplsExtension('MPLS:L=16003,E=5,S=0,T=1/L=24005,E=0,S=1,T=2')).toEqual([
+      { label: 16003, exp: 5, bottom: false, ttl: 1 },
+      { label: 24005, exp: 0, bottom: true, ttl: 2 },
+    ])
+  })
+
+  it('rejects other extensions and malformed or out-of-range entries', () => {
+    expect(parseMplsExtension('syn,ack')).toBeNull()
+    expect(parseMplsExtension('MPLS:L=24001,E=0')).toBeNull()
+    expect(parseMplsExtension('MPLS:L=1048576,E=0,S=1,T=1')).toBeNull()
+    expect(parseMplsExtension('MPLS:L=24001,E=8,S=1,T=1')).toBeNull()
+  })
+
+  it('round-trips through formatMplsExtension', () => {
+    const text = 'MPLS:L=16003,E=5,S=0,T=1/L=24005,E=0,S=1,T=2'
+    expect(formatMplsExtension(parseMplsExtension(text))).toBe(text)
+  })
+})
+
+describe('tunnelOf', () => {
+  it('opens a tunnel at the first labelled hop and carries it forward', () => {
+    const first = { ...labelled(4), tunnel: tunnelOf(labelled(4), { hop: 3 }) }
+    expect(first.tunnel).toEqual({ id: 4, hidden: false, hiddenHops: null })
+    expect(tunnelOf(labelled(5), first)).toEqual({ id: 4, hidden: false, hiddenHops: null })
+  })
+
+  it('leaves unlabelled hops, timeouts included, outside every tunnel', () => {
+    expect(tunnelOf({ hop: 6 }, { ...labelled(5), tunnel: { id: 4, hidden: false, hiddenHops: null } })).toBeNull()
+    expect(tunnelOf(labelled(8), { hop: 7 })).toMatchObject({ id: 8 })
+  })
+
+  it('flags a label that arrived with TTL above 1 as a hidden tunnel', () => {
+    expect(tunnelOf(labelled(5, 252), { hop: 4 })).toEqual({ id: 5, hidden: true, hiddenHops: 3 })
+    // A start value other than 255 gives no believable LSR count
+    expect(tunnelOf(labelled(5, 60), { hop: 4 })).toEqual({ id: 5, hidden: true, hiddenHops: null })
+  })
+})
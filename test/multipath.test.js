@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import { createMultipathGraph, probesNeeded } from '../src/tracer/multipath.js'
+
+// ── Helpers ───────────────────────────────────────────────
+// One flow = one probe per TTL, as produced by a flow-pinned traceroute run
+const answered = (hop, ip, rtt) =>
+  Object.freeze({ hop, ip, hostname: null, latencies: [rtt], responders: [{ ip, hostname: null, latencies: [rtt] }], timedOut: false, partialLoss: false })
+
+const lost = (hop) =>
+  Object.freeze({ hop, ip: null, hostname: null, latencies: [], responders: [], timedOut: true, partialLoss: false })
+
+// ── probesNeeded ──────────────────────────────────────────
+describe('probesNeeded', () => {
+  it('requires 6 flows to rule out a second interface', () => {
+    expect(probesNeeded(1)).toBe(6)
+  })
+
+  it('requires 11 flows once two interfaces are seen', () => {
+    expect(probesNeeded(2)).toBe(11)
+  })
+
+  it('caps at the end of the stopping-point table', () => {
+    expect(probesNeeded(100)).toBe(96)
+  })
+})
+
+// ── createMultipathGraph ──────────────────────────────────
+describe('createMultipathGraph', () => {
+  it('merges identical flows into a single chain', () => {
+    const graph = createMultipathGraph()
+    for (let i = 0; i < 6; i++) {
+      graph.addFlow([answered(1, '10.0.0.1', 1), answered(2, '10.0.1.1', 5)])
+    }
+    const hops = graph.toHops()
+    expect(hops).toHaveLength(2)
+    expect(hops[1].responders).toHaveLength(1)
+    expect(hops[1].responders[0].prev).toEqual(['10.0.0.1'])
+    expect(graph.flowsStillNeeded()).toBe(0)
+  })
+
+  it('builds a diamond when flows split and rejoin', () => {
+    const graph = createMultipathGraph()
+    graph.addFlow([answered(1, '10.0.0.1', 1), answered(2, '10.0.1.1', 5), answered(3, '10.0.2.1', 9)])
+    graph.addFlow([answered(1, '10.0.0.1', 1), answered(2, '10.0.1.2', 6), answered(3, '10.0.2.1', 9)])
+
+    const [first, middle, last] = graph.toHops()
+    expect(first.responders.map((r) => r.ip)).toEqual(['10.0.0.1'])
+    expect(middle.responders.map((r) => r.ip)).toEqual(['10.0.1.1', '10.0.1.2'])
+    expect(middle.responders.every((r) => r.prev.includes('10.0.0.1'))).toBe(true)
+    expect(last.responders[0].prev.sort()).toEqual(['10.0.1.1', '10.0.1.2'])
+  })
+
+  it('keeps per-responder latencies and counts flows per TTL as probes', () => {
+    const graph = createMultipathGraph()
+    graph.addFlow([answered(1, '10.0.0.1', 1)])
+    graph.addFlow([answered(1, '10.0.0.2', 3)])
+    graph.addFlow([answered(1, '10.0.0.1', 2)])
+    const [hop] = graph.toHops()
+    expect(hop.probes).toBe(3)
+    expect(hop.responders.find((r) => r.ip === '10.0.0.1').latencies).toEqual([1, 2])
+    expect(hop.latencies).toHaveLength(3)
+  })
+
+  it('asks for more flows until the stopping rule is met', () => {
+    const graph = createMultipathGraph()
+    graph.addFlow([answered(1, '10.0.0.1', 1)])
+    graph.addFlow([answered(1, '10.0.0.2', 1)])
+    // Two interfaces seen after 2 flows → 11 needed
+    expect(graph.flowsStillNeeded()).toBe(9)
+  })
+
+  it('marks a TTL lossy when only some flows were answered', () => {
+    const graph = createMultipathGraph()
+    graph.addFlow([answered(1, '10.0.0.1', 1)])
+    graph.addFlow([lost(1)])
+    const [hop] = graph.toHops()
+    expect(hop.partialLoss).toBe(true)
+    expect(hop.timedOut).toBe(false)
+  })
+
+  it('marks a TTL ghost when no flow was answered and records no edge across it', () => {
+    const graph = createMultipathGraph()
+    graph.addFlow([answered(1, '10.0.0.1', 1), lost(2), answered(3, '10.0.2.1', 9)])
+    const [, ghost, after] = graph.toHops()
+    expect(ghost.timedOut).toBe(true)
+    expect(ghost.responders).toEqual([])
+    expect(after.responders[0].prev).toEqual([])
+  })
+
+  it('returns hops sorted by TTL and frozen', () => {
+    const graph = createMultipathGraph()
+    graph.addFlow([answered(2, '10.0.1.1', 5), answered(1, '10.0.0.1', 1)])
+    const hops = graph.toHops()
+    expect(hops.map((h) => h.hop)).toEqual([1, 2])
+    expect(hops.every(Object.isFrozen)).toBe(true)
+  })
+
+  it('counts flows', () => {
+    const graph = createMultipathGraph()
+    graph.addFlow([])
+    graph.addFlow([])
+    expect(graph.flowCount()).toBe(2)
+  })
+})
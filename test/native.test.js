@@ -0,0 +1,238 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { EventEmitter } from 'node:events'
+import { addressBytes } from '../src/tracer/packets.js'
+
+/**
+ * The native engine is exercised against fake raw and UDP sockets:
+ * node:dgram and raw-socket are mocked, and ICMP replies are crafted by hand.
+ */
+
+const TARGET = '198.51.100.7'
+
+function ipv4Header(protocol, source, destination) {
+  const header = Buffer.alloc(20)
+  header[0] = 0x45
+  header[9] = protocol
+  addressBytes(source).copy(header, 12)
+  addressBytes(destination).copy(header, 16)
+  return header
+}
+
+/** Raw ICMPv4 error (outer IP header included) quoting a UDP probe. */
+function icmpReply(type, code, from, srcPort, dstPort) {
+  const quotedPorts = Buffer.alloc(8)
+  quotedPorts.writeUInt16BE(srcPort, 0)
+  quotedPorts.writeUInt16BE(dstPort, 2)
+  return Buffer.concat([
+    ipv4Header(1, from, '192.0.2.1'),
+    Buffer.from([type, code, 0, 0, 0, 0, 0, 0]),
+    ipv4Header(17, '192.0.2.1', TARGET),
+    quotedPorts,
+  ])
+}
+
+/** Mock dgram + raw-socket; returns handles to the fakes. */
+function installFakes({ rawThrows = false } = {}) {
+  const udpSockets = []
+  const rawSockets = []
+
+  vi.doMock('node:dgram', () => ({
+    default: {
+      createSocket: vi.fn(() => {
+        const socket = new EventEmitter()
+        socket.port = 41000 + udpSockets.length
+        socket.sent = []
+        socket.bind = vi.fn((_port, cb) => queueMicrotask(cb))
+        socket.address = () => ({ address: '192.0.2.1', port: socket.port })
+        socket.setTTL = vi.fn((ttl) => { socket.ttl = ttl })
+        socket.send = vi.fn((_buf, dstPort) => socket.sent.push(dstPort))
+        socket.close = vi.fn()
+        udpSockets.push(socket)
+        return socket
+      }),
+    },
+  }))
+
+  vi.doMock('raw-socket', () => ({
+    default: {
+      AddressFamily: { IPv4: 1, IPv6: 2 },
+      Protocol: { ICMP: 1, TCP: 6, ICMPv6: 58 },
+      createSocket: vi.fn(() => {
+        if (rawThrows) throw new Error('Operation not permitted')
+        const socket = new EventEmitter()
+        socket.close = vi.fn()
+        rawSockets.push(socket)
+        return socket
+      }),
+    },
+  }))
+
+  return { udpSockets, rawSockets }
+}
+
+/** Answer every probe on a UDP socket with the given ICMP type/code. */
+function answerAll(raw, udp, type, code, from) {
+  for (const dstPort of udp.sent) raw.emit('message', icmpReply(type, code, from, udp.port, dstPort), from)
+}
+
+describe('toHopResult', () => {
+  it('groups answers by responder and counts probes', async () => {
+    const { toHopResult } = await import('../src/tracer/native.js')
+    const hop = toHopResult(4, [{ ip: '10.0.0.1', rtt: 1.5 }, null, { ip: '10.0.0.2', rtt: 2.5 }])
+    expect(hop).toMatchObject({
+      hop: 4,
+      ip: '10.0.0.1',
+      latencies: [1.5, 2.5],
+      probes: 3,
+      timedOut: false,
+      partialLoss: true,
+    })
+    expect(hop.responders.map((r) => r.ip)).toEqual(['10.0.0.1', '10.0.0.2'])
+    expect(Object.isFrozen(hop)).toBe(true)
+  })
+
+  it('marks a hop with no answers as timed out', async () => {
+    const { toHopResult } = await import('../src/tracer/native.js')
+    expect(toHopResult(2, [null, null, null])).toMatchObject({ ip: null, timedOut: true, partialLoss: false, responders: [] })
+  })
+})
+
+describe('toHopResult — TCP port state', () => {
+  it('derives the port state from the destination reply flags', async () => {
+    const { toHopResult } = await import('../src/tracer/native.js')
+    expect(toHopResult(9, [{ ip: TARGET, rtt: 5, flags: 'syn,ack' }, null, null]).portState).toBe('open')
+    expect(toHopResult(9, [{ ip: TARGET, rtt: 5, flags: 'rst' }]).portState).toBe('closed')
+    expect(toHopResult(3, [{ ip: '10.0.0.1', rtt: 5 }])).not.toHaveProperty('portState')
+  })
+})
+
+describe('toHopResult — ICMP annotations', () => {
+  it('counts each unreachable annotation like the text parser does', async () => {
+    const { toHopResult } = await import('../src/tracer/native.js')
+    const hop = toHopResult(5, [{ ip: '10.0.0.9', rtt: 4, annotation: 'X' }, { ip: '10.0.0.9', rtt: 4.2, annotation: 'X' }, null])
+    expect(hop.annotations).toEqual([{ flag: '!X', reason: 'prohibited', count: 2 }])
+    expect(toHopResult(3, [{ ip: '10.0.0.1', rtt: 5 }])).not.toHaveProperty('annotations')
+  })
+})
+
+describe('toHopResult — MPLS labels', () => {
+  it('keeps the first label stack a router quoted', async () => {
+    const { toHopResult } = await import('../src/tracer/native.js')
+    const mpls = [{ label: 24001, exp: 0, bottom: true, ttl: 1 }]
+    expect(toHopResult(5, [null, { ip: '10.0.0.5', rtt: 4, mpls }, { ip: '10.0.0.5', rtt: 4.1 }]).mpls).toEqual(mpls)
+    expect(toHopResult(3, [{ ip: '10.0.0.1', rtt: 5 }])).not.toHaveProperty('mpls')
+  })
+})
+
+describe('formatHopLine', () => {
+  it('prints like traceroute -n so the parser could read it back', async () => {
+    const { formatHopLine } = await import('../src/tracer/native.js')
+    const { parseTraceLine } = await import('../src/tracer/parser.js')
+    const line = formatHopLine(3, [{ ip: '10.0.0.1', rtt: 1.5 }, null, { ip: '10.0.0.1', rtt: 2 }])
+    expect(line).toBe(' 3  10.0.0.1  1.500 ms  *  2.000 ms')
+    expect(parseTraceLine(line, 'unix')).toMatchObject({ hop: 3, ip: '10.0.0.1', latencies: [1.5, 2] })
+  })
+
+  it('prints TCP reply flags like traceroute -O info', async () => {
+    const { formatHopLine } = await import('../src/tracer/native.js')
+    const { parseTraceLine } = await import('../src/tracer/parser.js')
+    const line = formatHopLine(9, [{ ip: TARGET, rtt: 5, flags: 'syn,ack' }])
+    expect(line).toBe(` 9  ${TARGET}  5.000 ms <syn,ack>`)
+    expect(parseTraceLine(line, 'unix').portState).toBe('open')
+  })
+
+  it('prints MPLS label stacks like traceroute -e', async () => {
+    const { formatHopLine } = await import('../src/tracer/native.js')
+    const { parseTraceLine } = await import('../src/tracer/parser.js')
+    const mpls = [{ label: 24001, exp: 0, bottom: true, ttl: 1 }]
+    const line = formatHopLine(5, [{ ip: '10.0.0.5', rtt: 4, mpls }])
+    expect(line).toBe(' 5  10.0.0.5  4.000 ms <MPLS:L=24001,E=0,S=1,T=1>')
+    expect(parseTraceLine(line, 'unix').mpls).toEqual(mpls)
+  })
+
+  it('prints ICMP unreachable annotations after the RTT', async () => {
+    const { formatHopLine } = await import('../src/tracer/native.js')
+    const { parseTraceLine } = await import('../src/tracer/parser.js')
+    const line = formatHopLine(5, [{ ip: '10.0.0.9', rtt: 4, annotation: '<10>' }])
+    expect(line).toBe(' 5  10.0.0.9  4.000 ms !<10>')
+    expect(parseTraceLine(line, 'unix').annotations).toEqual([{ flag: '!<10>', reason: 'prohibited', code: 10, count: 1 }])
+  })
+})
+
+describe('runNativeTrace', () => {
+  afterEach(() => {
+    vi.doUnmock('node:dgram')
+    vi.doUnmock('raw-socket')
+    vi.resetModules()
+  })
+
+  it('emits hops in TTL order and completes at the destination', async () => {
+    vi.resetModules()
+    const { udpSockets, rawSockets } = installFakes()
+    const { runNativeTrace } = await import('../src/tracer/native.js')
+
+    const hops = []
+    const raws = []
+    const completed = vi.fn()
+    runNativeTrace(TARGET, { onHop: (h) => hops.push(h), onRaw: (l) => raws.push(l), onError: () => {}, onComplete: completed })
+
+    await vi.waitFor(() => expect(udpSockets.filter((s) => s.sent.length === 3)).toHaveLength(6))
+    expect(udpSockets.map((s) => s.ttl)).toEqual([1, 2, 3, 4, 5, 6])
+
+    // TTL 2 answers first, but must not be emitted before TTL 1
+    answerAll(rawSockets[0], udpSockets[1], 3, 3, TARGET)
+    expect(hops).toHaveLength(0)
+
+    answerAll(rawSockets[0], udpSockets[0], 11, 0, '10.0.0.1')
+    expect(hops.map((h) => [h.hop, h.ip])).toEqual([[1, '10.0.0.1'], [2, TARGET]])
+    expect(hops[0]).toMatchObject({ probes: 3, timedOut: false, partialLoss: false })
+    expect(raws[0]).toMatch(/^traceroute to 198\.51\.100\.7/)
+    expect(completed).toHaveBeenCalledOnce()
+    expect(rawSockets[0].close).toHaveBeenCalled()
+  })
+
+  it('ignores ICMP about other hosts', async () => {
+    vi.resetModules()
+    const { udpSockets, rawSockets } = installFakes()
+    const { runNativeTrace } = await import('../src/tracer/native.js')
+
+    const hops = []
+    const trace = runNativeTrace(TARGET, { onHop: (h) => hops.push(h), onRaw: () => {}, onError: () => {}, onComplete: () => {} })
+    await vi.waitFor(() => expect(udpSockets[0]?.sent).toHaveLength(3))
+
+    const foreign = icmpReply(11, 0, '10.0.0.1', udpSockets[0].port, udpSockets[0].sent[0])
+    addressBytes('203.0.113.9').copy(foreign, 20 + 8 + 16)
+    rawSockets[0].emit('message', foreign, '10.0.0.1')
+    expect(hops).toHaveLength(0)
+
+    trace.cancel()
+  })
+
+  it('reports missing raw socket privileges', async () => {
+    vi.resetModules()
+    installFakes({ rawThrows: true })
+    const { runNativeTrace } = await import('../src/tracer/native.js')
+
+    const errors = []
+    const completed = vi.fn()
+    runNativeTrace(TARGET, { onHop: () => {}, onRaw: () => {}, onError: (m) => errors.push(m), onComplete: completed })
+
+    await vi.waitFor(() => expect(completed).toHaveBeenCalled())
+    expect(errors[0]).toMatch(/CAP_NET_RAW/)
+  })
+
+  it('closes sockets on cancel without calling onComplete', async () => {
+    vi.resetModules()
+    const { udpSockets, rawSockets } = installFakes()
+    const { runNativeTrace } = await import('../src/tracer/native.js')
+
+    const completed = vi.fn()
+    const trace = runNativeTrace(TARGET, { onHop: () => {}, onRaw: () => {}, onError: () => {}, onComplete: completed })
+    await vi.waitFor(() => expect(udpSockets[0]?.sent).toHaveLength(3))
+
+    trace.cancel()
+    expect(rawSockets[0].close).toHaveBeenCalled()
+    expect(udpSockets[0].close).toHaveBeenCalled()
+    expect(completed).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { findNotable } from '../src/notify/findings.js'
+import { createNotifier, signBody } from '../src/notify/notifier.js'
+
+/** Classified hop as the recorder keeps it: [ip, type, extra fields] */
+function makeHop(hop, ip, type = 'normal', extra = {}) {
+  return {
+    hop, ip, hostname: null, latencies: ip ? [10] : [], timedOut: !ip,
+    responders: ip ? [{ ip, hostname: null, latencies: [10] }] : [],
+    type, latencyDelta: null, lossRate: null, ...extra,
+  }
+}
+
+const record = (hops) => ({ hops, intel: [] })
+
+describe('findNotable', () => {
+  const PATH = [makeHop(1, '10.0.0.1'), makeHop(2, '10.0.0.2'), makeHop(3, '192.0.2.1')]
+
+  it('finds nothing on a clean path that has not moved', () => {
+    expect(findNotable(record(PATH), record(PATH))).toEqual([])
+  })
+
+  it('reports hostile hops with the reason the classifier gave', () => {
+    const hops = [
+      PATH[0],
+      makeHop(2, '10.0.0.2', 'hostile', { reason: '+80 ms over hop 1, held by every later hop' }),
+      makeHop(3, '192.0.2.1', 'hostile', { latencyDelta: 140 }),
+    ]
+    expect(findNotable(record(hops), null)).toEqual([
+      { kind: 'hostile', hop: 2, ip: '10.0.0.2', message: 'Hop 2 (10.0.0.2) is hostile: +80 ms over hop 1, held by every later hop' },
+      { kind: 'hostile', hop: 3, ip: '192.0.2.1', message: 'Hop 3 (192.0.2.1) is hostile: +140 ms over the previous hop' },
+    ])
+  })
+
+  it('reports responding hops whose loss reaches the threshold', () => {
+    const hops = [PATH[0], makeHop(2, '10.0.0.2', 'lossy', { lossRate: 0.33 }), makeHop(3, '192.0.2.1', 'lossy', { lossRate: 0.1 })]
+    expect(findNotable(record(hops), null)).toEqual([
+      { kind: 'loss', hop: 2, ip: '10.0.0.2', message: 'Hop 2 (10.0.0.2) lost 33% of its probes' },
+    ])
+    expect(findNotable(record(hops), null, { lossPct: 10 }).map((f) => f.hop)).toEqual([2, 3])
+    expect(findNotable(record(hops), null, { lossPct: 50 })).toEqual([])
+  })
+
+  it('reports a route change against the previous trace, not a hop that stopped answering', () => {
+    const moved = [PATH[0], makeHop(2, '10.9.9.9'), PATH[2]]
+    expect(findNotable(record(moved), record(PATH))).toEqual([{
+      kind: 'route', hop: 2, ip: '10.9.9.9',
+      message: 'Route changed since the previous trace at hop 2 (10.0.0.2 → 10.9.9.9); 1 hop differs',
+    }])
+
+    const quiet = [PATH[0], makeHop(2, null, 'ghost'), PATH[2]]
+    expect(findNotable(record(quiet), record(PATH))).toEqual([])
+  })
+})
+
+describe('createNotifier', () => {
+  const NOTIFICATION = {
+    source: 'trace', target: 'example.com', traceId: 'abc',
+    findings: [{ kind: 'hostile', hop: 2, ip: '10.0.0.2', message: 'Hop 2 (10.0.0.2) is hostile' }],
+  }
+  const response = (status) => ({ ok: status >= 200 && status < 300, status })
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'neon-notify-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('is disabled with no sink configured', () => {
+    expect(createNotifier({}).enabled).toBe(false)
+    expect(createNotifier({ logFile: join(dir, 'n.jsonl') }).enabled).toBe(true)
+  })
+
+  it('appends each notification to the log file as one JSON line', async () => {
+    const logFile = join(dir, 'nested', 'notifications.jsonl')
+    const notifier = createNotifier({ logFile })
+    await notifier.send(NOTIFICATION)
+    await notifier.send({ ...NOTIFICATION, traceId: 'def' })
+
+    const lines = (await readFile(logFile, 'utf8')).trim().split('\n').map((line) => JSON.parse(line))
+    expect(lines.map((n) => n.traceId)).toEqual(['abc', 'def'])
+    expect(lines[0]).toEqual(NOTIFICATION)
+  })
+
+  it('posts the JSON body with an HMAC-SHA256 signature a receiver can check', async () => {
+    const fetch = vi.fn(async () => response(204))
+    const notifier = createNotifier({ webhookUrl: 'https://hooks.example.com/neon', webhookSecret: 's3cret', fetch })
+    await notifier.send(NOTIFICATION)
+
+    const [url, { method, headers, body }] = fetch.mock.calls[0]
+    expect([url, method]).toEqual(['https://hooks.example.com/neon', 'POST'])
+    expect(JSON.parse(body)).toEqual(NOTIFICATION)
+    expect(headers).toMatchObject({ 'Content-Type': 'application/json', 'X-Neon-Event': 'hostile' })
+    expect(headers['X-Neon-Signature-256']).toBe(signBody(body, 's3cret'))
+    expect(headers['X-Neon-Signature-256']).toMatch(/^sha256=[0-9a-f]{64}$/)
+  })
+
+  it('leaves the body unsigned without a secret', async () => {
+    const fetch = vi.fn(async () => response(200))
+    await createNotifier({ webhookUrl: 'https://hooks.example.com/neon', fetch }).send(NOTIFICATION)
+    expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('X-Neon-Signature-256')
+  })
+
+  it('retries network errors, 429 and 5xx with exponential backoff', async () => {
+    const fetch = vi.fn()
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(response(429))
+      .mockResolvedValueOnce(response(200))
+    const sleep = vi.fn(async () => {})
+    await createNotifier({ webhookUrl: 'https://hooks.example.com/neon', fetch, sleep }).send(NOTIFICATION)
+
+    expect(fetch).toHaveBeenCalledTimes(4)
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000, 4000])
+  })
+
+  it('gives up at once on other 4xx answers, and after five attempts otherwise', async () => {
+    const sleep = async () => {}
+    const rejected = createNotifier({ webhookUrl: 'https://hooks.example.com/neon', fetch: async () => response(401), sleep })
+    await expect(rejected.send(NOTIFICATION)).rejects.toThrow('webhook: HTTP 401 after 1 attempt')
+
+    const fetch = vi.fn(async () => response(500))
+    const down = createNotifier({ webhookUrl: 'https://hooks.example.com/neon', fetch, sleep })
+    await expect(down.send(NOTIFICATION)).rejects.toThrow('webhook: HTTP 500 after 5 attempts')
+    expect(fetch).toHaveBeenCalledTimes(5)
+  })
+
+  it('discards every response body so retries do not hold sockets open', async () => {
+    const cancels = []
+    const withBody = (status) => ({ ...response(status), body: { cancel: vi.fn(async () => cancels.push(status)) } })
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(withBody(502))
+      .mockResolvedValueOnce(withBody(200))
+    await createNotifier({ webhookUrl: 'https://hooks.example.com/neon', fetch, sleep: async () => {} }).send(NOTIFICATION)
+    expect(cancels).toEqual([502, 200])
+  })
+
+  it('still writes the log file when the webhook fails', async () => {
+    const logFile = join(dir, 'notifications.jsonl')
+    const notifier = createNotifier({
+      webhookUrl: 'https://hooks.example.com/neon', logFile, fetch: async () => response(404), sleep: async () => {},
+    })
+    await expect(notifier.send(NOTIFICATION)).rejects.toThrow('webhook: HTTP 404')
+    expect(JSON.parse(await readFile(logFile, 'utf8'))).toEqual(NOTIFICATION)
+  })
+})
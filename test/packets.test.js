@@ -0,0 +1,241 @@
+import { describe, it, expect } from 'vitest'
+import {
+  addressBytes,
+  normalizeAddress,
+  internetChecksum,
+  buildTcpSyn,
+  parseIcmpReply,
+  parseTcpReply,
+} from '../src/tracer/packets.js'
+
+/** IPv4 header (20 bytes) with the given protocol and addresses. */
+function ipv4Header(protocol, source, destination) {
+  const header = Buffer.alloc(20)
+  header[0] = 0x45
+  header[9] = protocol
+  addressBytes(source).copy(header, 12)
+  addressBytes(destination).copy(header, 16)
+  return header
+}
+
+/** IPv6 header (40 bytes) with the given next header and addresses. */
+function ipv6Header(nextHeader, source, destination) {
+  const header = Buffer.alloc(40)
+  header[0] = 0x60
+  header[6] = nextHeader
+  addressBytes(source).copy(header, 8)
+  addressBytes(destination).copy(header, 24)
+  return header
+}
+
+function ports(srcPort, dstPort) {
+  const transport = Buffer.alloc(8)
+  transport.writeUInt16BE(srcPort, 0)
+  transport.writeUInt16BE(dstPort, 2)
+  return transport
+}
+
+describe('addressBytes / normalizeAddress', () => {
+  it('encodes IPv4 dotted quads', () => {
+    expect([...addressBytes('192.0.2.1')]).toEqual([192, 0, 2, 1])
+  })
+
+  it('expands compressed IPv6', () => {
+    expect(addressBytes('2001:db8::1').toString('hex')).toBe('20010db8000000000000000000000001')
+  })
+
+  it('handles an embedded IPv4 tail', () => {
+    expect(addressBytes('::ffff:192.0.2.1').toString('hex')).toBe('00000000000000000000ffffc0000201')
+  })
+
+  it('rejects non-addresses', () => {
+    expect(() => addressBytes('example.com')).toThrow()
+  })
+
+  it('gives two spellings of one IPv6 address the same canonical form', () => {
+    expect(normalizeAddress('2001:0db8:0:0:0::0001')).toBe('2001:db8::1')
+    expect(normalizeAddress('2001:db8:0:1:0:0:0:1')).toBe('2001:db8:0:1::1')
+  })
+})
+
+describe('internetChecksum', () => {
+  it('matches the RFC 1071 worked example', () => {
+    expect(internetChecksum(Buffer.from([0x00, 0x01, 0xf2, 0x03, 0xf4, 0xf5, 0xf6, 0xf7]))).toBe(0x220d)
+  })
+
+  it('pads an odd trailing byte', () => {
+    expect(internetChecksum(Buffer.from([0x01]))).toBe(0xfeff)
+  })
+})
+
+describe('buildTcpSyn', () => {
+  const probe = { source: '192.0.2.1', destination: '198.51.100.7', srcPort: 40000, dstPort: 443, seq: 12345 }
+
+  it('writes ports, sequence number and only the SYN flag', () => {
+    const segment = buildTcpSyn(probe)
+    expect(segment).toHaveLength(20)
+    expect(segment.readUInt16BE(0)).toBe(40000)
+    expect(segment.readUInt16BE(2)).toBe(443)
+    expect(segment.readUInt32BE(4)).toBe(12345)
+    expect(segment[13]).toBe(0x02)
+  })
+
+  it('carries a checksum that verifies against the IPv4 pseudo-header', () => {
+    const segment = buildTcpSyn(probe)
+    const pseudo = Buffer.concat([addressBytes(probe.source), addressBytes(probe.destination), Buffer.from([0, 6, 0, 20])])
+    expect(internetChecksum(pseudo, segment)).toBe(0)
+  })
+
+  it('carries a checksum that verifies against the IPv6 pseudo-header', () => {
+    const v6 = { ...probe, source: '2001:db8::1', destination: '2001:db8::2' }
+    const segment = buildTcpSyn(v6)
+    const tail = Buffer.from([0, 0, 0, 20, 0, 0, 0, 6])
+    expect(internetChecksum(addressBytes(v6.source), addressBytes(v6.destination), tail, segment)).toBe(0)
+  })
+})
+
+describe('parseIcmpReply', () => {
+  it('decodes an IPv4 time exceeded quoting a UDP probe', () => {
+    const icmp = Buffer.concat([
+      Buffer.from([11, 0, 0, 0, 0, 0, 0, 0]),
+      ipv4Header(17, '192.0.2.1', '198.51.100.7'),
+      ports(41000, 33434),
+    ])
+    const reply = parseIcmpReply(Buffer.concat([ipv4Header(1, '10.0.0.1', '192.0.2.1'), icmp]), 4)
+    expect(reply).toEqual({
+      kind: 'time-exceeded',
+      code: 0,
+      portUnreachable: false,
+      annotation: null,
+      mpls: null,
+      protocol: 'udp',
+      destination: '198.51.100.7',
+      srcPort: 41000,
+      dstPort: 33434,
+    })
+  })
+
+  it('flags IPv4 port unreachable', () => {
+    const icmp = Buffer.concat([
+      Buffer.from([3, 3, 0, 0, 0, 0, 0, 0]),
+      ipv4Header(17, '192.0.2.1', '198.51.100.7'),
+      ports(41000, 33436),
+    ])
+    const reply = parseIcmpReply(Buffer.concat([ipv4Header(1, '198.51.100.7', '192.0.2.1'), icmp]), 4)
+    expect(reply).toMatchObject({ kind: 'unreachable', portUnreachable: true, annotation: null })
+  })
+
+  it.each([
+    [1, 'H'],
+    [13, 'X'],
+    [10, '<10>'],
+  ])('annotates IPv4 unreachable code %i as !%s', (code, annotation) => {
+    const icmp = Buffer.concat([
+      Buffer.from([3, code, 0, 0, 0, 0, 0, 0]),
+      ipv4Header(17, '192.0.2.1', '198.51.100.7'),
+      ports(41000, 33436),
+    ])
+    const reply = parseIcmpReply(Buffer.concat([ipv4Header(1, '10.0.0.9', '192.0.2.1'), icmp]), 4)
+    expect(reply).toMatchObject({ kind: 'unreachable', code, portUnreachable: false, annotation })
+  })
+
+  it('decodes an ICMPv6 time exceeded quoting a TCP probe (no outer header)', () => {
+    const icmp = Buffer.concat([
+      Buffer.from([3, 0, 0, 0, 0, 0, 0, 0]),
+      ipv6Header(6, '2001:db8::1', '2001:db8:0:0::2'),
+      ports(50000, 443),
+    ])
+    expect(parseIcmpReply(icmp, 6)).toMatchObject({
+      kind: 'time-exceeded',
+      protocol: 'tcp',
+      destination: '2001:db8::2',
+      srcPort: 50000,
+      dstPort: 443,
+    })
+  })
+
+  it('flags ICMPv6 port unreachable', () => {
+    const icmp = Buffer.concat([
+      Buffer.from([1, 4, 0, 0, 0, 0, 0, 0]),
+      ipv6Header(17, '2001:db8::1', '2001:db8::2'),
+      ports(50000, 33434),
+    ])
+    expect(parseIcmpReply(icmp, 6)).toMatchObject({ kind: 'unreachable', portUnreachable: true })
+  })
+
+  it('annotates ICMPv6 administratively prohibited as !X', () => {
+    const icmp = Buffer.concat([
+      Buffer.from([1, 1, 0, 0, 0, 0, 0, 0]),
+      ipv6Header(17, '2001:db8::1', '2001:db8::2'),
+      ports(50000, 33434),
+    ])
+    expect(parseIcmpReply(icmp, 6)).toMatchObject({ kind: 'unreachable', portUnreachable: false, annotation: 'X' })
+  })
+
+  it('reads an MPLS label stack from RFC 4884 extensions', () => {
+    // Original datagram padded to 128 bytes (length 32 words), then the extension
+    const original = Buffer.alloc(128)
+    Buffer.concat([ipv4Header(17, '192.0.2.1', '198.51.100.7'), ports(41000, 33434)]).copy(original)
+    const extension = Buffer.from([0x20, 0, 0, 0, 0, 12, 1, 1, 0x05, 0xdc, 0x10, 0x01, 0x05, 0xdc, 0x11, 0xfc])
+    const icmp = Buffer.concat([Buffer.from([11, 0, 0, 0, 0, 32, 0, 0]), original, extension])
+    const reply = parseIcmpReply(Buffer.concat([ipv4Header(1, '10.0.0.5', '192.0.2.1'), icmp]), 4)
+    expect(reply.mpls).toEqual([
+      { label: 24001, exp: 0, bottom: false, ttl: 1 },
+      { label: 24001, exp: 0, bottom: true, ttl: 252 },
+    ])
+  })
+
+  it('reads extensions after a legacy fixed-size quote and ignores their absence', () => {
+    const original = Buffer.alloc(128)
+    Buffer.concat([ipv4Header(17, '192.0.2.1', '198.51.100.7'), ports(41000, 33434)]).copy(original)
+    const extension = Buffer.from([0x20, 0, 0, 0, 0, 8, 1, 1, 0x05, 0xdc, 0x11, 0x01])
+    const legacy = Buffer.concat([Buffer.from([11, 0, 0, 0, 0, 0, 0, 0]), original, extension])
+    expect(parseIcmpReply(Buffer.concat([ipv4Header(1, '10.0.0.5', '192.0.2.1'), legacy]), 4).mpls)
+      .toEqual([{ label: 24001, exp: 0, bottom: true, ttl: 1 }])
+
+    const plain = Buffer.concat([Buffer.from([11, 0, 0, 0, 0, 0, 0, 0]), original.subarray(0, 28)])
+    expect(parseIcmpReply(Buffer.concat([ipv4Header(1, '10.0.0.5', '192.0.2.1'), plain]), 4).mpls).toBeNull()
+  })
+
+  it('ignores echo replies and other ICMP types', () => {
+    const echo = Buffer.concat([ipv4Header(1, '10.0.0.1', '192.0.2.1'), Buffer.from([0, 0, 0, 0, 0, 1, 0, 1])])
+    expect(parseIcmpReply(echo, 4)).toBeNull()
+  })
+
+  it('ignores truncated messages', () => {
+    const truncated = Buffer.concat([ipv4Header(1, '10.0.0.1', '192.0.2.1'), Buffer.from([11, 0, 0, 0, 0, 0, 0, 0, 0x45])])
+    expect(parseIcmpReply(truncated, 4)).toBeNull()
+  })
+
+  it('ignores errors about protocols other than UDP and TCP', () => {
+    const icmp = Buffer.concat([
+      Buffer.from([11, 0, 0, 0, 0, 0, 0, 0]),
+      ipv4Header(1, '192.0.2.1', '198.51.100.7'),
+      ports(0, 0),
+    ])
+    expect(parseIcmpReply(Buffer.concat([ipv4Header(1, '10.0.0.1', '192.0.2.1'), icmp]), 4)).toBeNull()
+  })
+})
+
+describe('parseTcpReply', () => {
+  function segment(flags) {
+    const tcp = Buffer.alloc(20)
+    tcp.writeUInt16BE(443, 0)
+    tcp.writeUInt16BE(40000, 2)
+    tcp[13] = flags
+    return tcp
+  }
+
+  it('decodes a SYN-ACK behind an IPv4 header', () => {
+    const reply = parseTcpReply(Buffer.concat([ipv4Header(6, '198.51.100.7', '192.0.2.1'), segment(0x12)]), 4)
+    expect(reply).toEqual({ srcPort: 443, dstPort: 40000, syn: true, ack: true, rst: false })
+  })
+
+  it('decodes an IPv6 RST', () => {
+    expect(parseTcpReply(segment(0x14), 6)).toMatchObject({ rst: true, syn: false })
+  })
+
+  it('returns null for a short segment', () => {
+    expect(parseTcpReply(Buffer.alloc(10), 6)).toBeNull()
+  })
+})
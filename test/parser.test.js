@@ -1,5 +1,15 @@
 import { describe, it, expect } from 'vitest'
-import { parseTraceLine } from '../src/tracer/parser.js'
+import { readFileSync } from 'node:fs'
+import { parseTraceLine, portStateFromFlags, createHopAssembler } from '../src/tracer/parser.js'
+
+/** Captured traceroute output, one line per array entry. */
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8').trimEnd().split('\n')
+
+/** Feed every line through an assembler, as the runner does, and collect the hops. */
+function assemble(lines, platform, probes) {
+  const assembler = createHopAssembler(platform, probes)
+  return [...lines.flatMap((line) => assembler.push(line)), ...assembler.flush()]
+}
 
 describe('parseTraceLine — Linux (unix)', () => {
   const platform = 'unix'
@@ -76,6 +86,301 @@ describe('parseTraceLine — Linux (unix)', () => {
     expect(result.partialLoss).toBe(false)
     expect(result.timedOut).toBe(true)
   })
+
+  it('parses an IPv6 hop (traceroute -6)', () => {
+    const line = ' 1  2001:db8::1  0.512 ms  0.480 ms  0.470 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result).toMatchObject({
+      hop: 1,
+      ip: '2001:db8::1',
+      latencies: [0.512, 0.48, 0.47],
+      timedOut: false,
+    })
+  })
+
+  it('parses an IPv6 hop with a partial timeout', () => {
+    const line = ' 4  2a00:1450:4001:81b::200e  * 12.100 ms  12.300 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.ip).toBe('2a00:1450:4001:81b::200e')
+    expect(result.latencies).toEqual([12.1, 12.3])
+    expect(result.partialLoss).toBe(true)
+  })
+
+  it('parses an IPv4-mapped IPv6 hop', () => {
+    const line = ' 2  ::ffff:192.0.2.1  3.000 ms  3.100 ms  3.200 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.ip).toBe('::ffff:192.0.2.1')
+  })
+
+  it('sets hostname null in numeric (-n) output', () => {
+    const line = ' 1  203.0.113.1  1.234 ms  1.456 ms  1.789 ms'
+    expect(parseTraceLine(line, platform).hostname).toBeNull()
+  })
+
+  it('returns null for an IPv6 header line', () => {
+    const line = 'traceroute to 2001:db8::1 (2001:db8::1), 30 hops max, 80 byte packets'
+    expect(parseTraceLine(line, platform)).toBeNull()
+  })
+})
+
+describe('parseTraceLine — Linux multipath responders', () => {
+  const platform = 'unix'
+
+  it('exposes a single responder for an ordinary hop', () => {
+    const line = ' 1  203.0.113.1  1.234 ms  1.456 ms  1.789 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.responders).toEqual([
+      { ip: '203.0.113.1', hostname: null, latencies: [1.234, 1.456, 1.789] },
+    ])
+  })
+
+  it('splits probes answered by different routers into separate responders', () => {
+    const line = ' 5  10.0.0.1  1.000 ms 10.0.0.2  2.000 ms  3.000 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.responders).toEqual([
+      { ip: '10.0.0.1', hostname: null, latencies: [1] },
+      { ip: '10.0.0.2', hostname: null, latencies: [2, 3] },
+    ])
+  })
+
+  it('keeps ip / latencies as first responder / all RTTs for single-path consumers', () => {
+    const line = ' 5  10.0.0.1  1.000 ms 10.0.0.2  2.000 ms  3.000 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.ip).toBe('10.0.0.1')
+    expect(result.latencies).toEqual([1, 2, 3])
+  })
+
+  it('merges a responder that is printed again later in the line', () => {
+    const line = ' 6  10.0.0.1  1.000 ms 10.0.0.2  2.000 ms 10.0.0.1  3.000 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.responders).toHaveLength(2)
+    expect(result.responders[0]).toMatchObject({ ip: '10.0.0.1', latencies: [1, 3] })
+  })
+
+  it('attributes RTTs correctly around lost probes', () => {
+    const line = ' 7  10.0.0.1  1.000 ms * 10.0.0.3  4.000 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.responders.map((r) => r.latencies)).toEqual([[1], [4]])
+    expect(result.partialLoss).toBe(true)
+  })
+
+  it('keeps per-responder hostnames in resolved output', () => {
+    const line = ' 8  a.example.net (10.0.0.1)  1.000 ms b.example.net (10.0.0.2)  2.000 ms  2.100 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.responders.map((r) => r.hostname)).toEqual(['a.example.net', 'b.example.net'])
+  })
+
+  it('parses multipath IPv6 responders', () => {
+    const line = ' 3  2001:db8::a  5.000 ms 2001:db8::b  5.500 ms  5.600 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.responders.map((r) => r.ip)).toEqual(['2001:db8::a', '2001:db8::b'])
+  })
+
+  it('has no responders on a full timeout', () => {
+    expect(parseTraceLine(' 2  * * *', platform).responders).toEqual([])
+  })
+
+  it('freezes each responder', () => {
+    const result = parseTraceLine(' 5  10.0.0.1  1.000 ms 10.0.0.2  2.000 ms', platform)
+    expect(result.responders.every(Object.isFrozen)).toBe(true)
+  })
+})
+
+describe('parseTraceLine — Linux with name resolution', () => {
+  const platform = 'unix'
+
+  it('parses "hostname (ip)" hops', () => {
+    const line = ' 1  _gateway (192.168.1.1)  0.345 ms  0.300 ms  0.290 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result).toMatchObject({
+      hop: 1,
+      ip: '192.168.1.1',
+      hostname: '_gateway',
+      latencies: [0.345, 0.3, 0.29],
+      timedOut: false,
+      partialLoss: false,
+    })
+  })
+
+  it('sets hostname null when the name did not resolve ("ip (ip)")', () => {
+    const line = ' 2  10.0.0.1 (10.0.0.1)  1.000 ms  1.100 ms  1.200 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.ip).toBe('10.0.0.1')
+    expect(result.hostname).toBeNull()
+  })
+
+  it('parses a resolved IPv6 hop', () => {
+    const line = ' 3  ae1.core.example.net (2001:db8::3)  9.100 ms  9.200 ms  9.300 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.ip).toBe('2001:db8::3')
+    expect(result.hostname).toBe('ae1.core.example.net')
+  })
+
+  it('parses a resolved hop with a partial timeout', () => {
+    const line = ' 4  edge-1.example.net (198.51.100.4)  * 20.500 ms *'
+    const result = parseTraceLine(line, platform)
+    expect(result.hostname).toBe('edge-1.example.net')
+    expect(result.latencies).toEqual([20.5])
+    expect(result.partialLoss).toBe(true)
+  })
+
+  it('does not read digits inside a hostname as latencies', () => {
+    const line = ' 5  r10ms.example.net (198.51.100.5)  7.000 ms  7.100 ms  7.200 ms'
+    const result = parseTraceLine(line, platform)
+    expect(result.latencies).toEqual([7, 7.1, 7.2])
+  })
+})
+
+describe('parseTraceLine — Linux TCP reply flags (-T -O info)', () => {
+  it('marks the destination open on <syn,ack>', () => {
+    const line = ' 9  93.184.216.34  89.160 ms <syn,ack>  89.162 ms <syn,ack>  89.189 ms <syn,ack>'
+    const result = parseTraceLine(line, 'unix')
+    expect(result.portState).toBe('open')
+    expect(result.latencies).toEqual([89.16, 89.162, 89.189])
+    expect(result.ip).toBe('93.184.216.34')
+  })
+
+  it('marks the destination closed on <rst,ack>', () => {
+    const result = parseTraceLine(' 7  203.0.113.5  12.000 ms <rst,ack>  12.100 ms <rst,ack>  *', 'unix')
+    expect(result.portState).toBe('closed')
+    expect(result.partialLoss).toBe(true)
+  })
+
+  it('leaves portState off intermediate hops', () => {
+    const result = parseTraceLine(' 3  10.0.0.1  1.000 ms  1.100 ms  1.200 ms', 'unix')
+    expect(result).not.toHaveProperty('portState')
+  })
+})
+
+describe('parseTraceLine — ICMP annotations', () => {
+  it.each([
+    ['!H', 'host'],
+    ['!N', 'network'],
+    ['!P', 'protocol'],
+    ['!S', 'source-route'],
+    ['!X', 'prohibited'],
+    ['!V', 'precedence'],
+  ])('reads %s as %s', (flag, reason) => {
+    const result = parseTraceLine(` 7  198.51.100.1  20.100 ms ${flag}  20.200 ms ${flag}  20.300 ms ${flag}`, 'unix')
+    expect(result).toMatchObject({ ip: '198.51.100.1', latencies: [20.1, 20.2, 20.3] })
+    expect(result.annotations).toEqual([{ flag, reason, count: 3 }])
+  })
+
+  it('reads numeric codes and fragmentation MTUs, one entry per distinct flag', () => {
+    const result = parseTraceLine(' 4  10.0.0.1  1.000 ms !<10>  1.100 ms !<10>  1.200 ms !F-1400', 'unix')
+    expect(result.annotations).toEqual([
+      { flag: '!<10>', reason: 'prohibited', code: 10, count: 2 },
+      { flag: '!F-1400', reason: 'fragmentation', mtu: 1400, count: 1 },
+    ])
+  })
+
+  it('keeps unknown letters and codes as reason unknown', () => {
+    const result = parseTraceLine(' 4  10.0.0.1  1.000 ms !Y  1.100 ms !<99>  *', 'unix')
+    expect(result.annotations.map((a) => a.reason)).toEqual(['unknown', 'unknown'])
+  })
+
+  it('leaves annotations off unannotated hops and ignores a bare !', () => {
+    expect(parseTraceLine(' 3  10.0.0.1  1.000 ms  1.100 ms  1.200 ms', 'unix')).not.toHaveProperty('annotations')
+    // Linux prints a bare "!" when the reply's TTL was <= 1; nothing was refused
+    expect(parseTraceLine(' 9  93.184.216.34  12.000 ms !  12.100 ms !  12.200 ms !', 'unix')).not.toHaveProperty('annotations')
+  })
+})
+
+describe('parseTraceLine — MPLS labels (traceroute -e)', () => {
+  it('reads the label stack quoted after the RTT', () => {
+    const result = parseTraceLine(' 5  10.0.0.5  12.345 ms <MPLS:L=24001,E=0,S=1,T=1>  12.400 ms <MPLS:L=24001,E=0,S=1,T=1>  *', 'unix')
+    expect(result).toMatchObject({ ip: '10.0.0.5', latencies: [12.345, 12.4], partialLoss: true })
+    expect(result.mpls).toEqual([{ label: 24001, exp: 0, bottom: true, ttl: 1 }])
+    expect(result).not.toHaveProperty('portState')
+  })
+
+  it('keeps the first stack of a hop with stacked labels', () => {
+    const result = parseTraceLine(' 6  10.0.0.6  13.001 ms <MPLS:L=16003,E=0,S=0,T=1/L=24005,E=0,S=1,T=1>  13.2 ms <MPLS:L=16004,E=0,S=0,T=1/L=24005,E=0,S=1,T=1>', 'unix')
+    expect(result.mpls.map((l) => l.label)).toEqual([16003, 24005])
+  })
+
+  it('leaves mpls off unlabelled hops', () => {
+    expect(parseTraceLine(' 3  10.0.0.1  1.000 ms  1.100 ms  1.200 ms', 'unix')).not.toHaveProperty('mpls')
+  })
+})
+
+describe('parseTraceLine — macOS / BSD (bsd)', () => {
+  it('reads BSD hop lines with the Linux grammar', () => {
+    const [header, first] = fixture('bsd/macos-resolved.txt')
+    expect(parseTraceLine(header, 'bsd')).toBeNull()
+    expect(parseTraceLine(first, 'bsd')).toMatchObject({ hop: 1, ip: '192.168.1.1', hostname: 'router.lan', latencies: [2.345, 1.876, 1.702] })
+  })
+
+  it('does not read a continuation line as a hop of its own', () => {
+    expect(parseTraceLine('    10.10.0.2  9.004 ms *', 'bsd')).toBeNull()
+  })
+})
+
+describe('createHopAssembler', () => {
+  it('folds a BSD continuation line into the hop above (macOS, names resolved)', () => {
+    const hops = assemble(fixture('bsd/macos-resolved.txt'), 'bsd')
+    expect(hops.map((hop) => hop.hop)).toEqual([1, 2, 3, 4, 5])
+    expect(hops[1].hostname).toBeNull()
+    expect(hops[2].timedOut).toBe(true)
+    expect(hops[3]).toMatchObject({
+      ip: '203.0.113.9',
+      hostname: 'ae-1.edge1.tyo.example.net',
+      latencies: [12.501, 13.22, 12.87],
+      responders: [
+        { ip: '203.0.113.9', hostname: 'ae-1.edge1.tyo.example.net', latencies: [12.501] },
+        { ip: '203.0.113.10', hostname: 'ae-2.edge1.tyo.example.net', latencies: [13.22, 12.87] },
+      ],
+      partialLoss: false,
+    })
+  })
+
+  it('keeps lost probes across lines and marks !H hosts unreachable (macOS -n)', () => {
+    const hops = assemble(fixture('bsd/macos-numeric.txt'), 'bsd')
+    expect(hops).toHaveLength(3)
+    expect(hops[1]).toMatchObject({ hop: 2, latencies: [8.712, 9.004], partialLoss: true })
+    expect(hops[1].responders.map((r) => r.ip)).toEqual(['10.10.0.1', '10.10.0.2'])
+    expect(hops[2]).toMatchObject({ hop: 3, ip: '198.51.100.1', annotations: [{ flag: '!H', reason: 'host', count: 3 }] })
+  })
+
+  it('marks !X administratively prohibited (FreeBSD)', () => {
+    const hops = assemble(fixture('bsd/freebsd-prohibited.txt'), 'bsd')
+    expect(hops[1]).toMatchObject({ hop: 2, hostname: 'fw.example.net', partialLoss: true })
+    expect(hops[1].annotations).toEqual([{ flag: '!X', reason: 'prohibited', count: 2 }])
+  })
+
+  it('marks !N network unreachable (macOS traceroute6)', () => {
+    const hops = assemble(fixture('bsd/macos-traceroute6.txt'), 'bsd')
+    expect(hops.map((hop) => hop.ip)).toEqual(['2001:db8:1::1', '2001:db8:ff::1'])
+    expect(hops[1].annotations).toEqual([{ flag: '!N', reason: 'network', count: 3 }])
+  })
+
+  it('releases a short hop when the next hop starts, or on flush', () => {
+    const assembler = createHopAssembler('bsd', 3)
+    expect(assembler.push(' 1  10.0.0.1  1.000 ms')).toEqual([])
+    expect(assembler.push(' 2  10.0.0.9  2.000 ms  2.100 ms  2.200 ms').map((hop) => hop.hop)).toEqual([1, 2])
+    expect(assembler.push(' 3  10.0.0.10  3.000 ms')).toEqual([])
+    expect(assembler.flush().map((hop) => hop.hop)).toEqual([3])
+    expect(assembler.flush()).toEqual([])
+  })
+
+  it('emits Linux and Windows lines as they come', () => {
+    expect(createHopAssembler('unix').push(' 1  10.0.0.1  1.000 ms')).toHaveLength(1)
+    expect(createHopAssembler('win32').push('  1    <1 ms    <1 ms    <1 ms  192.168.1.1')).toHaveLength(1)
+    expect(createHopAssembler('unix').push('    10.0.0.2  2.000 ms')).toEqual([])
+  })
+})
+
+describe('portStateFromFlags', () => {
+  it('maps SYN-ACK to open and RST to closed', () => {
+    expect(portStateFromFlags('syn,ack')).toBe('open')
+    expect(portStateFromFlags('SYN,ACK,mss=1460')).toBe('open')
+    expect(portStateFromFlags('rst,ack')).toBe('closed')
+    expect(portStateFromFlags('rst')).toBe('closed')
+  })
+
+  it('returns null for flags that say nothing about the port', () => {
+    expect(portStateFromFlags('ack')).toBeNull()
+  })
 })
 
 describe('parseTraceLine — Windows (win32)', () => {
@@ -102,6 +407,54 @@ describe('parseTraceLine — Windows (win32)', () => {
     })
   })
 
+  it('parses an IPv6 Windows hop (tracert -6)', () => {
+    const line = '  3     9 ms     8 ms     9 ms  2001:db8:10::1'
+    const result = parseTraceLine(line, platform)
+    expect(result).toMatchObject({
+      hop: 3,
+      ip: '2001:db8:10::1',
+      latencies: [9, 8, 9],
+      timedOut: false,
+    })
+  })
+
+  it('parses a resolved Windows hop ("name [ip]")', () => {
+    const line = '  1    <1 ms    1 ms    2 ms  router.lan [192.168.1.1]'
+    const result = parseTraceLine(line, platform)
+    expect(result).toMatchObject({
+      hop: 1,
+      ip: '192.168.1.1',
+      hostname: 'router.lan',
+      latencies: [1, 1, 2],
+      timedOut: false,
+    })
+  })
+
+  it('parses a resolved IPv6 Windows hop', () => {
+    const line = '  2     9 ms     8 ms     9 ms  core1.example.net [2001:db8::2]'
+    const result = parseTraceLine(line, platform)
+    expect(result.ip).toBe('2001:db8::2')
+    expect(result.hostname).toBe('core1.example.net')
+  })
+
+  it('does not read digits inside a Windows hostname as latencies', () => {
+    const line = '  3    12 ms    11 ms    13 ms  edge-5ms.example.net [198.51.100.3]'
+    const result = parseTraceLine(line, platform)
+    expect(result.latencies).toEqual([12, 11, 13])
+  })
+
+  it('sets hostname null for a bare Windows IP', () => {
+    const line = '  1    <1 ms    1 ms    2 ms  203.0.113.1'
+    expect(parseTraceLine(line, platform).hostname).toBeNull()
+  })
+
+  it('exposes the Windows address as a single responder', () => {
+    const line = '  1    <1 ms    1 ms    2 ms  router.lan [192.168.1.1]'
+    expect(parseTraceLine(line, platform).responders).toEqual([
+      { ip: '192.168.1.1', hostname: 'router.lan', latencies: [1, 1, 2] },
+    ])
+  })
+
   it('returns null for Windows header line', () => {
     const line = 'Tracing route to google.com [8.8.8.8]'
     expect(parseTraceLine(line, platform)).toBeNull()
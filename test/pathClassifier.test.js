@@ -0,0 +1,269 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CLASSIFIERS, classifyPath, createPathClassifier, createCycleClassifier,
+} from '../src/tracer/pathClassifier.js'
+
+// ── Helpers ───────────────────────────────────────────────
+const makeHop = (hop, latencies, extra = {}) =>
+  Object.freeze({ hop, ip: `10.0.0.${hop}`, latencies, timedOut: false, partialLoss: false, ...extra })
+
+const makeGhostHop = (hop) =>
+  Object.freeze({ hop, ip: null, latencies: [], timedOut: true, partialLoss: false })
+
+const path = (...avgs) => avgs.map((avg, i) => (avg === null ? makeGhostHop(i + 1) : makeHop(i + 1, [avg, avg, avg])))
+
+const types = (verdicts) => verdicts.map((v) => v.type)
+
+// ── classifyPath: statistical ─────────────────────────────
+describe('classifyPath (statistical)', () => {
+  it('is the default classifier', () => {
+    expect(CLASSIFIERS[0]).toBe('statistical')
+    expect(classifyPath(path(10, 200, 210))).toEqual(classifyPath(path(10, 200, 210), 'statistical'))
+  })
+
+  it('flags a spike that later hops carry as congestion', () => {
+    const verdicts = classifyPath(path(10, 200, 205, 210))
+    expect(types(verdicts)).toEqual(['normal', 'hostile', 'normal', 'normal'])
+    expect(verdicts[1]).toMatchObject({ latencyDelta: 190, lossRate: null })
+    expect(verdicts[1].reason).toBe('+190 ms over hop 1 persists downstream: congestion on the forwarding path')
+  })
+
+  it('clears a spike that later hops shed as ICMP deprioritization', () => {
+    const verdicts = classifyPath(path(10, 200, 14))
+    expect(verdicts[1]).toMatchObject({ type: 'normal', latencyDelta: 190 })
+    expect(verdicts[1].reason).toBe('+190 ms over hop 1 at this hop only (hop 3 +4 ms): the router deprioritizes its own ICMP replies')
+    // The hop after is compared with the slow one, but never rose
+    expect(verdicts[2]).toMatchObject({ type: 'normal', reason: null })
+  })
+
+  it('judges a spike against the hop that kept the least of it', () => {
+    // Hop 4 is itself rate limited; hop 5 shows the rise from hop 2 is gone
+    expect(classifyPath(path(10, 200, 205, 400, 15))[1].type).toBe('normal')
+  })
+
+  it('keeps a spike with nothing after it hostile until a later hop answers', () => {
+    const [, last] = classifyPath(path(10, 200, null))
+    expect(last).toMatchObject({ type: 'hostile' })
+    expect(last.reason).toContain('no later hop yet')
+  })
+
+  it('catches a relative spike on a low-latency path', () => {
+    // +28 ms is far below the fixed 100 ms rule, but 15x the path so far
+    expect(types(classifyPath(path(2, 30, 31)))).toEqual(['normal', 'hostile', 'normal'])
+  })
+
+  it('lets a long-haul path rise in proportion before calling it a spike', () => {
+    // 180 → 260 ms: +80 ms is under half the RTT already seen
+    expect(classifyPath(path(180, 260, 262))[1]).toMatchObject({ type: 'normal', reason: null })
+  })
+
+  it('does not call a rise within probe jitter a spike', () => {
+    const hops = [makeHop(1, [10, 11, 9]), makeHop(2, [20, 90, 40]), makeHop(3, [60, 62, 61])]
+    const verdicts = classifyPath(hops)
+    expect(verdicts[1]).toMatchObject({ type: 'normal', latencyDelta: 40 })
+    expect(verdicts[1].reason).toBe('+40 ms over hop 1 is within probe jitter (±36 ms)')
+  })
+
+  it('takes the jitter of an imported hop from its stdev', () => {
+    const hops = [makeHop(1, [10, 10]), makeHop(2, [60, 60], { stats: { stdev: 30 } }), makeHop(3, [62, 62])]
+    expect(classifyPath(hops)[1].reason).toContain('within probe jitter (±30 ms)')
+  })
+
+  it('compares across a ghost with the last hop that answered', () => {
+    const verdicts = classifyPath(path(10, null, 200, 205))
+    expect(verdicts[1]).toMatchObject({ type: 'ghost', reason: 'no reply to any probe' })
+    expect(verdicts[2]).toMatchObject({ type: 'hostile', latencyDelta: 190 })
+    expect(verdicts[2].reason).toContain('over hop 1')
+  })
+
+  it('explains status verdicts that do not depend on latency', () => {
+    const lossy = makeHop(2, [5], { partialLoss: true, probes: 4 })
+    const filtered = makeHop(3, [6], { annotations: [{ flag: '!X', reason: 'prohibited', count: 3 }] })
+    const unreachable = makeHop(4, [6], { annotations: [{ flag: '!H', reason: 'host', count: 1 }] })
+    const verdicts = classifyPath([makeHop(1, [5, 5, 5]), lossy, filtered, unreachable])
+    expect(verdicts[1]).toEqual({ type: 'lossy', latencyDelta: null, lossRate: 0.75, reason: '75% of probes lost' })
+    expect(verdicts[2]).toMatchObject({ type: 'filtered', reason: '!X (prohibited): an ACL or firewall refused the probe' })
+    expect(verdicts[3]).toMatchObject({ type: 'unreachable', reason: '!H (host): no route past this router' })
+  })
+})
+
+// ── classifyPath: distance ────────────────────────────────
+const TOKYO = { latitude: 35.68, longitude: 139.69, accuracyKm: 0, place: 'Tokyo, JP' }
+const LOS_ANGELES = { latitude: 34.05, longitude: -118.24, accuracyKm: 0, place: 'Los Angeles, US' }
+
+/** Hops 1–2 in Tokyo, the rest in Los Angeles. */
+const transpacific = (count) => new Map(
+  Array.from({ length: count }, (_, i) => [`10.0.0.${i + 1}`, i < 2 ? TOKYO : LOS_ANGELES]),
+)
+
+describe('classifyPath (distance)', () => {
+  it('clears a jump the fiber between two cities accounts for', () => {
+    const hops = path(10, 12, 130, 132)
+    expect(classifyPath(hops)[2].type).toBe('hostile')
+
+    const verdicts = classifyPath(hops, 'distance', transpacific(4))
+    expect(types(verdicts)).toEqual(['normal', 'normal', 'normal', 'normal'])
+    expect(verdicts[2]).toMatchObject({ latencyDelta: 118 })
+    expect(verdicts[2].reason).toBe('+118 ms over hop 2 is explained by the 86 ms fiber minimum Tokyo, JP → Los Angeles, US')
+  })
+
+  it('flags only what the distance does not explain', () => {
+    const verdicts = classifyPath(path(10, 12, 250, 252), 'distance', transpacific(4))
+    expect(verdicts[2]).toMatchObject({ type: 'hostile', latencyDelta: 238 })
+    expect(verdicts[2].reason).toBe('+238 ms over hop 2 (152 ms beyond the 86 ms fiber minimum Tokyo, JP → Los Angeles, US)'
+      + ' persists downstream: congestion on the forwarding path')
+  })
+
+  it('flags a hop that answers too fast for its claimed location', () => {
+    const verdicts = classifyPath(path(10, 12, 16, 130), 'distance', transpacific(3))
+    expect(verdicts[2]).toMatchObject({ type: 'normal', geoError: true })
+    expect(verdicts[2].reason).toBe('16 ms here + 10 ms at hop 1 is under the 86 ms fiber minimum Tokyo, JP → Los Angeles, US:'
+      + ' likely a geolocation error')
+    expect(verdicts[1].geoError).toBeUndefined()
+  })
+
+  it('gives a misplaced hop no distance allowance', () => {
+    // Hop 2 claims Los Angeles at 11 ms, so hop 3's jump gets no fiber credit
+    const locations = new Map([['10.0.0.1', TOKYO], ['10.0.0.2', LOS_ANGELES], ['10.0.0.3', TOKYO]])
+    const verdicts = classifyPath(path(10, 11, 130, 131), 'distance', locations)
+    expect(verdicts[1].geoError).toBe(true)
+    expect(verdicts[2]).toMatchObject({ type: 'hostile' })
+    expect(verdicts[2].reason).not.toContain('fiber')
+  })
+
+  it("narrows the fiber minimum by the locations' accuracy", () => {
+    const vague = new Map([...transpacific(4)].map(([ip, place]) => [ip, { ...place, accuracyKm: 4000 }]))
+    expect(classifyPath(path(10, 12, 130, 132), 'distance', vague)[2].reason).toContain('the 8 ms fiber minimum')
+  })
+
+  it('judges unlocated hops as the statistical classifier does, and says the rise had no allowance', () => {
+    const hops = path(10, 200, 205, 14)
+    const statistical = classifyPath(hops)
+    const verdicts = classifyPath(hops, 'distance')
+    expect(verdicts.map(({ reason, ...rest }) => rest)).toEqual(statistical.map(({ reason, ...rest }) => rest))
+    expect(verdicts[1].reason).toBe(`${statistical[1].reason}; no location for hop 1 or 2, so no fiber allowance`)
+    expect(verdicts.map((v) => v.reason).filter((_, i) => i !== 1)).toEqual(statistical.map((v) => v.reason).filter((_, i) => i !== 1))
+
+    const located = new Map([['10.0.0.1', TOKYO]])
+    expect(classifyPath(hops, 'distance', located)[1].reason).toContain('; no location for hop 2, so no fiber allowance')
+  })
+})
+
+// ── classifyPath: threshold ───────────────────────────────
+describe('classifyPath (threshold)', () => {
+  it('keeps the fixed +100 ms rule against the previous hop', () => {
+    const verdicts = classifyPath(path(10, 200, 14), 'threshold')
+    expect(types(verdicts)).toEqual(['normal', 'hostile', 'normal'])
+    expect(verdicts[1].reason).toBe('+190 ms over hop 1, above the fixed 100 ms threshold')
+    expect(types(classifyPath(path(2, 30, 31), 'threshold'))).toEqual(['normal', 'normal', 'normal'])
+  })
+
+  it('rejects an unknown classifier', () => {
+    expect(() => classifyPath(path(10), 'toString')).toThrow('Unknown classifier: toString')
+  })
+})
+
+// ── createPathClassifier ──────────────────────────────────
+describe('createPathClassifier', () => {
+  it('revises an earlier hop when a later one changes its verdict', () => {
+    const classifier = createPathClassifier()
+    const [first, spike, after] = path(10, 200, 14)
+
+    expect(classifier.add(first)).toEqual({ hop: expect.objectContaining({ type: 'normal' }), revised: [] })
+    expect(classifier.add(spike).hop).toMatchObject({ hop: 2, type: 'hostile' })
+
+    const { hop, revised } = classifier.add(after)
+    expect(hop).toMatchObject({ hop: 3, type: 'normal' })
+    expect(revised).toHaveLength(1)
+    expect(revised[0]).toMatchObject({ hop: 2, ip: '10.0.0.2', type: 'normal', latencyDelta: 190 })
+    expect(Object.isFrozen(revised[0])).toBe(true)
+  })
+
+  it('reports nothing when the new hop leaves earlier verdicts alone', () => {
+    const classifier = createPathClassifier()
+    for (const hop of path(10, 200, 205)) classifier.add(hop)
+    expect(classifier.add(makeHop(4, [210, 210])).revised).toEqual([])
+  })
+
+  it('places MPLS hops in their tunnel as enrichHop does', () => {
+    const classifier = createPathClassifier('threshold')
+    const labelled = (hop) => makeHop(hop, [5], { mpls: [{ label: 24000, exp: 0, bottom: true, ttl: 1 }] })
+    classifier.add(makeHop(1, [5]))
+    classifier.add(labelled(2))
+    expect(classifier.add(labelled(3)).hop.tunnel).toEqual({ id: 2, hidden: false, hiddenHops: null })
+  })
+
+  it('judges the newest hop with a previous pass over the path', () => {
+    const lookahead = path(10, 200, 14)
+    const classifier = createPathClassifier('statistical', { lookahead })
+    classifier.add(lookahead[0])
+    expect(classifier.add(lookahead[1]).hop).toMatchObject({ type: 'normal' })
+    expect(classifier.add(lookahead[2]).revised).toEqual([])
+  })
+
+  it('re-judges the path when a responder is located', () => {
+    const classifier = createPathClassifier('distance')
+    const [, , spike] = path(10, 12, 130, 132).map((hop) => classifier.add(hop).hop)
+    expect(spike.type).toBe('hostile')
+
+    const intel = (hop, city, country, latitude, longitude) => ({
+      ip: `10.0.0.${hop}`, country, geo: { city, country: null, latitude, longitude, accuracyKm: null },
+    })
+    expect(spike.reason).toContain('no location for hop 2 or 3')
+    const [partly] = classifier.locate(intel(2, 'Tokyo', 'JP', 35.68, 139.69))
+    expect(partly).toMatchObject({ hop: 3, type: 'hostile' })
+    expect(partly.reason).toContain('no location for hop 3, so no fiber allowance')
+    // Hop 4 carries the rise, so hop 3 is congestion until its far end is placed
+    const changed = classifier.locate(intel(3, 'Los Angeles', 'US', 34.05, -118.24))
+    expect(changed).toHaveLength(1)
+    expect(changed[0]).toMatchObject({ hop: 3, type: 'normal' })
+    expect(changed[0].reason).toContain('fiber minimum Tokyo, JP → Los Angeles, US')
+  })
+
+  it('ignores intel without a location', () => {
+    const classifier = createPathClassifier('distance')
+    classifier.add(makeHop(1, [10]))
+    expect(classifier.locate({ ip: '10.0.0.1', country: 'JP', geo: null })).toEqual([])
+  })
+})
+
+// ── createCycleClassifier ─────────────────────────────────
+describe('createCycleClassifier', () => {
+  it('classifies each cycle afresh, looking ahead with the previous one', () => {
+    const classifier = createCycleClassifier()
+    const [first, spike, after] = path(10, 200, 14)
+
+    classifier.nextCycle()
+    classifier.add(first)
+    expect(classifier.add(spike).hop.type).toBe('hostile')
+    classifier.add(after)
+
+    classifier.nextCycle()
+    classifier.add(first)
+    expect(classifier.add(spike).hop.type).toBe('normal')
+  })
+
+  it('keeps the last real cycle when one saw no hop', () => {
+    const classifier = createCycleClassifier()
+    classifier.nextCycle()
+    for (const hop of path(10, 200, 14)) classifier.add(hop)
+    classifier.nextCycle()
+    classifier.nextCycle()
+    classifier.add(makeHop(1, [10]))
+    expect(classifier.add(makeHop(2, [200])).hop.type).toBe('normal')
+  })
+
+  it('remembers located responders across cycles', () => {
+    const classifier = createCycleClassifier('distance')
+    const locate = (hop, latitude, longitude) =>
+      classifier.locate({ ip: `10.0.0.${hop}`, country: null, geo: { city: null, country: null, latitude, longitude, accuracyKm: 0 } })
+    classifier.nextCycle()
+    classifier.add(makeHop(1, [10]))
+    locate(1, 35.68, 139.69)
+    locate(2, 34.05, -118.24)
+
+    classifier.nextCycle()
+    classifier.add(makeHop(1, [10]))
+    expect(classifier.add(makeHop(2, [130])).hop.reason).toContain('fiber minimum')
+  })
+})
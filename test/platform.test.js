@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { getTraceCommand, getCurrentPlatform } from '../src/tracer/platform.js'
+import { getTraceCommand, getCurrentPlatform, supportsFlowPinning } from '../src/tracer/platform.js'
 
 describe('getTraceCommand', () => {
   it('returns traceroute -n on linux', () => {
@@ -32,13 +32,148 @@ describe('getTraceCommand', () => {
   })
 })
 
+describe('getTraceCommand — address family', () => {
+  it('adds -6 for an IPv6 literal on linux', () => {
+    const result = getTraceCommand('2001:4860:4860::8888', 'linux')
+    expect(result.args).toEqual(['-n', '-6', '2001:4860:4860::8888'])
+  })
+
+  it('adds no family flag for an IPv4 literal even when ipv4 is forced', () => {
+    const result = getTraceCommand('1.1.1.1', 'linux', { family: 'ipv4' })
+    expect(result.args).toEqual(['-n', '1.1.1.1'])
+  })
+
+  it('forces -4 / -6 for a hostname on linux', () => {
+    expect(getTraceCommand('example.com', 'linux', { family: 'ipv4' }).args)
+      .toEqual(['-n', '-4', 'example.com'])
+    expect(getTraceCommand('example.com', 'linux', { family: 'ipv6' }).args)
+      .toEqual(['-n', '-6', 'example.com'])
+  })
+
+  it('lets an IP literal win over a conflicting forced family', () => {
+    const result = getTraceCommand('2001:db8::1', 'linux', { family: 'ipv4' })
+    expect(result.args).toContain('-6')
+    expect(result.args).not.toContain('-4')
+  })
+
+  it('leaves hostnames to the resolver in auto mode', () => {
+    const result = getTraceCommand('example.com', 'linux', { family: 'auto' })
+    expect(result.args).toEqual(['-n', 'example.com'])
+  })
+
+  it('uses traceroute6 for IPv6 on darwin', () => {
+    const result = getTraceCommand('example.com', 'darwin', { family: 'ipv6' })
+    expect(result.cmd).toBe('traceroute6')
+    expect(result.args).toEqual(['-n', 'example.com'])
+  })
+
+  it('passes -4 / -6 to tracert on win32', () => {
+    expect(getTraceCommand('example.com', 'win32', { family: 'ipv6' }).args)
+      .toEqual(['-6', 'example.com'])
+    expect(getTraceCommand('2001:db8::1', 'win32').args)
+      .toEqual(['-6', '2001:db8::1'])
+  })
+})
+
+describe('getTraceCommand — name resolution', () => {
+  it('drops -n on linux when resolveNames is set', () => {
+    const result = getTraceCommand('example.com', 'linux', { resolveNames: true })
+    expect(result.args).toEqual(['example.com'])
+  })
+
+  it('keeps the family flag when resolving names', () => {
+    const result = getTraceCommand('2001:db8::1', 'linux', { resolveNames: true })
+    expect(result.args).toEqual(['-6', '2001:db8::1'])
+  })
+
+  it('drops -n on darwin when resolveNames is set', () => {
+    const result = getTraceCommand('example.com', 'darwin', { resolveNames: true })
+    expect(result.args).not.toContain('-n')
+  })
+
+  it('leaves tracert args unchanged (tracert resolves names by default)', () => {
+    const result = getTraceCommand('example.com', 'win32', { resolveNames: true })
+    expect(result.args).toEqual(['example.com'])
+  })
+})
+
+describe('getTraceCommand — MPLS labels', () => {
+  it('adds -e on linux when mpls is set', () => {
+    expect(getTraceCommand('example.com', 'linux', { mpls: true }).args).toEqual(['-n', '-e', 'example.com'])
+  })
+
+  it('ignores mpls on darwin (-e is firewall evasion there) and win32', () => {
+    expect(getTraceCommand('example.com', 'darwin', { mpls: true }).args).toEqual(['-n', 'example.com'])
+    expect(getTraceCommand('example.com', 'win32', { mpls: true }).args).toEqual(['example.com'])
+  })
+})
+
+describe('getTraceCommand — flow pinning (multipath)', () => {
+  it('pins the UDP destination port with one probe per TTL', () => {
+    const result = getTraceCommand('1.1.1.1', 'linux', { flowPort: 33440 })
+    expect(result.args).toEqual(['-n', '-U', '-p', '33440', '-q', '1', '1.1.1.1'])
+  })
+
+  it('only supports flow pinning on linux', () => {
+    expect(supportsFlowPinning('linux')).toBe(true)
+    expect(supportsFlowPinning('darwin')).toBe(false)
+    expect(supportsFlowPinning('win32')).toBe(false)
+  })
+})
+
+describe('getTraceCommand — probe options', () => {
+  const all = { maxHops: 20, probes: 5, wait: 2, firstTtl: 3, port: 443, packetSize: 1200 }
+
+  it('maps probe options to linux traceroute flags with packetlen last', () => {
+    const result = getTraceCommand('1.1.1.1', 'linux', all)
+    expect(result.args).toEqual([
+      '-n', '-m', '20', '-w', '2', '-f', '3', '-q', '5', '-p', '443', '1.1.1.1', '1200',
+    ])
+  })
+
+  it('emits no flags for unset (null) options', () => {
+    const result = getTraceCommand('1.1.1.1', 'linux', { maxHops: null, probes: null, protocol: 'udp', port: null })
+    expect(result.args).toEqual(['-n', '1.1.1.1'])
+  })
+
+  it('selects ICMP echo (-I) and TCP SYN (-T, reply flags via -O info) on linux', () => {
+    expect(getTraceCommand('1.1.1.1', 'linux', { protocol: 'icmp' }).args).toEqual(['-n', '-I', '1.1.1.1'])
+    expect(getTraceCommand('1.1.1.1', 'linux', { protocol: 'tcp', port: 443 }).args)
+      .toEqual(['-n', '-T', '-O', 'info', '-p', '443', '1.1.1.1'])
+  })
+
+  it('uses -P tcp on darwin traceroute and -T on traceroute6', () => {
+    expect(getTraceCommand('8.8.8.8', 'darwin', { protocol: 'tcp' }).args).toEqual(['-n', '-P', 'tcp', '8.8.8.8'])
+    expect(getTraceCommand('2001:db8::1', 'darwin', { protocol: 'tcp' }).args).toEqual(['-n', '-T', '2001:db8::1'])
+  })
+
+  it('gives FreeBSD and OpenBSD the BSD command and flags', () => {
+    expect(getTraceCommand('8.8.8.8', 'freebsd', { protocol: 'tcp' })).toEqual({ cmd: 'traceroute', args: ['-n', '-P', 'tcp', '8.8.8.8'] })
+    expect(getTraceCommand('example.com', 'openbsd', { family: 'ipv6' }).cmd).toBe('traceroute6')
+  })
+
+  it('maps only max hops and wait (in ms) for tracert', () => {
+    const result = getTraceCommand('example.com', 'win32', { ...all, protocol: 'tcp' })
+    expect(result.args).toEqual(['-h', '20', '-w', '2000', 'example.com'])
+  })
+
+  it('lets flow pinning own probe count, port and protocol', () => {
+    const result = getTraceCommand('1.1.1.1', 'linux', { ...all, flowPort: 33440 })
+    expect(result.args).toEqual([
+      '-n', '-m', '20', '-w', '2', '-f', '3', '-U', '-p', '33440', '-q', '1', '1.1.1.1', '1200',
+    ])
+  })
+})
+
 describe('getCurrentPlatform', () => {
   it('returns unix on linux', () => {
     expect(getCurrentPlatform('linux')).toBe('unix')
   })
 
-  it('returns unix on darwin', () => {
-    expect(getCurrentPlatform('darwin')).toBe('unix')
+  it('returns bsd on darwin and the BSDs', () => {
+    expect(getCurrentPlatform('darwin')).toBe('bsd')
+    expect(getCurrentPlatform('freebsd')).toBe('bsd')
+    expect(getCurrentPlatform('openbsd')).toBe('bsd')
   })
 
   it('returns win32 on win32', () => {
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createProcessCap, BUSY_MESSAGE } from '../src/api/processCap.js'
+
+const SINGLE = { mode: 'single' }
+const MULTIPATH = { mode: 'multipath' }
+
+// Runner double: each call is a running trace the test ends through its callbacks
+function makeRunner() {
+  const runs = []
+  const run = vi.fn((target, callbacks) => {
+    const cancel = vi.fn()
+    runs.push({ target, callbacks, cancel })
+    return { cancel }
+  })
+  return { run, runs }
+}
+
+const callbacks = () => ({ onHop: vi.fn(), onRaw: vi.fn(), onError: vi.fn(), onComplete: vi.fn() })
+
+describe('createProcessCap', () => {
+  it('holds one slot per trace until it completes or is cancelled', () => {
+    const cap = createProcessCap(2)
+    const { run, runs } = makeRunner()
+
+    cap.counted(run)('a.example', callbacks(), SINGLE)
+    const second = cap.counted(run)('b.example', callbacks(), SINGLE)
+    expect(cap.running()).toBe(2)
+    expect(cap.refusal(SINGLE)).toEqual({ status: 503, error: BUSY_MESSAGE })
+
+    runs[0].callbacks.onComplete()
+    expect(cap.running()).toBe(1)
+    second.cancel()
+    second.cancel()
+    expect(cap.running()).toBe(0)
+    expect(runs[1].cancel).toHaveBeenCalledTimes(2)
+    expect(cap.refusal(SINGLE)).toBeNull()
+  })
+
+  it('counts the flow children a multipath trace reports alive', () => {
+    const cap = createProcessCap(8)
+    const { run, runs } = makeRunner()
+    const cbs = callbacks()
+
+    cap.counted(run)('a.example', cbs, MULTIPATH)
+    runs[0].callbacks.onProcesses(6)
+    expect(cap.running()).toBe(6)
+    expect(cap.refusal(MULTIPATH)).toMatchObject({ status: 503 })
+    expect(cap.refusal(SINGLE, 2)).toBeNull()
+
+    runs[0].callbacks.onProcesses(3)
+    expect(cap.running()).toBe(3)
+    runs[0].callbacks.onComplete()
+    runs[0].callbacks.onProcesses(5)  // a late report after completion is ignored
+    expect(cap.running()).toBe(0)
+    expect(cbs.onComplete).toHaveBeenCalledOnce()
+  })
+
+  it('refuses traces that cost more than a low cap, rather than letting them through', () => {
+    const cap = createProcessCap(4)
+    expect(cap.refusal(MULTIPATH)).toEqual({
+      status: 400,
+      error: "6 probe processes are needed at once, over this server's limit of 4 (MAX_TRACE_PROCESSES).",
+    })
+    expect(cap.refusal(SINGLE, 5)).toMatchObject({ status: 400 })
+    expect(cap.refusal(SINGLE, 4)).toBeNull()
+
+    // A scheduled run that gets this far fails at once instead of starting 6 children
+    const { run } = makeRunner()
+    const cbs = callbacks()
+    cap.counted(run)('a.example', cbs, MULTIPATH)
+    expect(run).not.toHaveBeenCalled()
+    expect(cbs.onError).toHaveBeenCalledWith(expect.stringContaining('limit of 4'))
+    expect(cbs.onComplete).toHaveBeenCalledOnce()
+    expect(cap.running()).toBe(0)
+  })
+})
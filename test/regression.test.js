@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import { findRegressions, createRegressionWatch } from '../src/history/regression.js'
+
+/**
+ * Minimal history record: each spec is an IP (one 10 ms normal hop), null
+ * (timeout) or [ip, rtt, type].
+ */
+function makeRecord(id, specs) {
+  const hops = specs.map((spec, k) => {
+    const [ip, rtt, type] = Array.isArray(spec) ? spec : [spec, 10, 'normal']
+    return {
+      hop: k + 1,
+      ip,
+      hostname: null,
+      latencies: ip ? [rtt] : [],
+      responders: ip ? [{ ip, hostname: null, latencies: [rtt] }] : [],
+      timedOut: !ip,
+      type: ip ? (type ?? 'normal') : 'ghost',
+    }
+  })
+  return { id, target: 'example.com', startedAt: '2026-01-01T00:00:00.000Z', hops, intel: [] }
+}
+
+const BASELINE = makeRecord('base', ['10.0.0.1', ['10.0.0.2', 20], ['192.0.2.1', 40]])
+
+describe('findRegressions', () => {
+  it('finds nothing when the trace matches its baseline', () => {
+    const same = makeRecord('now', ['10.0.0.1', ['10.0.0.2', 22], ['192.0.2.1', 45]])
+    expect(findRegressions(BASELINE, same)).toEqual([])
+  })
+
+  it('reports a route change once, at the hop where it starts', () => {
+    const moved = makeRecord('now', ['10.0.0.1', ['10.9.9.9', 20], ['10.9.9.10', 30], ['192.0.2.1', 40]])
+    const [alert, ...rest] = findRegressions(BASELINE, moved)
+    expect(alert).toEqual({
+      kind: 'path', hop: 2, ip: '10.9.9.9', baselineId: 'base',
+      message: 'Route left the baseline at hop 2 (10.0.0.2 → 10.9.9.9); 2 hops differ',
+    })
+    expect(rest).toEqual([])
+  })
+
+  it('does not call a router that stopped answering a route change', () => {
+    const quiet = makeRecord('now', ['10.0.0.1', null, ['192.0.2.1', 40]])
+    expect(findRegressions(BASELINE, quiet)).toEqual([])
+  })
+
+  it('reports hostile and lossy hops that were not in the baseline', () => {
+    const worse = makeRecord('now', ['10.0.0.1', ['10.0.0.2', 21, 'lossy'], ['192.0.2.1', 41, 'hostile']])
+    const alerts = findRegressions(BASELINE, worse)
+    expect(alerts.map((a) => [a.kind, a.hop])).toEqual([['lossy', 2], ['hostile', 3]])
+    expect(alerts[1].message).toBe('Hop 3 (192.0.2.1) is hostile; it was normal in the baseline')
+
+    // Already hostile in the baseline: nothing new
+    const hostileBase = makeRecord('base', ['10.0.0.1', ['10.0.0.2', 20], ['192.0.2.1', 40, 'hostile']])
+    expect(findRegressions(hostileBase, worse).map((a) => a.kind)).toEqual(['lossy'])
+  })
+
+  it('reports hops slower than the configured percentage', () => {
+    const slower = makeRecord('now', ['10.0.0.1', ['10.0.0.2', 28], ['192.0.2.1', 61]])
+    const alerts = findRegressions(BASELINE, slower)
+    expect(alerts).toHaveLength(1)
+    expect(alerts[0]).toMatchObject({ kind: 'latency', hop: 3, ip: '192.0.2.1' })
+    expect(alerts[0].message).toBe('Hop 3 (192.0.2.1) at 61.0 ms, up from 40.0 ms in the baseline (+53%)')
+
+    expect(findRegressions(BASELINE, slower, { regressionPct: 30 }).map((a) => a.hop)).toEqual([2, 3])
+    expect(findRegressions(BASELINE, slower, { regressionPct: 60 })).toEqual([])
+  })
+
+  it('ignores a large percentage of a few milliseconds', () => {
+    // 10 → 14 ms is +40%, 10 → 16 ms +60%, but only the latter is at least 5 ms
+    const lan = makeRecord('now', [['10.0.0.1', 14], ['10.0.0.2', 20], ['192.0.2.1', 40]])
+    expect(findRegressions(BASELINE, lan, { regressionPct: 10 })).toEqual([])
+    const worse = makeRecord('now', [['10.0.0.1', 16], ['10.0.0.2', 20], ['192.0.2.1', 40]])
+    expect(findRegressions(BASELINE, worse, { regressionPct: 10 }).map((a) => a.hop)).toEqual([1])
+  })
+})
+
+describe('createRegressionWatch', () => {
+  const alert = (kind, hop) => ({ kind, hop, ip: `10.0.0.${hop}`, message: '', baselineId: 'base' })
+
+  it('raises a persisting regression once, and again after it clears', () => {
+    const watch = createRegressionWatch()
+    expect(watch.fresh([alert('latency', 3)])).toHaveLength(1)
+    expect(watch.fresh([alert('latency', 3), alert('hostile', 4)])).toEqual([alert('hostile', 4)])
+    expect(watch.fresh([])).toEqual([])
+    expect(watch.fresh([alert('latency', 3)])).toHaveLength(1)
+  })
+})
@@ -155,4 +155,168 @@ describe('runTrace', () => {
     expect(hops).toHaveLength(1)
     expect(hops[0].hop).toBe(1)
   })
+
+  it('stamps the configured probe count on each hop and passes flags to traceroute', async () => {
+    const fakeChild = makeFakeChild()
+    const spawn = vi.fn(() => fakeChild)
+
+    vi.doMock('node:child_process', () => ({ spawn }))
+
+    const { runTrace } = await import('../src/tracer/runner.js?t6=' + Date.now())
+
+    const hops = []
+
+    runTrace('1.1.1.1', {
+      onHop: (h) => hops.push(h),
+      onRaw: () => {},
+      onError: () => {},
+      onComplete: () => {},
+    }, { probes: 5, maxHops: 12 })
+
+    fakeChild.stdout.emit('data', ' 1  10.0.0.1  1.0 ms  *  2.0 ms  *  3.0 ms\n')
+    fakeChild.emit('close', 0)
+
+    expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-q', '5', '-m', '12']))
+    expect(hops[0].probes).toBe(5)
+    expect(Object.isFrozen(hops[0])).toBe(true)
+  })
+})
+
+describe('runMultipathTrace', () => {
+  it('runs flow-pinned traceroutes and emits one merged hop per TTL', async () => {
+    const children = []
+    const spawn = vi.fn(() => {
+      const child = makeFakeChild()
+      children.push(child)
+      return child
+    })
+    vi.doMock('node:child_process', () => ({ spawn }))
+
+    const { runMultipathTrace } = await import('../src/tracer/runner.js?m1=' + Date.now())
+
+    const hops = []
+    const raws = []
+    let completed = false
+
+    runMultipathTrace('10.9.9.9', {
+      onHop: (h) => hops.push(h),
+      onRaw: (l) => raws.push(l),
+      onError: () => {},
+      onComplete: () => { completed = true },
+    })
+
+    // First round: 6 flows, each pinned to its own UDP port with one probe per TTL
+    expect(children).toHaveLength(6)
+    expect(spawn.mock.calls[0][1]).toEqual(['-n', '-U', '-p', '33434', '-q', '1', '10.9.9.9'])
+    expect(spawn.mock.calls[5][1]).toContain('33439')
+
+    children.forEach((child, i) => {
+      const middle = i % 2 === 0 ? '10.0.1.1' : '10.0.1.2'
+      child.stdout.emit('data', ` 1  10.0.0.1  1.0 ms\n 2  ${middle}  5.0 ms\n 3  10.9.9.9  9.0 ms\n`)
+      child.emit('close', 0)
+    })
+
+    // Two interfaces at TTL 2 → 11 flows needed, so a second round starts
+    expect(children).toHaveLength(11)
+    expect(completed).toBe(false)
+
+    children.slice(6).forEach((child) => {
+      child.stdout.emit('data', ' 1  10.0.0.1  1.0 ms\n 2  10.0.1.1  5.0 ms\n 3  10.9.9.9  9.0 ms\n')
+      child.emit('close', 0)
+    })
+
+    expect(completed).toBe(true)
+    expect(hops.map((h) => h.hop)).toEqual([1, 2, 3])
+    expect(hops[1].responders.map((r) => r.ip)).toEqual(['10.0.1.1', '10.0.1.2'])
+    expect(hops[2].responders[0].prev.sort()).toEqual(['10.0.1.1', '10.0.1.2'])
+    expect(raws[0]).toMatch(/^\[flow 1\] /)
+  })
+
+  it('reports how many flow processes are alive as rounds start and finish', async () => {
+    const children = []
+    vi.doMock('node:child_process', () => ({
+      spawn: vi.fn(() => {
+        const child = makeFakeChild()
+        children.push(child)
+        return child
+      }),
+    }))
+
+    const { runMultipathTrace } = await import('../src/tracer/runner.js?m4=' + Date.now())
+
+    const counts = []
+    const { cancel } = runMultipathTrace('10.9.9.9', {
+      onHop: () => {},
+      onRaw: () => {},
+      onError: () => {},
+      onComplete: () => {},
+      onProcesses: (count) => counts.push(count),
+    })
+    expect(counts).toEqual([6])
+
+    children.forEach((child, i) => {
+      child.stdout.emit('data', ` 1  10.0.0.1  1.0 ms\n 2  10.0.1.${i % 2 + 1}  5.0 ms\n`)
+      child.emit('close', 0)
+    })
+    // Each finished flow frees its process, then the second round takes five
+    expect(counts).toEqual([6, 5, 4, 3, 2, 1, 0, 5])
+
+    cancel()
+    expect(counts.at(-1)).toBe(0)
+  })
+
+  it('reports a shared failure only once', async () => {
+    const children = []
+    vi.doMock('node:child_process', () => ({
+      spawn: vi.fn(() => {
+        const child = makeFakeChild()
+        children.push(child)
+        return child
+      }),
+    }))
+
+    const { runMultipathTrace } = await import('../src/tracer/runner.js?m2=' + Date.now())
+
+    const errors = []
+    let completed = false
+
+    runMultipathTrace('10.9.9.9', {
+      onHop: () => {},
+      onRaw: () => {},
+      onError: (msg) => errors.push(msg),
+      onComplete: () => { completed = true },
+    })
+
+    for (const child of children) {
+      const err = new Error('spawn traceroute ENOENT')
+      err.code = 'ENOENT'
+      child.emit('error', err)
+    }
+
+    expect(errors).toHaveLength(1)
+    expect(completed).toBe(true)
+  })
+
+  it('cancel() kills every running flow', async () => {
+    const children = []
+    vi.doMock('node:child_process', () => ({
+      spawn: vi.fn(() => {
+        const child = makeFakeChild()
+        children.push(child)
+        return child
+      }),
+    }))
+
+    const { runMultipathTrace } = await import('../src/tracer/runner.js?m3=' + Date.now())
+
+    const { cancel } = runMultipathTrace('10.9.9.9', {
+      onHop: () => {},
+      onRaw: () => {},
+      onError: () => {},
+      onComplete: () => {},
+    })
+
+    cancel()
+    expect(children.every((c) => c.kill.mock.calls.length === 1)).toBe(true)
+  })
 })
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, mkdir, rm, readFile, readdir, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createScheduler } from '../src/api/scheduler.js'
+import { validateTraceOptions } from '../src/validation.js'
+
+const OPTIONS = validateTraceOptions({ protocol: 'icmp' }).options
+const MINUTE = 60_000
+
+// Session double: each start is a running session a test ends with complete()
+function makeSessions() {
+  const started = []
+  const listeners = new Map()
+  return {
+    started,
+    start(target, options, origin) {
+      const id = `session-${started.length + 1}`
+      started.push({ id, target, options, origin })
+      return { id, target, status: 'running' }
+    },
+    subscribe(id, listener) {
+      listeners.set(id, listener)
+      return () => listeners.delete(id)
+    },
+    fail(id, message) {
+      listeners.get(id)({ event: 'error', data: { message } })
+      listeners.get(id)({ event: 'complete', data: { status: 'failed', historyId: null } })
+    },
+    complete(id, data = { status: 'complete', historyId: `history-${id}` }) {
+      listeners.get(id)({ event: 'complete', data })
+    },
+  }
+}
+
+describe('createScheduler', () => {
+  let dir
+  let file
+  let time
+  let sessions
+  let schedulers
+  const now = () => time
+
+  // Every scheduler a test makes, stopped (its writes flushed) before cleanup
+  const makeScheduler = (deps) => {
+    const scheduler = createScheduler({ sessions, filePath: file, now, ...deps })
+    schedulers.push(scheduler)
+    return scheduler
+  }
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'neon-schedule-'))
+    file = join(dir, 'nested', 'schedules.json')
+    time = Date.parse('2026-03-01T00:00:00.000Z')
+    sessions = makeSessions()
+    schedulers = []
+  })
+
+  afterEach(async () => {
+    await Promise.all(schedulers.map((s) => s.stop()))
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('runs a new job at once as a session and records the result', async () => {
+    const scheduler = makeScheduler()
+    const job = await scheduler.create({ target: 'example.com', options: OPTIONS, intervalMinutes: 5 })
+
+    expect(sessions.started).toEqual([{ id: 'session-1', target: 'example.com', options: OPTIONS, origin: `job:${job.id}` }])
+    expect(job).toMatchObject({
+      target: 'example.com', intervalMinutes: 5, paused: false, status: 'running', runs: 0,
+      nextRunAt: '2026-03-01T00:05:00.000Z',
+      lastRun: { sessionId: 'session-1', status: 'running', startedAt: '2026-03-01T00:00:00.000Z', completedAt: null },
+    })
+
+    time += 20_000
+    sessions.complete('session-1')
+    expect(await scheduler.get(job.id)).toMatchObject({
+      status: 'scheduled', runs: 1,
+      lastRun: { status: 'complete', historyId: 'history-session-1', error: null, completedAt: '2026-03-01T00:00:20.000Z' },
+    })
+
+    time += 5 * MINUTE
+    scheduler.tick()
+    sessions.fail('session-2', 'traceroute: command not found')
+    expect(await scheduler.get(job.id)).toMatchObject({
+      runs: 2, lastRun: { status: 'failed', historyId: null, error: 'traceroute: command not found' },
+    })
+  })
+
+  it('runs again once the interval has passed, never overlapping itself', async () => {
+    const scheduler = makeScheduler()
+    const { id } = await scheduler.create({ target: 'example.com', options: OPTIONS, intervalMinutes: 5 })
+
+    time += 5 * MINUTE
+    scheduler.tick()
+    expect(sessions.started).toHaveLength(1)  // session-1 is still running
+
+    sessions.complete('session-1')  // finishing late starts the overdue run
+    expect(sessions.started).toHaveLength(2)
+    sessions.complete('session-2')
+
+    time += 4 * MINUTE
+    scheduler.tick()
+    expect(sessions.started).toHaveLength(2)
+    time += MINUTE
+    scheduler.tick()
+    expect(sessions.started).toHaveLength(3)
+    expect((await scheduler.get(id)).runs).toBe(2)
+  })
+
+  it('keeps due jobs waiting while the concurrency cap has no room for their options', async () => {
+    let free = 1
+    const asked = []
+    const scheduler = makeScheduler({
+      hasCapacity: (options) => asked.push(options) && sessions.started.length < free,
+    })
+    const first = await scheduler.create({ target: 'a.example.com', options: OPTIONS, intervalMinutes: 5 })
+    const second = await scheduler.create({ target: 'b.example.com', options: OPTIONS, intervalMinutes: 5 })
+
+    expect(first.status).toBe('running')
+    expect(second.status).toBe('waiting')
+    scheduler.tick()
+    expect(sessions.started).toHaveLength(1)
+
+    free = 2
+    scheduler.tick()
+    expect(sessions.started.map((s) => s.target)).toEqual(['a.example.com', 'b.example.com'])
+    expect(asked.every((options) => options === OPTIONS)).toBe(true)
+  })
+
+  it('stops running a paused job and runs a resumed one at once', async () => {
+    const scheduler = makeScheduler()
+    const { id } = await scheduler.create({ target: 'example.com', options: OPTIONS, intervalMinutes: 5 })
+    sessions.complete('session-1')
+
+    expect(await scheduler.pause(id)).toMatchObject({ paused: true, status: 'paused', nextRunAt: null })
+    time += 60 * MINUTE
+    scheduler.tick()
+    expect(sessions.started).toHaveLength(1)
+
+    expect(await scheduler.resume(id)).toMatchObject({ paused: false, status: 'running' })
+    expect(sessions.started).toHaveLength(2)
+  })
+
+  it('deletes jobs, and answers unknown ids with null or false', async () => {
+    const changes = []
+    const scheduler = makeScheduler({ onChange: (jobs) => changes.push(jobs.length) })
+    const { id } = await scheduler.create({ target: 'example.com', options: OPTIONS, intervalMinutes: 5 })
+
+    expect(await scheduler.remove(id)).toBe(true)
+    expect(await scheduler.list()).toEqual([])
+    expect(changes.at(-1)).toBe(0)
+
+    sessions.complete('session-1')  // a run outliving its job is dropped
+    expect(await scheduler.list()).toEqual([])
+    expect(await scheduler.remove(id)).toBe(false)
+    expect(await scheduler.pause(id)).toBeNull()
+    expect(await scheduler.resume(id)).toBeNull()
+    expect(await scheduler.get(id)).toBeNull()
+  })
+
+  it('keeps jobs across restarts and marks a run cut short as failed', async () => {
+    const before = makeScheduler()
+    const { id } = await before.create({ target: 'example.com', options: OPTIONS, intervalMinutes: 5 })
+    await before.create({ target: 'paused.example.com', options: OPTIONS, intervalMinutes: 60 })
+      .then((job) => before.pause(job.id))
+    expect(JSON.parse(await readFile(file, 'utf8'))).toHaveLength(2)
+
+    time += 10 * MINUTE
+    const after = makeScheduler({ sessions: makeSessions() })
+    const jobs = await after.list()
+    expect(jobs.map((j) => [j.target, j.status])).toEqual([['example.com', 'waiting'], ['paused.example.com', 'paused']])
+    expect(jobs[0]).toMatchObject({ id, lastRun: { status: 'failed', completedAt: null } })
+  })
+  it('moves a file that no longer parses aside instead of writing over it', async () => {
+    const stderr = vi.spyOn(process.stderr, 'write').mockImplementation(() => true)
+    await mkdir(join(dir, 'nested'))
+    await writeFile(file, '[{"id": "torn', 'utf8')
+
+    const scheduler = makeScheduler()
+    expect(await scheduler.list()).toEqual([])
+    await scheduler.create({ target: 'example.com', options: OPTIONS, intervalMinutes: 5 })
+
+    const aside = join(dir, 'nested', `schedules.json.bad-${time}`)
+    expect(await readFile(aside, 'utf8')).toBe('[{"id": "torn')
+    expect(JSON.parse(await readFile(file, 'utf8'))).toHaveLength(1)
+    expect(stderr).toHaveBeenCalledWith(expect.stringContaining(aside))
+    stderr.mockRestore()
+  })
+
+  it('refuses to write when a damaged file cannot be moved aside', async () => {
+    const stderr = vi.spyOn(process.stderr, 'write').mockImplementation(() => true)
+    await mkdir(join(dir, 'nested'))
+    await writeFile(file, '{}', 'utf8')
+    await mkdir(join(dir, 'nested', `schedules.json.bad-${time}`))
+    await writeFile(join(dir, 'nested', `schedules.json.bad-${time}`, 'keep'), '')
+
+    const scheduler = makeScheduler()
+    await expect(scheduler.create({ target: 'example.com', options: OPTIONS, intervalMinutes: 5 })).rejects.toThrow()
+    expect(await readFile(file, 'utf8')).toBe('{}')
+    expect(await readdir(join(dir, 'nested'))).toHaveLength(2)
+    stderr.mockRestore()
+  })
+})
@@ -0,0 +1,250 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createTraceSessions } from '../src/api/traceSessions.js'
+import { validateTraceOptions } from '../src/validation.js'
+
+const OPTIONS = validateTraceOptions({}).options
+
+const makeHop = (hop, ip, latencies = [10, 11, 12]) => Object.freeze({
+  hop, ip, hostname: null, latencies, timedOut: false, partialLoss: false,
+  responders: [{ ip, hostname: null, latencies }],
+})
+
+// Runner double: each start records its callbacks so a test can drive the trace
+function makeRunner() {
+  const runs = []
+  const runnerFor = vi.fn(() => (target, callbacks, options) => {
+    const run = { target, callbacks, options, cancel: vi.fn() }
+    runs.push(run)
+    return { cancel: run.cancel }
+  })
+  return { runnerFor, runs }
+}
+
+const intelFor = async (ip) => ({ ip, hostname: `${ip}.example`, org: 'Example', country: 'JP', asn: 'AS64500', netrange: null, geo: null })
+
+// Let intel promises and onComplete's awaits run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('createTraceSessions', () => {
+  it('starts a running session through the runner picked for its options', () => {
+    const { runnerFor, runs } = makeRunner()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor })
+    const trace = sessions.start('example.com', OPTIONS)
+
+    expect(runnerFor).toHaveBeenCalledWith(OPTIONS)
+    expect(runs[0].target).toBe('example.com')
+    expect(trace).toMatchObject({ target: 'example.com', status: 'running', hops: [], intel: [], historyId: null })
+    expect(trace.id).toMatch(/^[0-9a-f-]{36}$/)
+    expect(sessions.runningCount()).toBe(1)
+  })
+
+  it('collects enriched hops and their intel', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor })
+    const { id } = sessions.start('example.com', OPTIONS)
+
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1', [5]))
+    runs[0].callbacks.onHop(makeHop(2, '10.0.0.2', [300]))
+    await settle()
+
+    const trace = sessions.get(id)
+    expect(trace.hops.map((h) => h.type)).toEqual(['normal', 'hostile'])
+    expect(trace.intel).toHaveLength(2)
+    expect(trace.intel[0]).toMatchObject({ hop: 1, ip: '10.0.0.1', asn: 'AS64500' })
+  })
+
+  it('streams reclassified hops and shows their final verdict', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor })
+    const { id } = sessions.start('example.com', OPTIONS)
+    const events = []
+    sessions.subscribe(id, (entry) => events.push(entry.event))
+
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1', [5]))
+    runs[0].callbacks.onHop(makeHop(2, '10.0.0.2', [300]))
+    runs[0].callbacks.onHop(makeHop(3, '10.0.0.3', [8]))
+    await settle()
+
+    expect(events.filter((e) => e !== 'intel')).toEqual(['hop', 'hop', 'hop', 'reclassify'])
+    const hop = sessions.get(id).hops[1]
+    expect(hop).toMatchObject({ hop: 2, type: 'normal' })
+    expect(hop.reason).toContain('at this hop only')
+  })
+
+  it('re-judges hops with the distance classifier as their locations arrive', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const places = { '10.0.0.1': [35.68, 139.69, 'Tokyo', 'JP'], '10.0.0.2': [34.05, -118.24, 'Los Angeles', 'US'] }
+    const lookupIntel = async (ip) => {
+      const [latitude, longitude, city, country] = places[ip]
+      return { ...(await intelFor(ip)), geo: { city, country, latitude, longitude, accuracyKm: null, source: 'rdns' } }
+    }
+    const sessions = createTraceSessions({ runnerFor, lookupIntel })
+    const { id } = sessions.start('example.com', validateTraceOptions({ classifier: 'distance' }).options)
+
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1', [10]))
+    runs[0].callbacks.onHop(makeHop(2, '10.0.0.2', [130]))
+    await settle()
+
+    const hop = sessions.get(id).hops[1]
+    expect(hop).toMatchObject({ hop: 2, type: 'normal' })
+    expect(hop.reason).toContain('fiber minimum Tokyo, JP → Los Angeles, US')
+  })
+
+  it('completes only after intel settles, then saves to history', async () => {
+    const { runnerFor, runs } = makeRunner()
+    let resolveIntel
+    const lookupIntel = () => new Promise((resolve) => { resolveIntel = resolve })
+    const save = vi.fn(async () => 'history-id')
+    const sessions = createTraceSessions({ runnerFor, lookupIntel, save })
+    const { id } = sessions.start('example.com', OPTIONS)
+
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1'))
+    runs[0].callbacks.onComplete()
+    await settle()
+    expect(sessions.get(id).status).toBe('running')
+
+    resolveIntel({ ip: '10.0.0.1', hostname: null })
+    await settle()
+    const trace = sessions.get(id)
+    expect(trace).toMatchObject({ status: 'complete', historyId: 'history-id' })
+    expect(trace.completedAt).not.toBeNull()
+    expect(save.mock.calls[0][0].intel).toHaveLength(1)
+    expect(sessions.runningCount()).toBe(0)
+  })
+
+  it('streams baseline regressions of the saved trace before completing', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const alert = { kind: 'latency', hop: 1, ip: '10.0.0.1', message: 'slower', baselineId: 'base' }
+    const checkBaseline = vi.fn(async () => [alert])
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor, save: async () => 'history-id', checkBaseline })
+    const { id } = sessions.start('example.com', OPTIONS)
+    const events = []
+    sessions.subscribe(id, (entry) => events.push(entry.event))
+
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1'))
+    runs[0].callbacks.onComplete()
+    await settle()
+
+    expect(checkBaseline.mock.calls[0][0]).toMatchObject({ id: 'history-id', target: 'example.com' })
+    expect(events.slice(-2)).toEqual(['alert', 'complete'])
+    expect(sessions.get(id).alerts).toEqual([alert])
+  })
+
+  it('hands each saved record, with its history id and origin, to onSaved', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const onSaved = vi.fn()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor, save: async () => 'history-id', onSaved })
+    sessions.start('example.com', OPTIONS)
+    sessions.start('example.com', OPTIONS, 'job:abc')
+
+    for (const run of runs) {
+      run.callbacks.onHop(makeHop(1, '10.0.0.1'))
+      run.callbacks.onComplete()
+    }
+    await settle()
+
+    expect(onSaved).toHaveBeenCalledTimes(2)
+    expect(onSaved.mock.calls[0][0]).toMatchObject({ id: 'history-id', target: 'example.com', hops: [{ hop: 1 }] })
+    expect(onSaved.mock.calls.map(([, origin]) => origin)).toEqual(['api', 'job:abc'])
+  })
+
+  it('marks a trace without hops as failed and keeps its errors', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const save = vi.fn(async () => 'never')
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor, save })
+    const { id } = sessions.start('example.com', OPTIONS)
+
+    runs[0].callbacks.onError('traceroute not found')
+    runs[0].callbacks.onComplete()
+    await settle()
+
+    expect(sessions.get(id)).toMatchObject({ status: 'failed', errors: ['traceroute not found'], historyId: null })
+    expect(save).not.toHaveBeenCalled()
+  })
+
+  it('still completes when saving fails', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const stderr = vi.spyOn(process.stderr, 'write').mockImplementation(() => true)
+    const save = vi.fn(async () => { throw new Error('disk full') })
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor, save })
+    const { id } = sessions.start('example.com', OPTIONS)
+
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1'))
+    runs[0].callbacks.onComplete()
+    await settle()
+
+    expect(sessions.get(id)).toMatchObject({ status: 'complete', historyId: null })
+    expect(stderr).toHaveBeenCalledWith(expect.stringContaining('disk full'))
+    stderr.mockRestore()
+  })
+
+  it('returns null for unknown ids', () => {
+    const sessions = createTraceSessions({ runnerFor: makeRunner().runnerFor, lookupIntel: intelFor })
+    expect(sessions.get('00000000-0000-4000-8000-000000000000')).toBeNull()
+    expect(sessions.subscribe('00000000-0000-4000-8000-000000000000', () => {})).toBeNull()
+  })
+})
+
+describe('subscribe', () => {
+  it('replays past events, then streams live ones through complete', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: async () => null })
+    const { id } = sessions.start('example.com', OPTIONS)
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1'))
+
+    const events = []
+    sessions.subscribe(id, (entry) => events.push(entry.event))
+    expect(events).toEqual(['hop'])
+
+    runs[0].callbacks.onHop(makeHop(2, '10.0.0.2'))
+    runs[0].callbacks.onComplete()
+    await settle()
+    expect(events).toEqual(['hop', 'hop', 'complete'])
+  })
+
+  it('replays a finished session in full, ending with complete', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: intelFor, save: async () => 'h1' })
+    const { id } = sessions.start('example.com', OPTIONS)
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1'))
+    runs[0].callbacks.onComplete()
+    await settle()
+
+    const events = []
+    sessions.subscribe(id, (entry) => events.push(entry))
+    expect(events.map((e) => e.event)).toEqual(['hop', 'intel', 'complete'])
+    expect(events.at(-1).data).toEqual({ status: 'complete', historyId: 'h1' })
+  })
+
+  it('stops delivering after unsubscribe', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: async () => null })
+    const { id } = sessions.start('example.com', OPTIONS)
+
+    const listener = vi.fn()
+    const unsubscribe = sessions.subscribe(id, listener)
+    unsubscribe()
+    runs[0].callbacks.onHop(makeHop(1, '10.0.0.1'))
+    expect(listener).not.toHaveBeenCalled()
+  })
+})
+
+describe('retention', () => {
+  it('drops the oldest finished sessions beyond maxKept, never running ones', async () => {
+    const { runnerFor, runs } = makeRunner()
+    const sessions = createTraceSessions({ runnerFor, lookupIntel: async () => null, maxKept: 1 })
+    const running = sessions.start('a.example', OPTIONS)
+    const first = sessions.start('b.example', OPTIONS)
+    const second = sessions.start('c.example', OPTIONS)
+
+    for (const run of runs.slice(1)) {
+      run.callbacks.onHop(makeHop(1, '10.0.0.1'))
+      run.callbacks.onComplete()
+    }
+    await settle()
+
+    expect(sessions.get(running.id)).not.toBeNull()
+    expect(sessions.get(first.id)).toBeNull()
+    expect(sessions.get(second.id)).not.toBeNull()
+  })
+})
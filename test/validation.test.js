@@ -1,5 +1,9 @@
 import { describe, it, expect } from 'vitest'
-import { validateTarget } from '../src/validation.js'
+import {
+  validateTarget, validateTargets, validateTraceOptions, validateTraceId,
+  validateExportFormat, validateExportTraces, validateImportText, validateBaseline, validateSchedule,
+  validateJobId, validateWebhookUrl,
+} from '../src/validation.js'
 
 describe('validateTarget', () => {
   describe('valid inputs', () => {
@@ -85,3 +89,326 @@ describe('validateTarget', () => {
     })
   })
 })
+
+describe('validateTargets', () => {
+  it('accepts several targets and trims each', () => {
+    expect(validateTargets([' a.example ', '192.0.2.1'])).toEqual({ valid: true, targets: ['a.example', '192.0.2.1'] })
+  })
+
+  it('drops duplicate targets', () => {
+    expect(validateTargets(['a.example', 'a.example']).targets).toEqual(['a.example'])
+  })
+
+  it('rejects an empty list or a non-array', () => {
+    expect(validateTargets([])).toMatchObject({ valid: false })
+    expect(validateTargets('a.example')).toMatchObject({ valid: false })
+    expect(validateTargets(undefined)).toMatchObject({ valid: false })
+  })
+
+  it('rejects more than 4 targets', () => {
+    expect(validateTargets(['a', 'b', 'c', 'd'])).toMatchObject({ valid: true })
+    expect(validateTargets(['a', 'b', 'c', 'd', 'e'])).toMatchObject({ valid: false })
+  })
+
+  it('rejects the whole list when one target is invalid', () => {
+    const result = validateTargets(['a.example', 'b.example; rm -rf /'])
+    expect(result.valid).toBe(false)
+    expect(result.error).toMatch(/invalid characters/)
+  })
+
+  it('allows several targets in single mode only', () => {
+    expect(validateTargets(['a.example', 'b.example'], 'multipath')).toMatchObject({ valid: false })
+    expect(validateTargets(['a.example', 'b.example'], 'monitor')).toMatchObject({ valid: false })
+    expect(validateTargets(['a.example'], 'monitor')).toMatchObject({ valid: true })
+  })
+})
+
+describe('validateTraceOptions', () => {
+  it('defaults to auto family when options are omitted', () => {
+    expect(validateTraceOptions(undefined)).toEqual({
+      valid: true,
+      options: {
+        family: 'auto',
+        resolveNames: false,
+        mpls: false,
+        classifier: 'statistical',
+        mode: 'single',
+        interval: 10,
+        engine: 'system',
+        protocol: 'udp',
+        maxHops: null,
+        probes: null,
+        wait: null,
+        firstTtl: null,
+        port: null,
+        packetSize: null,
+      },
+    })
+    expect(validateTraceOptions(null)).toMatchObject({ valid: true, options: { family: 'auto' } })
+  })
+
+  it('accepts ipv4 and ipv6 families', () => {
+    expect(validateTraceOptions({ family: 'ipv4' })).toMatchObject({ valid: true, options: { family: 'ipv4' } })
+    expect(validateTraceOptions({ family: 'ipv6' })).toMatchObject({ valid: true, options: { family: 'ipv6' } })
+  })
+
+  it('rejects an unknown family', () => {
+    expect(validateTraceOptions({ family: 'ipx' })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ family: '-6; rm -rf /' })).toMatchObject({ valid: false })
+  })
+
+  it('rejects non-object options', () => {
+    expect(validateTraceOptions('ipv6')).toMatchObject({ valid: false })
+    expect(validateTraceOptions(['ipv6'])).toMatchObject({ valid: false })
+  })
+
+  it('accepts a boolean resolveNames and defaults it to false', () => {
+    expect(validateTraceOptions({ resolveNames: true }).options.resolveNames).toBe(true)
+    expect(validateTraceOptions({}).options.resolveNames).toBe(false)
+  })
+
+  it('accepts a boolean mpls and defaults it to false', () => {
+    expect(validateTraceOptions({ mpls: true }).options.mpls).toBe(true)
+    expect(validateTraceOptions({}).options.mpls).toBe(false)
+    expect(validateTraceOptions({ mpls: 'on' })).toEqual({ valid: false, error: 'mpls must be a boolean' })
+  })
+
+  it('accepts a known classifier and defaults to statistical', () => {
+    expect(validateTraceOptions({ classifier: 'threshold' }).options.classifier).toBe('threshold')
+    expect(validateTraceOptions({}).options.classifier).toBe('statistical')
+    expect(validateTraceOptions({ classifier: 'toString' }))
+      .toEqual({ valid: false, error: 'Classifier must be one of: statistical, distance, threshold' })
+  })
+
+  it('rejects a non-boolean resolveNames', () => {
+    expect(validateTraceOptions({ resolveNames: 'yes' })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ resolveNames: 1 })).toMatchObject({ valid: false })
+  })
+
+  it('accepts single and multipath modes, defaulting to single', () => {
+    expect(validateTraceOptions({}).options.mode).toBe('single')
+    expect(validateTraceOptions({ mode: 'multipath' }).options.mode).toBe('multipath')
+  })
+
+  it('rejects an unknown mode', () => {
+    expect(validateTraceOptions({ mode: 'flood' })).toMatchObject({ valid: false })
+  })
+
+  it('accepts monitor mode with an interval, defaulting to 10 seconds', () => {
+    expect(validateTraceOptions({ mode: 'monitor' }).options).toMatchObject({ mode: 'monitor', interval: 10 })
+    expect(validateTraceOptions({ mode: 'monitor', interval: 5 }).options.interval).toBe(5)
+    expect(validateTraceOptions({ mode: 'monitor', interval: 300 }).options.interval).toBe(300)
+  })
+
+  it('rejects an interval outside 5-300 seconds or not a whole number', () => {
+    expect(validateTraceOptions({ interval: 4 })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ interval: 301 })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ interval: 7.5 })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ interval: '10' })).toMatchObject({ valid: false })
+  })
+
+  it('accepts system and native engines, defaulting to system', () => {
+    expect(validateTraceOptions({}).options.engine).toBe('system')
+    expect(validateTraceOptions({ engine: 'native' }).options.engine).toBe('native')
+  })
+
+  it('rejects an unknown engine', () => {
+    expect(validateTraceOptions({ engine: 'scapy' })).toMatchObject({ valid: false })
+  })
+
+  it('rejects multipath mode on the native engine', () => {
+    expect(validateTraceOptions({ engine: 'native', mode: 'multipath' })).toMatchObject({ valid: false })
+  })
+
+  it('accepts udp, icmp and tcp protocols, defaulting to udp', () => {
+    expect(validateTraceOptions({}).options.protocol).toBe('udp')
+    expect(validateTraceOptions({ protocol: 'icmp' }).options.protocol).toBe('icmp')
+    expect(validateTraceOptions({ protocol: 'tcp' }).options.protocol).toBe('tcp')
+  })
+
+  it('rejects an unknown protocol', () => {
+    expect(validateTraceOptions({ protocol: 'sctp' })).toMatchObject({ valid: false })
+  })
+
+  it('rejects non-UDP multipath and ICMP on the native engine', () => {
+    expect(validateTraceOptions({ mode: 'multipath', protocol: 'tcp' })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ engine: 'native', protocol: 'icmp' })).toMatchObject({ valid: false })
+  })
+
+  it('passes numeric probe options through when in range', () => {
+    const result = validateTraceOptions({ maxHops: 20, probes: 5, wait: 2, firstTtl: 3, port: 443, packetSize: 1200 })
+    expect(result.options).toMatchObject({ maxHops: 20, probes: 5, wait: 2, firstTtl: 3, port: 443, packetSize: 1200 })
+  })
+
+  it.each([
+    ['maxHops', 0], ['maxHops', 65],
+    ['probes', 0], ['probes', 11],
+    ['wait', 0], ['wait', 11],
+    ['firstTtl', 0],
+    ['port', 0], ['port', 65536],
+    ['packetSize', 27], ['packetSize', 1501],
+  ])('rejects %s = %s', (key, value) => {
+    expect(validateTraceOptions({ [key]: value })).toMatchObject({ valid: false })
+  })
+
+  it('rejects non-integer and string probe options', () => {
+    expect(validateTraceOptions({ probes: 2.5 })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ port: '80' })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ maxHops: '30; rm -rf /' })).toMatchObject({ valid: false })
+  })
+
+  it('rejects a first TTL beyond max hops', () => {
+    expect(validateTraceOptions({ firstTtl: 10, maxHops: 5 })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ firstTtl: 31 })).toMatchObject({ valid: false })
+    expect(validateTraceOptions({ firstTtl: 31, maxHops: 40 })).toMatchObject({ valid: true })
+  })
+
+  it('drops unknown keys', () => {
+    const result = validateTraceOptions({ family: 'auto', cmd: 'rm' })
+    expect(result.options).not.toHaveProperty('cmd')
+  })
+
+  it('returns frozen options', () => {
+    expect(Object.isFrozen(validateTraceOptions({ family: 'ipv6' }).options)).toBe(true)
+  })
+})
+
+describe('validateTraceId', () => {
+  it('accepts a randomUUID() id', () => {
+    const id = crypto.randomUUID()
+    expect(validateTraceId(id)).toEqual({ valid: true, id })
+  })
+
+  it.each([
+    ['empty', ''],
+    ['path traversal', '../../etc/passwd'],
+    ['uppercase', 'A0B1C2D3-0000-4000-8000-000000000000'],
+    ['not v4', 'a0b1c2d3-0000-1000-8000-000000000000'],
+    ['trailing junk', 'a0b1c2d3-0000-4000-8000-000000000000x'],
+  ])('rejects %s', (_, id) => {
+    expect(validateTraceId(id)).toMatchObject({ valid: false })
+  })
+
+  it('rejects non-strings', () => {
+    expect(validateTraceId(undefined)).toMatchObject({ valid: false })
+    expect(validateTraceId(42)).toMatchObject({ valid: false })
+  })
+})
+
+describe('validateExportFormat', () => {
+  it('defaults to json and accepts each format', () => {
+    expect(validateExportFormat(undefined)).toEqual({ valid: true, format: 'json' })
+    for (const format of ['json', 'csv', 'mtr']) expect(validateExportFormat(format)).toEqual({ valid: true, format })
+  })
+
+  it('rejects anything else', () => {
+    expect(validateExportFormat('xml')).toMatchObject({ valid: false })
+    expect(validateExportFormat(['csv'])).toMatchObject({ valid: false })
+  })
+})
+
+describe('validateExportTraces', () => {
+  it('accepts 1-4 traces with a valid target and event arrays', () => {
+    const result = validateExportTraces([{ target: ' example.com ', hops: [], intel: [] }])
+    expect(result).toEqual({ valid: true, traces: [{ target: 'example.com', hops: [], intel: [] }] })
+  })
+
+  it.each([
+    ['no traces', []],
+    ['not an array', { target: 'a.com' }],
+    ['too many traces', Array.from({ length: 5 }, () => ({ target: 'a.com' }))],
+    ['a non-object trace', ['a.com']],
+    ['an invalid target', [{ target: 'a.com; rm -rf /' }]],
+    ['hops not an array', [{ target: 'a.com', hops: 'x' }]],
+    ['too many hops', [{ target: 'a.com', hops: new Array(1025).fill({}) }]],
+    ['an oversized hostname', [{ target: 'a.com', hops: [{ hop: 1, ip: '10.0.0.1', hostname: 'a'.repeat(254) }] }]],
+    ['an oversized responder ip', [{ target: 'a.com', hops: [{ hop: 1, responders: [{ ip: '1'.repeat(254) }] }] }]],
+    ['an oversized intel hostname', [{ target: 'a.com', intel: [{ ip: '10.0.0.1', hostname: 'a'.repeat(254) }] }]],
+    ['too many responders', [{ target: 'a.com', hops: [{ hop: 1, responders: new Array(1025).fill({}) }] }]],
+  ])('rejects %s', (_, traces) => {
+    expect(validateExportTraces(traces)).toMatchObject({ valid: false })
+  })
+})
+
+describe('validateImportText', () => {
+  it('accepts pasted text up to 64 KB', () => {
+    expect(validateImportText(' 1  10.0.0.1  1.0 ms')).toEqual({ valid: true, text: ' 1  10.0.0.1  1.0 ms' })
+    expect(validateImportText('x'.repeat(64 * 1024))).toMatchObject({ valid: true })
+  })
+
+  it.each([
+    ['a non-string', 42],
+    ['blank text', '  \n '],
+    ['oversized text', 'x'.repeat(64 * 1024 + 1)],
+  ])('rejects %s', (_, text) => {
+    expect(validateImportText(text)).toMatchObject({ valid: false })
+  })
+})
+
+describe('validateBaseline', () => {
+  const traceId = '123e4567-e89b-42d3-a456-426614174000'
+
+  it('accepts a trace id and defaults the regression threshold to 50%', () => {
+    expect(validateBaseline({ traceId })).toEqual({ valid: true, traceId, regressionPct: 50 })
+    expect(validateBaseline({ traceId, regressionPct: 200 })).toMatchObject({ regressionPct: 200 })
+  })
+
+  it.each([
+    ['no body', undefined],
+    ['a bad trace id', { traceId: 'nope' }],
+    ['a zero threshold', { traceId, regressionPct: 0 }],
+    ['a fractional threshold', { traceId, regressionPct: 12.5 }],
+    ['a threshold above 1000%', { traceId, regressionPct: 1001 }],
+    ['a string threshold', { traceId, regressionPct: '50' }],
+  ])('rejects %s', (_, input) => {
+    expect(validateBaseline(input)).toMatchObject({ valid: false })
+  })
+})
+
+describe('validateSchedule', () => {
+  it('accepts a target, an interval and validated trace options', () => {
+    const result = validateSchedule({ target: ' example.com ', intervalMinutes: 5, options: { protocol: 'icmp' } })
+    expect(result).toMatchObject({ valid: true, target: 'example.com', intervalMinutes: 5 })
+    expect(result.options).toMatchObject({ mode: 'single', protocol: 'icmp' })
+  })
+
+  it('rejects monitor mode, which never finishes', () => {
+    expect(validateSchedule({ target: 'example.com', intervalMinutes: 5, options: { mode: 'monitor' } }))
+      .toEqual({ valid: false, error: 'Monitor mode cannot be scheduled' })
+  })
+
+  it.each([
+    ['no body', undefined],
+    ['a bad target', { target: 'a;b', intervalMinutes: 5 }],
+    ['bad options', { target: 'example.com', intervalMinutes: 5, options: { protocol: 'sctp' } }],
+    ['no interval', { target: 'example.com' }],
+    ['a zero interval', { target: 'example.com', intervalMinutes: 0 }],
+    ['a fractional interval', { target: 'example.com', intervalMinutes: 2.5 }],
+    ['an interval over a day', { target: 'example.com', intervalMinutes: 1441 }],
+  ])('rejects %s', (_, input) => {
+    expect(validateSchedule(input)).toMatchObject({ valid: false })
+  })
+})
+
+describe('validateJobId', () => {
+  it('accepts a UUID v4 and rejects anything else', () => {
+    const id = '123e4567-e89b-42d3-a456-426614174000'
+    expect(validateJobId(id)).toEqual({ valid: true, id })
+    expect(validateJobId('../schedules')).toEqual({ valid: false, error: 'Invalid job id' })
+  })
+})
+
+describe('validateWebhookUrl', () => {
+  it('accepts absolute http and https URLs', () => {
+    expect(validateWebhookUrl('https://hooks.example.com/neon?x=1')).toEqual({ valid: true, url: 'https://hooks.example.com/neon?x=1' })
+    expect(validateWebhookUrl('http://10.0.0.5:8080/hook')).toMatchObject({ valid: true })
+  })
+
+  it.each([
+    ['a relative path', '/hook'],
+    ['a file URL', 'file:///etc/passwd'],
+    ['no URL', undefined],
+  ])('rejects %s', (_, input) => {
+    expect(validateWebhookUrl(input)).toMatchObject({ valid: false })
+  })
+})